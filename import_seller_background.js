@@ -1,97 +1,59 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import sqlite3 from 'sqlite3';
-import { parse } from 'csv-parse/sync';
+import { closeDatabase, migrateDatabase, openDatabase } from './src/db.js';
+import { importContacts, loadImportableColumns, parseCsv, suggestMapping } from './src/contactImport.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const CSV_PATH = process.argv[2] || path.join(__dirname, 'seller_background_data.csv');
-const DB_PATH = process.argv[3] || path.join(__dirname, 'seller_background.db');
+const args = process.argv.slice(2).filter((arg) => !arg.startsWith('--'));
+const DRY_RUN = process.argv.includes('--dry-run');
+const CSV_PATH = args[0] || path.join(__dirname, 'seller_background_data.csv');
+const DB_PATH = args[1] || path.join(__dirname, 'seller_background.db');
 const TABLE_NAME = 'seller_background';
 
 const KEEP_COLUMNS = ['contactName', 'agentName', 'cleanContactNumber', 'group'];
 
-const sqlite = sqlite3.verbose();
-
-function readCsv(csvPath) {
-  const raw = fs.readFileSync(csvPath, 'utf8').replace(/^\uFEFF/, '');
-  let headerColumns = [];
-  const records = parse(raw, {
-    columns: (header) => {
-      headerColumns = header.map((h) => (h || '').trim());
-      return headerColumns;
-    },
-    relax_column_count: true,
-    skip_empty_lines: true,
-    trim: true,
-  });
-  return { records, headerColumns };
-}
-
-function ensureTable(db) {
-  db.run(`DROP TABLE IF EXISTS "${TABLE_NAME}"`);
-  db.run(
-    `CREATE TABLE "${TABLE_NAME}" (
-      "contactName" TEXT,
-      "agentName" TEXT,
-      "cleanContactNumber" TEXT,
-      "group" TEXT,
-      "notes" TEXT,
-      "conversation_started" TEXT DEFAULT 'pending'
-    )`
-  );
-}
-
-function normalizeValue(value) {
-  if (value === undefined || value === null) return null;
-  if (typeof value !== 'string') return value;
-  const trimmed = value.trim();
-  return trimmed === '' ? null : trimmed;
-}
-
-function insertRows(db, records) {
-  const stmt = db.prepare(
-    `INSERT INTO "${TABLE_NAME}" (
-      "contactName",
-      "agentName",
-      "cleanContactNumber",
-      "group",
-      "notes"
-    ) VALUES (?, ?, ?, ?, ?)`
-  );
-
-  for (const record of records) {
-    const contactName = normalizeValue(record.contactName);
-    const agentName = normalizeValue(record.agentName);
-    const cleanContactNumber = normalizeValue(record.cleanContactNumber);
-    const group = normalizeValue(record.group);
-    stmt.run([contactName, agentName, cleanContactNumber, group, null]);
-  }
-  stmt.finalize();
-}
-
-function main() {
+// New numbers are inserted, known numbers only get their empty fields filled; statuses are never touched.
+async function main() {
   if (!fs.existsSync(CSV_PATH)) {
     console.error(`CSV file not found: ${CSV_PATH}`);
     process.exit(1);
   }
 
-  const { records, headerColumns } = readCsv(CSV_PATH);
+  const csv = fs.readFileSync(CSV_PATH, 'utf8');
+  const { headers, records } = parseCsv(csv);
   if (records.length === 0) {
     console.error('No records found in CSV.');
     process.exit(1);
   }
 
-  const db = new sqlite.Database(DB_PATH);
-  db.serialize(() => {
-    ensureTable(db);
-    insertRows(db, records);
-  });
-  db.close();
+  const db = openDatabase(DB_PATH);
+  let plan;
+  try {
+    await migrateDatabase(db);
+    const columns = await loadImportableColumns(db);
+    const mapping = Object.fromEntries(
+      Object.entries(suggestMapping(headers, columns))
+        .map(([header, column]) => [header, KEEP_COLUMNS.includes(column) ? column : ''])
+    );
+    plan = await importContacts(db, { csv, mapping, dryRun: DRY_RUN });
+  } finally {
+    await closeDatabase(db);
+  }
 
-  console.log(`Imported ${records.length} rows into ${DB_PATH} (table: ${TABLE_NAME}).`);
+  for (const row of plan.rows.filter((item) => item.action === 'skip')) {
+    console.log(`Line ${row.line} skipped: ${row.reason}`);
+  }
+  const { insert, update, unchanged, skip, invalid } = plan.summary;
+  console.log(
+    `${DRY_RUN ? 'Dry run for' : 'Imported'} ${records.length} rows into ${DB_PATH} (table: ${TABLE_NAME}): `
+      + `${insert} new, ${update} updated, ${unchanged} unchanged, ${skip} skipped (${invalid} invalid numbers).`
+  );
 }
 
-main();
+main().catch((err) => {
+  console.error('Import failed:', err.message);
+  process.exit(1);
+});
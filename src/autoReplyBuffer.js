@@ -0,0 +1,61 @@
+import { dbAll, dbRun } from './db.js';
+
+const BUFFER_TABLE = 'auto_reply_buffer';
+
+// One row per chat holding the incoming messages the auto responder has not answered yet, including a batch
+// that is with the LLM right now, so a restart picks up where the in-memory queue left off.
+export async function saveBufferedChat(db, chatId, {
+    contactRowId,
+    messages,
+    lastMessageId = null,
+    propertyId = null,
+    phoneNumber = null,
+    contactInfo = null,
+}) {
+    await dbRun(
+        db,
+        `INSERT INTO "${BUFFER_TABLE}" (
+            chat_id, contact_rowid, messages, last_message_id, property_id, phone_number, contact_info, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(chat_id) DO UPDATE SET
+            contact_rowid = excluded.contact_rowid,
+            messages = excluded.messages,
+            last_message_id = excluded.last_message_id,
+            property_id = excluded.property_id,
+            phone_number = excluded.phone_number,
+            contact_info = excluded.contact_info,
+            updated_at = excluded.updated_at`,
+        [
+            chatId,
+            contactRowId,
+            JSON.stringify(messages),
+            lastMessageId,
+            propertyId,
+            phoneNumber,
+            contactInfo ? JSON.stringify(contactInfo) : null,
+            Date.now(),
+        ]
+    );
+}
+
+export async function deleteBufferedChat(db, chatId) {
+    await dbRun(db, `DELETE FROM "${BUFFER_TABLE}" WHERE chat_id = ?`, [chatId]);
+}
+
+export async function deleteContactBuffer(db, contactRowId) {
+    await dbRun(db, `DELETE FROM "${BUFFER_TABLE}" WHERE contact_rowid = ?`, [contactRowId]);
+}
+
+export async function loadBufferedChats(db) {
+    const rows = await dbAll(db, `SELECT * FROM "${BUFFER_TABLE}" ORDER BY updated_at`);
+    return rows.map((row) => ({
+        chatId: row.chat_id,
+        contactRowId: row.contact_rowid,
+        messages: JSON.parse(row.messages),
+        lastMessageId: row.last_message_id,
+        propertyId: row.property_id,
+        phoneNumber: row.phone_number,
+        contactInfo: row.contact_info ? JSON.parse(row.contact_info) : null,
+        updatedAt: row.updated_at,
+    }));
+}
@@ -1,18 +1,40 @@
-import { dbAll, dbRun, openDatabase, closeDatabase } from './db.js';
-import { STATUS, TABLE_NAME, IMAGE_DIRECTORY } from './config.js';
+import { dbAll, dbGet, openDatabase, closeDatabase } from './db.js';
+import {
+    AUTO_REPLY_MAX_WAIT_MS,
+    AUTO_REPLY_RECOVERY_WINDOW_MS,
+    AUTO_REPLY_TYPING_RECHECK_MS,
+    PAUSE_REASON,
+    REPLY_MODE,
+    STATUS,
+    STATUS_SOURCE,
+    TABLE_NAME
+} from './config.js';
 import { generateGeminiResponse } from './geminiClient.js';
-import { sendMessage, sendMedia, fetchChatMessages, reactToMessage, sendSeen } from './whatsappClient.js';
-
-
-
-
-
-
-
-function normalizeNumber(value) {
-    if (!value) return '';
-    return String(value).replace(/[^\d]/g, '');
-}
+import { loadPropertyProfile } from './properties.js';
+import { stopFollowups } from './followupScheduler.js';
+import { enqueueMedia, enqueueReaction, enqueueText } from './outboundQueue.js';
+import { fetchChatMessages, getUnrepliedMessagesSnapshot, isChatTyping, sendSeen } from './whatsappClient.js';
+import { chatIdToPhoneNumber } from './phone.js';
+import { isActiveStatus, updateContactStatus } from './contactStatus.js';
+import { optOutContact, toChatId } from './contacts.js';
+import { OPT_OUT_SOURCE, detectOptOut, isDoNotContact, loadDoNotContactNumbers } from './doNotContact.js';
+import { createDraft, isDraftableResult, resolveReplyMode } from './replyDrafts.js';
+import { openHandoff } from './handoffs.js';
+import { deleteBufferedChat, loadBufferedChats, saveBufferedChat } from './autoReplyBuffer.js';
+import {
+    WAIT_REASON,
+    chooseQuietWindow,
+    countLateMessage,
+    isAdaptiveDebounce,
+    loadBurstGap,
+    recordReplyTiming
+} from './replyTiming.js';
+import {
+    invalidateContactLookup,
+    lookupContactRowId,
+    lookupLidPhoneNumber,
+    rememberLidPhoneNumber
+} from './contactLookup.js';
 
 function serializeContactForPrompt(contact) {
     if (!contact || typeof contact !== 'object') {
@@ -33,12 +55,17 @@ async function resolveSenderNumber(message) {
     if (!message || typeof message !== 'object') return '';
     const from = typeof message.from === 'string' ? message.from : '';
     if (from && !from.endsWith('@lid')) {
-        return normalizeNumber(from);
+        return chatIdToPhoneNumber(from) || '';
+    }
+    const known = await lookupLidPhoneNumber(from);
+    if (known) {
+        return known;
     }
     try {
         const contact = await message.getContact();
-        const number = contact?.number || contact?.id?.user || '';
-        return normalizeNumber(number);
+        const number = chatIdToPhoneNumber(contact?.number || contact?.id?.user || '');
+        await rememberLidPhoneNumber(from, number);
+        return number || '';
     } catch (err) {
         console.error('Failed to resolve sender number:', err);
     }
@@ -55,53 +82,220 @@ async function resolveContactInfo(message) {
     }
 }
 
-async function findContactByNumber(db, number) {
-    const rows = await dbAll(
+async function loadContactByRowId(db, rowId) {
+    const row = await dbGet(
         db,
-        `SELECT rowid, cleanContactNumber, conversation_started FROM "${TABLE_NAME}"`
-    );
-    const match = rows.find((row) => normalizeNumber(row.cleanContactNumber) === number);
-    if (match) return match;
-    if (number.length >= 9) {
-        const suffix = number.slice(-9);
-        return rows.find((row) => normalizeNumber(row.cleanContactNumber).slice(-9) === suffix) || null;
-    }
-    return null;
-}
-
-async function setContactStatus(db, rowId, status) {
-    await dbRun(
-        db,
-        `UPDATE "${TABLE_NAME}" SET conversation_started = ? WHERE rowid = ?`,
-        [status, rowId]
+        `SELECT rowid, cleanContactNumber, conversation_started, property_id FROM "${TABLE_NAME}" WHERE rowid = ?`,
+        [rowId]
     );
+    return row || null;
 }
 
 const inFlight = new Map();
-const QUIET_WINDOW_MS = 45000;
+let recovering = false;
+// Incoming messages and the batches they form need a few queries each, so they share one connection that stays open.
+let responderDb = null;
 
-function isActiveStatus(status) {
-    return status === STATUS.ACTIVE || status === 'started';
+function getResponderDatabase() {
+    if (!responderDb) {
+        responderDb = openDatabase();
+    }
+    return responderDb;
 }
 
 function sleep(ms) {
     return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-async function pauseContact(rowId) {
-    const db = openDatabase();
+// `detail` is what the history shows next to the reason, e.g. the LLM's own pause reason or the error message.
+// The contact lands in the attention queue with `message`, the agent message that was being answered.
+async function pauseContact(rowId, reason, { detail = null, chatId = null, message = null } = {}) {
+    const db = getResponderDatabase();
+    await updateContactStatus(db, rowId, STATUS.PAUSED, {
+        pauseReason: reason,
+        source: STATUS_SOURCE.AUTO_RESPONDER,
+        detail,
+    });
+    await openHandoff(db, {
+        contactRowId: rowId,
+        chatId,
+        pauseReason: reason,
+        reason: detail,
+        message,
+        source: STATUS_SOURCE.AUTO_RESPONDER,
+    });
+}
+
+async function recordOptOut(rowId, chatId, phoneNumber, source, reason) {
+    await optOutContact(getResponderDatabase(), { rowId, phoneNumber, chatId, source, reason, confirm: true });
+}
+
+function loadContactProperty(propertyId) {
+    return loadPropertyProfile(getResponderDatabase(), propertyId);
+}
+
+function loadReplyMode(rowId) {
+    return resolveReplyMode(getResponderDatabase(), rowId);
+}
+
+function saveDraft(chatId, contactRowId, replyToId, incoming, result) {
+    return createDraft(getResponderDatabase(), { contactRowId, chatId, replyToId, incoming, result });
+}
+
+async function writeEntry(chatId, entry) {
+    const messages = [...entry.batch, ...entry.buffer];
+    const db = getResponderDatabase();
+    if (messages.length === 0) {
+        await deleteBufferedChat(db, chatId);
+        return;
+    }
+    await saveBufferedChat(db, chatId, {
+        contactRowId: entry.contactRowId,
+        messages,
+        lastMessageId: entry.lastMessageId,
+        propertyId: entry.propertyId,
+        phoneNumber: entry.phoneNumber,
+        contactInfo: entry.contactInfo,
+    });
+}
+
+// Writes are chained per chat and read the entry when they run, so the stored row always ends up current.
+function saveEntry(chatId, entry) {
+    entry.saving = (entry.saving || Promise.resolve())
+        .then(() => writeEntry(chatId, entry))
+        .catch((err) => {
+            console.error('[autoResponder] Failed to persist buffered messages:', err);
+        });
+    return entry.saving;
+}
+
+function createEntry(contactRowId, {
+    buffer,
+    contactInfo = null,
+    lastMessageId = null,
+    propertyId = null,
+    phoneNumber,
+    burstGapMs = null,
+    receivedAt = Date.now(),
+}) {
+    return {
+        contactRowId,
+        buffer,
+        batch: [],
+        timer: null,
+        processing: false,
+        contactInfo,
+        lastMessageId,
+        propertyId,
+        phoneNumber,
+        burstGapMs,
+        // First and latest message of the batch still waiting; the wait is measured from these.
+        firstMessageAt: receivedAt,
+        lastMessageAt: receivedAt,
+        wait: null,
+        typingChecks: 0,
+        timingId: null,
+    };
+}
+
+function noteMessageArrival(entry) {
+    const now = Date.now();
+    entry.firstMessageAt = entry.firstMessageAt || now;
+    entry.lastMessageAt = now;
+}
+
+// Adaptive waits never run past AUTO_REPLY_MAX_WAIT_MS from the batch's first message.
+function remainingWaitMs(entry) {
+    return entry.firstMessageAt + AUTO_REPLY_MAX_WAIT_MS - Date.now();
+}
+
+async function isAgentTyping(chatId) {
     try {
-        await setContactStatus(db, rowId, STATUS.PAUSED);
-    } finally {
-        try {
-            await closeDatabase(db);
-        } catch (err) {
-            console.error('Failed to close database:', err);
+        return await isChatTyping(chatId);
+    } catch (err) {
+        console.warn('[autoResponder] Could not check typing state:', err.message);
+        return false;
+    }
+}
+
+function scheduleEntry(chatId, entry) {
+    if (entry.timer) {
+        clearTimeout(entry.timer);
+    }
+    entry.wait = chooseQuietWindow(entry.buffer, entry.burstGapMs);
+    let delayMs = entry.lastMessageAt + entry.wait.waitMs - Date.now();
+    if (isAdaptiveDebounce()) {
+        delayMs = Math.min(delayMs, remainingWaitMs(entry));
+    }
+    entry.timer = setTimeout(() => {
+        void releaseEntry(chatId, entry);
+    }, Math.max(0, delayMs));
+}
+
+// Runs when the wait is over. An agent WhatsApp shows as typing is still mid-burst, so the batch is held and
+// checked again shortly, until the max wait is used up.
+async function releaseEntry(chatId, entry) {
+    entry.timer = null;
+    const typing = isAdaptiveDebounce() && remainingWaitMs(entry) > 0 && (await isAgentTyping(chatId));
+    // A message that arrived during the typing check has already set a fresh timer; an opt-out dropped the entry.
+    if (entry.timer || entry.processing || inFlight.get(chatId) !== entry) {
+        return;
+    }
+    if (typing) {
+        entry.typingChecks += 1;
+        entry.timer = setTimeout(() => {
+            void releaseEntry(chatId, entry);
+        }, Math.max(0, Math.min(AUTO_REPLY_TYPING_RECHECK_MS, remainingWaitMs(entry))));
+        return;
+    }
+    await processChatQueue(entry, entry.contactRowId, chatId);
+}
+
+async function recordBatchTiming(chatId, entry) {
+    const timing = {
+        contactRowId: entry.contactRowId,
+        chatId,
+        reason: entry.wait?.reason || 'unknown',
+        messages: entry.buffer.slice(),
+        plannedWaitMs: entry.wait?.waitMs ?? 0,
+        burstGapMs: entry.burstGapMs,
+        typingChecks: entry.typingChecks,
+        waitedMs: entry.firstMessageAt ? Date.now() - entry.firstMessageAt : 0,
+    };
+    try {
+        entry.timingId = await recordReplyTiming(getResponderDatabase(), timing);
+        console.log('[autoResponder] Batch released', {
+            reason: timing.reason,
+            plannedWaitMs: timing.plannedWaitMs,
+            waitedMs: timing.waitedMs,
+            typingChecks: timing.typingChecks,
+        });
+    } catch (err) {
+        console.error('[autoResponder] Failed to record reply timing:', err);
+    }
+}
+
+// Replies are keyed on the message they answer, so reprocessing the same batch cannot double-send.
+async function queueReplies(chatId, contactRowId, replyToId, llmAction, items) {
+    const db = getResponderDatabase();
+    for (const item of items) {
+        const options = {
+            idempotencyKey: replyToId ? `auto:${replyToId}:${item.kind}` : null,
+            contactRowId,
+            source: 'auto_reply',
+            llmAction,
+        };
+        if (item.kind === 'text') {
+            await enqueueText(db, chatId, item.text, options);
+        } else if (item.kind === 'media') {
+            await enqueueMedia(db, chatId, item.directory, options);
+        } else {
+            await enqueueReaction(db, chatId, replyToId, item.reaction, options);
         }
     }
 }
 
-async function processChatQueue(entry, contactRowId, chatId, propertyContext) {
+async function processChatQueue(entry, contactRowId, chatId) {
     if (entry.processing) {
         return;
     }
@@ -109,12 +303,26 @@ async function processChatQueue(entry, contactRowId, chatId, propertyContext) {
     entry.timer = null;
     try {
         while (entry.buffer.length > 0) {
-            const batch = entry.buffer.splice(0, entry.buffer.length);
-            const content = batch.filter(Boolean).join('\n');
+            await recordBatchTiming(chatId, entry);
+            // Anything that comes in while this batch is answered is released as soon as it is done.
+            entry.wait = { waitMs: 0, reason: WAIT_REASON.QUEUED };
+            entry.firstMessageAt = null;
+            entry.typingChecks = 0;
+            // The batch stays in the stored row until it has been handled, so a crash mid-reply replays it.
+            entry.batch = entry.buffer.splice(0, entry.buffer.length);
+            await saveEntry(chatId, entry);
+            const content = entry.batch.filter(Boolean).join('\n');
             if (!content) {
                 continue;
             }
 
+            // The mode may have changed while the batch waited out the quiet window.
+            const replyMode = await loadReplyMode(contactRowId);
+            if (replyMode === REPLY_MODE.MANUAL) {
+                console.log('[autoResponder] Contact is handled manually; batch left for the operator.');
+                continue;
+            }
+
             const historyResult = await fetchChatMessages(
                 chatId,
                 { limit: 250 },
@@ -124,8 +332,9 @@ async function processChatQueue(entry, contactRowId, chatId, propertyContext) {
             console.log('[autoResponder] History length', conversationHistory.length);
             console.log('[autoResponder] Sending content to LLM:', content.slice(0, 160));
 
+            const property = await loadContactProperty(entry.propertyId);
             const result = await generateGeminiResponse({
-                propertyContext,
+                propertyContext: property.propertyContext,
                 message: content,
                 conversationHistory,
                 contactInfo: entry.contactInfo || null,
@@ -136,14 +345,23 @@ async function processChatQueue(entry, contactRowId, chatId, propertyContext) {
                 media: result.media
             });
 
+            // Opt-outs and hand-offs below still take effect at once; only what would be sent waits for approval.
+            if (isDraftableResult(result) && replyMode === REPLY_MODE.DRAFT) {
+                const draft = await saveDraft(chatId, contactRowId, entry.lastMessageId, content, result);
+                console.log('[autoResponder] Reply held as draft for review', { draftId: draft.id });
+                continue;
+            }
+
             if (result.action === 'reply' && (result.reply || result.media === 'include')) {
+                const replies = [];
                 if (result.reply) {
-                    await sendMessage(chatId, String(result.reply));
+                    replies.push({ kind: 'text', text: String(result.reply) });
                 }
                 if (result.media === 'include') {
-                    await sendMedia(chatId, IMAGE_DIRECTORY);
+                    replies.push({ kind: 'media', directory: property.imageDirectory });
                 }
-                console.log('[autoResponder] Reply sent', {
+                await queueReplies(chatId, contactRowId, entry.lastMessageId, result.action, replies);
+                console.log('[autoResponder] Reply queued', {
                     replySent: Boolean(result.reply),
                     mediaSent: result.media === 'include'
                 });
@@ -152,7 +370,9 @@ async function processChatQueue(entry, contactRowId, chatId, propertyContext) {
 
             if (result.action === 'ack') {
                 if (result.ack === 'thumbs_up' && entry.lastMessageId) {
-                    await reactToMessage(entry.lastMessageId, '👍');
+                    await queueReplies(chatId, contactRowId, entry.lastMessageId, result.action, [
+                        { kind: 'reaction', reaction: '👍' },
+                    ]);
                 } else {
                     await sendSeen(chatId);
                 }
@@ -160,26 +380,42 @@ async function processChatQueue(entry, contactRowId, chatId, propertyContext) {
                 continue;
             }
 
+            if (result.action === 'opt_out') {
+                console.log('[autoResponder] LLM detected an opt-out; adding to do-not-contact list.');
+                await recordOptOut(contactRowId, chatId, entry.phoneNumber, OPT_OUT_SOURCE.LLM, content);
+                entry.buffer.length = 0;
+                break;
+            }
+
             console.warn('[autoResponder] Pausing conversation (LLM did not reply).');
-            await pauseContact(contactRowId);
+            await pauseContact(contactRowId, PAUSE_REASON.LLM_HANDOFF, {
+                detail: result.reason || null,
+                chatId,
+                message: content,
+            });
             break;
         }
     } catch (err) {
         console.error('Auto responder failed:', err);
-        await pauseContact(contactRowId);
+        await pauseContact(contactRowId, PAUSE_REASON.AUTO_REPLY_ERROR, {
+            detail: err.message,
+            chatId,
+            message: entry.batch.filter(Boolean).join('\n') || null,
+        });
     } finally {
+        entry.batch = [];
+        entry.timingId = null;
+        await saveEntry(chatId, entry);
         entry.processing = false;
         if (entry.buffer.length > 0) {
-            entry.timer = setTimeout(() => {
-                void processChatQueue(entry, contactRowId, chatId, propertyContext);
-            }, QUIET_WINDOW_MS);
+            scheduleEntry(chatId, entry);
         } else {
             inFlight.delete(chatId);
         }
     }
 }
 
-export function createAutoResponder({ propertyContext }) {
+export function createAutoResponder() {
     return async function handleIncomingMessage(message) {
         if (!message || message.fromMe) return;
         message = await message.reload();
@@ -190,12 +426,23 @@ export function createAutoResponder({ propertyContext }) {
             console.warn('[autoResponder] Unable to resolve sender number; skipping.');
             return;
         }
+        // Most senders are not contacts, so they are turned away before the database is touched.
+        const contactRowId = await lookupContactRowId(fromNumber);
+        if (!contactRowId) {
+            console.warn('[autoResponder] Contact not found; skipping.');
+            return;
+        }
 
-        const db = openDatabase();
+        const db = getResponderDatabase();
         let contact = null;
         try {
-            console.log('[autoResponder] Looking for contact in database:', fromNumber);
-            contact = await findContactByNumber(db, fromNumber);
+            contact = await loadContactByRowId(db, contactRowId);
+            if (!contact) {
+                // The cached row was removed or renumbered elsewhere; rebuild the index and look once more.
+                invalidateContactLookup();
+                const refreshedRowId = await lookupContactRowId(fromNumber);
+                contact = refreshedRowId ? await loadContactByRowId(db, refreshedRowId) : null;
+            }
             if (!contact) {
                 console.warn('[autoResponder] Contact not found; skipping.');
                 return;
@@ -204,13 +451,44 @@ export function createAutoResponder({ propertyContext }) {
                 rowid: contact.rowid,
                 status: contact.conversation_started
             });
-            if (!isActiveStatus(contact.conversation_started)) {
-                console.log('[autoResponder] Contact not active; skipping.');
+            if (await stopFollowups(db, contact.rowid, 'replied')) {
+                console.log('[autoResponder] Agent replied; follow-up sequence stopped.');
+            }
+            if (await isDoNotContact(db, fromNumber)) {
+                console.log('[autoResponder] Number is on the do-not-contact list; skipping.');
                 return;
             }
 
             const rawBody = typeof message.body === 'string' ? message.body : '';
             const body = rawBody.trim();
+            // Opt-outs are honoured whatever the status, and before anything buffered for this chat is answered.
+            if (detectOptOut(body)) {
+                const pending = inFlight.get(message.from);
+                if (pending && !pending.processing) {
+                    clearTimeout(pending.timer);
+                    inFlight.delete(message.from);
+                    await deleteBufferedChat(db, message.from);
+                }
+                await optOutContact(db, {
+                    rowId: contact.rowid,
+                    phoneNumber: fromNumber,
+                    chatId: message.from,
+                    source: OPT_OUT_SOURCE.KEYWORD,
+                    reason: body,
+                    confirm: true,
+                });
+                console.log('[autoResponder] Contact opted out; added to do-not-contact list.');
+                return;
+            }
+            if (!isActiveStatus(contact.conversation_started)) {
+                console.log('[autoResponder] Contact not active; skipping.');
+                return;
+            }
+            if ((await resolveReplyMode(db, contact.rowid)) === REPLY_MODE.MANUAL) {
+                console.log('[autoResponder] Contact is handled manually; skipping.');
+                return;
+            }
+
             const content = body || (message.hasMedia ? `User sent media: ${message.type || 'media'}` : '');
             if (!content) {
                 console.warn('[autoResponder] Empty message content; skipping.');
@@ -228,47 +506,151 @@ export function createAutoResponder({ propertyContext }) {
 
             const existing = inFlight.get(chatId);
             if (existing) {
+                if (existing.processing && existing.timingId) {
+                    await countLateMessage(db, existing.timingId);
+                }
                 existing.buffer.push(content);
+                noteMessageArrival(existing);
+                existing.propertyId = contact.property_id || null;
                 if (!existing.contactInfo && contactInfo) {
                     existing.contactInfo = contactInfo;
                 }
                 if (messageId) {
                     existing.lastMessageId = messageId;
                 }
-                if (existing.timer) {
-                    clearTimeout(existing.timer);
-                }
                 if (!existing.processing) {
-                    existing.timer = setTimeout(() => {
-                        void processChatQueue(existing, contact.rowid, chatId, propertyContext);
-                    }, QUIET_WINDOW_MS);
+                    scheduleEntry(chatId, existing);
                 }
+                await saveEntry(chatId, existing);
                 console.log('[autoResponder] Message buffered for in-flight chat.');
                 return;
             }
 
-            const entry = {
+            const entry = createEntry(contact.rowid, {
                 buffer: [content],
-                timer: null,
-                processing: false,
                 contactInfo,
                 lastMessageId: messageId,
-            };
+                propertyId: contact.property_id || null,
+                phoneNumber: fromNumber,
+                burstGapMs: await loadBurstGap(db, chatId),
+            });
             inFlight.set(chatId, entry);
-            entry.timer = setTimeout(() => {
-                void processChatQueue(entry, contact.rowid, chatId, propertyContext);
-            }, QUIET_WINDOW_MS);
+            scheduleEntry(chatId, entry);
+            await saveEntry(chatId, entry);
         } catch (err) {
             console.error('Auto responder failed:', err);
             if (contact) {
-                await pauseContact(contact.rowid);
+                await pauseContact(contact.rowid, PAUSE_REASON.AUTO_REPLY_ERROR, {
+                    detail: err.message,
+                    chatId: message.from,
+                    message: typeof message.body === 'string' ? message.body : null,
+                });
+            }
+        }
+    };
+}
+
+// Contacts the auto responder may answer right now, keyed by rowid.
+async function loadRecoverableContacts(db) {
+    const rows = await dbAll(
+        db,
+        `SELECT rowid, cleanContactNumber, normalized_number, property_id
+         FROM "${TABLE_NAME}"
+         WHERE conversation_started IN (?, 'started')`,
+        [STATUS.ACTIVE]
+    );
+    const doNotContact = await loadDoNotContactNumbers(db);
+    const contacts = new Map();
+    for (const row of rows) {
+        if (doNotContact.has(row.normalized_number)) continue;
+        if ((await resolveReplyMode(db, row.rowid)) === REPLY_MODE.MANUAL) continue;
+        contacts.set(row.rowid, row);
+    }
+    return contacts;
+}
+
+// Called whenever the WhatsApp client becomes ready. Batches stored before a restart are resumed first, then
+// every active contact's chat is checked for agent messages that arrived since our last reply, e.g. while the
+// client was reconnecting. Messages older than AUTO_REPLY_RECOVERY_WINDOW_MS are left for a person to pick up.
+export async function recoverUnansweredChats() {
+    if (recovering) {
+        return;
+    }
+    recovering = true;
+    const db = openDatabase();
+    try {
+        const contacts = await loadRecoverableContacts(db);
+        let resumed = 0;
+        for (const stored of await loadBufferedChats(db)) {
+            if (inFlight.has(stored.chatId)) continue;
+            if (!contacts.has(stored.contactRowId)) {
+                await deleteBufferedChat(db, stored.chatId);
+                continue;
             }
-        } finally {
+            const entry = createEntry(stored.contactRowId, {
+                ...stored,
+                buffer: stored.messages,
+                burstGapMs: await loadBurstGap(db, stored.chatId),
+                receivedAt: stored.updatedAt,
+            });
+            inFlight.set(stored.chatId, entry);
+            scheduleEntry(stored.chatId, entry);
+            resumed += 1;
+        }
+
+        const cutoff = Date.now() - AUTO_REPLY_RECOVERY_WINDOW_MS;
+        const busyContacts = new Set([...inFlight.values()].map((entry) => entry.contactRowId));
+        let recovered = 0;
+        for (const contact of contacts.values()) {
+            const chatId = toChatId(contact.cleanContactNumber);
+            if (!chatId || inFlight.has(chatId) || busyContacts.has(contact.rowid)) continue;
+            let snapshot = null;
             try {
-                await closeDatabase(db);
+                snapshot = await getUnrepliedMessagesSnapshot(chatId, { limit: 50 });
             } catch (err) {
-                console.error('Failed to close database:', err);
+                console.warn('[autoResponder] Could not check chat for unanswered messages:', chatId, err.message);
+                continue;
+            }
+            const pending = (snapshot?.pending || []).filter((message) => message.timestamp * 1000 >= cutoff);
+            if (pending.length === 0) continue;
+
+            await stopFollowups(db, contact.rowid, 'replied');
+            const optOut = pending.find((message) => detectOptOut(message.content));
+            if (optOut) {
+                await optOutContact(db, {
+                    rowId: contact.rowid,
+                    phoneNumber: contact.normalized_number,
+                    chatId,
+                    source: OPT_OUT_SOURCE.KEYWORD,
+                    reason: optOut.content,
+                    confirm: true,
+                });
+                continue;
             }
+            const lastWithId = pending.slice().reverse().find((message) => message.messageId);
+            const entry = createEntry(contact.rowid, {
+                buffer: pending.map((message) => message.content),
+                lastMessageId: lastWithId?.messageId || null,
+                propertyId: contact.property_id || null,
+                phoneNumber: contact.normalized_number,
+                burstGapMs: await loadBurstGap(db, chatId),
+            });
+            inFlight.set(chatId, entry);
+            scheduleEntry(chatId, entry);
+            await saveEntry(chatId, entry);
+            recovered += 1;
         }
-    };
+        if (resumed > 0 || recovered > 0) {
+            console.log('[autoResponder] Recovered unanswered chats', { resumed, recovered });
+        }
+    } catch (err) {
+        console.error('[autoResponder] Failed to recover unanswered chats:', err);
+    } finally {
+        recovering = false;
+        try {
+            await closeDatabase(db);
+        } catch (err) {
+            console.error('Failed to close database:', err);
+        }
+    }
 }
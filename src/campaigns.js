@@ -0,0 +1,414 @@
+import { dbAll, dbGet, dbRun, openDatabase, closeDatabase } from './db.js';
+import { CAMPAIGN_POLL_MS, CAMPAIGN_TIMEZONE, STATUS, STATUS_SOURCE, TABLE_NAME } from './config.js';
+import { initiateContact } from './contacts.js';
+import { isClientReady } from './whatsappClient.js';
+
+const CAMPAIGNS_TABLE = 'campaigns';
+const CAMPAIGN_CONTACTS_TABLE = 'campaign_contacts';
+const MAX_SEND_ATTEMPTS = 3;
+
+export const CAMPAIGN_STATUS = {
+    RUNNING: 'running',
+    PAUSED: 'paused',
+    CANCELLED: 'cancelled',
+    COMPLETED: 'completed',
+};
+
+export const CAMPAIGN_CONTACT_STATUS = {
+    QUEUED: 'queued',
+    SENT: 'sent',
+    UNREGISTERED: 'unregistered',
+    SKIPPED: 'skipped',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled',
+};
+
+let pollTimer = null;
+let ticking = false;
+
+function zonedParts(date) {
+    const parts = new Intl.DateTimeFormat('en-CA', {
+        timeZone: CAMPAIGN_TIMEZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        hourCycle: 'h23',
+    }).formatToParts(date);
+    const get = (type) => parts.find((part) => part.type === type)?.value;
+    return { day: `${get('year')}-${get('month')}-${get('day')}`, hour: Number(get('hour')) };
+}
+
+function parseInteger(value, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const parsed = Number.parseInt(value, 10);
+    return Number.isFinite(parsed) ? parsed : NaN;
+}
+
+function toStringList(value) {
+    if (!Array.isArray(value)) return [];
+    return value.map((item) => String(item).trim()).filter(Boolean);
+}
+
+export function normalizeCampaignInput(body) {
+    const input = body && typeof body === 'object' ? body : {};
+    const settings = {
+        name: typeof input.name === 'string' ? input.name.trim() : '',
+        statuses: toStringList(input.statuses),
+        groups: toStringList(input.groups),
+        dailyCap: parseInteger(input.dailyCap, 30),
+        minSpacingSeconds: parseInteger(input.minSpacingSeconds, 90),
+        maxSpacingSeconds: parseInteger(input.maxSpacingSeconds, 300),
+        startHour: parseInteger(input.startHour, 9),
+        endHour: parseInteger(input.endHour, 18),
+    };
+    if (settings.statuses.length === 0) {
+        settings.statuses = [STATUS.PENDING];
+    }
+
+    const errors = [];
+    if (!settings.name) errors.push('name is required');
+    const allowedStatuses = new Set(Object.values(STATUS));
+    const badStatus = settings.statuses.find((status) => !allowedStatuses.has(status));
+    if (badStatus) errors.push(`unknown status: ${badStatus}`);
+    if (!(settings.dailyCap > 0)) errors.push('dailyCap must be a positive integer');
+    if (!(settings.minSpacingSeconds >= 0)) errors.push('minSpacingSeconds must be >= 0');
+    if (!(settings.maxSpacingSeconds >= settings.minSpacingSeconds)) {
+        errors.push('maxSpacingSeconds must be >= minSpacingSeconds');
+    }
+    if (!(settings.startHour >= 0 && settings.startHour <= 23)) errors.push('startHour must be between 0 and 23');
+    if (!(settings.endHour > settings.startHour && settings.endHour <= 24)) {
+        errors.push('endHour must be after startHour and at most 24');
+    }
+    if (errors.length > 0) {
+        const err = new Error(`Invalid campaign: ${errors.join('; ')}`);
+        err.errors = errors;
+        throw err;
+    }
+    return settings;
+}
+
+export async function selectCampaignContacts(db, { statuses, groups }) {
+    const clauses = [
+        `conversation_started IN (${statuses.map(() => '?').join(', ')})`,
+        '(normalized_number IS NULL OR normalized_number NOT IN (SELECT phone_number FROM "do_not_contact"))',
+    ];
+    const params = [...statuses];
+    if (groups.length > 0) {
+        clauses.push(`"group" IN (${groups.map(() => '?').join(', ')})`);
+        params.push(...groups);
+    }
+    return dbAll(
+        db,
+        `SELECT rowid, conversation_started
+         FROM "${TABLE_NAME}"
+         WHERE ${clauses.join(' AND ')}
+         ORDER BY "group" COLLATE NOCASE, rowid`,
+        params
+    );
+}
+
+export async function createCampaign(db, settings) {
+    const contacts = await selectCampaignContacts(db, settings);
+    if (contacts.length === 0) {
+        const err = new Error('No contacts match this selection.');
+        err.errors = [];
+        throw err;
+    }
+    const now = Date.now();
+    await dbRun(db, 'BEGIN TRANSACTION');
+    try {
+        const result = await dbRun(
+            db,
+            `INSERT INTO "${CAMPAIGNS_TABLE}" (
+                name, status, filter, daily_cap, min_spacing_sec, max_spacing_sec,
+                start_hour, end_hour, next_send_at, created_at, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, NULL, ?, ?)`,
+            [
+                settings.name,
+                CAMPAIGN_STATUS.RUNNING,
+                JSON.stringify({ statuses: settings.statuses, groups: settings.groups }),
+                settings.dailyCap,
+                settings.minSpacingSeconds,
+                settings.maxSpacingSeconds,
+                settings.startHour,
+                settings.endHour,
+                now,
+                now,
+            ]
+        );
+        const campaignId = result.lastID;
+        let position = 0;
+        for (const contact of contacts) {
+            await dbRun(
+                db,
+                `INSERT INTO "${CAMPAIGN_CONTACTS_TABLE}" (campaign_id, contact_rowid, position, queued_status, status)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [campaignId, contact.rowid, position, contact.conversation_started, CAMPAIGN_CONTACT_STATUS.QUEUED]
+            );
+            position += 1;
+        }
+        await dbRun(db, 'COMMIT');
+        return { id: campaignId, queued: contacts.length };
+    } catch (err) {
+        await dbRun(db, 'ROLLBACK');
+        throw err;
+    }
+}
+
+function serializeCampaign(row, counts, today) {
+    let filter = {};
+    try {
+        filter = JSON.parse(row.filter);
+    } catch (err) {
+        console.error(`Failed to parse filter for campaign ${row.id}:`, err);
+    }
+    const progress = Object.fromEntries(Object.values(CAMPAIGN_CONTACT_STATUS).map((status) => [status, 0]));
+    let sentToday = 0;
+    let total = 0;
+    for (const count of counts.filter((item) => item.campaign_id === row.id)) {
+        progress[count.status] = (progress[count.status] || 0) + count.total;
+        total += count.total;
+        if (count.status === CAMPAIGN_CONTACT_STATUS.SENT && count.processed_day === today) {
+            sentToday += count.total;
+        }
+    }
+    return {
+        id: row.id,
+        name: row.name,
+        status: row.status,
+        statuses: filter.statuses || [],
+        groups: filter.groups || [],
+        dailyCap: row.daily_cap,
+        minSpacingSeconds: row.min_spacing_sec,
+        maxSpacingSeconds: row.max_spacing_sec,
+        startHour: row.start_hour,
+        endHour: row.end_hour,
+        timezone: CAMPAIGN_TIMEZONE,
+        nextSendAt: row.next_send_at,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        completedAt: row.completed_at,
+        total,
+        sentToday,
+        progress,
+    };
+}
+
+async function loadCampaignCounts(db, campaignId = null) {
+    return dbAll(
+        db,
+        `SELECT campaign_id, status, processed_day, COUNT(*) AS total
+         FROM "${CAMPAIGN_CONTACTS_TABLE}"
+         ${campaignId ? 'WHERE campaign_id = ?' : ''}
+         GROUP BY campaign_id, status, processed_day`,
+        campaignId ? [campaignId] : []
+    );
+}
+
+export async function listCampaigns(db) {
+    const rows = await dbAll(db, `SELECT * FROM "${CAMPAIGNS_TABLE}" ORDER BY id DESC`);
+    const counts = await loadCampaignCounts(db);
+    const { day } = zonedParts(new Date());
+    return rows.map((row) => serializeCampaign(row, counts, day));
+}
+
+export async function getCampaign(db, id) {
+    const row = await dbGet(db, `SELECT * FROM "${CAMPAIGNS_TABLE}" WHERE id = ?`, [id]);
+    if (!row) return null;
+    const counts = await loadCampaignCounts(db, id);
+    const { day } = zonedParts(new Date());
+    const contacts = await dbAll(
+        db,
+        `SELECT cc.contact_rowid AS rowid, cc.status, cc.attempts, cc.error, cc.processed_at,
+                c.contactName, c.agentName, c.cleanContactNumber, c."group"
+         FROM "${CAMPAIGN_CONTACTS_TABLE}" cc
+         LEFT JOIN "${TABLE_NAME}" c ON c.rowid = cc.contact_rowid
+         WHERE cc.campaign_id = ?
+         ORDER BY cc.position`,
+        [id]
+    );
+    return { ...serializeCampaign(row, counts, day), contacts };
+}
+
+const TRANSITIONS = {
+    pause: { from: [CAMPAIGN_STATUS.RUNNING], to: CAMPAIGN_STATUS.PAUSED },
+    resume: { from: [CAMPAIGN_STATUS.PAUSED], to: CAMPAIGN_STATUS.RUNNING },
+    cancel: { from: [CAMPAIGN_STATUS.RUNNING, CAMPAIGN_STATUS.PAUSED], to: CAMPAIGN_STATUS.CANCELLED },
+};
+
+export async function applyCampaignAction(db, id, action) {
+    const transition = TRANSITIONS[action];
+    if (!transition) {
+        throw new Error(`Unknown campaign action: ${action}`);
+    }
+    const row = await dbGet(db, `SELECT id, status FROM "${CAMPAIGNS_TABLE}" WHERE id = ?`, [id]);
+    if (!row) return null;
+    if (!transition.from.includes(row.status)) {
+        return { changed: false, status: row.status };
+    }
+    const now = Date.now();
+    await dbRun(
+        db,
+        `UPDATE "${CAMPAIGNS_TABLE}"
+         SET status = ?, updated_at = ?, completed_at = CASE WHEN ? = ? THEN ? ELSE completed_at END
+         WHERE id = ?`,
+        [transition.to, now, transition.to, CAMPAIGN_STATUS.CANCELLED, now, id]
+    );
+    if (transition.to === CAMPAIGN_STATUS.CANCELLED) {
+        await dbRun(
+            db,
+            `UPDATE "${CAMPAIGN_CONTACTS_TABLE}" SET status = ? WHERE campaign_id = ? AND status = ?`,
+            [CAMPAIGN_CONTACT_STATUS.CANCELLED, id, CAMPAIGN_CONTACT_STATUS.QUEUED]
+        );
+    }
+    return { changed: true, status: transition.to };
+}
+
+function randomSpacingMs(campaign) {
+    const min = campaign.min_spacing_sec;
+    const max = campaign.max_spacing_sec;
+    return Math.round((min + Math.random() * (max - min)) * 1000);
+}
+
+async function recordContactResult(db, campaignId, rowId, status, { error = null, day = null } = {}) {
+    await dbRun(
+        db,
+        `UPDATE "${CAMPAIGN_CONTACTS_TABLE}"
+         SET status = ?, error = ?, processed_at = ?, processed_day = ?, attempts = attempts + 1
+         WHERE campaign_id = ? AND contact_rowid = ?`,
+        [status, error, Date.now(), day, campaignId, rowId]
+    );
+}
+
+async function sendNextContact(db, campaign, queued, day) {
+    const rowId = queued.contact_rowid;
+    const contact = await dbGet(
+        db,
+        `SELECT rowid, conversation_started FROM "${TABLE_NAME}" WHERE rowid = ?`,
+        [rowId]
+    );
+    if (!contact) {
+        await recordContactResult(db, campaign.id, rowId, CAMPAIGN_CONTACT_STATUS.SKIPPED, { error: 'Contact not found.' });
+        return false;
+    }
+    // Someone handled the contact by hand after it was queued; leave it alone.
+    if (queued.queued_status && contact.conversation_started !== queued.queued_status) {
+        await recordContactResult(db, campaign.id, rowId, CAMPAIGN_CONTACT_STATUS.SKIPPED, {
+            error: `Status changed to ${contact.conversation_started}.`,
+        });
+        return false;
+    }
+
+    try {
+        const result = await initiateContact(db, rowId, {
+            idempotencyKey: `campaign:${campaign.id}:${rowId}`,
+            source: STATUS_SOURCE.CAMPAIGN,
+        });
+        const status = result.status === STATUS.ACTIVE
+            ? CAMPAIGN_CONTACT_STATUS.SENT
+            : CAMPAIGN_CONTACT_STATUS.UNREGISTERED;
+        await recordContactResult(db, campaign.id, rowId, status, { day });
+        console.log(`[campaigns] Campaign ${campaign.id} contact ${rowId}: ${status}`);
+        return status === CAMPAIGN_CONTACT_STATUS.SENT;
+    } catch (err) {
+        // Numbers that opted out after the campaign was created are skipped rather than counted as failures.
+        if (err.details?.doNotContact) {
+            await recordContactResult(db, campaign.id, rowId, CAMPAIGN_CONTACT_STATUS.SKIPPED, { error: err.message });
+            return false;
+        }
+        if (err.status) {
+            await recordContactResult(db, campaign.id, rowId, CAMPAIGN_CONTACT_STATUS.FAILED, { error: err.message });
+            return false;
+        }
+        // WhatsApp hiccups are retried on a later tick before the contact is given up on.
+        const attempts = queued.attempts + 1;
+        console.error(`[campaigns] Campaign ${campaign.id} contact ${rowId} attempt ${attempts} failed:`, err);
+        if (attempts >= MAX_SEND_ATTEMPTS) {
+            await recordContactResult(db, campaign.id, rowId, CAMPAIGN_CONTACT_STATUS.FAILED, { error: err.message });
+        } else {
+            await dbRun(
+                db,
+                `UPDATE "${CAMPAIGN_CONTACTS_TABLE}" SET attempts = ?, error = ? WHERE campaign_id = ? AND contact_rowid = ?`,
+                [attempts, err.message, campaign.id, rowId]
+            );
+        }
+        return false;
+    }
+}
+
+async function tick() {
+    if (ticking || !isClientReady()) {
+        return;
+    }
+    ticking = true;
+    const db = openDatabase();
+    try {
+        const now = Date.now();
+        const { day, hour } = zonedParts(new Date(now));
+        const campaigns = await dbAll(
+            db,
+            `SELECT * FROM "${CAMPAIGNS_TABLE}" WHERE status = ? ORDER BY next_send_at IS NOT NULL, next_send_at, id`,
+            [CAMPAIGN_STATUS.RUNNING]
+        );
+        for (const campaign of campaigns) {
+            if (campaign.next_send_at && campaign.next_send_at > now) continue;
+            if (hour < campaign.start_hour || hour >= campaign.end_hour) continue;
+
+            const sent = await dbGet(
+                db,
+                `SELECT COUNT(*) AS total FROM "${CAMPAIGN_CONTACTS_TABLE}"
+                 WHERE campaign_id = ? AND status = ? AND processed_day = ?`,
+                [campaign.id, CAMPAIGN_CONTACT_STATUS.SENT, day]
+            );
+            if ((sent?.total || 0) >= campaign.daily_cap) continue;
+
+            const queued = await dbGet(
+                db,
+                `SELECT contact_rowid, queued_status, attempts FROM "${CAMPAIGN_CONTACTS_TABLE}"
+                 WHERE campaign_id = ? AND status = ?
+                 ORDER BY position
+                 LIMIT 1`,
+                [campaign.id, CAMPAIGN_CONTACT_STATUS.QUEUED]
+            );
+            if (!queued) {
+                await dbRun(
+                    db,
+                    `UPDATE "${CAMPAIGNS_TABLE}" SET status = ?, completed_at = ?, updated_at = ? WHERE id = ?`,
+                    [CAMPAIGN_STATUS.COMPLETED, now, now, campaign.id]
+                );
+                console.log(`[campaigns] Campaign ${campaign.id} completed.`);
+                continue;
+            }
+
+            const sentMessage = await sendNextContact(db, campaign, queued, day);
+            if (sentMessage) {
+                await dbRun(
+                    db,
+                    `UPDATE "${CAMPAIGNS_TABLE}" SET next_send_at = ?, updated_at = ? WHERE id = ?`,
+                    [Date.now() + randomSpacingMs(campaign), Date.now(), campaign.id]
+                );
+            }
+            // One initiation per tick keeps sends spaced out even with several campaigns running.
+            break;
+        }
+    } catch (err) {
+        console.error('[campaigns] Runner tick failed:', err);
+    } finally {
+        ticking = false;
+        try {
+            await closeDatabase(db);
+        } catch (err) {
+            console.error('Failed to close database:', err);
+        }
+    }
+}
+
+export function startCampaignRunner() {
+    if (pollTimer || CAMPAIGN_POLL_MS <= 0) {
+        return;
+    }
+    pollTimer = setInterval(() => {
+        void tick();
+    }, CAMPAIGN_POLL_MS);
+}
@@ -35,6 +35,70 @@ export const WHATSAPP_REINIT_DELAY_MS = Number.parseInt(
     process.env.WA_REINIT_DELAY_MS || '4000',
     10
 );
+export const FOLLOWUP_POLL_MS = Number.parseInt(
+    process.env.FOLLOWUP_POLL_MS || '60000',
+    10
+);
+export const CAMPAIGN_POLL_MS = Number.parseInt(
+    process.env.CAMPAIGN_POLL_MS || '15000',
+    10
+);
+export const OUTBOUND_POLL_MS = Number.parseInt(
+    process.env.OUTBOUND_POLL_MS || '2000',
+    10
+);
+export const OUTBOUND_MAX_ATTEMPTS = Number.parseInt(
+    process.env.OUTBOUND_MAX_ATTEMPTS || '6',
+    10
+);
+export const OUTBOUND_RETRY_BASE_MS = Number.parseInt(
+    process.env.OUTBOUND_RETRY_BASE_MS || '5000',
+    10
+);
+// Unanswered messages older than this are left alone when chats are recovered after a restart or reconnect.
+export const AUTO_REPLY_RECOVERY_WINDOW_MS = Number.parseInt(
+    process.env.AUTO_REPLY_RECOVERY_WINDOW_MS || '43200000',
+    10
+);
+// How long the auto responder lets an agent keep typing before it answers. "fixed" always waits the quiet window
+// after the last message; "adaptive" picks a wait per batch between the min and max (see replyTiming.js).
+export const AUTO_REPLY_DEBOUNCE = process.env.AUTO_REPLY_DEBOUNCE === 'fixed' ? 'fixed' : 'adaptive';
+export const AUTO_REPLY_QUIET_WINDOW_MS = Number.parseInt(
+    process.env.AUTO_REPLY_QUIET_WINDOW_MS || '45000',
+    10
+);
+export const AUTO_REPLY_MIN_WAIT_MS = Number.parseInt(
+    process.env.AUTO_REPLY_MIN_WAIT_MS || '8000',
+    10
+);
+// Counted from the first message of a batch, so an agent who keeps typing still gets an answer.
+export const AUTO_REPLY_MAX_WAIT_MS = Number.parseInt(
+    process.env.AUTO_REPLY_MAX_WAIT_MS || '120000',
+    10
+);
+// While the agent shows as typing, the reply is put off by this much at a time.
+export const AUTO_REPLY_TYPING_RECHECK_MS = Number.parseInt(
+    process.env.AUTO_REPLY_TYPING_RECHECK_MS || '6000',
+    10
+);
+export const CAMPAIGN_TIMEZONE = process.env.CAMPAIGN_TIMEZONE || 'Asia/Colombo';
+// ISO 3166 country used for numbers written without a country code, e.g. 0771234567.
+export const DEFAULT_PHONE_COUNTRY = process.env.DEFAULT_PHONE_COUNTRY || 'LK';
+// Sent once when a number opts out; nothing else goes to that number afterwards.
+export const OPT_OUT_CONFIRMATION = process.env.OPT_OUT_CONFIRMATION
+    || 'Understood, we will not message you again. Sorry for the trouble.';
+
+// How the auto responder treats an active contact: LLM replies sent straight away, held as drafts for an operator
+// to approve, or no LLM at all because someone answers by hand. Independent of STATUS, so a contact can stay active.
+export const REPLY_MODE = {
+    AUTO: 'auto',
+    DRAFT: 'draft',
+    MANUAL: 'manual',
+};
+// Used until the mode is changed from the UI; contacts with their own reply_mode ignore it.
+export const DEFAULT_REPLY_MODE = Object.values(REPLY_MODE).includes(process.env.REPLY_MODE)
+    ? process.env.REPLY_MODE
+    : REPLY_MODE.AUTO;
 
 export const STATUS = {
     PENDING: 'pending',
@@ -42,3 +106,47 @@ export const STATUS = {
     PAUSED: 'paused',
     UNREGISTERED: 'unregistered',
 };
+
+// Why a contact was moved to STATUS.PAUSED; cleared whenever the status changes again.
+export const PAUSE_REASON = {
+    LLM_HANDOFF: 'llm_handoff',
+    AUTO_REPLY_ERROR: 'auto_reply_error',
+    DELIVERY_FAILED: 'delivery_failed',
+    OPTED_OUT: 'opted_out',
+};
+// Pauses that hand the conversation to a person and open an entry in the attention queue; an opt-out ends it instead.
+export const HANDOFF_PAUSE_REASONS = [
+    PAUSE_REASON.LLM_HANDOFF,
+    PAUSE_REASON.AUTO_REPLY_ERROR,
+    PAUSE_REASON.DELIVERY_FAILED,
+];
+// Defaults for handoff notifications until they are changed from the UI. An empty number means the operator's
+// own WhatsApp account.
+export const HANDOFF_WEBHOOK_URL = process.env.HANDOFF_WEBHOOK_URL || '';
+export const HANDOFF_NOTIFY_NUMBER = process.env.HANDOFF_NOTIFY_NUMBER || '';
+
+// Sales stages in board order, e.g. PIPELINE_STAGES=contacted,interested,closed_won. They track the deal only;
+// STATUS alone decides whether the auto responder talks to a contact.
+export const PIPELINE_STAGES = (
+    process.env.PIPELINE_STAGES
+    || 'contacted,interested,has_buyer,viewing_scheduled,offer_received,closed_won,closed_lost'
+)
+    .split(',')
+    .map((stage) => stage.trim())
+    .filter(Boolean);
+// Board column and filter value for contacts without a stage, or with one no longer in PIPELINE_STAGES.
+export const NO_PIPELINE_STAGE = 'none';
+
+// What moved a contact to its current status, as recorded in contact_status_history.
+export const STATUS_SOURCE = {
+    MANUAL: 'manual',
+    EDIT: 'edit',
+    INITIATE: 'initiate',
+    CAMPAIGN: 'campaign',
+    RESPOND: 'respond',
+    AUTO_RESPONDER: 'auto_responder',
+    OUTBOUND: 'outbound',
+    DEDUPE: 'dedupe',
+    DEDUPE_UNDO: 'dedupe_undo',
+    DO_NOT_CONTACT: 'do_not_contact',
+};
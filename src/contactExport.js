@@ -0,0 +1,87 @@
+import { stringify } from 'csv-stringify/sync';
+import ExcelJS from 'exceljs';
+import { dbAll } from './db.js';
+
+export const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: {
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        extension: 'xlsx',
+    },
+};
+
+const EXPORT_COLUMNS = [
+    { key: 'rowid', header: 'ID', width: 8 },
+    { key: 'contactName', header: 'Contact name', width: 24 },
+    { key: 'agentName', header: 'Agent name', width: 24 },
+    { key: 'cleanContactNumber', header: 'Number', width: 16 },
+    { key: 'group', header: 'Group', width: 18 },
+    { key: 'status', header: 'Status', width: 14 },
+    { key: 'stage', header: 'Pipeline stage', width: 18 },
+    { key: 'tags', header: 'Tags', width: 24 },
+    { key: 'pauseReason', header: 'Pause reason', width: 18 },
+    { key: 'lastMessageAt', header: 'Last message', width: 20 },
+    { key: 'lastMessageDirection', header: 'Last direction', width: 14 },
+    { key: 'messageCount', header: 'Messages', width: 10 },
+    { key: 'notes', header: 'Notes', width: 40 },
+];
+
+// SQLite fills bare columns next to MAX() from the row that holds the maximum, so from_me belongs to the latest message.
+async function loadMessageMetrics(db) {
+    const rows = await dbAll(
+        db,
+        `SELECT contact_rowid, COUNT(*) AS message_count, MAX(timestamp) AS last_timestamp, from_me
+         FROM "messages"
+         WHERE contact_rowid IS NOT NULL
+         GROUP BY contact_rowid`
+    );
+    return new Map(rows.map((row) => [row.contact_rowid, row]));
+}
+
+// `contacts` are rows as returned by the contacts list, already filtered by the caller.
+export async function buildExportRows(db, contacts) {
+    const metrics = await loadMessageMetrics(db);
+    return contacts.map((contact) => {
+        const metric = metrics.get(contact.rowid);
+        return {
+            rowid: contact.rowid,
+            contactName: contact.contactName || '',
+            agentName: contact.agentName || '',
+            cleanContactNumber: contact.cleanContactNumber || '',
+            group: contact.group || '',
+            status: contact.conversation_started || '',
+            stage: contact.pipeline_stage || '',
+            tags: (contact.tags || []).map((tag) => tag.name).join(', '),
+            pauseReason: contact.pause_reason || '',
+            lastMessageAt: metric ? new Date(metric.last_timestamp * 1000) : null,
+            lastMessageDirection: metric ? (metric.from_me ? 'outgoing' : 'incoming') : '',
+            messageCount: metric ? metric.message_count : 0,
+            notes: contact.notes || '',
+        };
+    });
+}
+
+function toCsv(rows) {
+    return stringify(rows, {
+        header: true,
+        bom: true,
+        columns: EXPORT_COLUMNS.map(({ key, header }) => ({ key, header })),
+        cast: { date: (value) => value.toISOString() },
+    });
+}
+
+async function toXlsx(rows) {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Contacts', { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = EXPORT_COLUMNS;
+    sheet.addRows(rows);
+    sheet.getRow(1).font = { bold: true };
+    sheet.getColumn('lastMessageAt').numFmt = 'yyyy-mm-dd hh:mm';
+    sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: EXPORT_COLUMNS.length } };
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+export async function exportContacts(db, contacts, format) {
+    const rows = await buildExportRows(db, contacts);
+    return format === 'xlsx' ? toXlsx(rows) : toCsv(rows);
+}
@@ -0,0 +1,226 @@
+import { parse } from 'csv-parse/sync';
+import { dbAll, dbRun } from './db.js';
+import { STATUS, TABLE_NAME } from './config.js';
+import { normalizePhoneNumber } from './phone.js';
+import { invalidateContactLookup } from './contactLookup.js';
+import { loadDoNotContactNumbers } from './doNotContact.js';
+
+// Status, pipeline stage, reply mode, property links and activity are managed in the app, never by a spreadsheet.
+const PROTECTED_COLUMNS = new Set([
+    'conversation_started',
+    'pipeline_stage',
+    'reply_mode',
+    'property_id',
+    'pause_reason',
+    'normalized_number',
+    'last_activity_at',
+]);
+const NUMBER_COLUMN = 'cleanContactNumber';
+
+export const IMPORT_ACTIONS = {
+    INSERT: 'insert',
+    UPDATE: 'update',
+    UNCHANGED: 'unchanged',
+    SKIP: 'skip',
+};
+
+export function parseCsv(text) {
+    const raw = String(text || '').replace(/^\uFEFF/, '');
+    let headers = [];
+    let records;
+    try {
+        records = parse(raw, {
+            columns: (header) => {
+                headers = header.map((h) => (h || '').trim());
+                return headers;
+            },
+            relax_column_count: true,
+            skip_empty_lines: true,
+            trim: true,
+        });
+    } catch (err) {
+        const parseError = new Error(`Invalid CSV: ${err.message}`);
+        parseError.errors = [parseError.message];
+        throw parseError;
+    }
+    return { headers, records };
+}
+
+function simplifyName(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+export async function loadImportableColumns(db) {
+    const columns = await dbAll(db, `PRAGMA table_info("${TABLE_NAME}")`);
+    return columns.map((column) => column.name).filter((name) => !PROTECTED_COLUMNS.has(name));
+}
+
+// Pre-selects the column whose name matches a header ignoring case and punctuation.
+export function suggestMapping(headers, columns) {
+    const bySimpleName = new Map(columns.map((column) => [simplifyName(column), column]));
+    return Object.fromEntries(headers.map((header) => [header, bySimpleName.get(simplifyName(header)) || '']));
+}
+
+function normalizeValue(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value !== 'string') return value;
+    const trimmed = value.trim();
+    return trimmed === '' ? null : trimmed;
+}
+
+function validateMapping(mapping, columns) {
+    const errors = [];
+    const targets = Object.values(mapping || {}).filter(Boolean);
+    for (const target of targets) {
+        if (!columns.includes(target)) {
+            errors.push(`Cannot import into column "${target}".`);
+        }
+    }
+    const seen = new Set();
+    for (const target of targets) {
+        if (seen.has(target)) errors.push(`Column "${target}" is mapped more than once.`);
+        seen.add(target);
+    }
+    if (!targets.includes(NUMBER_COLUMN)) {
+        errors.push(`Map a header to ${NUMBER_COLUMN}.`);
+    }
+    if (errors.length > 0) {
+        const err = new Error(errors[0]);
+        err.errors = errors;
+        throw err;
+    }
+}
+
+function mapRecord(record, mapping) {
+    const values = {};
+    for (const [header, column] of Object.entries(mapping)) {
+        if (!column) continue;
+        const value = normalizeValue(record[header]);
+        if (value !== null) values[column] = value;
+    }
+    return values;
+}
+
+// Existing contacts only gain values for fields that are still empty, so nothing we typed by hand is overwritten.
+export async function buildImportPlan(db, { csv, mapping }) {
+    const { headers, records } = parseCsv(csv);
+    const columns = await loadImportableColumns(db);
+    const resolvedMapping = mapping || suggestMapping(headers, columns);
+    try {
+        validateMapping(resolvedMapping, columns);
+    } catch (err) {
+        // The wizard still needs the headers to let the user fix the mapping.
+        err.details = { headers, columns, mapping: resolvedMapping };
+        throw err;
+    }
+
+    const existingRows = await dbAll(db, `SELECT rowid, * FROM "${TABLE_NAME}"`);
+    const existingByNumber = new Map();
+    for (const row of existingRows) {
+        const number = row.normalized_number || normalizePhoneNumber(row[NUMBER_COLUMN]);
+        if (number && !existingByNumber.has(number)) existingByNumber.set(number, row);
+    }
+
+    const doNotContact = await loadDoNotContactNumbers(db);
+    const seenInFile = new Map();
+    const rows = records.map((record, index) => {
+        const line = index + 2;
+        const values = mapRecord(record, resolvedMapping);
+        if (!values[NUMBER_COLUMN]) {
+            return { line, action: IMPORT_ACTIONS.SKIP, reason: 'No phone number.', values };
+        }
+        const number = normalizePhoneNumber(values[NUMBER_COLUMN]);
+        if (!number) {
+            return {
+                line,
+                action: IMPORT_ACTIONS.SKIP,
+                reason: `Invalid phone number "${values[NUMBER_COLUMN]}".`,
+                invalidNumber: true,
+                values,
+            };
+        }
+        if (seenInFile.has(number)) {
+            return {
+                line,
+                action: IMPORT_ACTIONS.SKIP,
+                reason: `Same number as line ${seenInFile.get(number)}.`,
+                values,
+            };
+        }
+        seenInFile.set(number, line);
+        if (doNotContact.has(number)) {
+            return {
+                line,
+                action: IMPORT_ACTIONS.SKIP,
+                reason: 'Number is on the do-not-contact list.',
+                doNotContact: true,
+                values,
+            };
+        }
+
+        const existing = existingByNumber.get(number);
+        if (!existing) {
+            return { line, action: IMPORT_ACTIONS.INSERT, normalizedNumber: number, values };
+        }
+        const changes = {};
+        for (const [column, value] of Object.entries(values)) {
+            if (column === NUMBER_COLUMN) continue;
+            if (normalizeValue(existing[column]) === null) changes[column] = value;
+        }
+        return {
+            line,
+            action: Object.keys(changes).length > 0 ? IMPORT_ACTIONS.UPDATE : IMPORT_ACTIONS.UNCHANGED,
+            rowid: existing.rowid,
+            normalizedNumber: number,
+            status: existing.conversation_started || STATUS.PENDING,
+            values,
+            changes,
+        };
+    });
+
+    const summary = Object.fromEntries(Object.values(IMPORT_ACTIONS).map((action) => [action, 0]));
+    for (const row of rows) summary[row.action] += 1;
+    summary.invalid = rows.filter((row) => row.invalidNumber).length;
+    summary.doNotContact = rows.filter((row) => row.doNotContact).length;
+    return { headers, columns, mapping: resolvedMapping, rows, summary };
+}
+
+export async function applyImportPlan(db, plan) {
+    await dbRun(db, 'BEGIN TRANSACTION');
+    try {
+        for (const row of plan.rows) {
+            if (row.action === IMPORT_ACTIONS.INSERT) {
+                const values = { ...row.values, normalized_number: row.normalizedNumber };
+                const columns = Object.keys(values);
+                const result = await dbRun(
+                    db,
+                    `INSERT INTO "${TABLE_NAME}" (${columns.map((name) => `"${name}"`).join(', ')})
+                     VALUES (${columns.map(() => '?').join(', ')})`,
+                    columns.map((name) => values[name])
+                );
+                row.rowid = result.lastID;
+            } else if (row.action === IMPORT_ACTIONS.UPDATE) {
+                const columns = Object.keys(row.changes);
+                await dbRun(
+                    db,
+                    `UPDATE "${TABLE_NAME}" SET ${columns.map((name) => `"${name}" = ?`).join(', ')} WHERE rowid = ?`,
+                    [...columns.map((name) => row.changes[name]), row.rowid]
+                );
+            }
+        }
+        await dbRun(db, 'COMMIT');
+    } catch (err) {
+        await dbRun(db, 'ROLLBACK');
+        throw err;
+    }
+    return plan.summary;
+}
+
+export async function importContacts(db, { csv, mapping = null, dryRun = false }) {
+    const plan = await buildImportPlan(db, { csv, mapping });
+    if (!dryRun) {
+        await applyImportPlan(db, plan);
+        invalidateContactLookup();
+    }
+    return plan;
+}
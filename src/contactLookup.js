@@ -0,0 +1,109 @@
+import { dbAll, dbRun, openDatabase, closeDatabase } from './db.js';
+import { TABLE_NAME } from './config.js';
+import { chatIdToPhoneNumber } from './phone.js';
+import { pickCanonical } from './dedupe.js';
+
+const LID_TABLE = 'contact_lid_map';
+// The CLI scripts write from another process and cannot invalidate this one, so the index also expires.
+const NUMBER_INDEX_TTL_MS = 5 * 60 * 1000;
+
+// Both caches are promises so concurrent messages share a single load.
+let numberIndex = null;
+let numberIndexLoadedAt = 0;
+let lidIndex = null;
+
+async function withDatabase(work) {
+    const db = openDatabase();
+    try {
+        return await work(db);
+    } finally {
+        try {
+            await closeDatabase(db);
+        } catch (err) {
+            console.error('Failed to close database:', err);
+        }
+    }
+}
+
+// A number on several rows resolves to the row dedupe would keep, so replies land on the contact a merge keeps.
+async function buildNumberIndex() {
+    const rows = await withDatabase((db) => dbAll(
+        db,
+        `SELECT rowid, * FROM "${TABLE_NAME}" WHERE normalized_number IS NOT NULL ORDER BY rowid`
+    ));
+    const rowsByNumber = new Map();
+    for (const row of rows) {
+        if (!rowsByNumber.has(row.normalized_number)) rowsByNumber.set(row.normalized_number, []);
+        rowsByNumber.get(row.normalized_number).push(row);
+    }
+    const index = new Map();
+    for (const [number, numberRows] of rowsByNumber) {
+        index.set(number, pickCanonical(numberRows).rowid);
+    }
+    return index;
+}
+
+async function buildLidIndex() {
+    const rows = await withDatabase((db) => dbAll(db, `SELECT lid, phone_number FROM "${LID_TABLE}"`));
+    return new Map(rows.map((row) => [row.lid, row.phone_number]));
+}
+
+function loadNumberIndex() {
+    if (!numberIndex || Date.now() - numberIndexLoadedAt > NUMBER_INDEX_TTL_MS) {
+        numberIndexLoadedAt = Date.now();
+        numberIndex = buildNumberIndex();
+        numberIndex.catch(() => {
+            numberIndex = null;
+        });
+    }
+    return numberIndex;
+}
+
+function loadLidIndex() {
+    if (!lidIndex) {
+        lidIndex = buildLidIndex();
+        lidIndex.catch(() => {
+            lidIndex = null;
+        });
+    }
+    return lidIndex;
+}
+
+// Call after anything that adds, removes or renumbers contacts.
+export function invalidateContactLookup() {
+    numberIndex = null;
+}
+
+export async function lookupContactRowId(phoneNumber) {
+    if (!phoneNumber) return null;
+    const index = await loadNumberIndex();
+    return index.get(phoneNumber) ?? null;
+}
+
+export async function lookupLidPhoneNumber(lid) {
+    if (!lid) return null;
+    const index = await loadLidIndex();
+    return index.get(lid) ?? null;
+}
+
+export async function rememberLidPhoneNumber(lid, phoneNumber) {
+    if (!lid || !phoneNumber) return;
+    const index = await loadLidIndex();
+    if (index.get(lid) === phoneNumber) return;
+    await withDatabase((db) => dbRun(
+        db,
+        `INSERT INTO "${LID_TABLE}" (lid, phone_number, updated_at) VALUES (?, ?, ?)
+         ON CONFLICT(lid) DO UPDATE SET phone_number = excluded.phone_number, updated_at = excluded.updated_at`,
+        [lid, phoneNumber, Date.now()]
+    ));
+    index.set(lid, phoneNumber);
+}
+
+// Works for both "94771234567@c.us" and "@lid" chats whose number has been seen before.
+export async function resolveChatContactRowId(chatId) {
+    if (!chatId) return null;
+    const phoneNumber = chatId.endsWith('@lid')
+        ? await lookupLidPhoneNumber(chatId)
+        : chatIdToPhoneNumber(chatId);
+    return lookupContactRowId(phoneNumber);
+}
@@ -0,0 +1,266 @@
+import { dbAll } from './db.js';
+import { NO_PIPELINE_STAGE, PIPELINE_STAGES, STATUS, TABLE_NAME } from './config.js';
+import { loadContactTags } from './tags.js';
+
+export const DEFAULT_PAGE_SIZE = 100;
+export const MAX_PAGE_SIZE = 500;
+export const CONTACT_SORTS = ['default', 'lastActivity'];
+
+const CONTACT_COLUMNS = `c.rowid, c.contactName, c.agentName, c.cleanContactNumber, c."group", c.notes,
+    c.conversation_started, c.property_id, c.pause_reason, c.normalized_number, c.pipeline_stage, c.reply_mode,
+    c.last_activity_at`;
+const TEXT_SEARCH_COLUMNS = ['contactName', 'agentName', 'cleanContactNumber', 'notes'];
+
+function searchError(message) {
+    const err = new Error(message);
+    err.status = 400;
+    err.details = {};
+    return err;
+}
+
+function escapeLike(value) {
+    return value.replace(/[\\%_]/g, (char) => `\\${char}`);
+}
+
+// Legacy rows use "started" for active and may have no status at all; the UI shows those as active and unknown.
+function statusClause(statuses, params) {
+    const values = new Set();
+    let includeUnknown = false;
+    for (const status of statuses) {
+        if (status === 'unknown') {
+            includeUnknown = true;
+            continue;
+        }
+        values.add(status);
+        if (status === STATUS.ACTIVE) values.add('started');
+    }
+    const parts = [];
+    if (values.size > 0) {
+        parts.push(`c.conversation_started IN (${[...values].map(() => '?').join(', ')})`);
+        params.push(...values);
+    }
+    if (includeUnknown) {
+        parts.push(`(c.conversation_started IS NULL OR c.conversation_started = '')`);
+    }
+    return parts.length > 0 ? `(${parts.join(' OR ')})` : null;
+}
+
+function stageClause(stages, params) {
+    const values = stages.filter((stage) => stage !== NO_PIPELINE_STAGE);
+    const parts = [];
+    if (values.length > 0) {
+        parts.push(`c.pipeline_stage IN (${values.map(() => '?').join(', ')})`);
+        params.push(...values);
+    }
+    if (stages.includes(NO_PIPELINE_STAGE)) {
+        parts.push(`(c.pipeline_stage IS NULL OR c.pipeline_stage NOT IN (${PIPELINE_STAGES.map(() => '?').join(', ')}))`);
+        params.push(...PIPELINE_STAGES);
+    }
+    return `(${parts.join(' OR ')})`;
+}
+
+function buildFilters({ q = '', statuses = [], stages = [], tagIds = [], group = null }) {
+    const clauses = [];
+    const params = [];
+    const text = String(q || '').trim();
+    if (text) {
+        const pattern = `%${escapeLike(text)}%`;
+        const parts = TEXT_SEARCH_COLUMNS.map((column) => `c."${column}" LIKE ? ESCAPE '\\'`);
+        params.push(...TEXT_SEARCH_COLUMNS.map(() => pattern));
+        // "077 123" should find +94771234567, so digit-only queries are also matched against the E.164 form.
+        const digits = text.replace(/\D/g, '');
+        if (digits.length >= 3 && digits.length === text.replace(/[\s+()-]/g, '').length) {
+            parts.push('c.normalized_number LIKE ?');
+            params.push(`%${digits.replace(/^0/, '')}%`);
+        }
+        clauses.push(`(${parts.join(' OR ')})`);
+    }
+    if (statuses.length > 0) {
+        clauses.push(statusClause(statuses, params));
+    }
+    if (stages.length > 0) {
+        clauses.push(stageClause(stages, params));
+    }
+    // Several tags match contacts carrying any of them.
+    if (tagIds.length > 0) {
+        clauses.push(`EXISTS (
+            SELECT 1 FROM "contact_tags" ct
+            WHERE ct.contact_rowid = c.rowid AND ct.tag_id IN (${tagIds.map(() => '?').join(', ')})
+        )`);
+        params.push(...tagIds);
+    }
+    if (group) {
+        clauses.push('c."group" = ?');
+        params.push(group);
+    }
+    return { clauses, params };
+}
+
+// Every sort is a list of keys ordered with NULLs last, followed by rowid so the order is total.
+// `field` is the result column a cursor reads the key's value from.
+function sortKeys(sort, order) {
+    if (sort === 'default') {
+        return ['"group"', 'agentName', 'contactName'].map((column) => ({
+            expr: `c.${column} COLLATE NOCASE`,
+            field: column.replace(/"/g, ''),
+            desc: order === 'desc',
+        }));
+    }
+    if (sort === 'lastActivity') {
+        return [{ expr: 'c.last_activity_at', field: 'last_activity_at', desc: order !== 'asc' }];
+    }
+    return [{ expr: `c."${sort}" COLLATE NOCASE`, field: sort, desc: order === 'desc' }];
+}
+
+function orderByClause(keys, rowIdDesc) {
+    const parts = keys.flatMap((key) => [`${key.expr} IS NULL`, `${key.expr} ${key.desc ? 'DESC' : 'ASC'}`]);
+    parts.push(`c.rowid ${rowIdDesc ? 'DESC' : 'ASC'}`);
+    return parts.join(', ');
+}
+
+// Keyset condition for "comes after the cursor row" under orderByClause.
+function afterCursorClause(keys, values, rowId, rowIdDesc, params) {
+    let clause = `c.rowid ${rowIdDesc ? '<' : '>'} ?`;
+    const clauseParams = [rowId];
+    for (let index = keys.length - 1; index >= 0; index -= 1) {
+        const key = keys[index];
+        const value = values[index];
+        if (value === null || value === undefined) {
+            clause = `(${key.expr} IS NULL AND ${clause})`;
+            continue;
+        }
+        clause = `((${key.expr} ${key.desc ? '<' : '>'} ? OR ${key.expr} IS NULL) OR (${key.expr} = ? AND ${clause}))`;
+        clauseParams.unshift(value, value);
+    }
+    params.push(...clauseParams);
+    return clause;
+}
+
+function encodeCursor(sort, order, values, rowId) {
+    return Buffer.from(JSON.stringify({ sort, order, values, rowId })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort, order) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch {
+        throw searchError('Invalid cursor.');
+    }
+    if (!decoded || decoded.sort !== sort || decoded.order !== order || !Array.isArray(decoded.values)) {
+        throw searchError('Cursor does not match the requested sort; start again without a cursor.');
+    }
+    return decoded;
+}
+
+export async function loadSortableColumns(db) {
+    const columns = await dbAll(db, `PRAGMA table_info("${TABLE_NAME}")`);
+    return [...CONTACT_SORTS, 'rowid', ...columns.map((column) => column.name)];
+}
+
+function serializeContact(row, tags) {
+    const { last_activity_at: lastActivityAt, ...contact } = row;
+    return { ...contact, tags, lastActivityAt: lastActivityAt || null };
+}
+
+// Without `limit` every matching contact is returned, which is what exports need.
+export async function searchContacts(db, {
+    q = '',
+    statuses = [],
+    stages = [],
+    tagIds = [],
+    group = null,
+    sort = 'default',
+    order = 'asc',
+    cursor = null,
+    limit = DEFAULT_PAGE_SIZE,
+} = {}) {
+    const sortable = await loadSortableColumns(db);
+    if (!sortable.includes(sort)) {
+        throw searchError(`Cannot sort by "${sort}".`);
+    }
+    if (!['asc', 'desc'].includes(order)) {
+        throw searchError('order must be asc or desc.');
+    }
+
+    const keys = sort === 'rowid' ? [] : sortKeys(sort, order);
+    const rowIdDesc = sort === 'rowid' ? order === 'desc' : keys[0].desc;
+    const { clauses, params } = buildFilters({ q, statuses, stages, tagIds, group });
+    if (cursor) {
+        const decoded = decodeCursor(cursor, sort, order);
+        clauses.push(afterCursorClause(keys, decoded.values, decoded.rowId, rowIdDesc, params));
+    }
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    const pageSize = limit ? Math.min(MAX_PAGE_SIZE, limit) : null;
+
+    const rows = await dbAll(
+        db,
+        `SELECT ${CONTACT_COLUMNS}
+         FROM "${TABLE_NAME}" c
+         ${where}
+         ORDER BY ${orderByClause(keys, rowIdDesc)}
+         ${pageSize ? 'LIMIT ?' : ''}`,
+        pageSize ? [...params, pageSize + 1] : params
+    );
+    const hasMore = pageSize !== null && rows.length > pageSize;
+    const page = hasMore ? rows.slice(0, pageSize) : rows;
+    const last = page[page.length - 1];
+    const nextCursor = hasMore
+        ? encodeCursor(sort, order, keys.map((key) => last[key.field] ?? null), last.rowid)
+        : null;
+    const tagsByRowId = await loadContactTags(db, page.map((row) => row.rowid));
+    return { contacts: page.map((row) => serializeContact(row, tagsByRowId.get(row.rowid))), nextCursor };
+}
+
+// Totals per status for the same search, stage, tags and group, so filter chips can show how many each one would return.
+export async function countContacts(db, { q = '', stages = [], tagIds = [], group = null } = {}) {
+    const { clauses, params } = buildFilters({ q, stages, tagIds, group });
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    const rows = await dbAll(
+        db,
+        `SELECT CASE
+                    WHEN c.conversation_started = 'started' THEN ?
+                    WHEN c.conversation_started IS NULL OR c.conversation_started = '' THEN 'unknown'
+                    ELSE c.conversation_started
+                END AS status,
+                COUNT(*) AS total
+         FROM "${TABLE_NAME}" c
+         ${where}
+         GROUP BY 1`,
+        [STATUS.ACTIVE, ...params]
+    );
+    const counts = Object.fromEntries(rows.map((row) => [row.status, row.total]));
+    counts.total = rows.reduce((total, row) => total + row.total, 0);
+    return counts;
+}
+
+// Totals per pipeline stage; contacts whose stage is missing or no longer configured count as NO_PIPELINE_STAGE.
+export async function countContactsByStage(db, { q = '', statuses = [], group = null } = {}) {
+    const { clauses, params } = buildFilters({ q, statuses, group });
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    const rows = await dbAll(
+        db,
+        `SELECT c.pipeline_stage AS stage, COUNT(*) AS total
+         FROM "${TABLE_NAME}" c
+         ${where}
+         GROUP BY 1`,
+        params
+    );
+    const counts = Object.fromEntries([NO_PIPELINE_STAGE, ...PIPELINE_STAGES].map((stage) => [stage, 0]));
+    for (const row of rows) {
+        const stage = PIPELINE_STAGES.includes(row.stage) ? row.stage : NO_PIPELINE_STAGE;
+        counts[stage] += row.total;
+    }
+    return counts;
+}
+
+export async function listContactGroups(db) {
+    return dbAll(
+        db,
+        `SELECT "group" AS name, COUNT(*) AS total
+         FROM "${TABLE_NAME}"
+         WHERE "group" IS NOT NULL AND "group" != ''
+         GROUP BY "group"
+         ORDER BY "group" COLLATE NOCASE`
+    );
+}
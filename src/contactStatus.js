@@ -0,0 +1,80 @@
+import { dbAll, dbGet, dbRun } from './db.js';
+import { STATUS, TABLE_NAME } from './config.js';
+import { isHandoffPause, resolveContactHandoffs } from './handoffs.js';
+
+const HISTORY_TABLE = 'contact_status_history';
+
+// Rows from before the STATUS values were introduced still say 'started' for an active conversation.
+export function isActiveStatus(status) {
+    return status === STATUS.ACTIVE || status === 'started';
+}
+
+// Writes one history row per transition; a repeated pause only counts when its reason changes.
+// Callers that update conversation_started themselves (edits, dedupe) pass the status they replaced.
+export async function recordStatusChange(db, rowId, {
+    from = null,
+    to,
+    fromPauseReason = null,
+    pauseReason = null,
+    source,
+    detail = null,
+}) {
+    const reason = to === STATUS.PAUSED ? pauseReason : null;
+    if ((from ?? null) === (to ?? null) && (fromPauseReason ?? null) === reason) {
+        return false;
+    }
+    await dbRun(
+        db,
+        `INSERT INTO "${HISTORY_TABLE}" (contact_rowid, from_status, to_status, pause_reason, source, detail, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [rowId, from ?? null, to ?? null, reason, source, detail === null ? null : String(detail), Date.now()]
+    );
+    // Whoever moved the contact on, by hand or otherwise, has dealt with the handoff.
+    if (!isHandoffPause(to, reason)) {
+        await resolveContactHandoffs(db, rowId);
+    }
+    return true;
+}
+
+// The only place that moves a contact between statuses, so every transition lands in the history.
+export async function updateContactStatus(db, rowId, status, { pauseReason = null, source, detail = null } = {}) {
+    const current = await dbGet(
+        db,
+        `SELECT conversation_started, pause_reason FROM "${TABLE_NAME}" WHERE rowid = ?`,
+        [rowId]
+    );
+    if (!current) {
+        return false;
+    }
+    const reason = status === STATUS.PAUSED ? pauseReason : null;
+    await dbRun(
+        db,
+        `UPDATE "${TABLE_NAME}" SET conversation_started = ?, pause_reason = ? WHERE rowid = ?`,
+        [status, reason, rowId]
+    );
+    return recordStatusChange(db, rowId, {
+        from: current.conversation_started,
+        to: status,
+        fromPauseReason: current.pause_reason,
+        pauseReason: reason,
+        source,
+        detail,
+    });
+}
+
+export async function listStatusHistory(db, rowId) {
+    const rows = await dbAll(
+        db,
+        `SELECT * FROM "${HISTORY_TABLE}" WHERE contact_rowid = ? ORDER BY created_at DESC, id DESC`,
+        [rowId]
+    );
+    return rows.map((row) => ({
+        id: row.id,
+        fromStatus: row.from_status,
+        toStatus: row.to_status,
+        pauseReason: row.pause_reason,
+        source: row.source,
+        detail: row.detail,
+        createdAt: row.created_at,
+    }));
+}
@@ -0,0 +1,309 @@
+import { dbAll, dbGet, dbRun } from './db.js';
+import {
+    OPT_OUT_CONFIRMATION,
+    PAUSE_REASON,
+    PIPELINE_STAGES,
+    REPLY_MODE,
+    STATUS,
+    STATUS_SOURCE,
+    TABLE_NAME
+} from './config.js';
+import { getProperty, loadPropertyProfile } from './properties.js';
+import { buildTemplateVariables, renderTemplate } from './messageTemplate.js';
+import { getFollowupSequence, scheduleFollowups, stopFollowups } from './followupScheduler.js';
+import { enqueueText } from './outboundQueue.js';
+import { normalizePhoneNumber, phoneNumberToChatId } from './phone.js';
+import { invalidateContactLookup } from './contactLookup.js';
+import { recordStatusChange, updateContactStatus } from './contactStatus.js';
+import { isPipelineStage } from './pipeline.js';
+import { OPT_OUT_CONFIRMATION_SOURCE, addDoNotContact, isDoNotContact } from './doNotContact.js';
+import { getChatById, fetchChatMessages, isRegisteredUser } from './whatsappClient.js';
+
+export const MESSAGE_TYPES = ['initial', 'followup'];
+// Maintained by the app itself, so they are neither offered in forms nor accepted from clients.
+export const SERVER_MANAGED_COLUMNS = new Set(['pause_reason', 'normalized_number', 'last_activity_at']);
+
+export function toChatId(contactNumber) {
+    return phoneNumberToChatId(normalizePhoneNumber(contactNumber));
+}
+
+export async function loadContactForChat(db, rowId) {
+    return dbGet(
+        db,
+        `SELECT rowid, contactName, agentName, cleanContactNumber, "group", conversation_started, property_id
+         FROM "${TABLE_NAME}"
+         WHERE rowid = ?`,
+        [rowId]
+    );
+}
+
+// SQLite column affinity decides how a submitted value is checked: INT columns take integers, REAL ones numbers.
+function coerceColumnValue(column, rawValue) {
+    const value = typeof rawValue === 'string' ? rawValue.trim() : rawValue;
+    if (value === '' || value === null || value === undefined) {
+        return { value: null };
+    }
+    const type = String(column.type || '').toUpperCase();
+    if (type.includes('INT')) {
+        const parsed = Number(value);
+        return Number.isInteger(parsed) ? { value: parsed } : { error: `${column.name} must be a whole number.` };
+    }
+    if (['REAL', 'FLOA', 'DOUB'].some((name) => type.includes(name))) {
+        const parsed = Number(value);
+        return Number.isFinite(parsed) ? { value: parsed } : { error: `${column.name} must be a number.` };
+    }
+    if (typeof value === 'object') {
+        return { error: `${column.name} must be text.` };
+    }
+    return { value: String(value) };
+}
+
+async function validateContactChanges(db, payload) {
+    const columns = await dbAll(db, `PRAGMA table_info("${TABLE_NAME}")`);
+    const editable = new Map(
+        columns.filter((column) => !SERVER_MANAGED_COLUMNS.has(column.name)).map((column) => [column.name, column])
+    );
+    const values = {};
+    const errors = [];
+    for (const [name, rawValue] of Object.entries(payload)) {
+        const column = editable.get(name);
+        if (!column) {
+            errors.push(`Unknown or read-only field: ${name}.`);
+            continue;
+        }
+        const { value, error } = coerceColumnValue(column, rawValue);
+        if (error) {
+            errors.push(error);
+        } else if (value === null && column.notnull === 1) {
+            errors.push(`${name} is required.`);
+        } else {
+            values[name] = value;
+        }
+    }
+    if (values.conversation_started !== undefined && !Object.values(STATUS).includes(values.conversation_started)) {
+        errors.push(`conversation_started must be one of: ${Object.values(STATUS).join(', ')}.`);
+    }
+    if (values.pipeline_stage && !isPipelineStage(values.pipeline_stage)) {
+        errors.push(`pipeline_stage must be one of: ${PIPELINE_STAGES.join(', ')}.`);
+    }
+    if (values.reply_mode && !Object.values(REPLY_MODE).includes(values.reply_mode)) {
+        errors.push(`reply_mode must be one of: ${Object.values(REPLY_MODE).join(', ')}.`);
+    }
+    if (values.cleanContactNumber) {
+        const normalized = normalizePhoneNumber(values.cleanContactNumber);
+        if (normalized) {
+            values.normalized_number = normalized;
+        } else {
+            errors.push(`Invalid phone number "${values.cleanContactNumber}".`);
+        }
+    } else if (values.cleanContactNumber === null) {
+        values.normalized_number = null;
+    }
+    if (values.property_id && !(await getProperty(db, values.property_id))) {
+        errors.push(`Property ${values.property_id} not found.`);
+    }
+    return { values, errors };
+}
+
+async function assertNumberAvailable(db, normalizedNumber, rowId = null) {
+    const duplicate = await dbGet(
+        db,
+        `SELECT rowid FROM "${TABLE_NAME}" WHERE normalized_number = ? AND rowid IS NOT ?`,
+        [normalizedNumber, rowId]
+    );
+    if (duplicate) {
+        throw contactError(409, `Contact ${duplicate.rowid} already has this number.`, {
+            duplicateRowId: duplicate.rowid,
+        });
+    }
+}
+
+function isBlankValue(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+// Creates a contact from the columns PATCH accepts, checked the same way; blank fields keep the column default.
+// Besides a duplicate number, a number on the do-not-contact list is a 409.
+export async function createContact(db, payload) {
+    const fields = Object.fromEntries(Object.entries(payload).filter(([, value]) => !isBlankValue(value)));
+    const { values, errors } = await validateContactChanges(db, fields);
+    if (errors.length > 0) {
+        const err = contactError(400, errors[0]);
+        err.errors = errors;
+        throw err;
+    }
+    const names = Object.keys(values);
+    if (!names.some((name) => name !== 'conversation_started')) {
+        throw contactError(400, 'Provide at least one contact field.');
+    }
+    if (values.normalized_number) {
+        await assertNumberAvailable(db, values.normalized_number);
+        if (await isDoNotContact(db, values.normalized_number)) {
+            throw contactError(409, 'Number is on the do-not-contact list.', { doNotContact: true });
+        }
+    }
+
+    const result = await dbRun(
+        db,
+        `INSERT INTO "${TABLE_NAME}" (${names.map((name) => `"${name}"`).join(', ')})
+         VALUES (${names.map(() => '?').join(', ')})`,
+        names.map((name) => values[name])
+    );
+    const contact = await dbGet(db, `SELECT rowid, * FROM "${TABLE_NAME}" WHERE rowid = ?`, [result.lastID]);
+    await recordStatusChange(db, contact.rowid, { to: contact.conversation_started, source: STATUS_SOURCE.MANUAL });
+    invalidateContactLookup();
+    return contact;
+}
+
+// Partial update of any editable column. Returns null for an unknown contact; validation failures carry
+// `status` and an `errors` list, and a number already used by another contact is a 409.
+export async function updateContact(db, rowId, payload) {
+    const existing = await dbGet(db, `SELECT rowid, * FROM "${TABLE_NAME}" WHERE rowid = ?`, [rowId]);
+    if (!existing) {
+        return null;
+    }
+    const { values, errors } = await validateContactChanges(db, payload);
+    if (errors.length > 0) {
+        const err = contactError(400, errors[0]);
+        err.errors = errors;
+        throw err;
+    }
+
+    const changed = Object.keys(values).filter((name) => (existing[name] ?? null) !== values[name]);
+    if (changed.length === 0) {
+        return existing;
+    }
+    if (changed.includes('normalized_number') && values.normalized_number) {
+        await assertNumberAvailable(db, values.normalized_number, rowId);
+    }
+    // A hand-edited status is treated like PATCH /status: any recorded pause reason no longer applies.
+    if (changed.includes('conversation_started')) {
+        values.pause_reason = null;
+        changed.push('pause_reason');
+    }
+
+    await dbRun(
+        db,
+        `UPDATE "${TABLE_NAME}" SET ${changed.map((name) => `"${name}" = ?`).join(', ')} WHERE rowid = ?`,
+        [...changed.map((name) => values[name]), rowId]
+    );
+    if (changed.includes('conversation_started')) {
+        await recordStatusChange(db, rowId, {
+            from: existing.conversation_started,
+            to: values.conversation_started,
+            fromPauseReason: existing.pause_reason,
+            source: STATUS_SOURCE.EDIT,
+        });
+    }
+    if (changed.includes('normalized_number')) {
+        invalidateContactLookup();
+    }
+    return dbGet(db, `SELECT rowid, * FROM "${TABLE_NAME}" WHERE rowid = ?`, [rowId]);
+}
+
+export function renderContactMessage(row, property, type) {
+    const template = type === 'followup'
+        ? property.followupMessage || property.initialMessage
+        : property.initialMessage;
+    const variables = buildTemplateVariables({ contact: row, propertyContext: property.propertyContext });
+    const { text, missing } = renderTemplate(template, variables);
+    return { template, text, missing };
+}
+
+function contactError(status, message, details = {}) {
+    const err = new Error(message);
+    err.status = status;
+    err.details = details;
+    return err;
+}
+
+// Shared by POST /initiate and the campaign runner. Failures carry an HTTP-style `status`.
+// The message itself is delivered by the outbound queue worker.
+export async function initiateContact(db, rowId, { idempotencyKey = null, source = STATUS_SOURCE.INITIATE } = {}) {
+    const row = await loadContactForChat(db, rowId);
+    if (!row) {
+        throw contactError(404, 'Contact not found.');
+    }
+
+    const chatId = toChatId(row.cleanContactNumber);
+    if (!chatId) {
+        throw contactError(400, 'Contact has no valid phone number.');
+    }
+    if (await isDoNotContact(db, normalizePhoneNumber(row.cleanContactNumber))) {
+        throw contactError(409, 'Number is on the do-not-contact list.', { doNotContact: true });
+    }
+    const isRegistered = await isRegisteredUser(chatId);
+    console.log(`isRegisteredUser(${chatId}) = ${isRegistered}`);
+    if (!isRegistered) {
+        await updateContactStatus(db, rowId, STATUS.UNREGISTERED, { source, detail: 'Number is not on WhatsApp.' });
+        return { status: STATUS.UNREGISTERED };
+    }
+
+    const property = await loadPropertyProfile(db, row.property_id);
+    if (!property?.initialMessage) {
+        throw contactError(500, 'Initial message is not configured.');
+    }
+    let messageType = 'initial';
+
+    const chat = await getChatById(chatId);
+    if (chat) {
+        try {
+            await chat.syncHistory();
+            const historyResult = await fetchChatMessages(chatId, { limit: 5 });
+            const hasHistory = Array.isArray(historyResult?.messages) && historyResult.messages.length > 1;
+            console.log(`Chat has history: ${hasHistory}`);
+            if (hasHistory) {
+                messageType = 'followup';
+            }
+        } catch (err) {
+            console.error('Failed to sync history before initiating:', err);
+        }
+    }
+
+    const rendered = renderContactMessage(row, property, messageType);
+    if (rendered.missing.length > 0) {
+        throw contactError(422, `Message has unresolved variables: ${rendered.missing.join(', ')}`, {
+            missing: rendered.missing,
+            type: messageType,
+        });
+    }
+
+    const outbound = await enqueueText(db, chatId, rendered.text, {
+        idempotencyKey: idempotencyKey || `initiate:${rowId}:${Date.now()}`,
+        contactRowId: rowId,
+        source,
+    });
+    if (outbound.duplicate) {
+        return { status: STATUS.ACTIVE, outboundId: outbound.id, duplicate: true };
+    }
+    await updateContactStatus(db, rowId, STATUS.ACTIVE, { source });
+    const nextFollowupAt = await scheduleFollowups(db, {
+        rowId,
+        chatId,
+        sequence: getFollowupSequence(property.propertyContext),
+    });
+    return { status: STATUS.ACTIVE, nextFollowupAt, outboundId: outbound.id };
+}
+
+// Lists the number, ends the conversation and, with `confirm`, queues the confirmation the first time it opts out.
+// `chatId` is where that confirmation goes: the chat the request came from, which may be an @lid chat.
+export async function optOutContact(db, { rowId = null, phoneNumber, chatId = null, source, reason = null, confirm = false }) {
+    const { entry, created } = await addDoNotContact(db, { phoneNumber, source, reason, contactRowId: rowId });
+    if (rowId) {
+        await stopFollowups(db, rowId, PAUSE_REASON.OPTED_OUT);
+        await updateContactStatus(db, rowId, STATUS.PAUSED, {
+            pauseReason: PAUSE_REASON.OPTED_OUT,
+            source: STATUS_SOURCE.DO_NOT_CONTACT,
+            detail: reason ? `${source}: ${reason}` : source,
+        });
+    }
+    const confirmChatId = chatId || phoneNumberToChatId(phoneNumber);
+    if (created && confirm && confirmChatId) {
+        await enqueueText(db, confirmChatId, OPT_OUT_CONFIRMATION, {
+            idempotencyKey: `${OPT_OUT_CONFIRMATION_SOURCE}:${phoneNumber}:${entry.createdAt}`,
+            contactRowId: rowId,
+            source: OPT_OUT_CONFIRMATION_SOURCE,
+        });
+    }
+    return { entry, created };
+}
@@ -1,10 +1,15 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
 import sqlite3 from 'sqlite3';
 import { DB_PATH } from './config.js';
 
 const sqlite = sqlite3.verbose();
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+const SCHEMA_VERSION_TABLE = 'schema_version';
 
-export function openDatabase() {
-    return new sqlite.Database(DB_PATH);
+export function openDatabase(dbPath = DB_PATH) {
+    return new sqlite.Database(dbPath);
 }
 
 export function closeDatabase(db) {
@@ -42,3 +47,69 @@ export function dbRun(db, sql, params = []) {
         });
     });
 }
+
+// Migration files are named NNN_description.js and export `up(db)`; NNN is the schema version they produce.
+export async function loadMigrations() {
+    const files = fs.readdirSync(MIGRATIONS_DIR)
+        .filter((name) => /^\d{3}_[\w-]+\.js$/.test(name))
+        .sort();
+    const migrations = [];
+    for (const file of files) {
+        const module = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+        if (typeof module.up !== 'function') {
+            throw new Error(`Migration ${file} does not export up(db).`);
+        }
+        migrations.push({
+            version: Number.parseInt(file.slice(0, 3), 10),
+            name: file.replace(/\.js$/, ''),
+            up: module.up,
+        });
+    }
+    return migrations;
+}
+
+export async function getSchemaVersion(db) {
+    await dbRun(
+        db,
+        `CREATE TABLE IF NOT EXISTS "${SCHEMA_VERSION_TABLE}" (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at INTEGER NOT NULL
+        )`
+    );
+    const row = await dbGet(db, `SELECT MAX(version) AS version FROM "${SCHEMA_VERSION_TABLE}"`);
+    return row?.version || 0;
+}
+
+// Databases that predate schema_version already have some of these tables, so early migrations are idempotent.
+export async function migrateDatabase(db) {
+    const migrations = await loadMigrations();
+    const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+    const current = await getSchemaVersion(db);
+    if (current > latest) {
+        throw new Error(
+            `Database schema version ${current} is newer than this code supports (${latest}). Update the app before starting it.`
+        );
+    }
+
+    const applied = [];
+    for (const migration of migrations) {
+        if (migration.version <= current) continue;
+        await dbRun(db, 'BEGIN TRANSACTION');
+        try {
+            await migration.up(db);
+            await dbRun(
+                db,
+                `INSERT INTO "${SCHEMA_VERSION_TABLE}" (version, name, applied_at) VALUES (?, ?, ?)`,
+                [migration.version, migration.name, Date.now()]
+            );
+            await dbRun(db, 'COMMIT');
+        } catch (err) {
+            await dbRun(db, 'ROLLBACK');
+            err.message = `Migration ${migration.name} failed: ${err.message}`;
+            throw err;
+        }
+        applied.push(migration.name);
+    }
+    return { from: current, to: Math.max(current, latest), applied };
+}
@@ -0,0 +1,467 @@
+import { dbAll, dbGet, dbRun } from './db.js';
+import { STATUS, STATUS_SOURCE, TABLE_NAME } from './config.js';
+import { normalizePhoneNumber } from './phone.js';
+import { invalidateContactLookup } from './contactLookup.js';
+import { isActiveStatus, recordStatusChange } from './contactStatus.js';
+import { loadContactTags, moveContactTags, restoreContactTags } from './tags.js';
+import { HANDOFF_RESOLUTION, resolveContactHandoffs } from './handoffs.js';
+
+const RUNS_TABLE = 'contact_dedupe_runs';
+const ARCHIVE_TABLE = 'contact_dedupe_archive';
+const MERGE_FIELDS = ['contactName', 'agentName', 'cleanContactNumber', 'group', 'notes', 'property_id'];
+// Set on the canonical row by every merge besides MERGE_FIELDS.
+const STATUS_FIELDS = ['conversation_started', 'pause_reason', 'normalized_number'];
+const FUZZY_FIELDS = ['contactName', 'agentName'];
+const FUZZY_THRESHOLD = 0.9;
+const FUZZY_MIN_LENGTH = 5;
+
+// Other tables that point at a contact, with the column that identifies one of their rows for undo. When the
+// canonical row already has a row under the same key (a follow-up sequence, a campaign entry), the removed row's
+// copy is dropped into the archive instead.
+const CONTACT_TABLES = [
+    { table: 'contact_followups', key: 'contact_rowid' },
+    { table: 'campaign_contacts', key: 'campaign_id' },
+    { table: 'outbound_queue', key: 'id' },
+    { table: 'messages', key: 'id' },
+    { table: 'reply_drafts', key: 'id' },
+    { table: 'auto_reply_buffer', key: 'chat_id' },
+    { table: 'contact_status_history', key: 'id' },
+    { table: 'reply_timings', key: 'id' },
+    { table: 'do_not_contact', key: 'phone_number' },
+];
+
+export const ARCHIVE_ROLE = {
+    CANONICAL: 'canonical',
+    REMOVED: 'removed',
+};
+
+function dedupeError(status, message, details = {}) {
+    const err = new Error(message);
+    err.status = status;
+    err.details = details;
+    return err;
+}
+
+function normalizeText(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).trim();
+}
+
+function simplifyName(value) {
+    return normalizeText(value).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_value, index) => index);
+    for (let i = 1; i <= a.length; i += 1) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j += 1) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function similarity(a, b) {
+    if (a.length < FUZZY_MIN_LENGTH || b.length < FUZZY_MIN_LENGTH) return 0;
+    return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+function fieldScore(row) {
+    return MERGE_FIELDS.filter((field) => normalizeText(row[field])).length;
+}
+
+// The most complete row survives; among equals the newest one does. The contact lookup uses the same rule,
+// so a number shared by several rows resolves to the row a merge would keep.
+export function pickCanonical(rows) {
+    return rows
+        .slice()
+        .sort((a, b) => {
+            const scoreDiff = fieldScore(b) - fieldScore(a);
+            if (scoreDiff !== 0) return scoreDiff;
+            return b.rowid - a.rowid;
+        })[0];
+}
+
+// The canonical row keeps its own values; empty fields are filled from the others, oldest first.
+function mergeRows(rows, canonical) {
+    const ordered = [canonical, ...rows.filter((row) => row.rowid !== canonical.rowid)];
+    const merged = {};
+    for (const field of MERGE_FIELDS) {
+        const source = ordered.find((row) => normalizeText(row[field]));
+        merged[field] = source ? source[field] : null;
+    }
+    const hasActive = rows.some((row) => isActiveStatus(row.conversation_started));
+    merged.conversation_started = hasActive
+        ? STATUS.ACTIVE
+        : (canonical.conversation_started || STATUS.PENDING);
+    merged.pause_reason = merged.conversation_started === canonical.conversation_started
+        ? canonical.pause_reason ?? null
+        : null;
+    merged.normalized_number = normalizePhoneNumber(merged.cleanContactNumber);
+    return merged;
+}
+
+// Exact number matches always group rows; with `fuzzy`, rows in the same group whose names nearly match do too.
+function findLinks(rows, { fuzzy }) {
+    const links = [];
+    const firstByNumber = new Map();
+    for (const row of rows) {
+        const number = row.normalized_number || normalizePhoneNumber(row.cleanContactNumber);
+        if (!number) continue;
+        if (firstByNumber.has(number)) {
+            links.push({ rowIds: [firstByNumber.get(number), row.rowid], field: 'normalized_number', score: 1 });
+        } else {
+            firstByNumber.set(number, row.rowid);
+        }
+    }
+    if (!fuzzy) return links;
+
+    const byGroup = new Map();
+    for (const row of rows) {
+        const group = simplifyName(row.group);
+        if (!group) continue;
+        if (!byGroup.has(group)) byGroup.set(group, []);
+        byGroup.get(group).push(row);
+    }
+    for (const groupRows of byGroup.values()) {
+        for (let i = 0; i < groupRows.length; i += 1) {
+            for (let j = i + 1; j < groupRows.length; j += 1) {
+                for (const field of FUZZY_FIELDS) {
+                    const score = similarity(simplifyName(groupRows[i][field]), simplifyName(groupRows[j][field]));
+                    if (score >= FUZZY_THRESHOLD) {
+                        links.push({ rowIds: [groupRows[i].rowid, groupRows[j].rowid], field, score });
+                        break;
+                    }
+                }
+            }
+        }
+    }
+    return links;
+}
+
+function clusterRows(rows, links) {
+    const parent = new Map(rows.map((row) => [row.rowid, row.rowid]));
+    const find = (id) => {
+        while (parent.get(id) !== id) {
+            parent.set(id, parent.get(parent.get(id)));
+            id = parent.get(id);
+        }
+        return id;
+    };
+    for (const { rowIds: [a, b] } of links) {
+        const rootA = find(a);
+        const rootB = find(b);
+        if (rootA !== rootB) parent.set(rootB, rootA);
+    }
+    const clusters = new Map();
+    for (const row of rows) {
+        const root = find(row.rowid);
+        if (!clusters.has(root)) clusters.set(root, { rows: [], links: [] });
+        clusters.get(root).rows.push(row);
+    }
+    for (const link of links) {
+        clusters.get(find(link.rowIds[0])).links.push(link);
+    }
+    return [...clusters.values()].filter((cluster) => cluster.rows.length > 1);
+}
+
+async function loadAllContacts(db) {
+    return dbAll(db, `SELECT rowid, * FROM "${TABLE_NAME}" ORDER BY rowid`);
+}
+
+export async function buildDedupePlan(db, { fuzzy = false } = {}) {
+    const rows = await loadAllContacts(db);
+    const groups = clusterRows(rows, findLinks(rows, { fuzzy })).map((cluster) => {
+        const canonical = pickCanonical(cluster.rows);
+        const merged = mergeRows(cluster.rows, canonical);
+        const changes = {};
+        for (const [field, value] of Object.entries(merged)) {
+            if ((canonical[field] ?? null) !== value) {
+                changes[field] = { from: canonical[field] ?? null, to: value };
+            }
+        }
+        const rowIds = cluster.rows.map((row) => row.rowid);
+        return {
+            key: rowIds.join('-'),
+            match: cluster.links.some((link) => link.field !== 'normalized_number') ? 'fuzzy' : 'number',
+            canonicalRowId: canonical.rowid,
+            rowIds,
+            links: cluster.links,
+            rows: cluster.rows,
+            merged,
+            changes,
+        };
+    });
+    return {
+        fuzzy,
+        groups,
+        summary: {
+            groups: groups.length,
+            rowsRemoved: groups.reduce((total, group) => total + group.rowIds.length - 1, 0),
+        },
+    };
+}
+
+function serializeRun(row) {
+    return {
+        id: row.id,
+        fuzzy: Boolean(row.fuzzy),
+        groupCount: row.group_count,
+        removedCount: row.removed_count,
+        createdAt: row.created_at,
+        undoneAt: row.undone_at,
+    };
+}
+
+// Moves everything a removed row owns onto the canonical one. Returns what moved and what was dropped per table,
+// which the archive keeps so an undo can hand it back.
+async function moveContactRecords(db, fromRowId, toRowId) {
+    const moved = {};
+    const dropped = {};
+    for (const { table, key } of CONTACT_TABLES) {
+        const rows = await dbAll(db, `SELECT * FROM "${table}" WHERE contact_rowid = ?`, [fromRowId]);
+        if (rows.length === 0) continue;
+        await dbRun(
+            db,
+            `UPDATE OR IGNORE "${table}" SET contact_rowid = ? WHERE contact_rowid = ?`,
+            [toRowId, fromRowId]
+        );
+        const left = await dbAll(db, `SELECT * FROM "${table}" WHERE contact_rowid = ?`, [fromRowId]);
+        if (left.length > 0) {
+            await dbRun(db, `DELETE FROM "${table}" WHERE contact_rowid = ?`, [fromRowId]);
+            dropped[table] = left;
+        }
+        const leftKeys = new Set(left.map((row) => row[key]));
+        const movedKeys = rows.map((row) => row[key]).filter((value) => !leftKeys.has(value));
+        if (movedKeys.length > 0) moved[table] = movedKeys;
+    }
+    return { moved, dropped };
+}
+
+// Undoes moveContactRecords; rows deleted or rekeyed in the meantime are skipped.
+async function restoreContactRecords(db, rowId, canonicalRowId, { moved = {}, dropped = {} }) {
+    for (const { table, key } of CONTACT_TABLES) {
+        const keys = moved[table] || [];
+        if (keys.length > 0) {
+            // A row keyed by the contact itself (a follow-up sequence) moved under the canonical rowid.
+            const movedKeys = key === 'contact_rowid' ? [canonicalRowId] : keys;
+            await dbRun(
+                db,
+                `UPDATE OR IGNORE "${table}" SET contact_rowid = ?
+                 WHERE contact_rowid = ? AND "${key}" IN (${movedKeys.map(() => '?').join(', ')})`,
+                [rowId, canonicalRowId, ...movedKeys]
+            );
+        }
+        for (const row of dropped[table] || []) {
+            const fields = Object.keys(row);
+            await dbRun(
+                db,
+                `INSERT OR IGNORE INTO "${table}" (${fields.map((field) => `"${field}"`).join(', ')})
+                 VALUES (${fields.map(() => '?').join(', ')})`,
+                fields.map((field) => row[field])
+            );
+        }
+    }
+}
+
+// `keys` restricts the merge to groups picked from a preview; groups that changed since are reported as stale.
+// Removed rows go to the archive as-is; their follow-ups, queued messages, drafts and history move to the canonical
+// row, and the archive notes what moved so undo can move it back.
+export async function applyDedupe(db, { fuzzy = false, keys = null } = {}) {
+    const plan = await buildDedupePlan(db, { fuzzy });
+    const selected = keys ? plan.groups.filter((group) => keys.includes(group.key)) : plan.groups;
+    const stale = keys ? keys.filter((key) => !selected.some((group) => group.key === key)) : [];
+    if (selected.length === 0) {
+        return { run: null, groups: [], stale };
+    }
+
+    const removedCount = selected.reduce((total, group) => total + group.rowIds.length - 1, 0);
+    const now = Date.now();
+    let runId;
+    await dbRun(db, 'BEGIN TRANSACTION');
+    try {
+        const result = await dbRun(
+            db,
+            `INSERT INTO "${RUNS_TABLE}" (fuzzy, group_count, removed_count, created_at) VALUES (?, ?, ?, ?)`,
+            [fuzzy ? 1 : 0, selected.length, removedCount, now]
+        );
+        runId = result.lastID;
+        const tagsByRowId = await loadContactTags(db, selected.flatMap((group) => group.rowIds));
+        for (const group of selected) {
+            for (const row of group.rows) {
+                const isCanonical = row.rowid === group.canonicalRowId;
+                // Tag links live outside the contacts table, so they ride along in the archive under `tagIds`.
+                const tagIds = tagsByRowId.get(row.rowid).map((tag) => tag.id);
+                let records = null;
+                if (!isCanonical) {
+                    await dbRun(db, `DELETE FROM "${TABLE_NAME}" WHERE rowid = ?`, [row.rowid]);
+                    await moveContactTags(db, row.rowid, group.canonicalRowId);
+                    await resolveContactHandoffs(db, row.rowid, HANDOFF_RESOLUTION.CONTACT_REMOVED);
+                    records = await moveContactRecords(db, row.rowid, group.canonicalRowId);
+                    if (row.last_activity_at) {
+                        await dbRun(
+                            db,
+                            `UPDATE "${TABLE_NAME}" SET last_activity_at = MAX(COALESCE(last_activity_at, 0), ?)
+                             WHERE rowid = ?`,
+                            [row.last_activity_at, group.canonicalRowId]
+                        );
+                    }
+                }
+                await dbRun(
+                    db,
+                    `INSERT INTO "${ARCHIVE_TABLE}" (run_id, canonical_rowid, contact_rowid, role, row_json)
+                     VALUES (?, ?, ?, ?, ?)`,
+                    [
+                        runId,
+                        group.canonicalRowId,
+                        row.rowid,
+                        isCanonical ? ARCHIVE_ROLE.CANONICAL : ARCHIVE_ROLE.REMOVED,
+                        JSON.stringify(
+                            isCanonical ? { ...row, tagIds, merged: group.merged } : { ...row, tagIds, records }
+                        ),
+                    ]
+                );
+            }
+            const fields = Object.keys(group.merged);
+            await dbRun(
+                db,
+                `UPDATE "${TABLE_NAME}" SET ${fields.map((field) => `"${field}" = ?`).join(', ')} WHERE rowid = ?`,
+                [...fields.map((field) => group.merged[field]), group.canonicalRowId]
+            );
+            const canonical = group.rows.find((row) => row.rowid === group.canonicalRowId);
+            await recordStatusChange(db, group.canonicalRowId, {
+                from: canonical.conversation_started,
+                to: group.merged.conversation_started,
+                fromPauseReason: canonical.pause_reason,
+                pauseReason: group.merged.pause_reason,
+                source: STATUS_SOURCE.DEDUPE,
+                detail: `Dedupe run ${runId}`,
+            });
+        }
+        await dbRun(db, 'COMMIT');
+    } catch (err) {
+        await dbRun(db, 'ROLLBACK');
+        throw err;
+    }
+    invalidateContactLookup();
+
+    const run = await dbGet(db, `SELECT * FROM "${RUNS_TABLE}" WHERE id = ?`, [runId]);
+    return { run: serializeRun(run), groups: selected, stale };
+}
+
+export async function listDedupeRuns(db, { limit = 20 } = {}) {
+    const rows = await dbAll(db, `SELECT * FROM "${RUNS_TABLE}" ORDER BY id DESC LIMIT ?`, [limit]);
+    return rows.map(serializeRun);
+}
+
+// Puts back the canonical row's pre-merge values, but only for fields that still hold what the merge wrote: edits,
+// status and stage changes made since are kept. Runs archived without `merged` restore every field a merge sets.
+// A canonical row deleted after the merge comes back as archived; `before` is null then.
+async function restoreCanonicalRow(db, rowId, row, columns) {
+    const before = await dbGet(db, `SELECT rowid, * FROM "${TABLE_NAME}" WHERE rowid = ?`, [rowId]);
+    if (!before) {
+        const fields = Object.keys(row).filter((field) => columns.has(field));
+        await dbRun(
+            db,
+            `INSERT INTO "${TABLE_NAME}" (rowid, ${fields.map((field) => `"${field}"`).join(', ')})
+             VALUES (?, ${fields.map(() => '?').join(', ')})`,
+            [rowId, ...fields.map((field) => row[field])]
+        );
+        return { before: null, after: row };
+    }
+    const merged = row.merged || null;
+    const fields = (merged ? Object.keys(merged) : [...MERGE_FIELDS, ...STATUS_FIELDS])
+        .filter((field) => columns.has(field))
+        .filter((field) => !merged || (
+            (before[field] ?? null) === (merged[field] ?? null) && (merged[field] ?? null) !== (row[field] ?? null)
+        ));
+    if (fields.length > 0) {
+        await dbRun(
+            db,
+            `UPDATE "${TABLE_NAME}" SET ${fields.map((field) => `"${field}" = ?`).join(', ')} WHERE rowid = ?`,
+            [...fields.map((field) => row[field] ?? null), rowId]
+        );
+    }
+    const after = { ...before };
+    for (const field of fields) {
+        after[field] = row[field] ?? null;
+    }
+    return { before, after };
+}
+
+// Restores every archived row of a run with its original rowid, and the canonical row's pre-merge values.
+export async function undoDedupeRun(db, runId) {
+    const run = await dbGet(db, `SELECT * FROM "${RUNS_TABLE}" WHERE id = ?`, [runId]);
+    if (!run) {
+        return null;
+    }
+    if (run.undone_at) {
+        throw dedupeError(409, `Dedupe run ${runId} was already undone.`);
+    }
+    const archived = await dbAll(db, `SELECT * FROM "${ARCHIVE_TABLE}" WHERE run_id = ?`, [runId]);
+    const removedIds = archived
+        .filter((entry) => entry.role === ARCHIVE_ROLE.REMOVED)
+        .map((entry) => entry.contact_rowid);
+    const taken = removedIds.length > 0
+        ? await dbAll(
+            db,
+            `SELECT rowid FROM "${TABLE_NAME}" WHERE rowid IN (${removedIds.map(() => '?').join(', ')})`,
+            removedIds
+        )
+        : [];
+    if (taken.length > 0) {
+        throw dedupeError(409, 'Some merged rows have been reused by new contacts; the run cannot be undone.', {
+            rowIds: taken.map((row) => row.rowid),
+        });
+    }
+
+    const columns = new Set(
+        (await dbAll(db, `PRAGMA table_info("${TABLE_NAME}")`)).map((column) => column.name)
+    );
+    await dbRun(db, 'BEGIN TRANSACTION');
+    try {
+        for (const entry of archived) {
+            const row = JSON.parse(entry.row_json);
+            if (entry.role === ARCHIVE_ROLE.CANONICAL) {
+                const { before, after } = await restoreCanonicalRow(db, entry.contact_rowid, row, columns);
+                if (before) {
+                    await recordStatusChange(db, entry.contact_rowid, {
+                        from: before.conversation_started,
+                        to: after.conversation_started,
+                        fromPauseReason: before.pause_reason,
+                        pauseReason: after.pause_reason,
+                        source: STATUS_SOURCE.DEDUPE_UNDO,
+                        detail: `Dedupe run ${runId}`,
+                    });
+                }
+                continue;
+            }
+            const fields = Object.keys(row).filter((field) => columns.has(field));
+            await dbRun(
+                db,
+                `INSERT INTO "${TABLE_NAME}" (rowid, ${fields.map((field) => `"${field}"`).join(', ')})
+                 VALUES (?, ${fields.map(() => '?').join(', ')})`,
+                [entry.contact_rowid, ...fields.map((field) => row[field])]
+            );
+            // The surviving contact keeps the tags it gained; merged-away rows get theirs back.
+            if (Array.isArray(row.tagIds)) {
+                await restoreContactTags(db, entry.contact_rowid, row.tagIds);
+            }
+            if (row.records) {
+                await restoreContactRecords(db, entry.contact_rowid, entry.canonical_rowid, row.records);
+            }
+        }
+        await dbRun(db, `UPDATE "${RUNS_TABLE}" SET undone_at = ? WHERE id = ?`, [Date.now(), runId]);
+        await dbRun(db, 'COMMIT');
+    } catch (err) {
+        await dbRun(db, 'ROLLBACK');
+        throw err;
+    }
+    invalidateContactLookup();
+
+    const updated = await dbGet(db, `SELECT * FROM "${RUNS_TABLE}" WHERE id = ?`, [runId]);
+    return { run: serializeRun(updated), restored: removedIds.length };
+}
@@ -0,0 +1,86 @@
+import { dbAll, dbGet, dbRun } from './db.js';
+import { TABLE_NAME } from './config.js';
+import { chatIdToPhoneNumber } from './phone.js';
+
+const DNC_TABLE = 'do_not_contact';
+const ENTRY_SELECT = `SELECT d.*, c.contactName AS contact_name
+    FROM "${DNC_TABLE}" d
+    LEFT JOIN "${TABLE_NAME}" c ON c.rowid = d.contact_rowid`;
+
+export const OPT_OUT_SOURCE = {
+    KEYWORD: 'keyword',
+    LLM: 'llm',
+    MANUAL: 'manual',
+};
+// Outbound source of the confirmation, the one message the worker still delivers to an opted-out number.
+export const OPT_OUT_CONFIRMATION_SOURCE = 'opt_out_confirmation';
+
+// A bare keyword must be the whole message, so "stop by the office tomorrow" is not an opt-out. "Don't call me" is
+// left to the LLM's opt_out action, since it usually means "text me instead".
+const OPT_OUT_PATTERNS = [
+    /^\s*(stop|unsubscribe|opt[\s-]?out|remove me|no more messages)\s*[.!]*\s*$/i,
+    /\b(don'?t|do not|stop|never)\s+(message|messaging|text|texting|contact|contacting|send(ing)?)\s+(me|us|this number)\b/i,
+    /\b(remove|delete|take)\s+(me|my number|this number)\s+(from|off)\b/i,
+];
+
+export function detectOptOut(text) {
+    const value = String(text || '');
+    return OPT_OUT_PATTERNS.some((pattern) => pattern.test(value));
+}
+
+function serializeEntry(row) {
+    return {
+        phoneNumber: row.phone_number,
+        source: row.source,
+        reason: row.reason,
+        contactRowId: row.contact_rowid,
+        contactName: row.contact_name ?? null,
+        createdAt: row.created_at,
+    };
+}
+
+export async function isDoNotContact(db, phoneNumber) {
+    if (!phoneNumber) return false;
+    return Boolean(await dbGet(db, `SELECT 1 FROM "${DNC_TABLE}" WHERE phone_number = ?`, [phoneNumber]));
+}
+
+// Outbound items address a chat id, which for @lid chats carries no number, so the contact's number is checked too.
+export async function isDoNotContactTarget(db, { chatId = null, contactRowId = null }) {
+    const chatNumber = chatId && !String(chatId).endsWith('@lid') ? chatIdToPhoneNumber(chatId) : null;
+    const row = await dbGet(
+        db,
+        `SELECT 1 FROM "${DNC_TABLE}"
+         WHERE phone_number = ?
+            OR phone_number = (SELECT normalized_number FROM "${TABLE_NAME}" WHERE rowid = ?)`,
+        [chatNumber, contactRowId]
+    );
+    return Boolean(row);
+}
+
+export async function loadDoNotContactNumbers(db) {
+    const rows = await dbAll(db, `SELECT phone_number FROM "${DNC_TABLE}"`);
+    return new Set(rows.map((row) => row.phone_number));
+}
+
+// `created` is false when the number was already listed, so callers confirm an opt-out only once.
+export async function addDoNotContact(db, { phoneNumber, source, reason = null, contactRowId = null }) {
+    const result = await dbRun(
+        db,
+        `INSERT INTO "${DNC_TABLE}" (phone_number, source, reason, contact_rowid, created_at)
+         VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT(phone_number) DO NOTHING`,
+        [phoneNumber, source, reason, contactRowId, Date.now()]
+    );
+    const row = await dbGet(db, `${ENTRY_SELECT} WHERE d.phone_number = ?`, [phoneNumber]);
+    return { entry: serializeEntry(row), created: result.changes > 0 };
+}
+
+export async function removeDoNotContact(db, phoneNumber) {
+    const result = await dbRun(db, `DELETE FROM "${DNC_TABLE}" WHERE phone_number = ?`, [phoneNumber]);
+    return result.changes > 0;
+}
+
+export async function listDoNotContact(db) {
+    const rows = await dbAll(db, `${ENTRY_SELECT} ORDER BY d.created_at DESC`);
+    return rows.map(serializeEntry);
+}
@@ -0,0 +1,212 @@
+import { dbAll, dbGet, dbRun, openDatabase, closeDatabase } from './db.js';
+import { FOLLOWUP_POLL_MS, TABLE_NAME } from './config.js';
+import { loadPropertyProfile } from './properties.js';
+import { buildTemplateVariables, renderTemplate } from './messageTemplate.js';
+import { enqueueText } from './outboundQueue.js';
+import { isActiveStatus } from './contactStatus.js';
+import { fetchChatMessages, isClientReady } from './whatsappClient.js';
+
+const FOLLOWUPS_TABLE = 'contact_followups';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const FOLLOWUP_STATUS = {
+    SCHEDULED: 'scheduled',
+    STOPPED: 'stopped',
+    COMPLETED: 'completed',
+};
+
+let pollTimer = null;
+let ticking = false;
+
+export function getFollowupSequence(propertyContext) {
+    const sequence = propertyContext?.messages?.sequence;
+    return Array.isArray(sequence) ? sequence : [];
+}
+
+// Step delays are counted from the initial message, so "day 2, day 5, day 10" reads naturally.
+function nextRunAt(startedAt, sequence, step) {
+    const entry = sequence[step];
+    if (!entry) return null;
+    return startedAt + Number(entry.after_days) * DAY_MS;
+}
+
+export async function scheduleFollowups(db, { rowId, chatId, sequence, startedAt = Date.now() }) {
+    if (sequence.length === 0) {
+        await dbRun(db, `DELETE FROM "${FOLLOWUPS_TABLE}" WHERE contact_rowid = ?`, [rowId]);
+        return null;
+    }
+    const runAt = nextRunAt(startedAt, sequence, 0);
+    await dbRun(
+        db,
+        `INSERT INTO "${FOLLOWUPS_TABLE}" (contact_rowid, chat_id, started_at, step, next_run_at, status, stop_reason, last_sent_at, updated_at)
+         VALUES (?, ?, ?, 0, ?, ?, NULL, NULL, ?)
+         ON CONFLICT(contact_rowid) DO UPDATE SET
+            chat_id = excluded.chat_id,
+            started_at = excluded.started_at,
+            step = 0,
+            next_run_at = excluded.next_run_at,
+            status = excluded.status,
+            stop_reason = NULL,
+            last_sent_at = NULL,
+            updated_at = excluded.updated_at`,
+        [rowId, chatId, startedAt, runAt, FOLLOWUP_STATUS.SCHEDULED, Date.now()]
+    );
+    return runAt;
+}
+
+export async function stopFollowups(db, rowId, reason) {
+    const result = await dbRun(
+        db,
+        `UPDATE "${FOLLOWUPS_TABLE}"
+         SET status = ?, stop_reason = ?, next_run_at = NULL, updated_at = ?
+         WHERE contact_rowid = ? AND status = ?`,
+        [FOLLOWUP_STATUS.STOPPED, reason, Date.now(), rowId, FOLLOWUP_STATUS.SCHEDULED]
+    );
+    return result.changes > 0;
+}
+
+export async function getFollowupState(db, rowId) {
+    const row = await dbGet(
+        db,
+        `SELECT contact_rowid, chat_id, started_at, step, next_run_at, status, stop_reason, last_sent_at, updated_at
+         FROM "${FOLLOWUPS_TABLE}"
+         WHERE contact_rowid = ?`,
+        [rowId]
+    );
+    if (!row) return null;
+    return {
+        step: row.step,
+        status: row.status,
+        stopReason: row.stop_reason || null,
+        startedAt: row.started_at,
+        nextRunAt: row.next_run_at,
+        lastSentAt: row.last_sent_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+async function hasAgentReplied(chatId, since) {
+    const result = await fetchChatMessages(chatId, { limit: 50 });
+    const messages = Array.isArray(result?.messages) ? result.messages : [];
+    return messages.some((message) => !message.fromMe && Number(message.timestamp) * 1000 > since);
+}
+
+async function finishFollowups(db, rowId, status, reason) {
+    await dbRun(
+        db,
+        `UPDATE "${FOLLOWUPS_TABLE}"
+         SET status = ?, stop_reason = ?, next_run_at = NULL, updated_at = ?
+         WHERE contact_rowid = ?`,
+        [status, reason, Date.now(), rowId]
+    );
+}
+
+async function runFollowup(db, followup) {
+    const rowId = followup.contact_rowid;
+    const contact = await dbGet(
+        db,
+        `SELECT rowid, contactName, agentName, "group", conversation_started, property_id
+         FROM "${TABLE_NAME}"
+         WHERE rowid = ?`,
+        [rowId]
+    );
+    if (!contact) {
+        await finishFollowups(db, rowId, FOLLOWUP_STATUS.STOPPED, 'contact_deleted');
+        return;
+    }
+    if (!isActiveStatus(contact.conversation_started)) {
+        await finishFollowups(db, rowId, FOLLOWUP_STATUS.STOPPED, `status_${contact.conversation_started || 'unknown'}`);
+        return;
+    }
+
+    if (await hasAgentReplied(followup.chat_id, followup.started_at)) {
+        await finishFollowups(db, rowId, FOLLOWUP_STATUS.STOPPED, 'replied');
+        console.log(`[followups] Contact ${rowId} replied; sequence stopped.`);
+        return;
+    }
+
+    const property = await loadPropertyProfile(db, contact.property_id);
+    const sequence = getFollowupSequence(property.propertyContext);
+    const entry = sequence[followup.step];
+    if (!entry) {
+        await finishFollowups(db, rowId, FOLLOWUP_STATUS.COMPLETED, null);
+        return;
+    }
+
+    const variables = buildTemplateVariables({ contact, propertyContext: property.propertyContext });
+    const { text, missing } = renderTemplate(entry.message, variables);
+    if (missing.length > 0) {
+        console.warn(`[followups] Contact ${rowId} step ${followup.step} has unresolved variables: ${missing.join(', ')}`);
+        await finishFollowups(db, rowId, FOLLOWUP_STATUS.STOPPED, 'unresolved_variables');
+        return;
+    }
+
+    await enqueueText(db, followup.chat_id, text, {
+        idempotencyKey: `followup:${rowId}:${followup.started_at}:${followup.step}`,
+        contactRowId: rowId,
+        source: 'followup',
+    });
+    const nextStep = followup.step + 1;
+    const runAt = nextRunAt(followup.started_at, sequence, nextStep);
+    const now = Date.now();
+    await dbRun(
+        db,
+        `UPDATE "${FOLLOWUPS_TABLE}"
+         SET step = ?, next_run_at = ?, status = ?, last_sent_at = ?, updated_at = ?
+         WHERE contact_rowid = ?`,
+        [
+            nextStep,
+            runAt,
+            runAt ? FOLLOWUP_STATUS.SCHEDULED : FOLLOWUP_STATUS.COMPLETED,
+            now,
+            now,
+            rowId,
+        ]
+    );
+    console.log(`[followups] Queued step ${nextStep}/${sequence.length} for contact ${rowId}.`);
+}
+
+async function tick() {
+    if (ticking || !isClientReady()) {
+        return;
+    }
+    ticking = true;
+    const db = openDatabase();
+    try {
+        const due = await dbAll(
+            db,
+            `SELECT contact_rowid, chat_id, started_at, step
+             FROM "${FOLLOWUPS_TABLE}"
+             WHERE status = ? AND next_run_at <= ?
+             ORDER BY next_run_at`,
+            [FOLLOWUP_STATUS.SCHEDULED, Date.now()]
+        );
+        for (const followup of due) {
+            if (!isClientReady()) break;
+            try {
+                await runFollowup(db, followup);
+            } catch (err) {
+                // Leave the step scheduled so the next poll retries it.
+                console.error(`[followups] Failed to process contact ${followup.contact_rowid}:`, err);
+            }
+        }
+    } catch (err) {
+        console.error('[followups] Scheduler tick failed:', err);
+    } finally {
+        ticking = false;
+        try {
+            await closeDatabase(db);
+        } catch (err) {
+            console.error('Failed to close database:', err);
+        }
+    }
+}
+
+export function startFollowupScheduler() {
+    if (pollTimer || FOLLOWUP_POLL_MS <= 0) {
+        return;
+    }
+    pollTimer = setInterval(() => {
+        void tick();
+    }, FOLLOWUP_POLL_MS);
+}
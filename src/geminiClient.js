@@ -68,6 +68,8 @@ function buildPrompt(propertyContext, message, conversationHistory, contactInfo,
         'If an outline is provided, follow it and craft a helpful response aligned with the outline.',
         'If an outline is not provided and the user gives a simple acknowledgement or confirmation with no new question, you may respond with:',
         '{"action":"ack","ack":"seen"} or {"action":"ack","ack":"thumbs_up"}',
+        'If the user asks not to be messaged or contacted again, or to be removed from the list, respond with:',
+        '{"action":"opt_out","reply":"","media":"none"}',
         'If the user asks for information not present in the context, or the question is unclear, respond with:',
         '{"action":"pause","reply":"","media":"none"}',
         'If the user asks for property pictures, and pictures have not been provided previously, agree and then respond with:',
@@ -149,7 +151,7 @@ export async function generateGeminiResponse({ propertyContext, message, convers
     const reply = typeof parsed.reply === 'string' ? parsed.reply : '';
     const media = typeof parsed.media === 'string' ? parsed.media.toLowerCase() : 'none';
     const ack = typeof parsed.ack === 'string' ? parsed.ack.toLowerCase() : 'seen';
-    if (!['reply', 'pause', 'ack'].includes(action)) {
+    if (!['reply', 'pause', 'ack', 'opt_out'].includes(action)) {
         return { action: 'pause', reply: '', reason: 'invalid_action' };
     }
     if (!['include', 'none'].includes(media)) {
@@ -0,0 +1,265 @@
+import { dbAll, dbGet, dbRun, openDatabase, closeDatabase } from './db.js';
+import {
+    HANDOFF_NOTIFY_NUMBER,
+    HANDOFF_PAUSE_REASONS,
+    HANDOFF_WEBHOOK_URL,
+    STATUS,
+    TABLE_NAME
+} from './config.js';
+import { normalizePhoneNumber, phoneNumberToChatId } from './phone.js';
+import { enqueueText } from './outboundQueue.js';
+import { getOwnChatId } from './whatsappClient.js';
+import { getSetting, setSetting } from './settings.js';
+
+const HANDOFFS_TABLE = 'handoffs';
+const NOTIFICATIONS_SETTING = 'handoff_notifications';
+const WEBHOOK_TIMEOUT_MS = 10000;
+const HANDOFF_SELECT = `SELECT h.*, c.contactName AS contact_name, c.cleanContactNumber AS contact_number,
+        c.conversation_started AS contact_status
+    FROM "${HANDOFFS_TABLE}" h
+    LEFT JOIN "${TABLE_NAME}" c ON c.rowid = h.contact_rowid`;
+
+export const HANDOFF_RESOLUTION = {
+    // The contact left the pause, e.g. resumed from the UI or opted out.
+    STATUS_CHANGED: 'status_changed',
+    // An operator took care of it and left the contact paused.
+    HANDLED: 'handled',
+    // The contact was deleted or merged into another one.
+    CONTACT_REMOVED: 'contact_removed',
+};
+// Outbound source of the WhatsApp notice to the operator.
+export const HANDOFF_NOTICE_SOURCE = 'handoff_notice';
+
+function handoffError(status, message, details = {}) {
+    const err = new Error(message);
+    err.status = status;
+    err.details = details;
+    return err;
+}
+
+function serializeHandoff(row) {
+    return {
+        id: row.id,
+        contactRowId: row.contact_rowid,
+        contactName: row.contact_name ?? null,
+        contactNumber: row.contact_number ?? null,
+        contactStatus: row.contact_status ?? null,
+        chatId: row.chat_id,
+        pauseReason: row.pause_reason,
+        reason: row.reason,
+        message: row.message,
+        source: row.source,
+        createdAt: row.created_at,
+        resolvedAt: row.resolved_at,
+        resolution: row.resolution,
+        notifiedAt: row.notified_at,
+        notifyError: row.notify_error,
+    };
+}
+
+export function isHandoffPause(status, pauseReason) {
+    return status === STATUS.PAUSED && HANDOFF_PAUSE_REASONS.includes(pauseReason);
+}
+
+export async function getHandoff(db, id) {
+    const row = await dbGet(db, `${HANDOFF_SELECT} WHERE h.id = ?`, [id]);
+    return row ? serializeHandoff(row) : null;
+}
+
+// Open handoffs come oldest first, so whoever has waited longest is at the top of the queue.
+export async function listHandoffs(db, { open = true, contactRowId = null, limit = 100 } = {}) {
+    const clauses = [open ? 'h.resolved_at IS NULL' : 'h.resolved_at IS NOT NULL'];
+    const params = [];
+    if (contactRowId) {
+        clauses.push('h.contact_rowid = ?');
+        params.push(contactRowId);
+    }
+    const rows = await dbAll(
+        db,
+        `${HANDOFF_SELECT} WHERE ${clauses.join(' AND ')}
+         ORDER BY ${open ? 'h.created_at ASC' : 'h.resolved_at DESC'}, h.id ASC
+         LIMIT ?`,
+        [...params, limit]
+    );
+    return rows.map(serializeHandoff);
+}
+
+export async function countOpenHandoffs(db) {
+    const row = await dbGet(db, `SELECT COUNT(*) AS total FROM "${HANDOFFS_TABLE}" WHERE resolved_at IS NULL`);
+    return row.total;
+}
+
+// A contact has at most one open handoff; a second pause before anyone picked it up keeps the original wait time.
+export async function openHandoff(db, { contactRowId, chatId = null, pauseReason, reason = null, message = null, source }) {
+    const existing = await dbGet(
+        db,
+        `SELECT id FROM "${HANDOFFS_TABLE}" WHERE contact_rowid = ? AND resolved_at IS NULL`,
+        [contactRowId]
+    );
+    if (existing) {
+        return { handoff: await getHandoff(db, existing.id), created: false };
+    }
+    const inserted = await dbRun(
+        db,
+        `INSERT INTO "${HANDOFFS_TABLE}" (contact_rowid, chat_id, pause_reason, reason, message, source, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+            contactRowId,
+            chatId,
+            pauseReason,
+            reason === null ? null : String(reason),
+            message === null ? null : String(message),
+            source,
+            Date.now(),
+        ]
+    );
+    const handoff = await getHandoff(db, inserted.lastID);
+    // Notifications use their own connection, so a slow webhook never holds up the caller.
+    void notifyHandoff(handoff);
+    return { handoff, created: true };
+}
+
+export async function resolveContactHandoffs(db, rowId, resolution = HANDOFF_RESOLUTION.STATUS_CHANGED) {
+    const result = await dbRun(
+        db,
+        `UPDATE "${HANDOFFS_TABLE}" SET resolved_at = ?, resolution = ? WHERE contact_rowid = ? AND resolved_at IS NULL`,
+        [Date.now(), resolution, rowId]
+    );
+    return result.changes;
+}
+
+export async function resolveHandoff(db, id) {
+    const handoff = await getHandoff(db, id);
+    if (!handoff) {
+        return null;
+    }
+    if (handoff.resolvedAt) {
+        throw handoffError(409, `Handoff ${id} is already resolved.`, { handoff });
+    }
+    await dbRun(
+        db,
+        `UPDATE "${HANDOFFS_TABLE}" SET resolved_at = ?, resolution = ? WHERE id = ?`,
+        [Date.now(), HANDOFF_RESOLUTION.HANDLED, id]
+    );
+    return getHandoff(db, id);
+}
+
+const DEFAULT_NOTIFICATIONS = {
+    browser: true,
+    webhookUrl: HANDOFF_WEBHOOK_URL,
+    whatsapp: Boolean(HANDOFF_NOTIFY_NUMBER),
+    whatsappNumber: normalizePhoneNumber(HANDOFF_NOTIFY_NUMBER) || '',
+};
+
+export async function getNotificationSettings(db) {
+    const stored = await getSetting(db, NOTIFICATIONS_SETTING, null);
+    return { ...DEFAULT_NOTIFICATIONS, ...(stored ? JSON.parse(stored) : {}) };
+}
+
+// Only the fields present in `payload` change.
+export async function updateNotificationSettings(db, payload = {}) {
+    const next = await getNotificationSettings(db);
+    for (const field of ['browser', 'whatsapp']) {
+        if (payload[field] === undefined) continue;
+        if (typeof payload[field] !== 'boolean') {
+            throw handoffError(400, `${field} must be true or false.`);
+        }
+        next[field] = payload[field];
+    }
+    if (payload.webhookUrl !== undefined) {
+        if (payload.webhookUrl !== null && typeof payload.webhookUrl !== 'string') {
+            throw handoffError(400, 'webhookUrl must be text.');
+        }
+        const url = (payload.webhookUrl || '').trim();
+        if (url) {
+            let parsed = null;
+            try {
+                parsed = new URL(url);
+            } catch {
+                parsed = null;
+            }
+            if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+                throw handoffError(400, 'webhookUrl must be an http or https URL.');
+            }
+        }
+        next.webhookUrl = url;
+    }
+    if (payload.whatsappNumber !== undefined) {
+        if (payload.whatsappNumber !== null && typeof payload.whatsappNumber !== 'string') {
+            throw handoffError(400, 'whatsappNumber must be text.');
+        }
+        const raw = (payload.whatsappNumber || '').trim();
+        if (raw && !normalizePhoneNumber(raw)) {
+            throw handoffError(400, `Invalid phone number "${raw}".`);
+        }
+        next.whatsappNumber = raw ? normalizePhoneNumber(raw) : '';
+    }
+    await setSetting(db, NOTIFICATIONS_SETTING, JSON.stringify(next));
+    return next;
+}
+
+function describeHandoff(handoff) {
+    const who = [handoff.contactName, handoff.contactNumber].filter(Boolean).join(' ') || `Contact ${handoff.contactRowId}`;
+    const why = [handoff.pauseReason.replace(/_/g, ' '), handoff.reason].filter(Boolean).join(': ');
+    const lines = [`Needs attention: ${who}`, why];
+    if (handoff.message) {
+        lines.push(`Last message: "${handoff.message.slice(0, 300)}"`);
+    }
+    return lines.join('\n');
+}
+
+async function postWebhook(url, handoff) {
+    const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ event: 'handoff', text: describeHandoff(handoff), handoff }),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+    if (!res.ok) {
+        throw new Error(`Webhook answered ${res.status}.`);
+    }
+}
+
+// Browser notifications are raised by the UI from the open queue; the webhook and the WhatsApp notice go out here.
+// Failures are kept on the handoff so the queue can show that nobody was told.
+async function notifyHandoff(handoff) {
+    const db = openDatabase();
+    try {
+        const settings = await getNotificationSettings(db);
+        const errors = [];
+        if (settings.webhookUrl) {
+            try {
+                await postWebhook(settings.webhookUrl, handoff);
+            } catch (err) {
+                errors.push(`webhook: ${err.message}`);
+            }
+        }
+        if (settings.whatsapp) {
+            const chatId = settings.whatsappNumber ? phoneNumberToChatId(settings.whatsappNumber) : getOwnChatId();
+            if (chatId) {
+                await enqueueText(db, chatId, describeHandoff(handoff), {
+                    idempotencyKey: `${HANDOFF_NOTICE_SOURCE}:${handoff.id}`,
+                    source: HANDOFF_NOTICE_SOURCE,
+                });
+            } else {
+                errors.push('whatsapp: no number set and the client is not ready.');
+            }
+        }
+        await dbRun(
+            db,
+            `UPDATE "${HANDOFFS_TABLE}" SET notified_at = ?, notify_error = ? WHERE id = ?`,
+            [Date.now(), errors.length > 0 ? errors.join(' ') : null, handoff.id]
+        );
+        if (errors.length > 0) {
+            console.warn('[handoffs] Notification failed:', errors.join(' '));
+        }
+    } catch (err) {
+        console.error('[handoffs] Failed to notify handoff:', err);
+    } finally {
+        try {
+            await closeDatabase(db);
+        } catch (err) {
+            console.error('Failed to close database:', err);
+        }
+    }
+}
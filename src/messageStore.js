@@ -0,0 +1,179 @@
+import { dbAll, dbRun, openDatabase, closeDatabase } from './db.js';
+import { getChatById } from './whatsappClient.js';
+import { TABLE_NAME } from './config.js';
+import { resolveChatContactRowId } from './contactLookup.js';
+
+const MESSAGES_TABLE = 'messages';
+const REACTIONS_TABLE = 'message_reactions';
+
+function serializedId(id) {
+    if (!id) return null;
+    return typeof id === 'string' ? id : id._serialized || id.id || null;
+}
+
+// Outgoing messages belong to the chat they were sent to, incoming ones to the sender.
+function chatIdOf(message) {
+    return message.fromMe ? message.to : message.from;
+}
+
+// `meta` carries what only the sender knows (LLM action, outbound item); event-only upserts keep it intact.
+export async function recordMessage(db, message, meta = {}) {
+    const id = serializedId(message?.id);
+    const chatId = message ? chatIdOf(message) : null;
+    if (!id || !chatId) {
+        return false;
+    }
+    const timestamp = Number(message.timestamp) || Math.floor(Date.now() / 1000);
+    await dbRun(
+        db,
+        `INSERT INTO "${MESSAGES_TABLE}" (
+            id, chat_id, contact_rowid, from_me, body, type, has_media, timestamp, ack,
+            llm_generated, llm_action, source, outbound_id, recorded_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET
+            body = excluded.body,
+            type = excluded.type,
+            has_media = excluded.has_media,
+            ack = COALESCE(excluded.ack, ack),
+            contact_rowid = COALESCE(excluded.contact_rowid, contact_rowid),
+            llm_generated = MAX(llm_generated, excluded.llm_generated),
+            llm_action = COALESCE(excluded.llm_action, llm_action),
+            source = COALESCE(excluded.source, source),
+            outbound_id = COALESCE(excluded.outbound_id, outbound_id)`,
+        [
+            id,
+            chatId,
+            meta.contactRowId ?? null,
+            message.fromMe ? 1 : 0,
+            typeof message.body === 'string' ? message.body : '',
+            message.type || null,
+            message.hasMedia ? 1 : 0,
+            timestamp,
+            Number.isFinite(message.ack) ? message.ack : null,
+            meta.llmAction ? 1 : 0,
+            meta.llmAction || null,
+            meta.source || null,
+            meta.outboundId ?? null,
+            Date.now(),
+        ]
+    );
+    // Kept on the contact so lists can sort by it without scanning the messages table.
+    if (meta.contactRowId) {
+        await dbRun(
+            db,
+            `UPDATE "${TABLE_NAME}" SET last_activity_at = MAX(COALESCE(last_activity_at, 0), ?) WHERE rowid = ?`,
+            [timestamp * 1000, meta.contactRowId]
+        );
+    }
+    return true;
+}
+
+export async function recordReaction(db, reaction) {
+    const messageId = serializedId(reaction?.msgId);
+    const senderId = reaction?.senderId;
+    if (!messageId || !senderId) {
+        return false;
+    }
+    // WhatsApp reports a removed reaction as an empty one.
+    if (!reaction.reaction) {
+        await dbRun(
+            db,
+            `DELETE FROM "${REACTIONS_TABLE}" WHERE message_id = ? AND sender_id = ?`,
+            [messageId, senderId]
+        );
+        return true;
+    }
+    await dbRun(
+        db,
+        `INSERT INTO "${REACTIONS_TABLE}" (message_id, sender_id, reaction, timestamp)
+         VALUES (?, ?, ?, ?)
+         ON CONFLICT(message_id, sender_id) DO UPDATE SET reaction = excluded.reaction, timestamp = excluded.timestamp`,
+        [messageId, senderId, reaction.reaction, Number(reaction.timestamp) || null]
+    );
+    return true;
+}
+
+export async function logMessageEvent(message) {
+    if (!message || message.isStatus || chatIdOf(message)?.endsWith('@g.us')) {
+        return;
+    }
+    const db = openDatabase();
+    try {
+        await recordMessage(db, message, { contactRowId: await resolveChatContactRowId(chatIdOf(message)) });
+    } catch (err) {
+        console.error('[messages] Failed to record message:', err);
+    } finally {
+        try {
+            await closeDatabase(db);
+        } catch (err) {
+            console.error('Failed to close database:', err);
+        }
+    }
+}
+
+export async function logReactionEvent(reaction) {
+    const db = openDatabase();
+    try {
+        await recordReaction(db, reaction);
+    } catch (err) {
+        console.error('[messages] Failed to record reaction:', err);
+    } finally {
+        try {
+            await closeDatabase(db);
+        } catch (err) {
+            console.error('Failed to close database:', err);
+        }
+    }
+}
+
+export async function backfillChatMessages(db, chatId, { contactRowId = null, limit = 1000 } = {}) {
+    const chat = await getChatById(chatId);
+    if (!chat) {
+        return null;
+    }
+    await chat.syncHistory();
+    const messages = await chat.fetchMessages({ limit });
+    let stored = 0;
+    for (const message of Array.isArray(messages) ? messages : []) {
+        if (await recordMessage(db, message, { contactRowId })) {
+            stored += 1;
+        }
+    }
+    return stored;
+}
+
+// Same shape as fetchChatMessages so callers can switch between live and stored history.
+export async function loadStoredMessages(db, { chatId, contactRowId = null, limit = 250, fromMe = null }) {
+    const clauses = ['(m.chat_id = ? OR m.contact_rowid = ?)'];
+    const params = [chatId, contactRowId];
+    if (fromMe !== null) {
+        clauses.push('m.from_me = ?');
+        params.push(fromMe ? 1 : 0);
+    }
+    const rows = await dbAll(
+        db,
+        `SELECT m.*,
+                (SELECT json_group_array(json_object('sender', r.sender_id, 'reaction', r.reaction))
+                 FROM "${REACTIONS_TABLE}" r WHERE r.message_id = m.id) AS reactions
+         FROM "${MESSAGES_TABLE}" m
+         WHERE ${clauses.join(' AND ')}
+         ORDER BY m.timestamp DESC, m.recorded_at DESC
+         LIMIT ?`,
+        [...params, limit]
+    );
+    return rows.reverse().map((row) => ({
+        id: row.id,
+        body: row.body,
+        from: row.from_me ? null : row.chat_id,
+        to: row.from_me ? row.chat_id : null,
+        fromMe: Boolean(row.from_me),
+        timestamp: row.timestamp,
+        type: row.type,
+        hasMedia: Boolean(row.has_media),
+        ack: row.ack,
+        llmGenerated: Boolean(row.llm_generated),
+        llmAction: row.llm_action,
+        source: row.source,
+        reactions: JSON.parse(row.reactions || '[]'),
+    }));
+}
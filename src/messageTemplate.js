@@ -0,0 +1,194 @@
+// Renders outgoing messages such as "Hi {{contactName | default:"Sir/Madam"}}, the price is {{specs.price_lkr | currency}}".
+// Supported blocks: {{#if path}}...{{else}}...{{/if}} and {{#unless path}}...{{/unless}}.
+// Filters: currency[:CODE], number, upper, lower, default:"fallback".
+
+const TAG_PATTERN = /\{\{\s*([\s\S]*?)\s*\}\}/g;
+const FILTERS = new Set(['currency', 'number', 'upper', 'lower', 'default']);
+
+function tokenize(template) {
+    const tokens = [];
+    let lastIndex = 0;
+    for (const match of template.matchAll(TAG_PATTERN)) {
+        if (match.index > lastIndex) {
+            tokens.push({ type: 'text', value: template.slice(lastIndex, match.index) });
+        }
+        tokens.push({ type: 'tag', value: match[1], raw: match[0] });
+        lastIndex = match.index + match[0].length;
+    }
+    if (lastIndex < template.length) {
+        tokens.push({ type: 'text', value: template.slice(lastIndex) });
+    }
+    return tokens;
+}
+
+// Intl accepts any three letters as a currency, so the code is checked against the ones it knows.
+function isCurrencyCode(code) {
+    const currency = code.toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) return false;
+    return typeof Intl.supportedValuesOf !== 'function' || Intl.supportedValuesOf('currency').includes(currency);
+}
+
+function parseFilters(expression) {
+    const parts = expression.split('|').map((part) => part.trim());
+    const path = parts.shift();
+    const filters = parts.filter(Boolean).map((part) => {
+        const separator = part.indexOf(':');
+        if (separator === -1) {
+            return { name: part, arg: null };
+        }
+        const arg = part.slice(separator + 1).trim().replace(/^"(.*)"$/s, '$1').replace(/^'(.*)'$/s, '$1');
+        return { name: part.slice(0, separator).trim(), arg };
+    });
+    const unknown = filters.find((filter) => !FILTERS.has(filter.name));
+    if (unknown) {
+        throw new Error(`Unknown template filter: ${unknown.name}`);
+    }
+    const currency = filters.find((filter) => filter.name === 'currency' && filter.arg);
+    if (currency && !isCurrencyCode(currency.arg)) {
+        throw new Error(`Unknown currency code: ${currency.arg}`);
+    }
+    return { path, filters };
+}
+
+function branchOf(block) {
+    return block.alternate || block.children;
+}
+
+export function parseTemplate(template) {
+    const root = { children: [], alternate: null };
+    const stack = [root];
+    for (const token of tokenize(String(template ?? ''))) {
+        const current = stack[stack.length - 1];
+        if (token.type === 'text') {
+            branchOf(current).push({ type: 'text', value: token.value });
+            continue;
+        }
+        const tag = token.value;
+        const blockMatch = tag.match(/^#(if|unless)\s+(.+)$/);
+        if (blockMatch) {
+            const block = {
+                type: blockMatch[1],
+                path: blockMatch[2].trim(),
+                children: [],
+                alternate: null,
+            };
+            branchOf(current).push(block);
+            stack.push(block);
+            continue;
+        }
+        if (tag === 'else') {
+            if (stack.length === 1 || current.alternate) {
+                throw new Error('Unexpected {{else}}.');
+            }
+            current.alternate = [];
+            continue;
+        }
+        const closeMatch = tag.match(/^\/(if|unless)$/);
+        if (closeMatch) {
+            if (stack.length === 1 || current.type !== closeMatch[1]) {
+                throw new Error(`Unexpected {{/${closeMatch[1]}}}.`);
+            }
+            stack.pop();
+            continue;
+        }
+        branchOf(current).push({ type: 'variable', raw: token.raw, ...parseFilters(tag) });
+    }
+    if (stack.length > 1) {
+        throw new Error(`Unclosed {{#${stack[stack.length - 1].type}}} block.`);
+    }
+    return root.children;
+}
+
+function resolvePath(variables, path) {
+    return path.split('.').reduce((value, key) => {
+        if (value === null || value === undefined) return undefined;
+        return value[key];
+    }, variables);
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function toNumber(value) {
+    if (typeof value === 'number') return value;
+    const parsed = Number(String(value).replace(/[,\s]/g, ''));
+    return Number.isFinite(parsed) ? parsed : null;
+}
+
+function formatCurrency(value, code) {
+    const amount = toNumber(value);
+    if (amount === null) return String(value);
+    const currency = (code || 'LKR').toUpperCase();
+    if (currency === 'LKR') {
+        return `Rs. ${new Intl.NumberFormat('en-US', { maximumFractionDigits: 0 }).format(amount)}`;
+    }
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+}
+
+function applyFilter(value, filter) {
+    switch (filter.name) {
+        case 'currency':
+            return formatCurrency(value, filter.arg);
+        case 'number': {
+            const amount = toNumber(value);
+            return amount === null ? String(value) : new Intl.NumberFormat('en-US').format(amount);
+        }
+        case 'upper':
+            return String(value).toUpperCase();
+        case 'lower':
+            return String(value).toLowerCase();
+        default:
+            return value;
+    }
+}
+
+function renderNodes(nodes, variables, missing) {
+    let output = '';
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            output += node.value;
+            continue;
+        }
+        if (node.type === 'if' || node.type === 'unless') {
+            const value = resolvePath(variables, node.path);
+            const truthy = !isBlank(value) && value !== false;
+            const show = node.type === 'if' ? truthy : !truthy;
+            const branch = show ? node.children : node.alternate || [];
+            output += renderNodes(branch, variables, missing);
+            continue;
+        }
+        let value = resolvePath(variables, node.path);
+        const fallback = node.filters.find((filter) => filter.name === 'default');
+        if (isBlank(value)) {
+            if (!fallback) {
+                missing.add(node.path);
+                output += node.raw;
+                continue;
+            }
+            value = fallback.arg ?? '';
+        } else {
+            for (const filter of node.filters) {
+                if (filter.name === 'default') continue;
+                value = applyFilter(value, filter);
+            }
+        }
+        output += String(value);
+    }
+    return output;
+}
+
+export function renderTemplate(template, variables) {
+    const missing = new Set();
+    const text = renderNodes(parseTemplate(template), variables || {}, missing);
+    return { text, missing: Array.from(missing) };
+}
+
+export function buildTemplateVariables({ contact, propertyContext }) {
+    return {
+        ...(propertyContext || {}),
+        contactName: contact?.contactName || null,
+        agentName: contact?.agentName || null,
+        group: contact?.group || null,
+    };
+}
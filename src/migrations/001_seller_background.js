@@ -0,0 +1,16 @@
+import { dbRun } from '../db.js';
+
+// The contact table as import_seller_background.js used to create it.
+export async function up(db) {
+    await dbRun(
+        db,
+        `CREATE TABLE IF NOT EXISTS "seller_background" (
+            "contactName" TEXT,
+            "agentName" TEXT,
+            "cleanContactNumber" TEXT,
+            "group" TEXT,
+            "notes" TEXT,
+            "conversation_started" TEXT DEFAULT 'pending'
+        )`
+    );
+}
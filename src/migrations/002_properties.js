@@ -0,0 +1,19 @@
+import { dbAll, dbRun } from '../db.js';
+
+export async function up(db) {
+    await dbRun(
+        db,
+        `CREATE TABLE IF NOT EXISTS "properties" (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            context TEXT NOT NULL,
+            image_directory TEXT,
+            created_at INTEGER NOT NULL,
+            updated_at INTEGER NOT NULL
+        )`
+    );
+    const columns = await dbAll(db, 'PRAGMA table_info("seller_background")');
+    if (!columns.some((column) => column.name === 'property_id')) {
+        await dbRun(db, 'ALTER TABLE "seller_background" ADD COLUMN property_id INTEGER');
+    }
+}
@@ -0,0 +1,13 @@
+import { dbRun } from '../db.js';
+
+export async function up(db) {
+    await dbRun(
+        db,
+        `CREATE TABLE IF NOT EXISTS "property_context_versions" (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            context TEXT NOT NULL,
+            source TEXT,
+            saved_at INTEGER NOT NULL
+        )`
+    );
+}
@@ -0,0 +1,22 @@
+import { dbRun } from '../db.js';
+
+export async function up(db) {
+    await dbRun(
+        db,
+        `CREATE TABLE IF NOT EXISTS "contact_followups" (
+            contact_rowid INTEGER PRIMARY KEY,
+            chat_id TEXT NOT NULL,
+            started_at INTEGER NOT NULL,
+            step INTEGER NOT NULL DEFAULT 0,
+            next_run_at INTEGER,
+            status TEXT NOT NULL,
+            stop_reason TEXT,
+            last_sent_at INTEGER,
+            updated_at INTEGER NOT NULL
+        )`
+    );
+    await dbRun(
+        db,
+        'CREATE INDEX IF NOT EXISTS "contact_followups_due" ON "contact_followups" (status, next_run_at)'
+    );
+}
@@ -0,0 +1,37 @@
+import { dbRun } from '../db.js';
+
+export async function up(db) {
+    await dbRun(
+        db,
+        `CREATE TABLE IF NOT EXISTS "campaigns" (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            status TEXT NOT NULL,
+            filter TEXT NOT NULL,
+            daily_cap INTEGER NOT NULL,
+            min_spacing_sec INTEGER NOT NULL,
+            max_spacing_sec INTEGER NOT NULL,
+            start_hour INTEGER NOT NULL,
+            end_hour INTEGER NOT NULL,
+            next_send_at INTEGER,
+            created_at INTEGER NOT NULL,
+            updated_at INTEGER NOT NULL,
+            completed_at INTEGER
+        )`
+    );
+    await dbRun(
+        db,
+        `CREATE TABLE IF NOT EXISTS "campaign_contacts" (
+            campaign_id INTEGER NOT NULL,
+            contact_rowid INTEGER NOT NULL,
+            position INTEGER NOT NULL,
+            queued_status TEXT,
+            status TEXT NOT NULL,
+            attempts INTEGER NOT NULL DEFAULT 0,
+            error TEXT,
+            processed_at INTEGER,
+            processed_day TEXT,
+            PRIMARY KEY (campaign_id, contact_rowid)
+        )`
+    );
+}
@@ -0,0 +1,32 @@
+import { dbRun } from '../db.js';
+
+export async function up(db) {
+    await dbRun(
+        db,
+        `CREATE TABLE IF NOT EXISTS "outbound_queue" (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            idempotency_key TEXT NOT NULL UNIQUE,
+            chat_id TEXT NOT NULL,
+            contact_rowid INTEGER,
+            kind TEXT NOT NULL,
+            payload TEXT NOT NULL,
+            source TEXT,
+            status TEXT NOT NULL,
+            attempts INTEGER NOT NULL DEFAULT 0,
+            next_attempt_at INTEGER NOT NULL,
+            last_error TEXT,
+            message_ids TEXT,
+            created_at INTEGER NOT NULL,
+            updated_at INTEGER NOT NULL,
+            sent_at INTEGER
+        )`
+    );
+    await dbRun(
+        db,
+        'CREATE INDEX IF NOT EXISTS "outbound_queue_due" ON "outbound_queue" (status, next_attempt_at)'
+    );
+    await dbRun(
+        db,
+        'CREATE INDEX IF NOT EXISTS "outbound_queue_chat" ON "outbound_queue" (chat_id, id)'
+    );
+}
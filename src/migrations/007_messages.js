@@ -0,0 +1,41 @@
+import { dbRun } from '../db.js';
+
+export async function up(db) {
+    await dbRun(
+        db,
+        `CREATE TABLE IF NOT EXISTS "messages" (
+            id TEXT PRIMARY KEY,
+            chat_id TEXT NOT NULL,
+            contact_rowid INTEGER,
+            from_me INTEGER NOT NULL,
+            body TEXT,
+            type TEXT,
+            has_media INTEGER NOT NULL DEFAULT 0,
+            timestamp INTEGER NOT NULL,
+            ack INTEGER,
+            llm_generated INTEGER NOT NULL DEFAULT 0,
+            llm_action TEXT,
+            source TEXT,
+            outbound_id INTEGER,
+            recorded_at INTEGER NOT NULL
+        )`
+    );
+    await dbRun(
+        db,
+        'CREATE INDEX IF NOT EXISTS "messages_chat" ON "messages" (chat_id, timestamp)'
+    );
+    await dbRun(
+        db,
+        'CREATE INDEX IF NOT EXISTS "messages_contact" ON "messages" (contact_rowid, timestamp)'
+    );
+    await dbRun(
+        db,
+        `CREATE TABLE IF NOT EXISTS "message_reactions" (
+            message_id TEXT NOT NULL,
+            sender_id TEXT NOT NULL,
+            reaction TEXT NOT NULL,
+            timestamp INTEGER,
+            PRIMARY KEY (message_id, sender_id)
+        )`
+    );
+}
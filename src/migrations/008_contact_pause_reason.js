@@ -0,0 +1,8 @@
+import { dbAll, dbRun } from '../db.js';
+
+export async function up(db) {
+    const columns = await dbAll(db, 'PRAGMA table_info("seller_background")');
+    if (!columns.some((column) => column.name === 'pause_reason')) {
+        await dbRun(db, 'ALTER TABLE "seller_background" ADD COLUMN pause_reason TEXT');
+    }
+}
@@ -0,0 +1,29 @@
+import { dbAll, dbRun } from '../db.js';
+import { parsePhoneNumberFromString } from 'libphonenumber-js';
+
+// Normalization as it was when this migration was written; later changes to phone.js must not change its result.
+function normalizePhoneNumber(value) {
+    const text = String(value ?? '').trim();
+    if (!/\d/.test(text)) return null;
+    const parsed = parsePhoneNumberFromString(text, process.env.DEFAULT_PHONE_COUNTRY || 'LK');
+    return parsed && parsed.isValid() ? parsed.number : null;
+}
+
+export async function up(db) {
+    const columns = await dbAll(db, 'PRAGMA table_info("seller_background")');
+    if (!columns.some((column) => column.name === 'normalized_number')) {
+        await dbRun(db, 'ALTER TABLE "seller_background" ADD COLUMN normalized_number TEXT');
+    }
+    await dbRun(
+        db,
+        'CREATE INDEX IF NOT EXISTS "seller_background_normalized_number" ON "seller_background" (normalized_number)'
+    );
+    const rows = await dbAll(db, 'SELECT rowid, cleanContactNumber FROM "seller_background"');
+    for (const row of rows) {
+        await dbRun(
+            db,
+            'UPDATE "seller_background" SET normalized_number = ? WHERE rowid = ?',
+            [normalizePhoneNumber(row.cleanContactNumber), row.rowid]
+        );
+    }
+}
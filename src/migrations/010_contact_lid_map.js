@@ -0,0 +1,12 @@
+import { dbRun } from '../db.js';
+
+export async function up(db) {
+    await dbRun(
+        db,
+        `CREATE TABLE IF NOT EXISTS "contact_lid_map" (
+            lid TEXT PRIMARY KEY,
+            phone_number TEXT NOT NULL,
+            updated_at INTEGER NOT NULL
+        )`
+    );
+}
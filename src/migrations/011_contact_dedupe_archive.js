@@ -0,0 +1,26 @@
+import { dbRun } from '../db.js';
+
+export async function up(db) {
+    await dbRun(
+        db,
+        `CREATE TABLE IF NOT EXISTS "contact_dedupe_runs" (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            fuzzy INTEGER NOT NULL DEFAULT 0,
+            group_count INTEGER NOT NULL,
+            removed_count INTEGER NOT NULL,
+            created_at INTEGER NOT NULL,
+            undone_at INTEGER
+        )`
+    );
+    await dbRun(
+        db,
+        `CREATE TABLE IF NOT EXISTS "contact_dedupe_archive" (
+            run_id INTEGER NOT NULL,
+            canonical_rowid INTEGER NOT NULL,
+            contact_rowid INTEGER NOT NULL,
+            role TEXT NOT NULL,
+            row_json TEXT NOT NULL,
+            PRIMARY KEY (run_id, contact_rowid)
+        )`
+    );
+}
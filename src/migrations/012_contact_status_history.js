@@ -0,0 +1,21 @@
+import { dbRun } from '../db.js';
+
+export async function up(db) {
+    await dbRun(
+        db,
+        `CREATE TABLE IF NOT EXISTS "contact_status_history" (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            contact_rowid INTEGER NOT NULL,
+            from_status TEXT,
+            to_status TEXT,
+            pause_reason TEXT,
+            source TEXT NOT NULL,
+            detail TEXT,
+            created_at INTEGER NOT NULL
+        )`
+    );
+    await dbRun(
+        db,
+        'CREATE INDEX IF NOT EXISTS "contact_status_history_contact" ON "contact_status_history" (contact_rowid, created_at)'
+    );
+}
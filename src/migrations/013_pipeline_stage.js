@@ -0,0 +1,12 @@
+import { dbAll, dbRun } from '../db.js';
+
+export async function up(db) {
+    const columns = await dbAll(db, 'PRAGMA table_info("seller_background")');
+    if (!columns.some((column) => column.name === 'pipeline_stage')) {
+        await dbRun(db, 'ALTER TABLE "seller_background" ADD COLUMN pipeline_stage TEXT');
+    }
+    await dbRun(
+        db,
+        'CREATE INDEX IF NOT EXISTS "seller_background_pipeline_stage" ON "seller_background" (pipeline_stage)'
+    );
+}
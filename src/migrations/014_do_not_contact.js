@@ -0,0 +1,14 @@
+import { dbRun } from '../db.js';
+
+export async function up(db) {
+    await dbRun(
+        db,
+        `CREATE TABLE IF NOT EXISTS "do_not_contact" (
+            phone_number TEXT PRIMARY KEY,
+            source TEXT NOT NULL,
+            reason TEXT,
+            contact_rowid INTEGER,
+            created_at INTEGER NOT NULL
+        )`
+    );
+}
@@ -0,0 +1,53 @@
+import { dbAll, dbRun } from '../db.js';
+
+// The tag palette as it was when this migration was written; migrations must not follow later app changes.
+const PALETTE = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899', '#14b8a6', '#64748b'];
+
+// Existing groups become tags of the same name, so filtering by tag matches what the group column said.
+// The group column itself stays; campaigns and dedupe still read it.
+export async function up(db) {
+    await dbRun(
+        db,
+        `CREATE TABLE IF NOT EXISTS "tags" (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+            color TEXT NOT NULL,
+            created_at INTEGER NOT NULL
+        )`
+    );
+    await dbRun(
+        db,
+        `CREATE TABLE IF NOT EXISTS "contact_tags" (
+            contact_rowid INTEGER NOT NULL,
+            tag_id INTEGER NOT NULL,
+            created_at INTEGER NOT NULL,
+            PRIMARY KEY (contact_rowid, tag_id)
+        )`
+    );
+    await dbRun(db, 'CREATE INDEX IF NOT EXISTS "contact_tags_tag" ON "contact_tags" (tag_id)');
+
+    const groups = await dbAll(
+        db,
+        `SELECT MIN(TRIM("group")) AS name
+         FROM "seller_background"
+         WHERE "group" IS NOT NULL AND TRIM("group") != ''
+         GROUP BY TRIM("group") COLLATE NOCASE
+         ORDER BY name COLLATE NOCASE`
+    );
+    const now = Date.now();
+    for (const [index, group] of groups.entries()) {
+        await dbRun(
+            db,
+            'INSERT OR IGNORE INTO "tags" (name, color, created_at) VALUES (?, ?, ?)',
+            [group.name, PALETTE[index % PALETTE.length], now]
+        );
+    }
+    await dbRun(
+        db,
+        `INSERT OR IGNORE INTO "contact_tags" (contact_rowid, tag_id, created_at)
+         SELECT c.rowid, t.id, ?
+         FROM "seller_background" c
+         JOIN "tags" t ON t.name = TRIM(c."group")`,
+        [now]
+    );
+}
@@ -0,0 +1,37 @@
+import { dbAll, dbRun } from '../db.js';
+
+export async function up(db) {
+    const columns = await dbAll(db, 'PRAGMA table_info("seller_background")');
+    if (!columns.some((column) => column.name === 'reply_mode')) {
+        await dbRun(db, 'ALTER TABLE "seller_background" ADD COLUMN reply_mode TEXT');
+    }
+    await dbRun(
+        db,
+        `CREATE TABLE IF NOT EXISTS "reply_drafts" (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            contact_rowid INTEGER NOT NULL,
+            chat_id TEXT NOT NULL,
+            reply_to_id TEXT,
+            incoming TEXT NOT NULL,
+            action TEXT NOT NULL,
+            reply TEXT,
+            media INTEGER NOT NULL DEFAULT 0,
+            ack TEXT,
+            outline TEXT,
+            status TEXT NOT NULL,
+            created_at INTEGER NOT NULL,
+            updated_at INTEGER NOT NULL,
+            decided_at INTEGER
+        )`
+    );
+    await dbRun(db, 'CREATE INDEX IF NOT EXISTS "reply_drafts_status" ON "reply_drafts" (status, created_at)');
+    await dbRun(db, 'CREATE INDEX IF NOT EXISTS "reply_drafts_contact" ON "reply_drafts" (contact_rowid)');
+    await dbRun(
+        db,
+        `CREATE TABLE IF NOT EXISTS "app_settings" (
+            key TEXT PRIMARY KEY,
+            value TEXT,
+            updated_at INTEGER NOT NULL
+        )`
+    );
+}
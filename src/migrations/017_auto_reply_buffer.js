@@ -0,0 +1,17 @@
+import { dbRun } from '../db.js';
+
+export async function up(db) {
+    await dbRun(
+        db,
+        `CREATE TABLE IF NOT EXISTS "auto_reply_buffer" (
+            chat_id TEXT PRIMARY KEY,
+            contact_rowid INTEGER NOT NULL,
+            messages TEXT NOT NULL,
+            last_message_id TEXT,
+            property_id INTEGER,
+            phone_number TEXT,
+            contact_info TEXT,
+            updated_at INTEGER NOT NULL
+        )`
+    );
+}
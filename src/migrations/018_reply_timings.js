@@ -0,0 +1,23 @@
+import { dbRun } from '../db.js';
+
+export async function up(db) {
+    await dbRun(
+        db,
+        `CREATE TABLE IF NOT EXISTS "reply_timings" (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            contact_rowid INTEGER NOT NULL,
+            chat_id TEXT NOT NULL,
+            policy TEXT NOT NULL,
+            reason TEXT NOT NULL,
+            message_count INTEGER NOT NULL,
+            char_count INTEGER NOT NULL,
+            planned_wait_ms INTEGER NOT NULL,
+            burst_gap_ms INTEGER,
+            typing_checks INTEGER NOT NULL DEFAULT 0,
+            waited_ms INTEGER NOT NULL,
+            late_messages INTEGER NOT NULL DEFAULT 0,
+            created_at INTEGER NOT NULL
+        )`
+    );
+    await dbRun(db, 'CREATE INDEX IF NOT EXISTS "reply_timings_created" ON "reply_timings" (created_at)');
+}
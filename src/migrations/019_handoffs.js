@@ -0,0 +1,40 @@
+import { dbRun } from '../db.js';
+
+export async function up(db) {
+    await dbRun(
+        db,
+        `CREATE TABLE IF NOT EXISTS "handoffs" (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            contact_rowid INTEGER NOT NULL,
+            chat_id TEXT,
+            pause_reason TEXT NOT NULL,
+            reason TEXT,
+            message TEXT,
+            source TEXT NOT NULL,
+            created_at INTEGER NOT NULL,
+            resolved_at INTEGER,
+            resolution TEXT,
+            notified_at INTEGER,
+            notify_error TEXT
+        )`
+    );
+    await dbRun(db, 'CREATE INDEX IF NOT EXISTS "handoffs_open" ON "handoffs" (resolved_at, created_at)');
+    await dbRun(db, 'CREATE INDEX IF NOT EXISTS "handoffs_contact" ON "handoffs" (contact_rowid)');
+
+    // Contacts already paused for a person start out in the queue, waiting since their latest pause.
+    await dbRun(
+        db,
+        `INSERT INTO "handoffs" (contact_rowid, pause_reason, reason, source, created_at)
+         SELECT c.rowid, c.pause_reason, h.detail, COALESCE(h.source, 'migration'), COALESCE(h.created_at, 0)
+         FROM "seller_background" c
+         LEFT JOIN "contact_status_history" h ON h.id = (
+             SELECT id FROM "contact_status_history"
+             WHERE contact_rowid = c.rowid AND to_status = 'paused'
+             ORDER BY created_at DESC, id DESC
+             LIMIT 1
+         )
+         WHERE c.conversation_started = 'paused'
+           AND c.pause_reason IN ('llm_handoff', 'auto_reply_error', 'delivery_failed')
+           AND NOT EXISTS (SELECT 1 FROM "handoffs" WHERE contact_rowid = c.rowid AND resolved_at IS NULL)`
+    );
+}
@@ -0,0 +1,22 @@
+import { dbAll, dbRun } from '../db.js';
+
+export async function up(db) {
+    const columns = await dbAll(db, 'PRAGMA table_info("seller_background")');
+    if (!columns.some((column) => column.name === 'last_activity_at')) {
+        await dbRun(db, 'ALTER TABLE "seller_background" ADD COLUMN last_activity_at INTEGER');
+    }
+    await dbRun(
+        db,
+        'CREATE INDEX IF NOT EXISTS "seller_background_last_activity" ON "seller_background" (last_activity_at)'
+    );
+
+    // Message timestamps are in seconds; the column is in milliseconds like the other *_at columns.
+    await dbRun(
+        db,
+        `UPDATE "seller_background"
+         SET last_activity_at = (
+             SELECT MAX(timestamp) * 1000 FROM "messages" WHERE contact_rowid = "seller_background".rowid
+         )
+         WHERE last_activity_at IS NULL`
+    );
+}
@@ -0,0 +1,15 @@
+import { dbAll, dbRun } from '../db.js';
+
+// Set the first time the worker picks an item up, so any later attempt knows the message may already be out.
+export async function up(db) {
+    const columns = await dbAll(db, 'PRAGMA table_info("outbound_queue")');
+    if (!columns.some((column) => column.name === 'send_started_at')) {
+        await dbRun(db, 'ALTER TABLE "outbound_queue" ADD COLUMN send_started_at INTEGER');
+    }
+    // Items that already failed once went through a send before this column existed.
+    await dbRun(
+        db,
+        `UPDATE "outbound_queue" SET send_started_at = updated_at
+         WHERE send_started_at IS NULL AND (attempts > 0 OR status IN ('sending', 'sent', 'dead'))`
+    );
+}
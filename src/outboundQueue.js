@@ -0,0 +1,402 @@
+import { dbAll, dbGet, dbRun, openDatabase, closeDatabase } from './db.js';
+import {
+    OUTBOUND_MAX_ATTEMPTS,
+    OUTBOUND_POLL_MS,
+    OUTBOUND_RETRY_BASE_MS,
+    PAUSE_REASON,
+    STATUS,
+    STATUS_SOURCE
+} from './config.js';
+import { updateContactStatus } from './contactStatus.js';
+import { openHandoff } from './handoffs.js';
+import { OPT_OUT_CONFIRMATION_SOURCE, isDoNotContactTarget } from './doNotContact.js';
+import {
+    fetchChatMessages,
+    isClientReady,
+    reactToMessage,
+    sendMedia,
+    sendMessage
+} from './whatsappClient.js';
+import { recordMessage } from './messageStore.js';
+
+const OUTBOUND_TABLE = 'outbound_queue';
+const MAX_RETRY_DELAY_MS = 10 * 60 * 1000;
+
+export const OUTBOUND_KIND = {
+    TEXT: 'text',
+    MEDIA: 'media',
+    REACTION: 'reaction',
+};
+
+export const OUTBOUND_STATUS = {
+    QUEUED: 'queued',
+    SENDING: 'sending',
+    SENT: 'sent',
+    DEAD: 'dead',
+    CANCELLED: 'cancelled',
+};
+
+let pollTimer = null;
+let ticking = false;
+let kickRequested = false;
+
+// Anything still "sending" was interrupted by a restart; hand it back to the worker. Its send_started_at stays set,
+// so a text that went out before the crash is found in the chat instead of being sent again.
+export async function requeueInterruptedOutbound(db) {
+    await dbRun(
+        db,
+        `UPDATE "${OUTBOUND_TABLE}" SET status = ?, updated_at = ? WHERE status = ?`,
+        [OUTBOUND_STATUS.QUEUED, Date.now(), OUTBOUND_STATUS.SENDING]
+    );
+}
+
+function serializeOutbound(row) {
+    let payload = null;
+    let messageIds = [];
+    try {
+        payload = JSON.parse(row.payload);
+        messageIds = row.message_ids ? JSON.parse(row.message_ids) : [];
+    } catch (err) {
+        console.error(`Failed to parse outbound item ${row.id}:`, err);
+    }
+    return {
+        id: row.id,
+        idempotencyKey: row.idempotency_key,
+        chatId: row.chat_id,
+        contactRowId: row.contact_rowid,
+        kind: row.kind,
+        payload,
+        source: row.source,
+        status: row.status,
+        attempts: row.attempts,
+        nextAttemptAt: row.next_attempt_at,
+        lastError: row.last_error,
+        messageIds,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        sentAt: row.sent_at,
+        sendStartedAt: row.send_started_at,
+    };
+}
+
+// Re-enqueueing with a key that already exists returns the original item instead of sending twice.
+// `llmAction` marks content the LLM produced so the message log can tell it apart from templates.
+export async function enqueueOutbound(db, {
+    chatId,
+    kind,
+    payload,
+    idempotencyKey,
+    contactRowId = null,
+    source = null,
+    llmAction = null,
+}) {
+    if (!Object.values(OUTBOUND_KIND).includes(kind)) {
+        throw new Error(`Unknown outbound kind: ${kind}`);
+    }
+    const key = idempotencyKey || `${source || kind}:${chatId}:${Date.now()}:${Math.random().toString(36).slice(2, 8)}`;
+    const now = Date.now();
+    const result = await dbRun(
+        db,
+        `INSERT INTO "${OUTBOUND_TABLE}" (
+            idempotency_key, chat_id, contact_rowid, kind, payload, source, status,
+            attempts, next_attempt_at, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?)
+        ON CONFLICT(idempotency_key) DO NOTHING`,
+        [
+            key,
+            chatId,
+            contactRowId,
+            kind,
+            JSON.stringify(llmAction ? { ...payload, llmAction } : payload),
+            source,
+            OUTBOUND_STATUS.QUEUED,
+            now,
+            now,
+            now,
+        ]
+    );
+    const row = await dbGet(db, `SELECT * FROM "${OUTBOUND_TABLE}" WHERE idempotency_key = ?`, [key]);
+    if (result.changes > 0) {
+        kickOutboundWorker();
+    }
+    return { ...serializeOutbound(row), duplicate: result.changes === 0 };
+}
+
+export function enqueueText(db, chatId, text, options = {}) {
+    return enqueueOutbound(db, { ...options, chatId, kind: OUTBOUND_KIND.TEXT, payload: { text: String(text) } });
+}
+
+export function enqueueMedia(db, chatId, directory, options = {}) {
+    return enqueueOutbound(db, { ...options, chatId, kind: OUTBOUND_KIND.MEDIA, payload: { directory } });
+}
+
+export function enqueueReaction(db, chatId, messageId, reaction, options = {}) {
+    return enqueueOutbound(db, {
+        ...options,
+        chatId,
+        kind: OUTBOUND_KIND.REACTION,
+        payload: { messageId, reaction },
+    });
+}
+
+export async function listOutbound(db, { status = null, limit = 100 } = {}) {
+    const rows = await dbAll(
+        db,
+        `SELECT * FROM "${OUTBOUND_TABLE}"
+         ${status ? 'WHERE status = ?' : ''}
+         ORDER BY id DESC
+         LIMIT ?`,
+        status ? [status, limit] : [limit]
+    );
+    const counts = await dbAll(
+        db,
+        `SELECT status, COUNT(*) AS total FROM "${OUTBOUND_TABLE}" GROUP BY status`
+    );
+    return {
+        items: rows.map(serializeOutbound),
+        counts: Object.fromEntries(counts.map((row) => [row.status, row.total])),
+    };
+}
+
+// The attempt count starts over, but send_started_at is kept: a dead text whose send timed out may be in the chat.
+export async function retryOutbound(db, id) {
+    const result = await dbRun(
+        db,
+        `UPDATE "${OUTBOUND_TABLE}"
+         SET status = ?, attempts = 0, next_attempt_at = ?, updated_at = ?
+         WHERE id = ? AND status IN (?, ?)`,
+        [OUTBOUND_STATUS.QUEUED, Date.now(), Date.now(), id, OUTBOUND_STATUS.DEAD, OUTBOUND_STATUS.QUEUED]
+    );
+    if (result.changes > 0) {
+        kickOutboundWorker();
+    }
+    return result.changes > 0;
+}
+
+export async function cancelOutbound(db, id) {
+    const result = await dbRun(
+        db,
+        `UPDATE "${OUTBOUND_TABLE}" SET status = ?, updated_at = ? WHERE id = ? AND status IN (?, ?)`,
+        [OUTBOUND_STATUS.CANCELLED, Date.now(), id, OUTBOUND_STATUS.DEAD, OUTBOUND_STATUS.QUEUED]
+    );
+    return result.changes > 0;
+}
+
+function retryDelayMs(attempts) {
+    return Math.min(MAX_RETRY_DELAY_MS, OUTBOUND_RETRY_BASE_MS * 2 ** (attempts - 1));
+}
+
+function messageIdOf(message) {
+    if (typeof message?.id === 'string') return message.id;
+    return message?.id?._serialized || message?.id?.id || null;
+}
+
+// A text that was interrupted mid-send may already be in the chat; look before sending it again.
+async function findDeliveredText(item, payload) {
+    const result = await fetchChatMessages(item.chat_id, { limit: 20 });
+    const messages = Array.isArray(result?.messages) ? result.messages : [];
+    const match = messages.find(
+        (message) => message.fromMe
+            && message.body === payload.text
+            && Number(message.timestamp) >= Math.floor(item.created_at / 1000)
+    );
+    return match ? [match] : null;
+}
+
+// Stored alongside the item; a failure here must not send it again, since the message is already out.
+async function recordDelivered(db, item, message, llmAction) {
+    try {
+        await recordMessage(db, message, {
+            contactRowId: item.contact_rowid,
+            source: item.source,
+            outboundId: item.id,
+            llmAction,
+        });
+    } catch (err) {
+        console.error(`[outbound] Failed to record message for item ${item.id}:`, err);
+    }
+}
+
+// Sends the item and returns the ids of every message it produced, including ones sent by earlier attempts.
+async function deliver(db, item) {
+    const payload = JSON.parse(item.payload);
+    const { llmAction = null } = payload;
+    if (item.kind === OUTBOUND_KIND.TEXT) {
+        // Any earlier send, even one cut off by a crash or retried from the dead list, may have reached the chat.
+        let messages = item.send_started_at ? await findDeliveredText(item, payload) : null;
+        if (!messages) {
+            const message = await sendMessage(item.chat_id, payload.text);
+            messages = message ? [message] : [];
+        }
+        for (const message of messages) {
+            await recordDelivered(db, item, message, llmAction);
+        }
+        return messages.map(messageIdOf).filter(Boolean);
+    }
+    if (item.kind === OUTBOUND_KIND.MEDIA) {
+        // Files that went out before a failed attempt are kept in the payload and skipped on the retry.
+        const sentFiles = payload.sentFiles || {};
+        await sendMedia(item.chat_id, payload.directory, {
+            skipFiles: Object.keys(sentFiles),
+            onFileSent: async (filename, message) => {
+                sentFiles[filename] = messageIdOf(message);
+                await dbRun(
+                    db,
+                    `UPDATE "${OUTBOUND_TABLE}" SET payload = ?, updated_at = ? WHERE id = ?`,
+                    [JSON.stringify({ ...payload, sentFiles }), Date.now(), item.id]
+                );
+                await recordDelivered(db, item, message, llmAction);
+            },
+        });
+        return Object.values(sentFiles).filter(Boolean);
+    }
+    await reactToMessage(payload.messageId, payload.reaction);
+    return [];
+}
+
+async function markDead(db, item, error) {
+    await dbRun(
+        db,
+        `UPDATE "${OUTBOUND_TABLE}" SET status = ?, attempts = ?, last_error = ?, updated_at = ? WHERE id = ?`,
+        [OUTBOUND_STATUS.DEAD, item.attempts + 1, error, Date.now(), item.id]
+    );
+    console.error(`[outbound] Item ${item.id} (${item.kind} to ${item.chat_id}) is dead: ${error}`);
+    // A lost reply needs a human, so the contact is paused the same way a failed inline send used to.
+    if (item.contact_rowid && item.kind !== OUTBOUND_KIND.REACTION) {
+        await updateContactStatus(db, item.contact_rowid, STATUS.PAUSED, {
+            pauseReason: PAUSE_REASON.DELIVERY_FAILED,
+            source: STATUS_SOURCE.OUTBOUND,
+            detail: error,
+        });
+        await openHandoff(db, {
+            contactRowId: item.contact_rowid,
+            chatId: item.chat_id,
+            pauseReason: PAUSE_REASON.DELIVERY_FAILED,
+            reason: error,
+            source: STATUS_SOURCE.OUTBOUND,
+        });
+    }
+}
+
+async function processItem(db, item) {
+    // Replies and follow-ups queued before the opt-out are dropped here; only the confirmation still goes out.
+    if (
+        item.source !== OPT_OUT_CONFIRMATION_SOURCE
+        && await isDoNotContactTarget(db, { chatId: item.chat_id, contactRowId: item.contact_rowid })
+    ) {
+        await dbRun(
+            db,
+            `UPDATE "${OUTBOUND_TABLE}" SET status = ?, last_error = ?, updated_at = ? WHERE id = ?`,
+            [OUTBOUND_STATUS.CANCELLED, 'Number is on the do-not-contact list.', Date.now(), item.id]
+        );
+        console.log(`[outbound] Item ${item.id} to ${item.chat_id} cancelled: number opted out.`);
+        return false;
+    }
+    const now = Date.now();
+    await dbRun(
+        db,
+        `UPDATE "${OUTBOUND_TABLE}"
+         SET status = ?, send_started_at = COALESCE(send_started_at, ?), updated_at = ?
+         WHERE id = ?`,
+        [OUTBOUND_STATUS.SENDING, now, now, item.id]
+    );
+    let messageIds;
+    try {
+        messageIds = await deliver(db, item);
+    } catch (err) {
+        const attempts = item.attempts + 1;
+        const error = err?.message || String(err);
+        if (attempts >= OUTBOUND_MAX_ATTEMPTS) {
+            await markDead(db, item, error);
+            return false;
+        }
+        const delayMs = retryDelayMs(attempts);
+        console.warn(`[outbound] Item ${item.id} attempt ${attempts} failed, retrying in ${delayMs}ms: ${error}`);
+        await dbRun(
+            db,
+            `UPDATE "${OUTBOUND_TABLE}"
+             SET status = ?, attempts = ?, last_error = ?, next_attempt_at = ?, updated_at = ?
+             WHERE id = ?`,
+            [OUTBOUND_STATUS.QUEUED, attempts, error, Date.now() + delayMs, Date.now(), item.id]
+        );
+        return false;
+    }
+    const sentAt = Date.now();
+    await dbRun(
+        db,
+        `UPDATE "${OUTBOUND_TABLE}"
+         SET status = ?, attempts = ?, last_error = NULL, message_ids = ?, sent_at = ?, updated_at = ?
+         WHERE id = ?`,
+        [OUTBOUND_STATUS.SENT, item.attempts + 1, JSON.stringify(messageIds), sentAt, sentAt, item.id]
+    );
+    return true;
+}
+
+// Only the oldest unfinished item of each chat is eligible, so a chat's messages never overtake each other.
+async function loadDueItems(db) {
+    return dbAll(
+        db,
+        `SELECT * FROM "${OUTBOUND_TABLE}" q
+         WHERE q.status = ? AND q.next_attempt_at <= ?
+           AND NOT EXISTS (
+               SELECT 1 FROM "${OUTBOUND_TABLE}" p
+               WHERE p.chat_id = q.chat_id AND p.id < q.id AND p.status IN (?, ?)
+           )
+         ORDER BY q.id
+         LIMIT 20`,
+        [OUTBOUND_STATUS.QUEUED, Date.now(), OUTBOUND_STATUS.QUEUED, OUTBOUND_STATUS.SENDING]
+    );
+}
+
+async function tick() {
+    if (ticking) {
+        kickRequested = true;
+        return;
+    }
+    if (!isClientReady()) {
+        return;
+    }
+    ticking = true;
+    const db = openDatabase();
+    try {
+        let due = await loadDueItems(db);
+        while (due.length > 0 && isClientReady()) {
+            for (const item of due) {
+                if (!isClientReady()) break;
+                await processItem(db, item);
+            }
+            due = await loadDueItems(db);
+        }
+    } catch (err) {
+        console.error('[outbound] Worker tick failed:', err);
+    } finally {
+        ticking = false;
+        try {
+            await closeDatabase(db);
+        } catch (err) {
+            console.error('Failed to close database:', err);
+        }
+        if (kickRequested) {
+            kickRequested = false;
+            kickOutboundWorker();
+        }
+    }
+}
+
+export function kickOutboundWorker() {
+    if (!pollTimer) {
+        return;
+    }
+    setImmediate(() => {
+        void tick();
+    });
+}
+
+export function startOutboundWorker() {
+    if (pollTimer || OUTBOUND_POLL_MS <= 0) {
+        return;
+    }
+    pollTimer = setInterval(() => {
+        void tick();
+    }, OUTBOUND_POLL_MS);
+}
@@ -0,0 +1,25 @@
+import { parsePhoneNumberFromString } from 'libphonenumber-js';
+import { DEFAULT_PHONE_COUNTRY } from './config.js';
+
+// Returns the E.164 form ("+94771234567") or null when the input is not a valid number.
+// "0771234567", "94771234567" and "+94 77 123 4567" all resolve to the same value. Digits that are not a valid
+// local number are tried once more as an international one, so "447911123456" works without the "+".
+export function normalizePhoneNumber(value, defaultCountry = DEFAULT_PHONE_COUNTRY) {
+    const text = String(value ?? '').trim();
+    if (!/\d/.test(text)) return null;
+    const parsed = parsePhoneNumberFromString(text, defaultCountry);
+    if (parsed && parsed.isValid()) return parsed.number;
+    if (text.startsWith('+')) return null;
+    const international = parsePhoneNumberFromString(`+${text.replace(/\D/g, '')}`);
+    return international && international.isValid() ? international.number : null;
+}
+
+// WhatsApp ids ("94771234567@c.us") always carry the country code, so they never fall back to the default country.
+export function chatIdToPhoneNumber(chatId) {
+    const user = String(chatId || '').split('@')[0].replace(/\D/g, '');
+    return user ? normalizePhoneNumber(`+${user}`) : null;
+}
+
+export function phoneNumberToChatId(e164) {
+    return e164 ? `${e164.replace(/\D/g, '')}@c.us` : null;
+}
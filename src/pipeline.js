@@ -0,0 +1,49 @@
+import { dbRun } from './db.js';
+import { NO_PIPELINE_STAGE, PIPELINE_STAGES, TABLE_NAME } from './config.js';
+import { countContactsByStage, searchContacts } from './contactSearch.js';
+
+const BOARD_COLUMN_LIMIT = 100;
+
+function stageLabel(stage) {
+    const text = stage.replace(/_/g, ' ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+export function listPipelineStages() {
+    return PIPELINE_STAGES.map((id) => ({ id, label: stageLabel(id) }));
+}
+
+export function isPipelineStage(stage) {
+    return PIPELINE_STAGES.includes(stage);
+}
+
+// `stage` null takes the contact off the board's stage columns. Returns false for an unknown contact.
+export async function setContactStage(db, rowId, stage) {
+    const result = await dbRun(
+        db,
+        `UPDATE "${TABLE_NAME}" SET pipeline_stage = ? WHERE rowid = ?`,
+        [stage, rowId]
+    );
+    return result.changes > 0;
+}
+
+// One column per configured stage after a column for contacts without one, most recently active first.
+// Columns hold at most `limit` cards; `total` says how many match.
+export async function loadPipelineBoard(db, { q = '', statuses = [], group = null, limit = BOARD_COLUMN_LIMIT } = {}) {
+    const counts = await countContactsByStage(db, { q, statuses, group });
+    const columns = [{ id: NO_PIPELINE_STAGE, label: 'No stage' }, ...listPipelineStages()];
+    for (const column of columns) {
+        const { contacts } = await searchContacts(db, {
+            q,
+            statuses,
+            stages: [column.id],
+            group,
+            sort: 'lastActivity',
+            order: 'desc',
+            limit,
+        });
+        column.contacts = contacts;
+        column.total = counts[column.id];
+    }
+    return { columns };
+}
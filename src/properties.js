@@ -0,0 +1,171 @@
+import path from 'path';
+import { dbAll, dbGet, dbRun } from './db.js';
+import { IMAGE_DIRECTORY, ROOT_DIR, TABLE_NAME } from './config.js';
+import { loadPropertyContext, validatePropertyContext } from './propertyContext.js';
+
+const PROPERTIES_TABLE = 'properties';
+
+let defaultProperty = null;
+let defaultPropertyLoadedAt = null;
+let defaultPropertyError = null;
+
+export function resolveImageDirectory(imageDirectory) {
+    const trimmed = typeof imageDirectory === 'string' ? imageDirectory.trim() : '';
+    if (!trimmed) {
+        return IMAGE_DIRECTORY;
+    }
+    return path.isAbsolute(trimmed) ? trimmed : path.join(ROOT_DIR, trimmed);
+}
+
+export function toPropertyProfile(context, { id = null, name = null, imageDirectory = null } = {}) {
+    return {
+        id,
+        name: name || context.title || null,
+        propertyContext: context,
+        initialMessage: context.messages.initial,
+        followupMessage: context.messages.followup || '',
+        imageDirectory: resolveImageDirectory(imageDirectory),
+    };
+}
+
+export function getDefaultProperty() {
+    return defaultProperty;
+}
+
+export function getDefaultPropertyStatus() {
+    return {
+        name: defaultProperty?.name || null,
+        loadedAt: defaultPropertyLoadedAt,
+        lastError: defaultPropertyError,
+    };
+}
+
+// Swaps the default profile in one assignment; an invalid file keeps the last good profile active.
+export function reloadDefaultProperty() {
+    try {
+        const context = loadPropertyContext();
+        defaultProperty = Object.freeze(toPropertyProfile(context));
+        defaultPropertyLoadedAt = Date.now();
+        defaultPropertyError = null;
+        return { reloaded: true, name: defaultProperty.name, errors: [] };
+    } catch (err) {
+        defaultPropertyError = { message: err.message, errors: err.errors || [], at: Date.now() };
+        return { reloaded: false, error: err.message, errors: err.errors || [] };
+    }
+}
+
+function serializeProperty(row, { includeContext = false } = {}) {
+    let context = null;
+    try {
+        context = JSON.parse(row.context);
+    } catch (err) {
+        console.error(`Failed to parse context for property ${row.id}:`, err);
+    }
+    const property = {
+        id: row.id,
+        name: row.name,
+        title: context?.title || null,
+        imageDirectory: row.image_directory || '',
+        contactCount: row.contact_count ?? null,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+    if (includeContext) {
+        property.context = context;
+    }
+    return property;
+}
+
+export async function listProperties(db) {
+    const rows = await dbAll(
+        db,
+        `SELECT p.id, p.name, p.context, p.image_directory, p.created_at, p.updated_at,
+                (SELECT COUNT(*) FROM "${TABLE_NAME}" c WHERE c.property_id = p.id) AS contact_count
+         FROM "${PROPERTIES_TABLE}" p
+         ORDER BY p.name COLLATE NOCASE`
+    );
+    return rows.map((row) => serializeProperty(row));
+}
+
+export async function getProperty(db, id) {
+    const row = await dbGet(
+        db,
+        `SELECT p.id, p.name, p.context, p.image_directory, p.created_at, p.updated_at,
+                (SELECT COUNT(*) FROM "${TABLE_NAME}" c WHERE c.property_id = p.id) AS contact_count
+         FROM "${PROPERTIES_TABLE}" p
+         WHERE p.id = ?`,
+        [id]
+    );
+    return row ? serializeProperty(row, { includeContext: true }) : null;
+}
+
+function normalizePropertyInput({ name, context, imageDirectory }) {
+    validatePropertyContext(context);
+    const trimmedName = typeof name === 'string' ? name.trim() : '';
+    const resolvedName = trimmedName || (typeof context.title === 'string' ? context.title.trim() : '');
+    if (!resolvedName) {
+        throw new Error('Property name is required.');
+    }
+    const directory = typeof imageDirectory === 'string' ? imageDirectory.trim() : '';
+    return { name: resolvedName, context: JSON.stringify(context), imageDirectory: directory || null };
+}
+
+export async function createProperty(db, input) {
+    const { name, context, imageDirectory } = normalizePropertyInput(input);
+    const now = Date.now();
+    const result = await dbRun(
+        db,
+        `INSERT INTO "${PROPERTIES_TABLE}" (name, context, image_directory, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [name, context, imageDirectory, now, now]
+    );
+    return result.lastID;
+}
+
+export async function updateProperty(db, id, input) {
+    const { name, context, imageDirectory } = normalizePropertyInput(input);
+    const result = await dbRun(
+        db,
+        `UPDATE "${PROPERTIES_TABLE}"
+         SET name = ?, context = ?, image_directory = ?, updated_at = ?
+         WHERE id = ?`,
+        [name, context, imageDirectory, Date.now(), id]
+    );
+    return result.changes > 0;
+}
+
+export async function deleteProperty(db, id) {
+    const result = await dbRun(db, `DELETE FROM "${PROPERTIES_TABLE}" WHERE id = ?`, [id]);
+    return result.changes > 0;
+}
+
+export async function countPropertyContacts(db, id) {
+    const row = await dbGet(
+        db,
+        `SELECT COUNT(*) AS total FROM "${TABLE_NAME}" WHERE property_id = ?`,
+        [id]
+    );
+    return row?.total || 0;
+}
+
+// Contacts without a property_id keep using the default property_context.json pitch.
+export async function loadPropertyProfile(db, propertyId) {
+    if (!propertyId) {
+        return defaultProperty;
+    }
+    const row = await dbGet(
+        db,
+        `SELECT id, name, context, image_directory FROM "${PROPERTIES_TABLE}" WHERE id = ?`,
+        [propertyId]
+    );
+    if (!row) {
+        throw new Error(`Property ${propertyId} not found.`);
+    }
+    const context = JSON.parse(row.context);
+    validatePropertyContext(context);
+    return toPropertyProfile(context, {
+        id: row.id,
+        name: row.name,
+        imageDirectory: row.image_directory,
+    });
+}
@@ -1,50 +1,293 @@
 import fs from 'fs';
+import path from 'path';
+import { dbAll, dbGet, dbRun } from './db.js';
 import { PROPERTY_CONTEXT_PATH } from './config.js';
+import { parseTemplate } from './messageTemplate.js';
 
-export function validatePropertyContext(context) {
-    if (!context || typeof context !== 'object') {
-        throw new Error('Property context must be an object.');
+const VERSIONS_TABLE = 'property_context_versions';
+
+const requiredText = { type: 'string', minLength: 1 };
+const requiredSpec = { type: ['number', 'string'], minLength: 1 };
+
+export const PROPERTY_CONTEXT_SCHEMA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: '/api/property-context/schema',
+    title: 'Property context',
+    type: 'object',
+    required: ['description', 'specs', 'location', 'viewing_contact', 'messages'],
+    properties: {
+        title: { type: 'string' },
+        description: requiredText,
+        specs: {
+            type: 'object',
+            required: ['price_lkr', 'bedrooms', 'bathrooms', 'house_size_sqft', 'land_size_perches'],
+            properties: {
+                price_lkr: requiredSpec,
+                bedrooms: requiredSpec,
+                bathrooms: requiredSpec,
+                house_size_sqft: requiredSpec,
+                land_size_perches: requiredSpec,
+            },
+        },
+        location: {
+            type: 'object',
+            required: ['address', 'city', 'maps_url', 'flood_risk'],
+            properties: {
+                address: requiredText,
+                city: requiredText,
+                maps_url: requiredText,
+                flood_risk: requiredText,
+            },
+        },
+        viewing_contact: {
+            type: 'object',
+            required: ['name', 'phone'],
+            properties: {
+                name: requiredText,
+                phone: requiredText,
+            },
+        },
+        messages: {
+            type: 'object',
+            required: ['initial'],
+            properties: {
+                initial: requiredText,
+                followup: { type: 'string' },
+                sequence: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['after_days', 'message'],
+                        properties: {
+                            after_days: { type: 'number', minimum: 0 },
+                            message: requiredText,
+                        },
+                    },
+                },
+            },
+        },
+    },
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? 'integer' : 'number';
     }
+    return typeof value;
+}
 
-    const requiredTopLevel = ['description', 'specs', 'location', 'viewing_contact', 'messages'];
-    for (const key of requiredTopLevel) {
-        if (!context[key]) {
-            throw new Error(`Property context missing required field: ${key}`);
-        }
+function matchesType(value, expected) {
+    const actual = typeOf(value);
+    const types = Array.isArray(expected) ? expected : [expected];
+    return types.some((type) => type === actual || (type === 'number' && actual === 'integer'));
+}
+
+function joinPath(parent, key) {
+    if (typeof key === 'number') {
+        return `${parent}[${key}]`;
     }
+    return parent ? `${parent}.${key}` : key;
+}
 
-    const requiredSpecs = ['price_lkr', 'bedrooms', 'bathrooms', 'house_size_sqft', 'land_size_perches'];
-    for (const key of requiredSpecs) {
-        if (context.specs[key] === undefined || context.specs[key] === null) {
-            throw new Error(`Property context specs missing required field: ${key}`);
+// Supports the subset of JSON Schema used by PROPERTY_CONTEXT_SCHEMA and reports every violation.
+function collectSchemaErrors(value, schema, currentPath, errors) {
+    if (schema.type && !matchesType(value, schema.type)) {
+        const expected = Array.isArray(schema.type) ? schema.type.join(' or ') : schema.type;
+        errors.push({ path: currentPath || '(root)', message: `must be ${expected}` });
+        return errors;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path: currentPath || '(root)', message: `must be one of: ${schema.enum.join(', ')}` });
+    }
+    if (typeof value === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+        errors.push({ path: currentPath || '(root)', message: 'must not be empty' });
+    }
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ path: currentPath || '(root)', message: `must be >= ${schema.minimum}` });
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems && value.length < schema.minItems) {
+            errors.push({ path: currentPath || '(root)', message: `must have at least ${schema.minItems} item(s)` });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                collectSchemaErrors(item, schema.items, joinPath(currentPath, index), errors);
+            });
         }
     }
-
-    const requiredLocation = ['address', 'city', 'maps_url', 'flood_risk'];
-    for (const key of requiredLocation) {
-        if (!context.location[key]) {
-            throw new Error(`Property context location missing required field: ${key}`);
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined || value[key] === null) {
+                errors.push({ path: joinPath(currentPath, key), message: 'is required' });
+            }
+        }
+        for (const [key, childSchema] of Object.entries(schema.properties || {})) {
+            if (value[key] === undefined || value[key] === null) {
+                continue;
+            }
+            collectSchemaErrors(value[key], childSchema, joinPath(currentPath, key), errors);
         }
     }
+    return errors;
+}
 
-    const requiredContact = ['name', 'phone'];
-    for (const key of requiredContact) {
-        if (!context.viewing_contact[key]) {
-            throw new Error(`Property context viewing_contact missing required field: ${key}`);
+function collectTemplateErrors(messages, errors) {
+    if (!messages || typeof messages !== 'object') {
+        return errors;
+    }
+    const templates = Object.entries(messages)
+        .filter(([, template]) => typeof template === 'string')
+        .map(([key, template]) => [`messages.${key}`, template]);
+    if (Array.isArray(messages.sequence)) {
+        messages.sequence.forEach((entry, index) => {
+            if (typeof entry?.message === 'string') {
+                templates.push([`messages.sequence[${index}].message`, entry.message]);
+            }
+        });
+    }
+    for (const [templatePath, template] of templates) {
+        try {
+            parseTemplate(template);
+        } catch (err) {
+            errors.push({ path: templatePath, message: err.message });
         }
     }
+    return errors;
+}
 
-    if (!context.messages || !context.messages.initial) {
-        throw new Error('Property context messages missing required field: initial');
+export function collectPropertyContextErrors(context) {
+    const errors = collectSchemaErrors(context, PROPERTY_CONTEXT_SCHEMA, '', []);
+    return collectTemplateErrors(context?.messages, errors);
+}
+
+export function validatePropertyContext(context) {
+    const errors = collectPropertyContextErrors(context);
+    if (errors.length > 0) {
+        const summary = errors.map((error) => `${error.path} ${error.message}`).join('; ');
+        const err = new Error(`Invalid property context: ${summary}`);
+        err.errors = errors;
+        throw err;
     }
 }
 
-export function loadPropertyContext() {
+export function readPropertyContextText() {
     if (!fs.existsSync(PROPERTY_CONTEXT_PATH)) {
         throw new Error(`Property context file not found: ${PROPERTY_CONTEXT_PATH}`);
     }
-    const raw = fs.readFileSync(PROPERTY_CONTEXT_PATH, 'utf8');
-    const context = JSON.parse(raw);
+    return fs.readFileSync(PROPERTY_CONTEXT_PATH, 'utf8');
+}
+
+export function readPropertyContextFile() {
+    return JSON.parse(readPropertyContextText());
+}
+
+export function loadPropertyContext() {
+    const context = readPropertyContextFile();
     validatePropertyContext(context);
     return context;
 }
+
+// Watches the directory rather than the file so atomic rename-based saves are picked up too.
+export function watchPropertyContext(onChange, { debounceMs = 300 } = {}) {
+    const directory = path.dirname(PROPERTY_CONTEXT_PATH);
+    const filename = path.basename(PROPERTY_CONTEXT_PATH);
+    let timer = null;
+    const watcher = fs.watch(directory, (_eventType, changed) => {
+        if (changed && changed !== filename) {
+            return;
+        }
+        if (timer) {
+            clearTimeout(timer);
+        }
+        timer = setTimeout(() => {
+            timer = null;
+            onChange();
+        }, debounceMs);
+    });
+    watcher.on('error', (err) => {
+        console.error('Property context watcher failed:', err);
+    });
+    return watcher;
+}
+
+export function getPropertyContextUpdatedAt() {
+    try {
+        return fs.statSync(PROPERTY_CONTEXT_PATH).mtimeMs;
+    } catch {
+        return null;
+    }
+}
+
+function writeFileAtomic(filePath, contents) {
+    const tempPath = path.join(
+        path.dirname(filePath),
+        `.${path.basename(filePath)}.${process.pid}.tmp`
+    );
+    fs.writeFileSync(tempPath, contents, 'utf8');
+    fs.renameSync(tempPath, filePath);
+}
+
+// Every save becomes a version with its own time and source, so any of them can be restored. Content written to
+// the file by hand since the last save is archived first as a "file" version, dated by the file's mtime.
+export async function savePropertyContext(db, context, { source = 'api' } = {}) {
+    validatePropertyContext(context);
+    if (fs.existsSync(PROPERTY_CONTEXT_PATH)) {
+        const current = fs.readFileSync(PROPERTY_CONTEXT_PATH, 'utf8');
+        const latest = await dbGet(db, `SELECT context FROM "${VERSIONS_TABLE}" ORDER BY id DESC LIMIT 1`);
+        if (!latest || latest.context !== current) {
+            await dbRun(
+                db,
+                `INSERT INTO "${VERSIONS_TABLE}" (context, source, saved_at) VALUES (?, ?, ?)`,
+                [current, 'file', Math.round(fs.statSync(PROPERTY_CONTEXT_PATH).mtimeMs)]
+            );
+        }
+    }
+    const contents = `${JSON.stringify(context, null, 2)}\n`;
+    writeFileAtomic(PROPERTY_CONTEXT_PATH, contents);
+    const result = await dbRun(
+        db,
+        `INSERT INTO "${VERSIONS_TABLE}" (context, source, saved_at) VALUES (?, ?, ?)`,
+        [contents, source, Date.now()]
+    );
+    return { versionId: result.lastID };
+}
+
+function parseVersionContext(raw) {
+    try {
+        return JSON.parse(raw);
+    } catch {
+        return null;
+    }
+}
+
+export async function listPropertyContextVersions(db) {
+    const rows = await dbAll(
+        db,
+        `SELECT id, context, source, saved_at FROM "${VERSIONS_TABLE}" ORDER BY id DESC`
+    );
+    return rows.map((row) => ({
+        id: row.id,
+        title: parseVersionContext(row.context)?.title || null,
+        source: row.source || null,
+        savedAt: row.saved_at,
+    }));
+}
+
+export async function getPropertyContextVersion(db, id) {
+    const row = await dbGet(
+        db,
+        `SELECT id, context, source, saved_at FROM "${VERSIONS_TABLE}" WHERE id = ?`,
+        [id]
+    );
+    if (!row) {
+        return null;
+    }
+    return {
+        id: row.id,
+        context: parseVersionContext(row.context),
+        source: row.source || null,
+        savedAt: row.saved_at,
+    };
+}
@@ -0,0 +1,295 @@
+import { dbAll, dbGet, dbRun } from './db.js';
+import { DEFAULT_REPLY_MODE, REPLY_MODE, TABLE_NAME } from './config.js';
+import { generateGeminiResponse } from './geminiClient.js';
+import { loadPropertyProfile } from './properties.js';
+import { enqueueMedia, enqueueReaction, enqueueText } from './outboundQueue.js';
+import { fetchChatMessages } from './whatsappClient.js';
+import { isDoNotContactTarget } from './doNotContact.js';
+import { getSetting, setSetting } from './settings.js';
+
+const DRAFTS_TABLE = 'reply_drafts';
+const REPLY_MODE_SETTING = 'reply_mode';
+const DRAFT_SELECT = `SELECT d.*, c.contactName AS contact_name, c.cleanContactNumber AS contact_number
+    FROM "${DRAFTS_TABLE}" d
+    LEFT JOIN "${TABLE_NAME}" c ON c.rowid = d.contact_rowid`;
+
+export const DRAFT_STATUS = {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    DISCARDED: 'discarded',
+    // A newer batch from the same contact produced a fresh draft before this one was reviewed.
+    SUPERSEDED: 'superseded',
+};
+// Outbound source of approved drafts.
+export const DRAFT_SOURCE = 'draft_reply';
+
+function draftError(status, message, details = {}) {
+    const err = new Error(message);
+    err.status = status;
+    err.details = details;
+    return err;
+}
+
+function serializeDraft(row) {
+    return {
+        id: row.id,
+        contactRowId: row.contact_rowid,
+        contactName: row.contact_name ?? null,
+        contactNumber: row.contact_number ?? null,
+        chatId: row.chat_id,
+        replyToId: row.reply_to_id,
+        incoming: row.incoming,
+        action: row.action,
+        reply: row.reply,
+        media: Boolean(row.media),
+        ack: row.ack,
+        outline: row.outline,
+        status: row.status,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        decidedAt: row.decided_at,
+    };
+}
+
+export function isReplyMode(mode) {
+    return Object.values(REPLY_MODE).includes(mode);
+}
+
+export async function getGlobalReplyMode(db) {
+    const mode = await getSetting(db, REPLY_MODE_SETTING, DEFAULT_REPLY_MODE);
+    return isReplyMode(mode) ? mode : DEFAULT_REPLY_MODE;
+}
+
+export async function setGlobalReplyMode(db, mode) {
+    await setSetting(db, REPLY_MODE_SETTING, mode);
+    return mode;
+}
+
+// A contact's own reply_mode wins; contacts without one follow the global mode.
+export async function resolveReplyMode(db, rowId) {
+    const row = await dbGet(db, `SELECT reply_mode FROM "${TABLE_NAME}" WHERE rowid = ?`, [rowId]);
+    if (row && isReplyMode(row.reply_mode)) {
+        return row.reply_mode;
+    }
+    return getGlobalReplyMode(db);
+}
+
+// `mode` null hands the contact back to the global mode.
+export async function setContactReplyMode(db, rowId, mode) {
+    const result = await dbRun(db, `UPDATE "${TABLE_NAME}" SET reply_mode = ? WHERE rowid = ?`, [mode, rowId]);
+    return result.changes > 0;
+}
+
+// Only replies and thumbs-up acks become drafts; a plain "seen" sends nothing worth reviewing.
+export function isDraftableResult(result) {
+    if (result.action === 'reply') {
+        return Boolean(result.reply) || result.media === 'include';
+    }
+    return result.action === 'ack' && result.ack === 'thumbs_up';
+}
+
+export async function getDraft(db, id) {
+    const row = await dbGet(db, `${DRAFT_SELECT} WHERE d.id = ?`, [id]);
+    return row ? serializeDraft(row) : null;
+}
+
+// The LLM only sees the WhatsApp history, which never contains an unsent draft, so any older pending draft
+// for the contact answers a conversation that has since moved on.
+export async function createDraft(db, { contactRowId, chatId, replyToId = null, incoming, result }) {
+    const now = Date.now();
+    await dbRun(
+        db,
+        `UPDATE "${DRAFTS_TABLE}" SET status = ?, updated_at = ?, decided_at = ?
+         WHERE contact_rowid = ? AND status = ?`,
+        [DRAFT_STATUS.SUPERSEDED, now, now, contactRowId, DRAFT_STATUS.PENDING]
+    );
+    const inserted = await dbRun(
+        db,
+        `INSERT INTO "${DRAFTS_TABLE}" (
+            contact_rowid, chat_id, reply_to_id, incoming, action, reply, media, ack, status, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            contactRowId,
+            chatId,
+            replyToId,
+            incoming,
+            result.action,
+            result.action === 'reply' && result.reply ? String(result.reply) : null,
+            result.action === 'reply' && result.media === 'include' ? 1 : 0,
+            result.action === 'ack' ? result.ack : null,
+            DRAFT_STATUS.PENDING,
+            now,
+            now,
+        ]
+    );
+    return getDraft(db, inserted.lastID);
+}
+
+export async function listDrafts(db, { status = DRAFT_STATUS.PENDING, limit = 100 } = {}) {
+    const rows = status
+        ? await dbAll(db, `${DRAFT_SELECT} WHERE d.status = ? ORDER BY d.created_at ASC LIMIT ?`, [status, limit])
+        : await dbAll(db, `${DRAFT_SELECT} ORDER BY d.created_at DESC LIMIT ?`, [limit]);
+    return rows.map(serializeDraft);
+}
+
+export async function countDrafts(db) {
+    const rows = await dbAll(db, `SELECT status, COUNT(*) AS total FROM "${DRAFTS_TABLE}" GROUP BY status`);
+    const counts = Object.fromEntries(Object.values(DRAFT_STATUS).map((status) => [status, 0]));
+    for (const row of rows) counts[row.status] = row.total;
+    return counts;
+}
+
+async function loadPendingDraft(db, id) {
+    const draft = await getDraft(db, id);
+    if (!draft) {
+        return null;
+    }
+    if (draft.status !== DRAFT_STATUS.PENDING) {
+        throw draftError(409, `Draft ${id} is already ${draft.status}.`, { draft });
+    }
+    return draft;
+}
+
+// Text or media turns an ack into a reply; clearing both from a reply leaves nothing to send.
+function applyDraftEdits(draft, payload) {
+    const next = { ...draft };
+    if (payload.reply !== undefined) {
+        if (payload.reply !== null && typeof payload.reply !== 'string') {
+            throw draftError(400, 'reply must be text.');
+        }
+        next.reply = payload.reply && payload.reply.trim() ? payload.reply.trim() : null;
+    }
+    if (payload.media !== undefined) {
+        if (typeof payload.media !== 'boolean') {
+            throw draftError(400, 'media must be true or false.');
+        }
+        next.media = payload.media;
+    }
+    if (next.reply || next.media) {
+        next.action = 'reply';
+        next.ack = null;
+    } else if (next.action === 'reply') {
+        throw draftError(400, 'A reply needs text or media; discard the draft instead.');
+    }
+    return next;
+}
+
+async function saveDraftFields(db, draft) {
+    await dbRun(
+        db,
+        `UPDATE "${DRAFTS_TABLE}" SET action = ?, reply = ?, media = ?, ack = ?, outline = ?, updated_at = ?
+         WHERE id = ?`,
+        [draft.action, draft.reply, draft.media ? 1 : 0, draft.ack, draft.outline, Date.now(), draft.id]
+    );
+    return getDraft(db, draft.id);
+}
+
+export async function updateDraft(db, id, payload) {
+    const draft = await loadPendingDraft(db, id);
+    if (!draft) {
+        return null;
+    }
+    return saveDraftFields(db, applyDraftEdits(draft, payload || {}));
+}
+
+// Edits in `payload` are saved first, so what is sent is exactly what the operator last saw.
+// Outbound items are keyed on the draft, so a double-click approves once.
+export async function approveDraft(db, id, payload = {}) {
+    const pending = await loadPendingDraft(db, id);
+    if (!pending) {
+        return null;
+    }
+    const draft = await saveDraftFields(db, applyDraftEdits(pending, payload || {}));
+    if (await isDoNotContactTarget(db, { chatId: draft.chatId, contactRowId: draft.contactRowId })) {
+        throw draftError(409, 'Number is on the do-not-contact list.', { doNotContact: true });
+    }
+
+    const options = (kind) => ({
+        idempotencyKey: `draft:${draft.id}:${kind}`,
+        contactRowId: draft.contactRowId,
+        source: DRAFT_SOURCE,
+        llmAction: draft.action,
+    });
+    if (draft.action === 'reply') {
+        if (draft.reply) {
+            await enqueueText(db, draft.chatId, draft.reply, options('text'));
+        }
+        if (draft.media) {
+            const contact = await dbGet(db, `SELECT property_id FROM "${TABLE_NAME}" WHERE rowid = ?`, [
+                draft.contactRowId,
+            ]);
+            const property = await loadPropertyProfile(db, contact?.property_id ?? null);
+            await enqueueMedia(db, draft.chatId, property.imageDirectory, options('media'));
+        }
+    } else if (draft.replyToId) {
+        await enqueueReaction(db, draft.chatId, draft.replyToId, '👍', options('reaction'));
+    }
+
+    const now = Date.now();
+    await dbRun(
+        db,
+        `UPDATE "${DRAFTS_TABLE}" SET status = ?, updated_at = ?, decided_at = ? WHERE id = ?`,
+        [DRAFT_STATUS.APPROVED, now, now, id]
+    );
+    return getDraft(db, id);
+}
+
+export async function discardDraft(db, id) {
+    const draft = await loadPendingDraft(db, id);
+    if (!draft) {
+        return null;
+    }
+    const now = Date.now();
+    await dbRun(
+        db,
+        `UPDATE "${DRAFTS_TABLE}" SET status = ?, updated_at = ?, decided_at = ? WHERE id = ?`,
+        [DRAFT_STATUS.DISCARDED, now, now, id]
+    );
+    return getDraft(db, id);
+}
+
+// A deleted contact has no one left to send its pending drafts to.
+export async function discardContactDrafts(db, contactRowId) {
+    const now = Date.now();
+    const result = await dbRun(
+        db,
+        `UPDATE "${DRAFTS_TABLE}" SET status = ?, updated_at = ?, decided_at = ?
+         WHERE contact_rowid = ? AND status = ?`,
+        [DRAFT_STATUS.DISCARDED, now, now, contactRowId, DRAFT_STATUS.PENDING]
+    );
+    return result.changes;
+}
+
+// Asks the LLM again for the same incoming messages, steered by `outline`. A result that is not a reply
+// (a hand-off or an opt-out) leaves the draft as it was and is reported back instead of being acted on.
+export async function regenerateDraft(db, id, { outline = '' } = {}) {
+    const draft = await loadPendingDraft(db, id);
+    if (!draft) {
+        return null;
+    }
+    const contact = await dbGet(db, `SELECT property_id FROM "${TABLE_NAME}" WHERE rowid = ?`, [draft.contactRowId]);
+    const property = await loadPropertyProfile(db, contact?.property_id ?? null);
+    const history = await fetchChatMessages(draft.chatId, { limit: 250 }, { clean: true });
+    const trimmedOutline = typeof outline === 'string' ? outline.trim() : '';
+    const result = await generateGeminiResponse({
+        propertyContext: property.propertyContext,
+        message: draft.incoming,
+        conversationHistory: history?.chatlog || '',
+        contactInfo: null,
+        outline: trimmedOutline,
+    });
+    if (!isDraftableResult(result)) {
+        throw draftError(422, 'The LLM did not draft a reply; edit the draft by hand or try another outline.', {
+            action: result.action,
+            reason: result.reason || null,
+        });
+    }
+    return saveDraftFields(db, {
+        ...draft,
+        action: result.action,
+        reply: result.action === 'reply' && result.reply ? String(result.reply) : null,
+        media: result.action === 'reply' && result.media === 'include',
+        ack: result.action === 'ack' ? result.ack : null,
+        outline: trimmedOutline || null,
+    });
+}
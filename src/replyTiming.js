@@ -0,0 +1,180 @@
+import { dbAll, dbRun } from './db.js';
+import {
+    AUTO_REPLY_DEBOUNCE,
+    AUTO_REPLY_MAX_WAIT_MS,
+    AUTO_REPLY_MIN_WAIT_MS,
+    AUTO_REPLY_QUIET_WINDOW_MS
+} from './config.js';
+
+const TIMINGS_TABLE = 'reply_timings';
+// Incoming messages at most this far apart count as one burst when learning how an agent types.
+const BURST_GAP_LIMIT_S = 120;
+const BURST_HISTORY_LIMIT = 200;
+// Fewer gaps than this say nothing about the agent.
+const MIN_BURST_SAMPLES = 5;
+// Matches the placeholder the auto responder buffers for media without a caption.
+const MEDIA_PREFIX = 'User sent media:';
+const COMPLETE_ENDING = /(?:[.!)]|\p{Extended_Pictographic})\s*$/u;
+
+export const WAIT_REASON = {
+    FIXED: 'fixed',
+    QUESTION: 'question',
+    COMPLETE: 'complete',
+    MEDIA: 'media',
+    FRAGMENT: 'fragment',
+    // The agent's own burst pattern asked for a longer wait than the message did.
+    HISTORY: 'history',
+    // Arrived while the previous batch was being answered and went out right after it.
+    QUEUED: 'queued',
+};
+
+export function isAdaptiveDebounce() {
+    return AUTO_REPLY_DEBOUNCE === 'adaptive';
+}
+
+function clampWait(ms) {
+    return Math.round(Math.min(AUTO_REPLY_MAX_WAIT_MS, Math.max(AUTO_REPLY_MIN_WAIT_MS, ms)));
+}
+
+// How long to wait after the latest of `messages` before answering. A question or a finished sentence is usually
+// all the agent meant to send, while "Hi" or a photo tends to be followed by more. `burstGapMs` comes from
+// loadBurstGap; it can stretch the wait up to the quiet window, never past it.
+export function chooseQuietWindow(messages, burstGapMs = null) {
+    if (!isAdaptiveDebounce()) {
+        return { waitMs: AUTO_REPLY_QUIET_WINDOW_MS, reason: WAIT_REASON.FIXED };
+    }
+    const last = String(messages[messages.length - 1] || '').trim();
+    let waitMs = AUTO_REPLY_QUIET_WINDOW_MS;
+    let reason = WAIT_REASON.FRAGMENT;
+    if (last.startsWith(MEDIA_PREFIX)) {
+        waitMs = AUTO_REPLY_MIN_WAIT_MS * 3;
+        reason = WAIT_REASON.MEDIA;
+    } else if (last.endsWith('?')) {
+        waitMs = AUTO_REPLY_MIN_WAIT_MS;
+        reason = WAIT_REASON.QUESTION;
+    } else if (COMPLETE_ENDING.test(last) || last.length >= 80) {
+        waitMs = AUTO_REPLY_MIN_WAIT_MS * 2;
+        reason = WAIT_REASON.COMPLETE;
+    }
+    const historyWaitMs = burstGapMs ? Math.min(burstGapMs * 1.5, AUTO_REPLY_QUIET_WINDOW_MS) : 0;
+    if (historyWaitMs > waitMs) {
+        waitMs = historyWaitMs;
+        reason = WAIT_REASON.HISTORY;
+    }
+    return { waitMs: clampWait(waitMs), reason };
+}
+
+// The gap this agent leaves between messages of one burst, taken as the 80th percentile of their recent gaps,
+// or null while the message log holds too little to tell.
+export async function loadBurstGap(db, chatId) {
+    const rows = await dbAll(
+        db,
+        `SELECT timestamp FROM "messages" WHERE chat_id = ? AND from_me = 0 ORDER BY timestamp DESC LIMIT ?`,
+        [chatId, BURST_HISTORY_LIMIT]
+    );
+    const gaps = [];
+    for (let index = 1; index < rows.length; index += 1) {
+        const gap = rows[index - 1].timestamp - rows[index].timestamp;
+        if (gap <= BURST_GAP_LIMIT_S) gaps.push(gap);
+    }
+    if (gaps.length < MIN_BURST_SAMPLES) {
+        return null;
+    }
+    gaps.sort((a, b) => a - b);
+    return gaps[Math.floor((gaps.length - 1) * 0.8)] * 1000;
+}
+
+// One row per batch released to the LLM. `waitedMs` runs from the batch's first message; late_messages counts
+// what arrived while the batch was being answered, which is the sign the wait was too short.
+export async function recordReplyTiming(db, {
+    contactRowId,
+    chatId,
+    reason,
+    messages,
+    plannedWaitMs,
+    burstGapMs = null,
+    typingChecks = 0,
+    waitedMs,
+}) {
+    const result = await dbRun(
+        db,
+        `INSERT INTO "${TIMINGS_TABLE}" (
+            contact_rowid, chat_id, policy, reason, message_count, char_count, planned_wait_ms, burst_gap_ms,
+            typing_checks, waited_ms, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            contactRowId,
+            chatId,
+            AUTO_REPLY_DEBOUNCE,
+            reason,
+            messages.length,
+            messages.reduce((total, message) => total + String(message || '').length, 0),
+            plannedWaitMs,
+            burstGapMs,
+            typingChecks,
+            waitedMs,
+            Date.now(),
+        ]
+    );
+    return result.lastID;
+}
+
+export async function countLateMessage(db, timingId) {
+    await dbRun(db, `UPDATE "${TIMINGS_TABLE}" SET late_messages = late_messages + 1 WHERE id = ?`, [timingId]);
+}
+
+function serializeTiming(row) {
+    return {
+        id: row.id,
+        contactRowId: row.contact_rowid,
+        chatId: row.chat_id,
+        policy: row.policy,
+        reason: row.reason,
+        messageCount: row.message_count,
+        charCount: row.char_count,
+        plannedWaitMs: row.planned_wait_ms,
+        burstGapMs: row.burst_gap_ms,
+        typingChecks: row.typing_checks,
+        waitedMs: row.waited_ms,
+        lateMessages: row.late_messages,
+        createdAt: row.created_at,
+    };
+}
+
+export async function listReplyTimings(db, { since = 0, limit = 100 } = {}) {
+    const rows = await dbAll(
+        db,
+        `SELECT * FROM "${TIMINGS_TABLE}" WHERE created_at >= ? ORDER BY created_at DESC LIMIT ?`,
+        [since, limit]
+    );
+    return rows.map(serializeTiming);
+}
+
+// Per policy and reason, so a deployment can see which waits answer too early (late messages) or too late.
+export async function summarizeReplyTimings(db, { since = 0 } = {}) {
+    const rows = await dbAll(
+        db,
+        `SELECT policy, reason,
+                COUNT(*) AS batches,
+                AVG(planned_wait_ms) AS avg_planned_wait_ms,
+                AVG(waited_ms) AS avg_waited_ms,
+                AVG(message_count) AS avg_messages,
+                SUM(typing_checks > 0) AS typing_batches,
+                SUM(late_messages > 0) AS late_batches
+         FROM "${TIMINGS_TABLE}"
+         WHERE created_at >= ?
+         GROUP BY policy, reason
+         ORDER BY batches DESC`,
+        [since]
+    );
+    return rows.map((row) => ({
+        policy: row.policy,
+        reason: row.reason,
+        batches: row.batches,
+        avgPlannedWaitMs: Math.round(row.avg_planned_wait_ms),
+        avgWaitedMs: Math.round(row.avg_waited_ms),
+        avgMessages: Math.round(row.avg_messages * 10) / 10,
+        typingBatches: row.typing_batches,
+        lateBatches: row.late_batches,
+    }));
+}
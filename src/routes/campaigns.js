@@ -0,0 +1,137 @@
+import { openDatabase, closeDatabase } from '../db.js';
+import {
+    listCampaigns,
+    getCampaign,
+    createCampaign,
+    normalizeCampaignInput,
+    selectCampaignContacts,
+    applyCampaignAction
+} from '../campaigns.js';
+
+function parseCampaignId(value) {
+    const id = Number.parseInt(value, 10);
+    if (!Number.isFinite(id)) {
+        return null;
+    }
+    return id;
+}
+
+export function registerCampaignRoutes(app) {
+    app.get('/api/campaigns', async (_req, res) => {
+        const db = openDatabase();
+        try {
+            const campaigns = await listCampaigns(db);
+            res.json({ campaigns });
+        } catch (err) {
+            console.error('Failed to load campaigns:', err);
+            res.status(500).json({ error: 'Failed to load campaigns.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
+    app.get('/api/campaigns/:id', async (req, res) => {
+        const id = parseCampaignId(req.params.id);
+        if (!id) {
+            res.status(400).json({ error: 'Invalid campaign id.' });
+            return;
+        }
+
+        const db = openDatabase();
+        try {
+            const campaign = await getCampaign(db, id);
+            if (!campaign) {
+                res.status(404).json({ error: 'Campaign not found.' });
+                return;
+            }
+            res.json({ campaign });
+        } catch (err) {
+            console.error('Failed to load campaign:', err);
+            res.status(500).json({ error: 'Failed to load campaign.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
+    // With dryRun the selection is counted but nothing is queued.
+    app.post('/api/campaigns', async (req, res) => {
+        let settings;
+        try {
+            settings = normalizeCampaignInput(req.body);
+        } catch (err) {
+            res.status(400).json({ error: err.message, errors: err.errors || [] });
+            return;
+        }
+
+        const db = openDatabase();
+        try {
+            if (req.body.dryRun) {
+                const contacts = await selectCampaignContacts(db, settings);
+                res.json({ dryRun: true, matched: contacts.length });
+                return;
+            }
+            let created;
+            try {
+                created = await createCampaign(db, settings);
+            } catch (err) {
+                if (!err.errors) throw err;
+                res.status(400).json({ error: err.message, errors: err.errors });
+                return;
+            }
+            res.status(201).json(created);
+        } catch (err) {
+            console.error('Failed to create campaign:', err);
+            res.status(500).json({ error: 'Failed to create campaign.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
+    app.post('/api/campaigns/:id/:action', async (req, res) => {
+        const id = parseCampaignId(req.params.id);
+        if (!id) {
+            res.status(400).json({ error: 'Invalid campaign id.' });
+            return;
+        }
+        const { action } = req.params;
+        if (!['pause', 'resume', 'cancel'].includes(action)) {
+            res.status(404).json({ error: 'Unknown campaign action.' });
+            return;
+        }
+
+        const db = openDatabase();
+        try {
+            const result = await applyCampaignAction(db, id, action);
+            if (!result) {
+                res.status(404).json({ error: 'Campaign not found.' });
+                return;
+            }
+            if (!result.changed) {
+                res.status(409).json({ error: `Cannot ${action} a ${result.status} campaign.`, status: result.status });
+                return;
+            }
+            res.json({ status: result.status });
+        } catch (err) {
+            console.error(`Failed to ${action} campaign:`, err);
+            res.status(500).json({ error: `Failed to ${action} campaign.` });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+}
@@ -1,6 +1,32 @@
-import { dbAll, dbGet, dbRun, openDatabase, closeDatabase } from '../db.js';
-import { IMAGE_DIRECTORY, STATUS, TABLE_NAME } from '../config.js';
+import { dbAll, dbRun, openDatabase, closeDatabase } from '../db.js';
+import { PAUSE_REASON, STATUS, STATUS_SOURCE, TABLE_NAME } from '../config.js';
 import { generateGeminiResponse } from '../geminiClient.js';
+import { getProperty, loadPropertyProfile } from '../properties.js';
+import { getFollowupSequence, getFollowupState, stopFollowups } from '../followupScheduler.js';
+import {
+    MESSAGE_TYPES,
+    SERVER_MANAGED_COLUMNS,
+    createContact,
+    initiateContact,
+    loadContactForChat,
+    optOutContact,
+    renderContactMessage,
+    toChatId,
+    updateContact
+} from '../contacts.js';
+import { listStatusHistory, updateContactStatus } from '../contactStatus.js';
+import { OPT_OUT_SOURCE, isDoNotContact } from '../doNotContact.js';
+import { clearContactTags } from '../tags.js';
+import { discardContactDrafts } from '../replyDrafts.js';
+import { deleteContactBuffer } from '../autoReplyBuffer.js';
+import { HANDOFF_RESOLUTION, openHandoff, resolveContactHandoffs } from '../handoffs.js';
+import { enqueueMedia, enqueueReaction, enqueueText } from '../outboundQueue.js';
+import { backfillChatMessages, loadStoredMessages } from '../messageStore.js';
+import { importContacts } from '../contactImport.js';
+import { normalizePhoneNumber } from '../phone.js';
+import { invalidateContactLookup } from '../contactLookup.js';
+import { EXPORT_FORMATS, exportContacts } from '../contactExport.js';
+import { countContacts, listContactGroups, searchContacts } from '../contactSearch.js';
 import {
     getLatestQr,
     getConnectionState,
@@ -12,12 +38,9 @@ import {
     getChatById,
     fetchChatMessages,
     getUnrepliedMessagesSnapshot,
-    isRegisteredUser,
     isChatTyping,
-    sendMessage,
-    sendMedia,
     sendSeen,
-    reactToMessage
+    buildCleanChatlog
 } from '../whatsappClient.js';
 
 function parseRowId(value) {
@@ -49,16 +72,24 @@ function parseBoolean(value) {
     return null;
 }
 
-function toChatId(contactNumber) {
-    const trimmed = (contactNumber || '').trim();
-    if (!trimmed) {
-        return null;
-    }
-    const sanitizedNumber = trimmed.replace(/[^\d]/g, '');
-    if (!sanitizedNumber) {
-        return null;
+function parseList(value) {
+    if (value === undefined || value === null || value === '') {
+        return [];
     }
-    return `${sanitizedNumber}@c.us`;
+    return String(value).split(',').map((item) => item.trim()).filter((item) => item && item !== 'all');
+}
+
+// Shared by the list and the export so both see the same contacts for the same query string.
+function parseContactQuery(query) {
+    return {
+        q: typeof query.q === 'string' ? query.q : '',
+        statuses: parseList(query.status),
+        stages: parseList(query.stage),
+        tagIds: parseList(query.tag).map(Number).filter(Number.isInteger),
+        group: query.group ? String(query.group) : null,
+        sort: query.sort ? String(query.sort) : 'default',
+        order: query.order === 'desc' ? 'desc' : 'asc',
+    };
 }
 
 function serializeContact(contact) {
@@ -96,38 +127,6 @@ function serializeChat(chat) {
     };
 }
 
-async function loadContactForChat(db, rowId) {
-    return dbGet(
-        db,
-        `SELECT rowid, cleanContactNumber, conversation_started
-         FROM "${TABLE_NAME}"
-         WHERE rowid = ?`,
-        [rowId]
-    );
-}
-
-async function updateStatus(db, rowId, status) {
-    await dbRun(
-        db,
-        `UPDATE "${TABLE_NAME}" SET conversation_started = ? WHERE rowid = ?`,
-        [status, rowId]
-    );
-}
-
-async function loadContacts(db) {
-    return dbAll(
-        db,
-        `SELECT rowid, contactName, agentName, cleanContactNumber, "group", notes, conversation_started
-         FROM "${TABLE_NAME}"
-         ORDER BY "group" IS NULL,
-                  "group" COLLATE NOCASE,
-                  agentName IS NULL,
-                  agentName COLLATE NOCASE,
-                  contactName IS NULL,
-                  contactName COLLATE NOCASE`
-    );
-}
-
 async function loadTableInfo(db) {
     return dbAll(db, `PRAGMA table_info("${TABLE_NAME}")`);
 }
@@ -143,7 +142,7 @@ function normalizeDefaultValue(value) {
     return text;
 }
 
-export function registerContactRoutes(app, { initialMessage, followupMessage, propertyContext }) {
+export function registerContactRoutes(app) {
     app.get('/api/status', (_req, res) => {
         res.json({
             whatsappReady: isClientReady(),
@@ -156,12 +155,28 @@ export function registerContactRoutes(app, { initialMessage, followupMessage, pr
         });
     });
 
-    app.get('/api/contacts', async (_req, res) => {
+    // Cursor-paginated; `counts` covers the search and group filters but not the status one, for the filter chips.
+    app.get('/api/contacts', async (req, res) => {
+        const query = parseContactQuery(req.query);
+        const limit = parsePositiveInt(req.query.limit);
+
         const db = openDatabase();
         try {
-            const contacts = await loadContacts(db);
-            res.json({ contacts });
+            const { contacts, nextCursor } = await searchContacts(db, {
+                ...query,
+                cursor: req.query.cursor || null,
+                limit: limit || undefined,
+            });
+            const counts = await countContacts(db, query);
+            const total = query.statuses.length > 0
+                ? query.statuses.reduce((sum, status) => sum + (counts[status] || 0), 0)
+                : counts.total;
+            res.json({ contacts, nextCursor, total, counts });
         } catch (err) {
+            if (err.status) {
+                res.status(err.status).json({ error: err.message, ...err.details });
+                return;
+            }
             console.error('Failed to load contacts:', err);
             res.status(500).json({ error: 'Failed to load contacts.' });
         } finally {
@@ -173,16 +188,34 @@ export function registerContactRoutes(app, { initialMessage, followupMessage, pr
         }
     });
 
+    app.get('/api/contacts/groups', async (_req, res) => {
+        const db = openDatabase();
+        try {
+            res.json({ groups: await listContactGroups(db) });
+        } catch (err) {
+            console.error('Failed to load contact groups:', err);
+            res.status(500).json({ error: 'Failed to load contact groups.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
     app.get('/api/contacts/schema', async (_req, res) => {
         const db = openDatabase();
         try {
             const columns = await loadTableInfo(db);
-            const schema = columns.map((column) => ({
-                name: column.name,
-                type: column.type,
-                defaultValue: normalizeDefaultValue(column.dflt_value),
-                notNull: column.notnull === 1,
-            }));
+            const schema = columns
+                .filter((column) => !SERVER_MANAGED_COLUMNS.has(column.name))
+                .map((column) => ({
+                    name: column.name,
+                    type: column.type,
+                    defaultValue: normalizeDefaultValue(column.dflt_value),
+                    notNull: column.notnull === 1,
+                }));
             res.json({ columns: schema });
         } catch (err) {
             console.error('Failed to load schema:', err);
@@ -196,6 +229,38 @@ export function registerContactRoutes(app, { initialMessage, followupMessage, pr
         }
     });
 
+    app.get('/api/contacts/export', async (req, res) => {
+        const format = String(req.query.format || 'csv').toLowerCase();
+        const exportFormat = EXPORT_FORMATS[format];
+        if (!exportFormat) {
+            res.status(400).json({ error: `Unsupported export format: ${format}. Use csv or xlsx.` });
+            return;
+        }
+
+        const db = openDatabase();
+        try {
+            const { contacts } = await searchContacts(db, { ...parseContactQuery(req.query), limit: null });
+            const body = await exportContacts(db, contacts, format);
+            const date = new Date().toISOString().slice(0, 10);
+            res.set('Content-Type', exportFormat.contentType);
+            res.set('Content-Disposition', `attachment; filename="contacts-${date}.${exportFormat.extension}"`);
+            res.send(body);
+        } catch (err) {
+            if (err.status) {
+                res.status(err.status).json({ error: err.message, ...err.details });
+                return;
+            }
+            console.error('Failed to export contacts:', err);
+            res.status(500).json({ error: 'Failed to export contacts.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
     app.post('/api/contacts', async (req, res) => {
         const payload = req.body;
         if (!payload || typeof payload !== 'object') {
@@ -205,42 +270,52 @@ export function registerContactRoutes(app, { initialMessage, followupMessage, pr
 
         const db = openDatabase();
         try {
-            const columns = await loadTableInfo(db);
-            const insertColumns = [];
-            const values = [];
-            let hasNonStatusValue = false;
-
-            for (const column of columns) {
-                const name = column.name;
-                if (!(name in payload)) {
-                    continue;
-                }
-                const rawValue = payload[name];
-                const value = typeof rawValue === 'string' ? rawValue.trim() : rawValue;
-                if (value === '' || value === undefined || value === null) {
-                    continue;
-                }
-                if (name !== 'conversation_started') {
-                    hasNonStatusValue = true;
-                }
-                insertColumns.push(name);
-                values.push(value);
-            }
-
-            if (!hasNonStatusValue) {
-                res.status(400).json({ error: 'Provide at least one contact field.' });
+            const contact = await createContact(db, payload);
+            res.status(201).json({ rowid: contact.rowid });
+        } catch (err) {
+            if (err.status) {
+                res.status(err.status).json({
+                    error: err.message,
+                    errors: err.errors || [err.message],
+                    ...err.details,
+                });
                 return;
             }
+            console.error('Failed to create contact:', err);
+            res.status(500).json({ error: 'Failed to create contact.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
 
-            const quotedColumns = insertColumns.map((name) => `"${name}"`);
-            const placeholders = insertColumns.map(() => '?').join(', ');
-            const sql = `INSERT INTO "${TABLE_NAME}" (${quotedColumns.join(', ')}) VALUES (${placeholders})`;
+    // With dryRun the merge plan is returned without writing anything.
+    app.post('/api/contacts/import', async (req, res) => {
+        const csv = typeof req.body?.csv === 'string' ? req.body.csv : '';
+        if (!csv.trim()) {
+            res.status(400).json({ error: 'Provide the CSV contents.' });
+            return;
+        }
+        const mapping = req.body.mapping && typeof req.body.mapping === 'object' ? req.body.mapping : null;
+        const dryRun = Boolean(req.body.dryRun);
 
-            const result = await dbRun(db, sql, values);
-            res.status(201).json({ rowid: result.lastID });
+        const db = openDatabase();
+        try {
+            let plan;
+            try {
+                plan = await importContacts(db, { csv, mapping, dryRun });
+            } catch (err) {
+                if (!err.errors) throw err;
+                res.status(400).json({ error: err.message, errors: err.errors, ...err.details });
+                return;
+            }
+            res.status(dryRun ? 200 : 201).json({ dryRun, ...plan });
         } catch (err) {
-            console.error('Failed to create contact:', err);
-            res.status(500).json({ error: 'Failed to create contact.' });
+            console.error('Failed to import contacts:', err);
+            res.status(500).json({ error: 'Failed to import contacts.' });
         } finally {
             try {
                 await closeDatabase(db);
@@ -268,6 +343,12 @@ export function registerContactRoutes(app, { initialMessage, followupMessage, pr
                 res.status(404).json({ error: 'Contact not found.' });
                 return;
             }
+            await clearContactTags(db, rowId);
+            await resolveContactHandoffs(db, rowId, HANDOFF_RESOLUTION.CONTACT_REMOVED);
+            await discardContactDrafts(db, rowId);
+            await stopFollowups(db, rowId, 'contact_deleted');
+            await deleteContactBuffer(db, rowId);
+            invalidateContactLookup();
             res.json({ deleted: true });
         } catch (err) {
             console.error('Failed to delete contact:', err);
@@ -281,6 +362,47 @@ export function registerContactRoutes(app, { initialMessage, followupMessage, pr
         }
     });
 
+    // Partial update: only the fields present in the body change, so the conversation status survives a fix-up.
+    app.patch('/api/contacts/:rowid', async (req, res) => {
+        const rowId = parseRowId(req.params.rowid);
+        if (!rowId) {
+            res.status(400).json({ error: 'Invalid contact id.' });
+            return;
+        }
+        const payload = req.body;
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload) || Object.keys(payload).length === 0) {
+            res.status(400).json({ error: 'Provide at least one field to update.' });
+            return;
+        }
+
+        const db = openDatabase();
+        try {
+            const contact = await updateContact(db, rowId, payload);
+            if (!contact) {
+                res.status(404).json({ error: 'Contact not found.' });
+                return;
+            }
+            res.json({ contact });
+        } catch (err) {
+            if (err.status) {
+                res.status(err.status).json({
+                    error: err.message,
+                    errors: err.errors || [err.message],
+                    ...err.details,
+                });
+                return;
+            }
+            console.error('Failed to update contact:', err);
+            res.status(500).json({ error: 'Failed to update contact.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
     app.post('/api/contacts/:rowid/initiate', async (req, res) => {
         if (!isClientReady()) {
             res.status(503).json({ error: 'WhatsApp client not ready. Scan the QR code in the terminal.' });
@@ -295,55 +417,62 @@ export function registerContactRoutes(app, { initialMessage, followupMessage, pr
 
         const db = openDatabase();
         try {
-            const row = await loadContactForChat(db, rowId);
-            console.log(row);
-
-            if (!row) {
-                res.status(404).json({ error: 'Contact not found.' });
-                return;
-            }
-
-            const chatId = toChatId(row.cleanContactNumber);
-            if (!chatId) {
-                res.status(400).json({ error: 'Contact missing cleanContactNumber.' });
+            let result;
+            try {
+                result = await initiateContact(db, rowId, {
+                    idempotencyKey: req.get('Idempotency-Key') || null,
+                });
+            } catch (err) {
+                if (!err.status) throw err;
+                res.status(err.status).json({ error: err.message, ...err.details });
                 return;
             }
-            const isRegistered = await isRegisteredUser(chatId);
-            console.log(`isRegisteredUser(${chatId}) = ${isRegistered}`);
-            if (!isRegistered) {
-                await updateStatus(db, rowId, STATUS.UNREGISTERED);
-                res.json({ status: STATUS.UNREGISTERED });
-                return;
+            res.json(result);
+        } catch (err) {
+            console.error('Failed to initiate conversation:', err);
+            res.status(500).json({ error: 'Failed to initiate conversation.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
             }
+        }
+    });
 
-            if (!initialMessage) {
-                res.status(500).json({ error: 'Initial message is not configured.' });
-                return;
-            }
-            let messageToSend = initialMessage;
+    app.get('/api/contacts/:rowid/message-preview', async (req, res) => {
+        const rowId = parseRowId(req.params.rowid);
+        if (!rowId) {
+            res.status(400).json({ error: 'Invalid contact id.' });
+            return;
+        }
 
-            const chat = await getChatById(chatId);
-            if (chat) {
-                try {
-                    await chat.syncHistory();
-                    const historyResult = await fetchChatMessages(chatId, { limit: 5 });
-                    console.log('Recent chat messages:', historyResult);
-                    const hasHistory = Array.isArray(historyResult?.messages) && historyResult.messages.length > 1;
-                    console.log(`Chat has history: ${hasHistory}`);
-                    if (hasHistory) {
-                        messageToSend = followupMessage || initialMessage;
-                    }
-                } catch (err) {
-                    console.error('Failed to sync history before initiating:', err);
-                }
-            }
+        const type = typeof req.query.type === 'string' ? req.query.type : 'initial';
+        if (!MESSAGE_TYPES.includes(type)) {
+            res.status(400).json({ error: `Invalid message type. Use one of: ${MESSAGE_TYPES.join(', ')}.` });
+            return;
+        }
 
-            await sendMessage(chatId, messageToSend);
-            await updateStatus(db, rowId, STATUS.ACTIVE);
-            res.json({ status: STATUS.ACTIVE });
+        const db = openDatabase();
+        try {
+            const row = await loadContactForChat(db, rowId);
+            if (!row) {
+                res.status(404).json({ error: 'Contact not found.' });
+                return;
+            }
+            const property = await loadPropertyProfile(db, row.property_id);
+            const rendered = renderContactMessage(row, property, type);
+            res.json({
+                type,
+                property: property.name,
+                template: rendered.template,
+                text: rendered.text,
+                missing: rendered.missing,
+                sendable: rendered.missing.length === 0,
+            });
         } catch (err) {
-            console.error('Failed to initiate conversation:', err);
-            res.status(500).json({ error: 'Failed to initiate conversation.' });
+            console.error('Failed to preview message:', err);
+            res.status(500).json({ error: 'Failed to preview message.' });
         } finally {
             try {
                 await closeDatabase(db);
@@ -359,11 +488,6 @@ export function registerContactRoutes(app, { initialMessage, followupMessage, pr
             return;
         }
 
-        if (!propertyContext) {
-            res.status(500).json({ error: 'Property context not available.' });
-            return;
-        }
-
         const rowId = parseRowId(req.params.rowid);
         if (!rowId) {
             res.status(400).json({ error: 'Invalid contact id.' });
@@ -378,9 +502,20 @@ export function registerContactRoutes(app, { initialMessage, followupMessage, pr
                 return;
             }
 
+            const property = await loadPropertyProfile(db, row.property_id);
+            if (!property?.propertyContext) {
+                res.status(500).json({ error: 'Property context not available.' });
+                return;
+            }
+
             const chatId = toChatId(row.cleanContactNumber);
             if (!chatId) {
-                res.status(400).json({ error: 'Contact missing cleanContactNumber.' });
+                res.status(400).json({ error: 'Contact has no valid phone number.' });
+                return;
+            }
+            const phoneNumber = normalizePhoneNumber(row.cleanContactNumber);
+            if (await isDoNotContact(db, phoneNumber)) {
+                res.status(409).json({ error: 'Number is on the do-not-contact list.', doNotContact: true });
                 return;
             }
 
@@ -425,33 +560,63 @@ export function registerContactRoutes(app, { initialMessage, followupMessage, pr
             }
 
             const result = await generateGeminiResponse({
-                propertyContext,
+                propertyContext: property.propertyContext,
                 message: combinedContent,
                 conversationHistory: history,
                 contactInfo,
                 outline,
             });
 
+            const requestKey = req.get('Idempotency-Key');
+            const outboundOptions = (suffix) => ({
+                idempotencyKey: requestKey ? `respond:${requestKey}:${suffix}` : null,
+                contactRowId: rowId,
+                source: 'respond',
+                llmAction: result.action,
+            });
             if (result.action === 'reply' && (result.reply || result.media === 'include')) {
                 if (result.reply) {
-                    await sendMessage(chatId, String(result.reply));
+                    await enqueueText(db, chatId, String(result.reply), outboundOptions('text'));
                 }
                 if (result.media === 'include') {
-                    await sendMedia(chatId, IMAGE_DIRECTORY);
+                    await enqueueMedia(db, chatId, property.imageDirectory, outboundOptions('media'));
                 }
                 responded = 1;
             } else if (result.action === 'ack') {
                 const lastPending = pending.slice().reverse().find((item) => item.messageId);
                 if (result.ack === 'thumbs_up' && lastPending?.messageId) {
-                    await reactToMessage(lastPending.messageId, '👍');
+                    await enqueueReaction(db, chatId, lastPending.messageId, '👍', outboundOptions('reaction'));
                 } else {
                     await sendSeen(chatId);
                 }
                 responded = 0;
                 res.json({ responded, paused, ack: result.ack || 'seen' });
                 return;
+            } else if (result.action === 'opt_out') {
+                await optOutContact(db, {
+                    rowId,
+                    phoneNumber,
+                    chatId,
+                    source: OPT_OUT_SOURCE.LLM,
+                    reason: combinedContent,
+                    confirm: true,
+                });
+                res.json({ responded: 0, paused: true, optedOut: true });
+                return;
             } else {
-                await updateStatus(db, rowId, STATUS.PAUSED);
+                await updateContactStatus(db, rowId, STATUS.PAUSED, {
+                    pauseReason: PAUSE_REASON.LLM_HANDOFF,
+                    source: STATUS_SOURCE.RESPOND,
+                    detail: result.reason || null,
+                });
+                await openHandoff(db, {
+                    contactRowId: rowId,
+                    chatId,
+                    pauseReason: PAUSE_REASON.LLM_HANDOFF,
+                    reason: result.reason || null,
+                    message: combinedContent || null,
+                    source: STATUS_SOURCE.RESPOND,
+                });
                 paused = true;
             }
 
@@ -489,7 +654,7 @@ export function registerContactRoutes(app, { initialMessage, followupMessage, pr
                 res.status(404).json({ error: 'Contact not found.' });
                 return;
             }
-            await updateStatus(db, rowId, nextStatus);
+            await updateContactStatus(db, rowId, nextStatus, { source: STATUS_SOURCE.MANUAL });
             res.json({ status: nextStatus });
         } catch (err) {
             console.error('Failed to update status:', err);
@@ -503,6 +668,139 @@ export function registerContactRoutes(app, { initialMessage, followupMessage, pr
         }
     });
 
+    app.patch('/api/contacts/:rowid/property', async (req, res) => {
+        const rowId = parseRowId(req.params.rowid);
+        if (!rowId) {
+            res.status(400).json({ error: 'Invalid contact id.' });
+            return;
+        }
+
+        const rawPropertyId = req.body?.propertyId;
+        const clearing = rawPropertyId === null || rawPropertyId === undefined || rawPropertyId === '';
+        const propertyId = clearing ? null : parsePositiveInt(rawPropertyId);
+        if (!clearing && !propertyId) {
+            res.status(400).json({ error: 'Invalid property id.' });
+            return;
+        }
+
+        const db = openDatabase();
+        try {
+            const row = await loadContactForChat(db, rowId);
+            if (!row) {
+                res.status(404).json({ error: 'Contact not found.' });
+                return;
+            }
+            if (propertyId) {
+                const property = await getProperty(db, propertyId);
+                if (!property) {
+                    res.status(404).json({ error: 'Property not found.' });
+                    return;
+                }
+            }
+            await dbRun(
+                db,
+                `UPDATE "${TABLE_NAME}" SET property_id = ? WHERE rowid = ?`,
+                [propertyId, rowId]
+            );
+            res.json({ propertyId });
+        } catch (err) {
+            console.error('Failed to update contact property:', err);
+            res.status(500).json({ error: 'Failed to update contact property.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
+    app.get('/api/contacts/:rowid/history', async (req, res) => {
+        const rowId = parseRowId(req.params.rowid);
+        if (!rowId) {
+            res.status(400).json({ error: 'Invalid contact id.' });
+            return;
+        }
+
+        const db = openDatabase();
+        try {
+            const row = await loadContactForChat(db, rowId);
+            if (!row) {
+                res.status(404).json({ error: 'Contact not found.' });
+                return;
+            }
+            res.json({ history: await listStatusHistory(db, rowId) });
+        } catch (err) {
+            console.error('Failed to load status history:', err);
+            res.status(500).json({ error: 'Failed to load status history.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
+    app.get('/api/contacts/:rowid/followups', async (req, res) => {
+        const rowId = parseRowId(req.params.rowid);
+        if (!rowId) {
+            res.status(400).json({ error: 'Invalid contact id.' });
+            return;
+        }
+
+        const db = openDatabase();
+        try {
+            const row = await loadContactForChat(db, rowId);
+            if (!row) {
+                res.status(404).json({ error: 'Contact not found.' });
+                return;
+            }
+            const property = await loadPropertyProfile(db, row.property_id);
+            const followup = await getFollowupState(db, rowId);
+            res.json({
+                followup,
+                totalSteps: getFollowupSequence(property.propertyContext).length,
+            });
+        } catch (err) {
+            console.error('Failed to load follow-ups:', err);
+            res.status(500).json({ error: 'Failed to load follow-ups.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
+    app.delete('/api/contacts/:rowid/followups', async (req, res) => {
+        const rowId = parseRowId(req.params.rowid);
+        if (!rowId) {
+            res.status(400).json({ error: 'Invalid contact id.' });
+            return;
+        }
+
+        const db = openDatabase();
+        try {
+            const stopped = await stopFollowups(db, rowId, 'cancelled');
+            if (!stopped) {
+                res.status(404).json({ error: 'No scheduled follow-ups for this contact.' });
+                return;
+            }
+            res.json({ stopped: true });
+        } catch (err) {
+            console.error('Failed to stop follow-ups:', err);
+            res.status(500).json({ error: 'Failed to stop follow-ups.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
     app.post('/api/contacts/:rowid/sync-history', async (req, res) => {
         if (!isClientReady()) {
             res.status(503).json({ error: 'WhatsApp client not ready. Scan the QR code in the terminal.' });
@@ -525,18 +823,16 @@ export function registerContactRoutes(app, { initialMessage, followupMessage, pr
 
             const chatId = toChatId(row.cleanContactNumber);
             if (!chatId) {
-                res.status(400).json({ error: 'Contact missing cleanContactNumber.' });
+                res.status(400).json({ error: 'Contact has no valid phone number.' });
                 return;
             }
 
-            const chat = await getChatById(chatId);
-            if (!chat) {
+            const stored = await backfillChatMessages(db, chatId, { contactRowId: rowId });
+            if (stored === null) {
                 res.status(404).json({ error: 'Chat not found.' });
                 return;
             }
-
-            await chat.syncHistory();
-            res.json({ synced: true });
+            res.json({ synced: true, stored });
         } catch (err) {
             console.error('Failed to sync history:', err);
             res.status(500).json({ error: 'Failed to sync history.' });
@@ -549,12 +845,9 @@ export function registerContactRoutes(app, { initialMessage, followupMessage, pr
         }
     });
 
+    // Serves live WhatsApp history by default and falls back to the local log when the client is down.
     app.get('/api/contacts/:rowid/messages', async (req, res) => {
-        if (!isClientReady()) {
-            res.status(503).json({ error: 'WhatsApp client not ready. Scan the QR code in the terminal.' });
-            return;
-        }
-
+        const source = req.query.source === 'local' || !isClientReady() ? 'local' : 'live';
         const rowId = parseRowId(req.params.rowid);
         if (!rowId) {
             res.status(400).json({ error: 'Invalid contact id.' });
@@ -582,7 +875,18 @@ export function registerContactRoutes(app, { initialMessage, followupMessage, pr
 
             const chatId = toChatId(row.cleanContactNumber);
             if (!chatId) {
-                res.status(400).json({ error: 'Contact missing cleanContactNumber.' });
+                res.status(400).json({ error: 'Contact has no valid phone number.' });
+                return;
+            }
+
+            if (source === 'local') {
+                const messages = await loadStoredMessages(db, {
+                    chatId,
+                    contactRowId: rowId,
+                    limit: limit || 250,
+                    fromMe,
+                });
+                res.json(clean ? { chatlog: buildCleanChatlog(messages), source } : { messages, source });
                 return;
             }
 
@@ -591,7 +895,7 @@ export function registerContactRoutes(app, { initialMessage, followupMessage, pr
                 res.status(404).json({ error: 'Chat not found.' });
                 return;
             }
-            res.json(result);
+            res.json({ ...result, source });
         } catch (err) {
             console.error('Failed to fetch messages:', err);
             res.status(500).json({ error: 'Failed to fetch messages.' });
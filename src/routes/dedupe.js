@@ -0,0 +1,93 @@
+import { openDatabase, closeDatabase } from '../db.js';
+import { applyDedupe, buildDedupePlan, listDedupeRuns, undoDedupeRun } from '../dedupe.js';
+
+function parseRunId(value) {
+    const id = Number.parseInt(value, 10);
+    if (!Number.isFinite(id)) {
+        return null;
+    }
+    return id;
+}
+
+function isTrue(value) {
+    return value === true || ['true', '1', 'yes'].includes(String(value).toLowerCase());
+}
+
+export function registerDedupeRoutes(app) {
+    // With dryRun the proposed groups are returned without touching any row; `keys` picks groups from that preview.
+    app.post('/api/contacts/dedupe', async (req, res) => {
+        const body = req.body && typeof req.body === 'object' ? req.body : {};
+        const dryRun = isTrue(req.query.dryRun ?? body.dryRun);
+        const fuzzy = isTrue(req.query.fuzzy ?? body.fuzzy);
+        if (body.keys !== undefined && !(Array.isArray(body.keys) && body.keys.every((key) => typeof key === 'string'))) {
+            res.status(400).json({ error: 'keys must be an array of group keys from a dry run.' });
+            return;
+        }
+
+        const db = openDatabase();
+        try {
+            if (dryRun) {
+                res.json({ dryRun: true, ...(await buildDedupePlan(db, { fuzzy })) });
+                return;
+            }
+            const result = await applyDedupe(db, { fuzzy, keys: body.keys || null });
+            res.json({ dryRun: false, ...result });
+        } catch (err) {
+            console.error('Failed to dedupe contacts:', err);
+            res.status(500).json({ error: 'Failed to dedupe contacts.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
+    app.get('/api/contacts/dedupe/runs', async (_req, res) => {
+        const db = openDatabase();
+        try {
+            res.json({ runs: await listDedupeRuns(db) });
+        } catch (err) {
+            console.error('Failed to load dedupe runs:', err);
+            res.status(500).json({ error: 'Failed to load dedupe runs.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
+    app.post('/api/contacts/dedupe/runs/:id/undo', async (req, res) => {
+        const id = parseRunId(req.params.id);
+        if (!id) {
+            res.status(400).json({ error: 'Invalid dedupe run id.' });
+            return;
+        }
+
+        const db = openDatabase();
+        try {
+            const result = await undoDedupeRun(db, id);
+            if (!result) {
+                res.status(404).json({ error: 'Dedupe run not found.' });
+                return;
+            }
+            res.json(result);
+        } catch (err) {
+            if (err.status) {
+                res.status(err.status).json({ error: err.message, ...err.details });
+                return;
+            }
+            console.error('Failed to undo dedupe run:', err);
+            res.status(500).json({ error: 'Failed to undo dedupe run.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+}
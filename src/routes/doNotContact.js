@@ -0,0 +1,81 @@
+import { openDatabase, closeDatabase } from '../db.js';
+import { normalizePhoneNumber } from '../phone.js';
+import { lookupContactRowId } from '../contactLookup.js';
+import { optOutContact } from '../contacts.js';
+import { OPT_OUT_SOURCE, listDoNotContact, removeDoNotContact } from '../doNotContact.js';
+
+export function registerDoNotContactRoutes(app) {
+    app.get('/api/do-not-contact', async (_req, res) => {
+        const db = openDatabase();
+        try {
+            res.json({ entries: await listDoNotContact(db) });
+        } catch (err) {
+            console.error('Failed to load do-not-contact list:', err);
+            res.status(500).json({ error: 'Failed to load do-not-contact list.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
+    // A number added by hand gets no confirmation message; a matching contact is paused like any opt-out.
+    app.post('/api/do-not-contact', async (req, res) => {
+        const phoneNumber = normalizePhoneNumber(req.body?.number);
+        if (!phoneNumber) {
+            res.status(400).json({ error: `Invalid phone number "${req.body?.number ?? ''}".` });
+            return;
+        }
+        const reason = typeof req.body?.reason === 'string' && req.body.reason.trim() ? req.body.reason.trim() : null;
+
+        const db = openDatabase();
+        try {
+            // Same row an incoming message from the number would resolve to.
+            const { entry, created } = await optOutContact(db, {
+                rowId: await lookupContactRowId(phoneNumber),
+                phoneNumber,
+                source: OPT_OUT_SOURCE.MANUAL,
+                reason,
+            });
+            res.status(created ? 201 : 200).json({ entry, created });
+        } catch (err) {
+            console.error('Failed to add to do-not-contact list:', err);
+            res.status(500).json({ error: 'Failed to add to do-not-contact list.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
+    // Removing a number is the exception path: it may be contacted again, but its contact stays paused until resumed.
+    app.delete('/api/do-not-contact/:number', async (req, res) => {
+        const phoneNumber = normalizePhoneNumber(req.params.number);
+        if (!phoneNumber) {
+            res.status(400).json({ error: 'Invalid phone number.' });
+            return;
+        }
+
+        const db = openDatabase();
+        try {
+            if (!(await removeDoNotContact(db, phoneNumber))) {
+                res.status(404).json({ error: 'Number is not on the do-not-contact list.' });
+                return;
+            }
+            res.json({ removed: phoneNumber });
+        } catch (err) {
+            console.error('Failed to remove from do-not-contact list:', err);
+            res.status(500).json({ error: 'Failed to remove from do-not-contact list.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+}
@@ -0,0 +1,253 @@
+import { openDatabase, closeDatabase } from '../db.js';
+import { REPLY_MODE } from '../config.js';
+import {
+    DRAFT_STATUS,
+    approveDraft,
+    countDrafts,
+    discardDraft,
+    getGlobalReplyMode,
+    isReplyMode,
+    listDrafts,
+    regenerateDraft,
+    setContactReplyMode,
+    setGlobalReplyMode,
+    updateDraft
+} from '../replyDrafts.js';
+
+function parseRowId(value) {
+    const rowId = Number.parseInt(value, 10);
+    if (!Number.isFinite(rowId)) {
+        return null;
+    }
+    return rowId;
+}
+
+function parseDraftId(value) {
+    const id = Number.parseInt(value, 10);
+    if (!Number.isFinite(id)) {
+        return null;
+    }
+    return id;
+}
+
+export function registerDraftRoutes(app) {
+    app.get('/api/reply-mode', async (_req, res) => {
+        const db = openDatabase();
+        try {
+            res.json({ mode: await getGlobalReplyMode(db) });
+        } catch (err) {
+            console.error('Failed to load reply mode:', err);
+            res.status(500).json({ error: 'Failed to load reply mode.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
+    // Global default; contacts with their own reply_mode keep it.
+    app.patch('/api/reply-mode', async (req, res) => {
+        const mode = req.body?.mode;
+        if (!isReplyMode(mode)) {
+            res.status(400).json({ error: `mode must be one of: ${Object.values(REPLY_MODE).join(', ')}.` });
+            return;
+        }
+
+        const db = openDatabase();
+        try {
+            res.json({ mode: await setGlobalReplyMode(db, mode) });
+        } catch (err) {
+            console.error('Failed to update reply mode:', err);
+            res.status(500).json({ error: 'Failed to update reply mode.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
+    // Only changes how the auto responder answers; the contact keeps its status, so an active agent can be handled
+    // by hand without pausing the conversation. `mode: null` returns the contact to the global mode.
+    app.patch('/api/contacts/:rowid/reply-mode', async (req, res) => {
+        const rowId = parseRowId(req.params.rowid);
+        if (!rowId) {
+            res.status(400).json({ error: 'Invalid contact id.' });
+            return;
+        }
+        const mode = req.body?.mode ?? null;
+        if (mode !== null && !isReplyMode(mode)) {
+            res.status(400).json({ error: `mode must be one of: ${Object.values(REPLY_MODE).join(', ')}, or null.` });
+            return;
+        }
+
+        const db = openDatabase();
+        try {
+            if (!(await setContactReplyMode(db, rowId, mode))) {
+                res.status(404).json({ error: 'Contact not found.' });
+                return;
+            }
+            res.json({ mode });
+        } catch (err) {
+            console.error('Failed to update reply mode:', err);
+            res.status(500).json({ error: 'Failed to update reply mode.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
+    app.get('/api/drafts', async (req, res) => {
+        const status = req.query.status === 'all' ? null : String(req.query.status || DRAFT_STATUS.PENDING);
+        if (status && !Object.values(DRAFT_STATUS).includes(status)) {
+            res.status(400).json({ error: 'Invalid draft status.' });
+            return;
+        }
+
+        const db = openDatabase();
+        try {
+            const drafts = await listDrafts(db, { status });
+            res.json({ drafts, counts: await countDrafts(db) });
+        } catch (err) {
+            console.error('Failed to load drafts:', err);
+            res.status(500).json({ error: 'Failed to load drafts.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
+    app.patch('/api/drafts/:id', async (req, res) => {
+        const id = parseDraftId(req.params.id);
+        if (!id) {
+            res.status(400).json({ error: 'Invalid draft id.' });
+            return;
+        }
+
+        const db = openDatabase();
+        try {
+            const draft = await updateDraft(db, id, req.body);
+            if (!draft) {
+                res.status(404).json({ error: 'Draft not found.' });
+                return;
+            }
+            res.json({ draft });
+        } catch (err) {
+            if (err.status) {
+                res.status(err.status).json({ error: err.message, ...err.details });
+                return;
+            }
+            console.error('Failed to update draft:', err);
+            res.status(500).json({ error: 'Failed to update draft.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
+    // The body may carry last-minute edits ({ reply, media }), saved before the draft is sent.
+    app.post('/api/drafts/:id/approve', async (req, res) => {
+        const id = parseDraftId(req.params.id);
+        if (!id) {
+            res.status(400).json({ error: 'Invalid draft id.' });
+            return;
+        }
+
+        const db = openDatabase();
+        try {
+            const draft = await approveDraft(db, id, req.body);
+            if (!draft) {
+                res.status(404).json({ error: 'Draft not found.' });
+                return;
+            }
+            res.json({ draft });
+        } catch (err) {
+            if (err.status) {
+                res.status(err.status).json({ error: err.message, ...err.details });
+                return;
+            }
+            console.error('Failed to approve draft:', err);
+            res.status(500).json({ error: 'Failed to approve draft.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
+    app.post('/api/drafts/:id/regenerate', async (req, res) => {
+        const id = parseDraftId(req.params.id);
+        if (!id) {
+            res.status(400).json({ error: 'Invalid draft id.' });
+            return;
+        }
+
+        const db = openDatabase();
+        try {
+            const draft = await regenerateDraft(db, id, { outline: req.body?.outline });
+            if (!draft) {
+                res.status(404).json({ error: 'Draft not found.' });
+                return;
+            }
+            res.json({ draft });
+        } catch (err) {
+            if (err.status) {
+                res.status(err.status).json({ error: err.message, ...err.details });
+                return;
+            }
+            console.error('Failed to regenerate draft:', err);
+            res.status(500).json({ error: 'Failed to regenerate draft.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
+    app.post('/api/drafts/:id/discard', async (req, res) => {
+        const id = parseDraftId(req.params.id);
+        if (!id) {
+            res.status(400).json({ error: 'Invalid draft id.' });
+            return;
+        }
+
+        const db = openDatabase();
+        try {
+            const draft = await discardDraft(db, id);
+            if (!draft) {
+                res.status(404).json({ error: 'Draft not found.' });
+                return;
+            }
+            res.json({ draft });
+        } catch (err) {
+            if (err.status) {
+                res.status(err.status).json({ error: err.message, ...err.details });
+                return;
+            }
+            console.error('Failed to discard draft:', err);
+            res.status(500).json({ error: 'Failed to discard draft.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+}
@@ -0,0 +1,117 @@
+import { openDatabase, closeDatabase } from '../db.js';
+import {
+    countOpenHandoffs,
+    getNotificationSettings,
+    listHandoffs,
+    resolveHandoff,
+    updateNotificationSettings
+} from '../handoffs.js';
+
+function parseHandoffId(value) {
+    const id = Number.parseInt(value, 10);
+    if (!Number.isFinite(id)) {
+        return null;
+    }
+    return id;
+}
+
+export function registerHandoffRoutes(app) {
+    // The attention queue: open handoffs, longest waiting first. `status=resolved` lists the handled ones instead.
+    app.get('/api/handoffs', async (req, res) => {
+        const status = String(req.query.status || 'open');
+        if (!['open', 'resolved'].includes(status)) {
+            res.status(400).json({ error: 'status must be open or resolved.' });
+            return;
+        }
+        const contactRowId = req.query.contact ? Number.parseInt(req.query.contact, 10) : null;
+        if (req.query.contact && !Number.isFinite(contactRowId)) {
+            res.status(400).json({ error: 'Invalid contact id.' });
+            return;
+        }
+        const limit = Math.min(500, Number.parseInt(req.query.limit, 10) || 100);
+
+        const db = openDatabase();
+        try {
+            const handoffs = await listHandoffs(db, { open: status === 'open', contactRowId, limit });
+            res.json({ handoffs, open: await countOpenHandoffs(db) });
+        } catch (err) {
+            console.error('Failed to load handoffs:', err);
+            res.status(500).json({ error: 'Failed to load handoffs.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
+    // Takes a handoff off the queue without touching the contact, e.g. after answering by hand and keeping it paused.
+    app.post('/api/handoffs/:id/resolve', async (req, res) => {
+        const id = parseHandoffId(req.params.id);
+        if (!id) {
+            res.status(400).json({ error: 'Invalid handoff id.' });
+            return;
+        }
+
+        const db = openDatabase();
+        try {
+            const handoff = await resolveHandoff(db, id);
+            if (!handoff) {
+                res.status(404).json({ error: 'Handoff not found.' });
+                return;
+            }
+            res.json({ handoff });
+        } catch (err) {
+            if (err.status) {
+                res.status(err.status).json({ error: err.message, ...err.details });
+                return;
+            }
+            console.error('Failed to resolve handoff:', err);
+            res.status(500).json({ error: 'Failed to resolve handoff.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
+    app.get('/api/handoff-notifications', async (_req, res) => {
+        const db = openDatabase();
+        try {
+            res.json({ settings: await getNotificationSettings(db) });
+        } catch (err) {
+            console.error('Failed to load handoff notifications:', err);
+            res.status(500).json({ error: 'Failed to load handoff notifications.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
+    // { browser, webhookUrl, whatsapp, whatsappNumber }; fields left out keep their value.
+    app.patch('/api/handoff-notifications', async (req, res) => {
+        const db = openDatabase();
+        try {
+            res.json({ settings: await updateNotificationSettings(db, req.body || {}) });
+        } catch (err) {
+            if (err.status) {
+                res.status(err.status).json({ error: err.message, ...err.details });
+                return;
+            }
+            console.error('Failed to update handoff notifications:', err);
+            res.status(500).json({ error: 'Failed to update handoff notifications.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+}
@@ -0,0 +1,90 @@
+import { openDatabase, closeDatabase } from '../db.js';
+import { OUTBOUND_STATUS, cancelOutbound, listOutbound, retryOutbound } from '../outboundQueue.js';
+
+function parseOutboundId(value) {
+    const id = Number.parseInt(value, 10);
+    if (!Number.isFinite(id)) {
+        return null;
+    }
+    return id;
+}
+
+export function registerOutboxRoutes(app) {
+    app.get('/api/outbox', async (req, res) => {
+        const status = typeof req.query.status === 'string' ? req.query.status : '';
+        if (status && !Object.values(OUTBOUND_STATUS).includes(status)) {
+            res.status(400).json({ error: 'Invalid status filter.' });
+            return;
+        }
+        const limit = Math.min(500, Number.parseInt(req.query.limit, 10) || 100);
+
+        const db = openDatabase();
+        try {
+            const result = await listOutbound(db, { status: status || null, limit });
+            res.json(result);
+        } catch (err) {
+            console.error('Failed to load outbox:', err);
+            res.status(500).json({ error: 'Failed to load outbox.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
+    app.post('/api/outbox/:id/retry', async (req, res) => {
+        const id = parseOutboundId(req.params.id);
+        if (!id) {
+            res.status(400).json({ error: 'Invalid outbox id.' });
+            return;
+        }
+
+        const db = openDatabase();
+        try {
+            const retried = await retryOutbound(db, id);
+            if (!retried) {
+                res.status(409).json({ error: 'Only queued or dead items can be retried.' });
+                return;
+            }
+            res.json({ retried: true });
+        } catch (err) {
+            console.error('Failed to retry outbox item:', err);
+            res.status(500).json({ error: 'Failed to retry outbox item.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
+    app.delete('/api/outbox/:id', async (req, res) => {
+        const id = parseOutboundId(req.params.id);
+        if (!id) {
+            res.status(400).json({ error: 'Invalid outbox id.' });
+            return;
+        }
+
+        const db = openDatabase();
+        try {
+            const cancelled = await cancelOutbound(db, id);
+            if (!cancelled) {
+                res.status(409).json({ error: 'Only queued or dead items can be cancelled.' });
+                return;
+            }
+            res.json({ cancelled: true });
+        } catch (err) {
+            console.error('Failed to cancel outbox item:', err);
+            res.status(500).json({ error: 'Failed to cancel outbox item.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+}
@@ -0,0 +1,79 @@
+import { openDatabase, closeDatabase } from '../db.js';
+import { isPipelineStage, listPipelineStages, loadPipelineBoard, setContactStage } from '../pipeline.js';
+
+function parseRowId(value) {
+    const rowId = Number.parseInt(value, 10);
+    if (!Number.isFinite(rowId)) {
+        return null;
+    }
+    return rowId;
+}
+
+function parseList(value) {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+    return String(value).split(',').map((item) => item.trim()).filter((item) => item && item !== 'all');
+}
+
+export function registerPipelineRoutes(app) {
+    app.get('/api/pipeline/stages', (_req, res) => {
+        res.json({ stages: listPipelineStages() });
+    });
+
+    app.get('/api/pipeline', async (req, res) => {
+        const db = openDatabase();
+        try {
+            const board = await loadPipelineBoard(db, {
+                q: typeof req.query.q === 'string' ? req.query.q : '',
+                statuses: parseList(req.query.status),
+                group: req.query.group ? String(req.query.group) : null,
+            });
+            res.json({ stages: listPipelineStages(), ...board });
+        } catch (err) {
+            console.error('Failed to load pipeline:', err);
+            res.status(500).json({ error: 'Failed to load pipeline.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
+    // Only moves the deal; the bot status in conversation_started is left alone.
+    app.patch('/api/contacts/:rowid/stage', async (req, res) => {
+        const rowId = parseRowId(req.params.rowid);
+        if (!rowId) {
+            res.status(400).json({ error: 'Invalid contact id.' });
+            return;
+        }
+        const stage = req.body?.stage ?? null;
+        if (stage !== null && !isPipelineStage(stage)) {
+            res.status(400).json({
+                error: `Unknown pipeline stage "${stage}".`,
+                stages: listPipelineStages().map((item) => item.id),
+            });
+            return;
+        }
+
+        const db = openDatabase();
+        try {
+            if (!(await setContactStage(db, rowId, stage))) {
+                res.status(404).json({ error: 'Contact not found.' });
+                return;
+            }
+            res.json({ stage });
+        } catch (err) {
+            console.error('Failed to update pipeline stage:', err);
+            res.status(500).json({ error: 'Failed to update pipeline stage.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+}
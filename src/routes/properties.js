@@ -0,0 +1,183 @@
+import { openDatabase, closeDatabase } from '../db.js';
+import {
+    listProperties,
+    getProperty,
+    createProperty,
+    updateProperty,
+    deleteProperty,
+    countPropertyContacts,
+    getDefaultProperty
+} from '../properties.js';
+
+function parsePropertyId(value) {
+    const id = Number.parseInt(value, 10);
+    if (!Number.isFinite(id)) {
+        return null;
+    }
+    return id;
+}
+
+function readPropertyPayload(body) {
+    if (!body || typeof body !== 'object') {
+        return null;
+    }
+    return {
+        name: body.name,
+        context: body.context,
+        imageDirectory: body.imageDirectory,
+    };
+}
+
+export function registerPropertyRoutes(app) {
+    app.get('/api/properties', async (_req, res) => {
+        const db = openDatabase();
+        try {
+            const properties = await listProperties(db);
+            const defaultProperty = getDefaultProperty();
+            res.json({
+                properties,
+                defaultProperty: {
+                    name: defaultProperty?.name || null,
+                    imageDirectory: defaultProperty?.imageDirectory || null,
+                },
+            });
+        } catch (err) {
+            console.error('Failed to load properties:', err);
+            res.status(500).json({ error: 'Failed to load properties.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
+    app.get('/api/properties/:id', async (req, res) => {
+        const id = parsePropertyId(req.params.id);
+        if (!id) {
+            res.status(400).json({ error: 'Invalid property id.' });
+            return;
+        }
+
+        const db = openDatabase();
+        try {
+            const property = await getProperty(db, id);
+            if (!property) {
+                res.status(404).json({ error: 'Property not found.' });
+                return;
+            }
+            res.json({ property });
+        } catch (err) {
+            console.error('Failed to load property:', err);
+            res.status(500).json({ error: 'Failed to load property.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
+    app.post('/api/properties', async (req, res) => {
+        const payload = readPropertyPayload(req.body);
+        if (!payload) {
+            res.status(400).json({ error: 'Invalid payload.' });
+            return;
+        }
+
+        const db = openDatabase();
+        try {
+            let id;
+            try {
+                id = await createProperty(db, payload);
+            } catch (err) {
+                res.status(400).json({ error: err.message, errors: err.errors || [] });
+                return;
+            }
+            res.status(201).json({ id });
+        } catch (err) {
+            console.error('Failed to create property:', err);
+            res.status(500).json({ error: 'Failed to create property.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
+    app.put('/api/properties/:id', async (req, res) => {
+        const id = parsePropertyId(req.params.id);
+        if (!id) {
+            res.status(400).json({ error: 'Invalid property id.' });
+            return;
+        }
+        const payload = readPropertyPayload(req.body);
+        if (!payload) {
+            res.status(400).json({ error: 'Invalid payload.' });
+            return;
+        }
+
+        const db = openDatabase();
+        try {
+            let updated;
+            try {
+                updated = await updateProperty(db, id, payload);
+            } catch (err) {
+                res.status(400).json({ error: err.message, errors: err.errors || [] });
+                return;
+            }
+            if (!updated) {
+                res.status(404).json({ error: 'Property not found.' });
+                return;
+            }
+            res.json({ updated: true });
+        } catch (err) {
+            console.error('Failed to update property:', err);
+            res.status(500).json({ error: 'Failed to update property.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
+    app.delete('/api/properties/:id', async (req, res) => {
+        const id = parsePropertyId(req.params.id);
+        if (!id) {
+            res.status(400).json({ error: 'Invalid property id.' });
+            return;
+        }
+
+        const db = openDatabase();
+        try {
+            const linked = await countPropertyContacts(db, id);
+            if (linked > 0) {
+                res.status(409).json({
+                    error: `Property is linked to ${linked} contact${linked === 1 ? '' : 's'}. Reassign them first.`,
+                });
+                return;
+            }
+            const deleted = await deleteProperty(db, id);
+            if (!deleted) {
+                res.status(404).json({ error: 'Property not found.' });
+                return;
+            }
+            res.json({ deleted: true });
+        } catch (err) {
+            console.error('Failed to delete property:', err);
+            res.status(500).json({ error: 'Failed to delete property.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+}
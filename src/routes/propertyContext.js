@@ -0,0 +1,177 @@
+import { openDatabase, closeDatabase } from '../db.js';
+import {
+    PROPERTY_CONTEXT_SCHEMA,
+    collectPropertyContextErrors,
+    readPropertyContextText,
+    getPropertyContextUpdatedAt,
+    savePropertyContext,
+    listPropertyContextVersions,
+    getPropertyContextVersion
+} from '../propertyContext.js';
+import { getDefaultPropertyStatus, reloadDefaultProperty } from '../properties.js';
+
+function parseVersionId(value) {
+    const id = Number.parseInt(value, 10);
+    if (!Number.isFinite(id)) {
+        return null;
+    }
+    return id;
+}
+
+function rejectInvalidContext(res, context) {
+    const errors = collectPropertyContextErrors(context);
+    if (errors.length === 0) {
+        return false;
+    }
+    res.status(400).json({ error: 'Property context is invalid.', errors });
+    return true;
+}
+
+export function registerPropertyContextRoutes(app) {
+    // A file that is not valid JSON still comes back as `raw` with the parse error, so it can be fixed in the editor.
+    app.get('/api/property-context', (_req, res) => {
+        try {
+            const raw = readPropertyContextText();
+            let context = null;
+            let errors;
+            try {
+                context = JSON.parse(raw);
+                errors = collectPropertyContextErrors(context);
+            } catch (err) {
+                errors = [{ path: '(root)', message: `is not valid JSON: ${err.message}` }];
+            }
+            res.json({
+                context,
+                raw,
+                errors,
+                updatedAt: getPropertyContextUpdatedAt(),
+                active: getDefaultPropertyStatus(),
+            });
+        } catch (err) {
+            console.error('Failed to load property context:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    app.get('/api/property-context/schema', (_req, res) => {
+        res.type('application/schema+json').send(JSON.stringify(PROPERTY_CONTEXT_SCHEMA, null, 2));
+    });
+
+    app.post('/api/property-context/reload', (_req, res) => {
+        const result = reloadDefaultProperty();
+        if (!result.reloaded) {
+            res.status(400).json({ error: result.error, errors: result.errors, active: getDefaultPropertyStatus() });
+            return;
+        }
+        res.json({ reloaded: true, active: getDefaultPropertyStatus() });
+    });
+
+    app.put('/api/property-context', async (req, res) => {
+        const context = req.body?.context;
+        if (rejectInvalidContext(res, context)) {
+            return;
+        }
+
+        const db = openDatabase();
+        try {
+            const { versionId } = await savePropertyContext(db, context, { source: 'api' });
+            const reload = reloadDefaultProperty();
+            res.json({
+                saved: true,
+                applied: reload.reloaded,
+                versionId,
+                updatedAt: getPropertyContextUpdatedAt(),
+            });
+        } catch (err) {
+            console.error('Failed to save property context:', err);
+            res.status(500).json({ error: 'Failed to save property context.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
+    app.get('/api/property-context/versions', async (_req, res) => {
+        const db = openDatabase();
+        try {
+            const versions = await listPropertyContextVersions(db);
+            res.json({ versions });
+        } catch (err) {
+            console.error('Failed to load property context versions:', err);
+            res.status(500).json({ error: 'Failed to load property context versions.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
+    app.get('/api/property-context/versions/:id', async (req, res) => {
+        const id = parseVersionId(req.params.id);
+        if (!id) {
+            res.status(400).json({ error: 'Invalid version id.' });
+            return;
+        }
+
+        const db = openDatabase();
+        try {
+            const version = await getPropertyContextVersion(db, id);
+            if (!version) {
+                res.status(404).json({ error: 'Version not found.' });
+                return;
+            }
+            res.json({ version });
+        } catch (err) {
+            console.error('Failed to load property context version:', err);
+            res.status(500).json({ error: 'Failed to load property context version.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
+    app.post('/api/property-context/versions/:id/restore', async (req, res) => {
+        const id = parseVersionId(req.params.id);
+        if (!id) {
+            res.status(400).json({ error: 'Invalid version id.' });
+            return;
+        }
+
+        const db = openDatabase();
+        try {
+            const version = await getPropertyContextVersion(db, id);
+            if (!version) {
+                res.status(404).json({ error: 'Version not found.' });
+                return;
+            }
+            if (rejectInvalidContext(res, version.context)) {
+                return;
+            }
+            const { versionId } = await savePropertyContext(db, version.context, { source: `restore:${id}` });
+            const reload = reloadDefaultProperty();
+            res.json({
+                restored: true,
+                applied: reload.reloaded,
+                versionId,
+                updatedAt: getPropertyContextUpdatedAt(),
+            });
+        } catch (err) {
+            console.error('Failed to restore property context version:', err);
+            res.status(500).json({ error: 'Failed to restore property context version.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+}
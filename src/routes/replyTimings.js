@@ -0,0 +1,50 @@
+import { openDatabase, closeDatabase } from '../db.js';
+import {
+    AUTO_REPLY_DEBOUNCE,
+    AUTO_REPLY_MAX_WAIT_MS,
+    AUTO_REPLY_MIN_WAIT_MS,
+    AUTO_REPLY_QUIET_WINDOW_MS,
+    AUTO_REPLY_TYPING_RECHECK_MS
+} from '../config.js';
+import { listReplyTimings, summarizeReplyTimings } from '../replyTiming.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function registerReplyTimingRoutes(app) {
+    // The settings in force, plus how the waits of the last `days` days worked out, for tuning the env knobs.
+    app.get('/api/reply-timings', async (req, res) => {
+        const days = Number.parseInt(req.query.days, 10) || 7;
+        if (days < 1) {
+            res.status(400).json({ error: 'days must be at least 1.' });
+            return;
+        }
+        const limit = Math.min(500, Number.parseInt(req.query.limit, 10) || 100);
+        const since = Date.now() - days * DAY_MS;
+
+        const db = openDatabase();
+        try {
+            const summary = await summarizeReplyTimings(db, { since });
+            const timings = await listReplyTimings(db, { since, limit });
+            res.json({
+                settings: {
+                    policy: AUTO_REPLY_DEBOUNCE,
+                    quietWindowMs: AUTO_REPLY_QUIET_WINDOW_MS,
+                    minWaitMs: AUTO_REPLY_MIN_WAIT_MS,
+                    maxWaitMs: AUTO_REPLY_MAX_WAIT_MS,
+                    typingRecheckMs: AUTO_REPLY_TYPING_RECHECK_MS,
+                },
+                summary,
+                timings,
+            });
+        } catch (err) {
+            console.error('Failed to load reply timings:', err);
+            res.status(500).json({ error: 'Failed to load reply timings.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+}
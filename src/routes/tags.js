@@ -0,0 +1,146 @@
+import { openDatabase, closeDatabase } from '../db.js';
+import { createTag, deleteTag, listTags, tagContacts, untagContacts, updateTag } from '../tags.js';
+
+function parseTagId(value) {
+    const id = Number.parseInt(value, 10);
+    if (!Number.isFinite(id)) {
+        return null;
+    }
+    return id;
+}
+
+export function registerTagRoutes(app) {
+    app.get('/api/tags', async (_req, res) => {
+        const db = openDatabase();
+        try {
+            res.json({ tags: await listTags(db) });
+        } catch (err) {
+            console.error('Failed to load tags:', err);
+            res.status(500).json({ error: 'Failed to load tags.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
+    app.post('/api/tags', async (req, res) => {
+        const db = openDatabase();
+        try {
+            res.status(201).json({ tag: await createTag(db, req.body) });
+        } catch (err) {
+            if (err.status) {
+                res.status(err.status).json({ error: err.message, ...err.details });
+                return;
+            }
+            console.error('Failed to create tag:', err);
+            res.status(500).json({ error: 'Failed to create tag.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
+    app.patch('/api/tags/:id', async (req, res) => {
+        const id = parseTagId(req.params.id);
+        if (!id) {
+            res.status(400).json({ error: 'Invalid tag id.' });
+            return;
+        }
+
+        const db = openDatabase();
+        try {
+            const tag = await updateTag(db, id, req.body);
+            if (!tag) {
+                res.status(404).json({ error: 'Tag not found.' });
+                return;
+            }
+            res.json({ tag });
+        } catch (err) {
+            if (err.status) {
+                res.status(err.status).json({ error: err.message, ...err.details });
+                return;
+            }
+            console.error('Failed to update tag:', err);
+            res.status(500).json({ error: 'Failed to update tag.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
+    app.delete('/api/tags/:id', async (req, res) => {
+        const id = parseTagId(req.params.id);
+        if (!id) {
+            res.status(400).json({ error: 'Invalid tag id.' });
+            return;
+        }
+
+        const db = openDatabase();
+        try {
+            if (!(await deleteTag(db, id))) {
+                res.status(404).json({ error: 'Tag not found.' });
+                return;
+            }
+            res.json({ deleted: id });
+        } catch (err) {
+            console.error('Failed to delete tag:', err);
+            res.status(500).json({ error: 'Failed to delete tag.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
+    // Bulk assignment: { rowIds, tagIds } adds or removes every listed tag on every listed contact.
+    app.post('/api/contacts/tags/add', async (req, res) => {
+        const db = openDatabase();
+        try {
+            res.json(await tagContacts(db, req.body));
+        } catch (err) {
+            if (err.status) {
+                res.status(err.status).json({ error: err.message, ...err.details });
+                return;
+            }
+            console.error('Failed to tag contacts:', err);
+            res.status(500).json({ error: 'Failed to tag contacts.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+
+    app.post('/api/contacts/tags/remove', async (req, res) => {
+        const db = openDatabase();
+        try {
+            res.json(await untagContacts(db, req.body));
+        } catch (err) {
+            if (err.status) {
+                res.status(err.status).json({ error: err.message, ...err.details });
+                return;
+            }
+            console.error('Failed to untag contacts:', err);
+            res.status(500).json({ error: 'Failed to untag contacts.' });
+        } finally {
+            try {
+                await closeDatabase(db);
+            } catch (err) {
+                console.error('Failed to close database:', err);
+            }
+        }
+    });
+}
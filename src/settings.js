@@ -0,0 +1,18 @@
+import { dbGet, dbRun } from './db.js';
+
+const SETTINGS_TABLE = 'app_settings';
+
+// Runtime settings changed from the UI; unset keys fall back to the caller's default, usually from config.js.
+export async function getSetting(db, key, fallback = null) {
+    const row = await dbGet(db, `SELECT value FROM "${SETTINGS_TABLE}" WHERE key = ?`, [key]);
+    return row ? row.value : fallback;
+}
+
+export async function setSetting(db, key, value) {
+    await dbRun(
+        db,
+        `INSERT INTO "${SETTINGS_TABLE}" (key, value, updated_at) VALUES (?, ?, ?)
+         ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`,
+        [key, value, Date.now()]
+    );
+}
@@ -0,0 +1,206 @@
+import { dbAll, dbGet, dbRun } from './db.js';
+import { TABLE_NAME } from './config.js';
+
+const TAGS_TABLE = 'tags';
+const CONTACT_TAGS_TABLE = 'contact_tags';
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const LOOKUP_CHUNK_SIZE = 500;
+
+export const TAG_PALETTE = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899', '#14b8a6', '#64748b'];
+
+function tagError(status, message, details = {}) {
+    const err = new Error(message);
+    err.status = status;
+    err.details = details;
+    return err;
+}
+
+function serializeTag(row) {
+    return { id: row.id, name: row.name, color: row.color, contactCount: row.contact_count ?? undefined };
+}
+
+function validateTagFields({ name, color }, { partial = false } = {}) {
+    const fields = {};
+    if (name !== undefined || !partial) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed) throw tagError(400, 'Tag name is required.');
+        if (trimmed.length > 40) throw tagError(400, 'Tag names are at most 40 characters.');
+        fields.name = trimmed;
+    }
+    if (color !== undefined && color !== null && color !== '') {
+        if (!COLOR_PATTERN.test(color)) throw tagError(400, 'color must be a hex color such as #3b82f6.');
+        fields.color = color.toLowerCase();
+    }
+    return fields;
+}
+
+export async function listTags(db) {
+    const rows = await dbAll(
+        db,
+        `SELECT t.*, COUNT(ct.contact_rowid) AS contact_count
+         FROM "${TAGS_TABLE}" t
+         LEFT JOIN "${CONTACT_TAGS_TABLE}" ct ON ct.tag_id = t.id
+         GROUP BY t.id
+         ORDER BY t.name COLLATE NOCASE`
+    );
+    return rows.map(serializeTag);
+}
+
+// New tags without a color take the next one from the palette.
+export async function createTag(db, payload) {
+    const fields = validateTagFields(payload || {});
+    if (await dbGet(db, `SELECT id FROM "${TAGS_TABLE}" WHERE name = ?`, [fields.name])) {
+        throw tagError(409, `Tag "${fields.name}" already exists.`);
+    }
+    const { total } = await dbGet(db, `SELECT COUNT(*) AS total FROM "${TAGS_TABLE}"`);
+    const color = fields.color || TAG_PALETTE[total % TAG_PALETTE.length];
+    const result = await dbRun(
+        db,
+        `INSERT INTO "${TAGS_TABLE}" (name, color, created_at) VALUES (?, ?, ?)`,
+        [fields.name, color, Date.now()]
+    );
+    return serializeTag(await dbGet(db, `SELECT * FROM "${TAGS_TABLE}" WHERE id = ?`, [result.lastID]));
+}
+
+export async function updateTag(db, id, payload) {
+    const existing = await dbGet(db, `SELECT * FROM "${TAGS_TABLE}" WHERE id = ?`, [id]);
+    if (!existing) {
+        return null;
+    }
+    const fields = validateTagFields(payload || {}, { partial: true });
+    if (fields.name) {
+        const clash = await dbGet(db, `SELECT id FROM "${TAGS_TABLE}" WHERE name = ? AND id != ?`, [fields.name, id]);
+        if (clash) throw tagError(409, `Tag "${fields.name}" already exists.`);
+    }
+    const names = Object.keys(fields);
+    if (names.length > 0) {
+        await dbRun(
+            db,
+            `UPDATE "${TAGS_TABLE}" SET ${names.map((name) => `${name} = ?`).join(', ')} WHERE id = ?`,
+            [...names.map((name) => fields[name]), id]
+        );
+    }
+    return serializeTag(await dbGet(db, `SELECT * FROM "${TAGS_TABLE}" WHERE id = ?`, [id]));
+}
+
+export async function deleteTag(db, id) {
+    const result = await dbRun(db, `DELETE FROM "${TAGS_TABLE}" WHERE id = ?`, [id]);
+    if (result.changes === 0) {
+        return false;
+    }
+    await dbRun(db, `DELETE FROM "${CONTACT_TAGS_TABLE}" WHERE tag_id = ?`, [id]);
+    return true;
+}
+
+// Maps each rowid to its tags in name order; rowids without tags get an empty list.
+// Exports pass every contact, so ids are looked up in chunks to stay under SQLite's parameter limit.
+export async function loadContactTags(db, rowIds) {
+    const tagsByRowId = new Map(rowIds.map((rowId) => [rowId, []]));
+    for (let start = 0; start < rowIds.length; start += LOOKUP_CHUNK_SIZE) {
+        const chunk = rowIds.slice(start, start + LOOKUP_CHUNK_SIZE);
+        const rows = await dbAll(
+            db,
+            `SELECT ct.contact_rowid, t.id, t.name, t.color
+             FROM "${CONTACT_TAGS_TABLE}" ct
+             JOIN "${TAGS_TABLE}" t ON t.id = ct.tag_id
+             WHERE ct.contact_rowid IN (${chunk.map(() => '?').join(', ')})
+             ORDER BY t.name COLLATE NOCASE`,
+            chunk
+        );
+        for (const row of rows) {
+            tagsByRowId.get(row.contact_rowid).push(serializeTag(row));
+        }
+    }
+    return tagsByRowId;
+}
+
+async function resolveBulkTargets(db, { rowIds, tagIds }) {
+    if (!Array.isArray(rowIds) || rowIds.length === 0 || !rowIds.every(Number.isInteger)) {
+        throw tagError(400, 'rowIds must be a non-empty array of contact ids.');
+    }
+    if (!Array.isArray(tagIds) || tagIds.length === 0 || !tagIds.every(Number.isInteger)) {
+        throw tagError(400, 'tagIds must be a non-empty array of tag ids.');
+    }
+    const tags = await dbAll(
+        db,
+        `SELECT id FROM "${TAGS_TABLE}" WHERE id IN (${tagIds.map(() => '?').join(', ')})`,
+        tagIds
+    );
+    const missingTags = tagIds.filter((id) => !tags.some((tag) => tag.id === id));
+    if (missingTags.length > 0) {
+        throw tagError(404, 'Some tags do not exist.', { tagIds: missingTags });
+    }
+    const contacts = await dbAll(
+        db,
+        `SELECT rowid FROM "${TABLE_NAME}" WHERE rowid IN (${rowIds.map(() => '?').join(', ')})`,
+        rowIds
+    );
+    return { rowIds: contacts.map((contact) => contact.rowid), tagIds };
+}
+
+// Unknown contact ids are ignored and reported back, since a bulk selection can go stale while it is open.
+export async function tagContacts(db, payload) {
+    const { rowIds, tagIds } = await resolveBulkTargets(db, payload || {});
+    const now = Date.now();
+    let changed = 0;
+    await dbRun(db, 'BEGIN TRANSACTION');
+    try {
+        for (const rowId of rowIds) {
+            for (const tagId of tagIds) {
+                const result = await dbRun(
+                    db,
+                    `INSERT OR IGNORE INTO "${CONTACT_TAGS_TABLE}" (contact_rowid, tag_id, created_at) VALUES (?, ?, ?)`,
+                    [rowId, tagId, now]
+                );
+                changed += result.changes;
+            }
+        }
+        await dbRun(db, 'COMMIT');
+    } catch (err) {
+        await dbRun(db, 'ROLLBACK');
+        throw err;
+    }
+    return { changed, missing: payload.rowIds.filter((rowId) => !rowIds.includes(rowId)) };
+}
+
+export async function untagContacts(db, payload) {
+    const { rowIds, tagIds } = await resolveBulkTargets(db, payload || {});
+    if (rowIds.length === 0) {
+        return { changed: 0, missing: payload.rowIds };
+    }
+    const result = await dbRun(
+        db,
+        `DELETE FROM "${CONTACT_TAGS_TABLE}"
+         WHERE contact_rowid IN (${rowIds.map(() => '?').join(', ')})
+           AND tag_id IN (${tagIds.map(() => '?').join(', ')})`,
+        [...rowIds, ...tagIds]
+    );
+    return { changed: result.changes, missing: payload.rowIds.filter((rowId) => !rowIds.includes(rowId)) };
+}
+
+export async function clearContactTags(db, rowId) {
+    await dbRun(db, `DELETE FROM "${CONTACT_TAGS_TABLE}" WHERE contact_rowid = ?`, [rowId]);
+}
+
+// Used when a duplicate is merged away: the surviving contact gains every tag the duplicate had.
+export async function moveContactTags(db, fromRowId, toRowId) {
+    await dbRun(
+        db,
+        `INSERT OR IGNORE INTO "${CONTACT_TAGS_TABLE}" (contact_rowid, tag_id, created_at)
+         SELECT ?, tag_id, created_at FROM "${CONTACT_TAGS_TABLE}" WHERE contact_rowid = ?`,
+        [toRowId, fromRowId]
+    );
+    await clearContactTags(db, fromRowId);
+}
+
+// Tags deleted in the meantime are skipped.
+export async function restoreContactTags(db, rowId, tagIds) {
+    for (const tagId of tagIds) {
+        await dbRun(
+            db,
+            `INSERT OR IGNORE INTO "${CONTACT_TAGS_TABLE}" (contact_rowid, tag_id, created_at)
+             SELECT ?, id, ? FROM "${TAGS_TABLE}" WHERE id = ?`,
+            [rowId, Date.now(), tagId]
+        );
+    }
+}
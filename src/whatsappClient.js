@@ -22,6 +22,9 @@ let connectionState = 'unknown';
 let keepAliveTimer = null;
 let pollTimer = null;
 let messageHandler = null;
+let messageLogHandler = null;
+let reactionHandler = null;
+let readyHandler = null;
 let reinitScheduled = false;
 let reinitInProgress = false;
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
@@ -176,7 +179,7 @@ function serializeMessage(message) {
     };
 }
 
-function buildCleanChatlog(messages) {
+export function buildCleanChatlog(messages) {
     if (!Array.isArray(messages)) {
         return '';
     }
@@ -261,6 +264,12 @@ export function initWhatsAppClient() {
                 console.log('Page error:', err.toString());
             });
         }
+        // Fires again after every reconnect, which is when messages missed while offline can be picked up.
+        if (readyHandler) {
+            Promise.resolve(readyHandler()).catch((err) => {
+                console.error('Ready handler failed:', err);
+            });
+        }
     });
 
     client.on('auth_failure', (msg) => {
@@ -290,6 +299,23 @@ export function initWhatsAppClient() {
         }
     });
 
+    // Fires for incoming and outgoing messages alike, so it feeds the local message log.
+    client.on('message_create', (msg) => {
+        if (messageLogHandler) {
+            Promise.resolve(messageLogHandler(msg)).catch((err) => {
+                console.error('Message log handler failed:', err);
+            });
+        }
+    });
+
+    client.on('message_reaction', (reaction) => {
+        if (reactionHandler) {
+            Promise.resolve(reactionHandler(reaction)).catch((err) => {
+                console.error('Reaction handler failed:', err);
+            });
+        }
+    });
+
     if (WHATSAPP_KEEP_ALIVE_MS > 0) {
         keepAliveTimer = setInterval(async () => {
             if (!ready || !client) return;
@@ -341,6 +367,18 @@ export function setMessageHandler(handler) {
     messageHandler = handler;
 }
 
+export function setMessageLogHandler(handler) {
+    messageLogHandler = handler;
+}
+
+export function setReactionHandler(handler) {
+    reactionHandler = handler;
+}
+
+export function setReadyHandler(handler) {
+    readyHandler = handler;
+}
+
 export function getStatus() {
     return status;
 }
@@ -361,6 +399,11 @@ export function getStoreReady() {
     return isStoreReady();
 }
 
+// The chat with the logged-in account itself ("Message yourself"), or null before the client is ready.
+export function getOwnChatId() {
+    return client?.info?.wid?._serialized || null;
+}
+
 export async function isRegisteredUser(chatId) {
     if (!client) {
         throw new Error('WhatsApp client not initialized.');
@@ -417,7 +460,9 @@ export async function reactToMessage(messageId, reaction) {
     }, messageId, reaction);
     return true;
 }
-export async function sendMedia(chatId, mediaDirectory) {
+// Files named in `skipFiles` are left out, e.g. the ones a failed attempt already sent; `onFileSent(filename, message)`
+// runs after each file so the caller can note progress before the next one goes.
+export async function sendMedia(chatId, mediaDirectory, { skipFiles = [], onFileSent = null } = {}) {
     if (!client) {
         throw new Error('WhatsApp client not initialized.');
     }
@@ -430,19 +475,20 @@ export async function sendMedia(chatId, mediaDirectory) {
     const files = entries
         .filter((entry) => entry.isFile())
         .map((entry) => entry.name)
-        .filter((name) => !name.startsWith('.'))
+        .filter((name) => !name.startsWith('.') && !skipFiles.includes(name))
         .sort((a, b) => a.localeCompare(b));
-    if (files.length === 0) {
-        return false;
-    }
-
+    const sent = [];
     for (const filename of files) {
         const mediaPath = path.join(mediaDirectory, filename);
         const media = MessageMedia.fromFilePath(mediaPath);
-        await client.sendMessage(chatId, media, { sendMediaAsHd: true });
+        const message = await client.sendMessage(chatId, media, { sendMediaAsHd: true });
+        sent.push(message);
+        if (onFileSent) {
+            await onFileSent(filename, message);
+        }
         await sleep(200);
     }
-    return true;
+    return sent;
 }
 
 export async function fetchChatMessages(chatId, options = {}, { clean = false } = {}) {
@@ -534,6 +580,7 @@ export async function getUnrepliedMessagesSnapshot(chatId, { limit = 250 } = {})
             messageId: message.id || null,
             hasMedia: message.hasMedia,
             type: message.type,
+            timestamp: message.timestamp,
         }))
         .filter((message) => message.content);
 
@@ -1,4 +1,4 @@
-import { useEffect, useMemo, useRef, useState } from 'react'
+import { useEffect, useRef, useState } from 'react'
 import { QRCodeCanvas } from 'qrcode.react'
 
 const API_BASE = import.meta.env.VITE_API_BASE || ''
@@ -9,6 +9,115 @@ const STATUS_STYLES = {
   unregistered: 'bg-rose-50 text-rose-700 ring-1 ring-rose-200',
   unknown: 'bg-gray-100 text-gray-700 ring-1 ring-gray-200',
 }
+const EMPTY_PROPERTY_FORM = { id: null, name: '', imageDirectory: '', contextText: '' }
+const EMPTY_CAMPAIGN_FORM = {
+  name: '',
+  statuses: ['pending'],
+  groups: [],
+  dailyCap: 30,
+  minSpacingSeconds: 90,
+  maxSpacingSeconds: 300,
+  startHour: 9,
+  endHour: 18,
+}
+const IMPORT_ACTION_STYLES = {
+  insert: 'bg-emerald-50 text-emerald-700 ring-1 ring-emerald-200',
+  update: 'bg-sky-50 text-sky-700 ring-1 ring-sky-200',
+  unchanged: 'bg-gray-100 text-gray-700 ring-1 ring-gray-200',
+  skip: 'bg-rose-50 text-rose-700 ring-1 ring-rose-200',
+}
+const CONTACT_SORT_OPTIONS = [
+  { id: 'default', label: 'Group, agent, name' },
+  { id: 'lastActivity', label: 'Last activity' },
+  { id: 'contactName', label: 'Name' },
+  { id: 'agentName', label: 'Agent' },
+  { id: 'cleanContactNumber', label: 'Number' },
+  { id: 'group', label: 'Group' },
+  { id: 'conversation_started', label: 'Status' },
+  { id: 'rowid', label: 'Date added' },
+]
+const REPLY_MODE_OPTIONS = [
+  { id: 'auto', label: 'Send automatically' },
+  { id: 'draft', label: 'Hold as draft for review' },
+  { id: 'manual', label: 'Manual, no auto replies' },
+]
+const HANDOFF_POLL_MS = 15000
+const EMPTY_HANDOFF_SETTINGS = { browser: true, webhookUrl: '', whatsapp: false, whatsappNumber: '' }
+const EMPTY_IMPORT = { fileName: '', csv: '', headers: [], columns: [], mapping: {}, plan: null }
+const OUTBOX_STATUS_STYLES = {
+  queued: 'bg-amber-50 text-amber-700 ring-1 ring-amber-200',
+  sending: 'bg-sky-50 text-sky-700 ring-1 ring-sky-200',
+  sent: 'bg-emerald-50 text-emerald-700 ring-1 ring-emerald-200',
+  dead: 'bg-rose-50 text-rose-700 ring-1 ring-rose-200',
+  cancelled: 'bg-gray-100 text-gray-700 ring-1 ring-gray-200',
+}
+const CAMPAIGN_STATUS_STYLES = {
+  running: 'bg-emerald-50 text-emerald-700 ring-1 ring-emerald-200',
+  paused: 'bg-orange-50 text-orange-700 ring-1 ring-orange-200',
+  cancelled: 'bg-gray-100 text-gray-700 ring-1 ring-gray-200',
+  completed: 'bg-sky-50 text-sky-700 ring-1 ring-sky-200',
+}
+const CONTEXT_SECTIONS = [
+  { key: 'specs', label: 'Specs', fields: ['price_lkr', 'bedrooms', 'bathrooms', 'house_size_sqft', 'land_size_perches'] },
+  { key: 'location', label: 'Location', fields: ['address', 'city', 'maps_url', 'flood_risk'] },
+  { key: 'viewing_contact', label: 'Viewing contact', fields: ['name', 'phone'] },
+  {
+    key: 'messages',
+    label: 'Messages',
+    fields: ['initial', 'followup'],
+    multiline: true,
+    hint: 'Variables: {{contactName}}, {{agentName}}, {{group}}, {{specs.price_lkr | currency}}, {{contactName | default:"Sir/Madam"}}, {{#if agentName}}...{{else}}...{{/if}}',
+  },
+]
+
+const sectionFieldNames = (section, context) => {
+  const values = context?.[section.key] || {}
+  const extra = Object.keys(values).filter(
+    (name) => !section.fields.includes(name) && (values[name] === null || typeof values[name] !== 'object'),
+  )
+  return [...section.fields, ...extra]
+}
+
+const coerceFieldValue = (previous, text) => {
+  if (typeof previous === 'number' && text.trim() !== '' && Number.isFinite(Number(text))) {
+    return Number(text)
+  }
+  return text
+}
+
+function ContextField({ label, value, error, multiline, onChange }) {
+  const className = `rounded-xl border bg-white px-3 py-2 text-sm font-normal text-gray-900 focus:outline-none ${
+    error ? 'border-rose-300 focus:border-rose-400' : 'border-gray-200 focus:border-gray-400'
+  }`
+  return (
+    <label className="flex flex-col gap-2 text-xs font-semibold uppercase tracking-wide text-gray-500">
+      {label}
+      {multiline ? (
+        <textarea
+          value={value ?? ''}
+          onChange={(event) => onChange(event.target.value)}
+          className={`min-h-[96px] ${className}`}
+        />
+      ) : (
+        <input
+          type="text"
+          value={value ?? ''}
+          onChange={(event) => onChange(event.target.value)}
+          className={className}
+        />
+      )}
+      {error && <span className="text-xs font-normal normal-case text-rose-600">{error}</span>}
+    </label>
+  )
+}
+
+const formatWait = (since) => {
+  const minutes = Math.max(0, Math.floor((Date.now() - since) / 60000))
+  if (minutes < 60) return `${minutes}m`
+  const hours = Math.floor(minutes / 60)
+  if (hours < 48) return `${hours}h ${minutes % 60}m`
+  return `${Math.floor(hours / 24)}d`
+}
 
 const normalizeStatus = (value) => {
   if (!value) return 'unknown'
@@ -20,7 +129,10 @@ async function fetchJson(path, options = {}) {
   const res = await fetch(`${API_BASE}${path}`, options)
   const data = await res.json()
   if (!res.ok) {
-    throw new Error(data.error || 'Request failed.')
+    const error = new Error(data.error || 'Request failed.')
+    error.errors = data.errors || []
+    error.data = data
+    throw error
   }
   return data
 }
@@ -33,27 +145,113 @@ function App() {
   const [statusUpdatingId, setStatusUpdatingId] = useState(null)
   const [respondingId, setRespondingId] = useState(null)
   const [statusFilter, setStatusFilter] = useState('all')
+  const [contactSearch, setContactSearch] = useState('')
+  const [groupFilter, setGroupFilter] = useState('')
+  const [contactSort, setContactSort] = useState({ sort: 'default', order: 'asc' })
+  const [nextCursor, setNextCursor] = useState(null)
+  const [contactTotal, setContactTotal] = useState(0)
+  const [contactCounts, setContactCounts] = useState({})
+  const [contactGroups, setContactGroups] = useState([])
+  const [loadingMore, setLoadingMore] = useState(false)
   const [expandedRowId, setExpandedRowId] = useState(null)
   const [recentPreviewById, setRecentPreviewById] = useState({})
   const [recentLoadingId, setRecentLoadingId] = useState(null)
   const [recentTimestampById, setRecentTimestampById] = useState({})
   const [outlineById, setOutlineById] = useState({})
+  const [messagePreviewById, setMessagePreviewById] = useState({})
+  const [followupById, setFollowupById] = useState({})
+  const [historyById, setHistoryById] = useState({})
   const [respondWithId, setRespondWithId] = useState(null)
   const [toast, setToast] = useState(null)
   const formRef = useRef(null)
   const scrollTargetRef = useRef(null)
+  const searchTimerRef = useRef(null)
   const [activeTab, setActiveTab] = useState('contacts')
   const [whatsappStatus, setWhatsappStatus] = useState('unknown')
   const [qrCode, setQrCode] = useState('')
   const [whatsappDetail, setWhatsappDetail] = useState('')
   const [whatsappUpdatedAt, setWhatsappUpdatedAt] = useState(null)
+  const [properties, setProperties] = useState([])
+  const [defaultPropertyName, setDefaultPropertyName] = useState('')
+  const [propertyForm, setPropertyForm] = useState(EMPTY_PROPERTY_FORM)
+  const [propertySaving, setPropertySaving] = useState(false)
+  const [propertyUpdatingId, setPropertyUpdatingId] = useState(null)
+  const [pitchContext, setPitchContext] = useState(null)
+  const [pitchErrors, setPitchErrors] = useState([])
+  const [pitchUpdatedAt, setPitchUpdatedAt] = useState(null)
+  const [pitchActive, setPitchActive] = useState(null)
+  const [pitchVersions, setPitchVersions] = useState([])
+  const [pitchSaving, setPitchSaving] = useState(false)
+  // The file's text while it is not valid JSON; the field editor needs parsed JSON to work with.
+  const [pitchRaw, setPitchRaw] = useState(null)
+  const [campaigns, setCampaigns] = useState([])
+  const [campaignForm, setCampaignForm] = useState(EMPTY_CAMPAIGN_FORM)
+  const [campaignMatched, setCampaignMatched] = useState(null)
+  const [campaignSaving, setCampaignSaving] = useState(false)
+  const [campaignUpdatingId, setCampaignUpdatingId] = useState(null)
+  const [importState, setImportState] = useState(EMPTY_IMPORT)
+  const [importing, setImporting] = useState(false)
+  const [dedupePlan, setDedupePlan] = useState(null)
+  const [dedupeFuzzy, setDedupeFuzzy] = useState(false)
+  const [dedupeSelected, setDedupeSelected] = useState([])
+  const [dedupeRuns, setDedupeRuns] = useState([])
+  const [dedupeBusy, setDedupeBusy] = useState(false)
+  const [outboxItems, setOutboxItems] = useState([])
+  const [outboxCounts, setOutboxCounts] = useState({})
+  const [outboxFilter, setOutboxFilter] = useState('')
+  const [outboxUpdatingId, setOutboxUpdatingId] = useState(null)
+  const [editingContact, setEditingContact] = useState(null)
+  const [editForm, setEditForm] = useState({})
+  const [editErrors, setEditErrors] = useState([])
+  const [editSaving, setEditSaving] = useState(false)
+  const [pipelineStages, setPipelineStages] = useState([])
+  const [pipelineColumns, setPipelineColumns] = useState([])
+  const [pipelineGroup, setPipelineGroup] = useState('')
+  const [pipelineLoading, setPipelineLoading] = useState(false)
+  const [draggedRowId, setDraggedRowId] = useState(null)
+  const [dncEntries, setDncEntries] = useState([])
+  const [dncForm, setDncForm] = useState({ number: '', reason: '' })
+  const [dncSaving, setDncSaving] = useState(false)
+  const [dropStage, setDropStage] = useState(null)
+  const [tags, setTags] = useState([])
+  const [tagFilter, setTagFilter] = useState('')
+  const [tagForm, setTagForm] = useState({ name: '', color: '' })
+  const [tagSaving, setTagSaving] = useState(false)
+  const [selectedRowIds, setSelectedRowIds] = useState([])
+  const [bulkTagId, setBulkTagId] = useState('')
+  const [bulkTagging, setBulkTagging] = useState(false)
+  const [drafts, setDrafts] = useState([])
+  const [draftCounts, setDraftCounts] = useState({})
+  const [draftEdits, setDraftEdits] = useState({})
+  const [draftBusyId, setDraftBusyId] = useState(null)
+  const [replyMode, setReplyMode] = useState('auto')
+  const [replyModeUpdatingId, setReplyModeUpdatingId] = useState(null)
+  const [handoffs, setHandoffs] = useState([])
+  const [handoffOpenCount, setHandoffOpenCount] = useState(0)
+  const [handoffBusyId, setHandoffBusyId] = useState(null)
+  const [handoffSettings, setHandoffSettings] = useState(EMPTY_HANDOFF_SETTINGS)
+  const [handoffSettingsSaving, setHandoffSettingsSaving] = useState(false)
+  // Read by the polling interval, which keeps the closure from the first render.
+  const browserNotifyRef = useRef(true)
+  const seenHandoffIdsRef = useRef(null)
 
   useEffect(() => {
     loadSchema()
     loadContacts()
+    loadProperties()
+    loadPipelineStages()
+    loadTags()
+    loadDrafts()
+    loadReplyMode()
+    loadHandoffSettings()
+    loadHandoffs()
     loadWhatsappStatus()
     const interval = window.setInterval(loadWhatsappStatus, 5000)
-    return () => window.clearInterval(interval)
+    const handoffInterval = window.setInterval(loadHandoffs, HANDOFF_POLL_MS)
+    return () => {
+      window.clearInterval(interval)
+      window.clearInterval(handoffInterval)
+    }
   }, [])
 
   useEffect(() => {
@@ -65,27 +263,45 @@ function App() {
     row.scrollIntoView({ block: 'center', behavior: 'smooth' })
   }, [contacts])
 
-  const stats = useMemo(() => {
-    const total = contacts.length
-    const pending = contacts.filter((c) => normalizeStatus(c.conversation_started) === 'pending').length
-    const active = contacts.filter((c) => normalizeStatus(c.conversation_started) === 'active').length
-    const paused = contacts.filter((c) => normalizeStatus(c.conversation_started) === 'paused').length
-    const unregistered = contacts.filter((c) => normalizeStatus(c.conversation_started) === 'unregistered').length
-    return { total, pending, active, paused, unregistered }
-  }, [contacts])
+  const stats = {
+    total: contactCounts.total || 0,
+    pending: contactCounts.pending || 0,
+    active: contactCounts.active || 0,
+    paused: contactCounts.paused || 0,
+    unregistered: contactCounts.unregistered || 0,
+  }
 
-  const filteredContacts = useMemo(() => {
-    if (statusFilter === 'all') return contacts
-    return contacts.filter(
-      (contact) => normalizeStatus(contact.conversation_started) === statusFilter,
-    )
-  }, [contacts, statusFilter])
+  function contactQueryString(filters) {
+    const params = new URLSearchParams({ status: filters.status, sort: filters.sort, order: filters.order })
+    if (filters.q.trim()) params.set('q', filters.q.trim())
+    if (filters.group) params.set('group', filters.group)
+    if (filters.tag) params.set('tag', filters.tag)
+    return params.toString()
+  }
+
+  const currentContactFilters = {
+    status: statusFilter,
+    q: contactSearch,
+    group: groupFilter,
+    tag: tagFilter,
+    sort: contactSort.sort,
+    order: contactSort.order,
+  }
 
-  async function loadContacts() {
+  // Filter setters pass the new value in, since state updates land after this call.
+  async function loadContacts(overrides = {}) {
     setLoading(true)
     try {
-      const data = await fetchJson('/api/contacts')
+      const query = contactQueryString({ ...currentContactFilters, ...overrides })
+      const [data, groupData] = await Promise.all([
+        fetchJson(`/api/contacts?${query}`),
+        fetchJson('/api/contacts/groups'),
+      ])
       setContacts(data.contacts || [])
+      setNextCursor(data.nextCursor || null)
+      setContactTotal(data.total || 0)
+      setContactCounts(data.counts || {})
+      setContactGroups((groupData.groups || []).map((group) => group.name))
     } catch (err) {
       showToast(err.message, 'error')
     } finally {
@@ -93,6 +309,27 @@ function App() {
     }
   }
 
+  async function loadMoreContacts() {
+    if (!nextCursor) return
+    setLoadingMore(true)
+    try {
+      const query = contactQueryString(currentContactFilters)
+      const data = await fetchJson(`/api/contacts?${query}&cursor=${encodeURIComponent(nextCursor)}`)
+      setContacts((current) => [...current, ...(data.contacts || [])])
+      setNextCursor(data.nextCursor || null)
+    } catch (err) {
+      showToast(err.message, 'error')
+    } finally {
+      setLoadingMore(false)
+    }
+  }
+
+  function searchContacts(value) {
+    setContactSearch(value)
+    window.clearTimeout(searchTimerRef.current)
+    searchTimerRef.current = window.setTimeout(() => loadContacts({ q: value }), 300)
+  }
+
   async function loadSchema() {
     try {
       const data = await fetchJson('/api/contacts/schema')
@@ -102,360 +339,3153 @@ function App() {
     }
   }
 
-  async function loadWhatsappStatus() {
+  async function loadProperties() {
     try {
-      const data = await fetchJson('/api/status')
-      const nextStatus = data.whatsappReady
-        ? 'ready'
-        : data.status || 'not_ready'
-      setWhatsappStatus(nextStatus)
-      setQrCode(data.whatsappReady ? '' : data.qr || '')
-      const detailParts = []
-      if (data.connectionState) {
-        detailParts.push(`State: ${data.connectionState}`)
+      const data = await fetchJson('/api/properties')
+      setProperties(data.properties || [])
+      setDefaultPropertyName(data.defaultProperty?.name || '')
+    } catch (err) {
+      showToast(err.message, 'error')
+    }
+  }
+
+  async function editProperty(id) {
+    try {
+      const data = await fetchJson(`/api/properties/${id}`)
+      const property = data.property
+      setPropertyForm({
+        id: property.id,
+        name: property.name || '',
+        imageDirectory: property.imageDirectory || '',
+        contextText: JSON.stringify(property.context, null, 2),
+      })
+    } catch (err) {
+      showToast(err.message, 'error')
+    }
+  }
+
+  async function saveProperty(event) {
+    event.preventDefault()
+    let context
+    try {
+      context = JSON.parse(propertyForm.contextText)
+    } catch {
+      showToast('Property context must be valid JSON.', 'error')
+      return
+    }
+    setPropertySaving(true)
+    try {
+      const payload = {
+        name: propertyForm.name,
+        imageDirectory: propertyForm.imageDirectory,
+        context,
       }
-      if (typeof data.storeReady === 'boolean') {
-        detailParts.push(`Store: ${data.storeReady ? 'ready' : 'loading'}`)
+      await fetchJson(propertyForm.id ? `/api/properties/${propertyForm.id}` : '/api/properties', {
+        method: propertyForm.id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+      })
+      showToast(propertyForm.id ? 'Property updated.' : 'Property added.')
+      setPropertyForm(EMPTY_PROPERTY_FORM)
+      loadProperties()
+    } catch (err) {
+      showToast(err.message, 'error')
+    } finally {
+      setPropertySaving(false)
+    }
+  }
+
+  async function deleteProperty(id) {
+    const confirmed = window.confirm('Delete this property?')
+    if (!confirmed) return
+
+    try {
+      await fetchJson(`/api/properties/${id}`, { method: 'DELETE' })
+      showToast('Property deleted.')
+      if (propertyForm.id === id) {
+        setPropertyForm(EMPTY_PROPERTY_FORM)
       }
-      if (data.detail) {
-        detailParts.push(data.detail)
+      loadProperties()
+    } catch (err) {
+      showToast(err.message, 'error')
+    }
+  }
+
+  async function loadPitch() {
+    try {
+      const [contextData, versionData] = await Promise.all([
+        fetchJson('/api/property-context'),
+        fetchJson('/api/property-context/versions'),
+      ])
+      setPitchContext(contextData.context || {})
+      setPitchRaw(contextData.context ? null : contextData.raw ?? '')
+      setPitchErrors(contextData.errors || [])
+      setPitchUpdatedAt(contextData.updatedAt || null)
+      setPitchActive(contextData.active || null)
+      setPitchVersions(versionData.versions || [])
+    } catch (err) {
+      showToast(err.message, 'error')
+    }
+  }
+
+  function updatePitchField(sectionKey, fieldName, text) {
+    setPitchContext((current) => {
+      if (!sectionKey) {
+        return { ...current, [fieldName]: text }
       }
-      setWhatsappDetail(detailParts.join(' • '))
-      setWhatsappUpdatedAt(data.updatedAt || null)
+      const section = current?.[sectionKey] || {}
+      return {
+        ...current,
+        [sectionKey]: { ...section, [fieldName]: coerceFieldValue(section[fieldName], text) },
+      }
+    })
+  }
+
+  function updatePitchSequence(update) {
+    setPitchContext((current) => {
+      const messages = current?.messages || {}
+      const sequence = Array.isArray(messages.sequence) ? messages.sequence : []
+      return { ...current, messages: { ...messages, sequence: update(sequence) } }
+    })
+  }
+
+  function updateSequenceStep(index, key, value) {
+    updatePitchSequence((sequence) =>
+      sequence.map((step, stepIndex) => (stepIndex === index ? { ...step, [key]: value } : step)),
+    )
+  }
+
+  function applyPitchRaw() {
+    try {
+      setPitchContext(JSON.parse(pitchRaw))
+      setPitchRaw(null)
+      setPitchErrors([])
     } catch (err) {
-      setWhatsappStatus('offline')
-      setQrCode('')
-      setWhatsappDetail('')
-      setWhatsappUpdatedAt(null)
+      setPitchErrors([{ path: '(root)', message: `is not valid JSON: ${err.message}` }])
     }
   }
 
-  function showToast(message, tone = 'default') {
-    setToast({ message, tone })
-    window.clearTimeout(showToast._timer)
-    showToast._timer = window.setTimeout(() => {
-      setToast(null)
-    }, 2400)
+  function pitchErrorFor(path) {
+    const match = pitchErrors.find((error) => error.path === path)
+    return match ? `${match.path} ${match.message}` : ''
   }
 
-  async function initiateContact(rowid) {
-    setInitiatingId(rowid)
+  async function savePitch(event) {
+    event.preventDefault()
+    setPitchSaving(true)
     try {
-      await fetchJson(`/api/contacts/${rowid}/initiate`, { method: 'POST' })
-      showToast('Conversation initiated.')
-      scrollTargetRef.current = rowid
-      loadContacts()
+      await fetchJson('/api/property-context', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ context: pitchContext }),
+      })
+      showToast('Property context saved and applied.')
+      loadPitch()
     } catch (err) {
+      setPitchErrors(err.errors || [])
       showToast(err.message, 'error')
     } finally {
-      setInitiatingId(null)
+      setPitchSaving(false)
     }
   }
 
-  async function syncHistory(rowid) {
+  async function reloadPitch() {
     try {
-      await fetchJson(`/api/contacts/${rowid}/sync-history`, { method: 'POST' })
-      showToast('History sync started.')
+      await fetchJson('/api/property-context/reload', { method: 'POST' })
+      showToast('Property context reloaded from disk.')
+      loadPitch()
     } catch (err) {
+      setPitchErrors(err.errors || [])
       showToast(err.message, 'error')
     }
   }
 
-  async function deleteContact(rowid) {
-    const confirmed = window.confirm('Delete this contact?')
+  async function restorePitchVersion(id) {
+    const confirmed = window.confirm('Restore this version? The current context is kept as a new version.')
     if (!confirmed) return
 
     try {
-      await fetchJson(`/api/contacts/${rowid}`, { method: 'DELETE' })
-      showToast('Contact deleted.')
-      scrollTargetRef.current = rowid
-      loadContacts()
+      await fetchJson(`/api/property-context/versions/${id}/restore`, { method: 'POST' })
+      showToast('Version restored.')
+      loadPitch()
     } catch (err) {
       showToast(err.message, 'error')
     }
   }
 
-  async function setContactStatus(rowid, status) {
-    setStatusUpdatingId(rowid)
+  async function loadCampaigns() {
     try {
-      await fetchJson(`/api/contacts/${rowid}/status`, {
-        method: 'PATCH',
+      const data = await fetchJson('/api/campaigns')
+      setCampaigns(data.campaigns || [])
+    } catch (err) {
+      showToast(err.message, 'error')
+    }
+  }
+
+  function updateCampaignForm(changes) {
+    setCampaignForm((current) => ({ ...current, ...changes }))
+    setCampaignMatched(null)
+  }
+
+  function toggleCampaignOption(key, value) {
+    const values = campaignForm[key]
+    updateCampaignForm({
+      [key]: values.includes(value) ? values.filter((item) => item !== value) : [...values, value],
+    })
+  }
+
+  async function submitCampaign(dryRun) {
+    setCampaignSaving(true)
+    try {
+      const data = await fetchJson('/api/campaigns', {
+        method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ status }),
+        body: JSON.stringify({ ...campaignForm, dryRun }),
       })
-      showToast(`Status set to ${status}.`)
-      scrollTargetRef.current = rowid
-      loadContacts()
+      if (dryRun) {
+        setCampaignMatched(data.matched)
+        return
+      }
+      showToast(`Campaign started with ${data.queued} contact${data.queued === 1 ? '' : 's'}.`)
+      setCampaignForm(EMPTY_CAMPAIGN_FORM)
+      setCampaignMatched(null)
+      loadCampaigns()
     } catch (err) {
       showToast(err.message, 'error')
     } finally {
-      setStatusUpdatingId(null)
+      setCampaignSaving(false)
     }
   }
 
-  async function respondWithLlm(rowid) {
-    setRespondingId(rowid)
+  async function updateCampaign(id, action) {
+    if (action === 'cancel') {
+      const confirmed = window.confirm('Cancel this campaign? Queued contacts will not be messaged.')
+      if (!confirmed) return
+    }
+    setCampaignUpdatingId(id)
     try {
-      const data = await fetchJson(`/api/contacts/${rowid}/respond`, { method: 'POST' })
-      if (data.ack) {
-        showToast(`Acknowledged (${data.ack === 'thumbs_up' ? 'thumbs up' : 'seen'}).`)
-      } else if (data.responded > 0) {
-        showToast(`Sent ${data.responded} reply${data.responded > 1 ? 'ies' : ''}.`)
-      } else {
-        showToast('No unreplied messages found.')
-      }
-      if (data.paused) {
-        scrollTargetRef.current = rowid
-        loadContacts()
-      }
+      await fetchJson(`/api/campaigns/${id}/${action}`, { method: 'POST' })
+      loadCampaigns()
     } catch (err) {
       showToast(err.message, 'error')
     } finally {
-      setRespondingId(null)
+      setCampaignUpdatingId(null)
     }
   }
 
-  async function respondWithOutline(rowid) {
-    setRespondWithId(rowid)
-    const outline = outlineById[rowid] || ''
+  async function previewImport(csv, mapping) {
+    setImporting(true)
     try {
-      const data = await fetchJson(`/api/contacts/${rowid}/respond`, {
+      const data = await fetchJson('/api/contacts/import', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ outline }),
+        body: JSON.stringify({ csv, mapping, dryRun: true }),
       })
-      if (data.ack) {
-        showToast(`Acknowledged (${data.ack === 'thumbs_up' ? 'thumbs up' : 'seen'}).`)
-      } else if (data.responded > 0) {
-        showToast('Sent response.')
-      } else {
-        showToast('No unreplied messages found.')
-      }
-      if (data.paused) {
-        scrollTargetRef.current = rowid
-        loadContacts()
+      setImportState((current) => ({
+        ...current,
+        headers: data.headers,
+        columns: data.columns,
+        mapping: data.mapping,
+        plan: data,
+      }))
+    } catch (err) {
+      if (err.data?.headers) {
+        setImportState((current) => ({
+          ...current,
+          headers: err.data.headers,
+          columns: err.data.columns,
+          mapping: err.data.mapping,
+          plan: null,
+        }))
       }
+      showToast(err.message, 'error')
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  function selectImportFile(event) {
+    const file = event.target.files?.[0]
+    if (!file) return
+    const reader = new FileReader()
+    reader.onload = () => {
+      const csv = String(reader.result || '')
+      setImportState({ ...EMPTY_IMPORT, fileName: file.name, csv })
+      previewImport(csv, null)
+    }
+    reader.readAsText(file)
+  }
+
+  function setImportMapping(header, column) {
+    setImportState((current) => ({
+      ...current,
+      mapping: { ...current.mapping, [header]: column },
+      plan: null,
+    }))
+  }
+
+  async function runImport() {
+    setImporting(true)
+    try {
+      const data = await fetchJson('/api/contacts/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ csv: importState.csv, mapping: importState.mapping }),
+      })
+      showToast(`Imported ${data.summary.insert} new and updated ${data.summary.update} contacts.`)
+      setImportState(EMPTY_IMPORT)
+      loadContacts()
     } catch (err) {
       showToast(err.message, 'error')
     } finally {
-      setRespondWithId(null)
+      setImporting(false)
     }
   }
 
-  async function handleSubmit(event) {
-    event.preventDefault()
-    const payload = {}
-    const formData = new FormData(event.currentTarget)
-    schema.forEach((column) => {
-      payload[column.name] = formData.get(column.name) ?? ''
-    })
+  async function loadDedupe(fuzzy = dedupeFuzzy) {
     try {
-      await fetchJson('/api/contacts', {
+      const [plan, runs] = await Promise.all([
+        fetchJson(`/api/contacts/dedupe?dryRun=true&fuzzy=${fuzzy}`, { method: 'POST' }),
+        fetchJson('/api/contacts/dedupe/runs'),
+      ])
+      setDedupePlan(plan)
+      setDedupeSelected(plan.groups.map((group) => group.key))
+      setDedupeRuns(runs.runs || [])
+    } catch (err) {
+      showToast(err.message, 'error')
+    }
+  }
+
+  async function applyDedupe() {
+    setDedupeBusy(true)
+    try {
+      const data = await fetchJson('/api/contacts/dedupe', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload),
+        body: JSON.stringify({ fuzzy: dedupeFuzzy, keys: dedupeSelected }),
       })
-      if (formRef.current) {
-        formRef.current.reset()
-      }
-      showToast('Contact added.')
+      const stale = data.stale?.length ? ` ${data.stale.length} changed since the preview and were skipped.` : ''
+      showToast(
+        data.run
+          ? `Merged ${data.run.groupCount} groups and removed ${data.run.removedCount} rows.${stale}`
+          : `Nothing merged.${stale}`,
+      )
+      loadDedupe()
       loadContacts()
     } catch (err) {
       showToast(err.message, 'error')
+    } finally {
+      setDedupeBusy(false)
     }
   }
 
-  function resetForm(event) {
-    event.preventDefault()
-    if (formRef.current) {
-      formRef.current.reset()
+  async function undoDedupeRun(id) {
+    setDedupeBusy(true)
+    try {
+      const data = await fetchJson(`/api/contacts/dedupe/runs/${id}/undo`, { method: 'POST' })
+      showToast(`Restored ${data.restored} rows.`)
+      loadDedupe()
+      loadContacts()
+    } catch (err) {
+      showToast(err.message, 'error')
+    } finally {
+      setDedupeBusy(false)
     }
   }
 
-  function toggleRow(rowid) {
-    setExpandedRowId((current) => (current === rowid ? null : rowid))
+  async function loadOutbox(status = outboxFilter) {
+    try {
+      const query = status ? `?status=${status}` : ''
+      const data = await fetchJson(`/api/outbox${query}`)
+      setOutboxItems(data.items || [])
+      setOutboxCounts(data.counts || {})
+    } catch (err) {
+      showToast(err.message, 'error')
+    }
   }
 
-  useEffect(() => {
-    if (!expandedRowId) {
-      setRecentLoadingId(null)
-      return
+  async function updateOutboxItem(id, action) {
+    setOutboxUpdatingId(id)
+    try {
+      await fetchJson(
+        action === 'retry' ? `/api/outbox/${id}/retry` : `/api/outbox/${id}`,
+        { method: action === 'retry' ? 'POST' : 'DELETE' },
+      )
+      showToast(action === 'retry' ? 'Queued for retry.' : 'Send cancelled.')
+      loadOutbox()
+    } catch (err) {
+      showToast(err.message, 'error')
+    } finally {
+      setOutboxUpdatingId(null)
     }
-    setRecentLoadingId(expandedRowId)
-    fetchJson(`/api/contacts/${expandedRowId}/messages?limit=40`)
-      .then((data) => {
-        const messages = Array.isArray(data.messages) ? data.messages : []
-        const lines = messages
-          .map((message) => {
-            if (!message) return null
-            const rawBody = typeof message.body === 'string' ? message.body : ''
-            const body = rawBody.trim()
-            if (!body) {
-              if (message.hasMedia) {
-                const mediaType = message.type ? String(message.type) : 'media'
-                const label = `media:${mediaType}`
-                return message.fromMe ? `me: [${label}]` : `them: [${label}]`
-              }
-              return null
-            }
-            return message.fromMe ? `me: ${body}` : `them: ${body}`
-          })
-          .filter(Boolean)
-        const chatlog = lines.join('\n')
-        const preview = chatlog ? chatlog.slice(-100) : ''
-        const lastTimestamp = messages.reduce((maxValue, message) => {
-          const nextValue = Number(message?.timestamp) || 0
-          return Math.max(maxValue, nextValue)
-        }, 0)
-        setRecentPreviewById((current) => ({
-          ...current,
-          [expandedRowId]: preview,
-        }))
-        setRecentTimestampById((current) => ({
-          ...current,
-          [expandedRowId]: lastTimestamp || null,
-        }))
+  }
+
+  async function loadPipelineStages() {
+    try {
+      const data = await fetchJson('/api/pipeline/stages')
+      setPipelineStages(data.stages || [])
+    } catch (err) {
+      showToast(err.message, 'error')
+    }
+  }
+
+  async function loadPipeline(group = pipelineGroup) {
+    setPipelineLoading(true)
+    try {
+      const params = new URLSearchParams()
+      if (group) params.set('group', group)
+      const data = await fetchJson(`/api/pipeline?${params.toString()}`)
+      setPipelineStages(data.stages || [])
+      setPipelineColumns(data.columns || [])
+    } catch (err) {
+      showToast(err.message, 'error')
+    } finally {
+      setPipelineLoading(false)
+    }
+  }
+
+  // The card moves as soon as it is dropped and goes back if the server refuses the stage.
+  async function moveContactToStage(rowid, stageId) {
+    const fromColumn = pipelineColumns.find((column) => column.contacts.some((contact) => contact.rowid === rowid))
+    if (!fromColumn || fromColumn.id === stageId) return
+    const card = fromColumn.contacts.find((contact) => contact.rowid === rowid)
+    const stage = stageId === 'none' ? null : stageId
+    const previousColumns = pipelineColumns
+    setPipelineColumns((current) =>
+      current.map((column) => {
+        if (column.id === fromColumn.id) {
+          return {
+            ...column,
+            contacts: column.contacts.filter((contact) => contact.rowid !== rowid),
+            total: column.total - 1,
+          }
+        }
+        if (column.id === stageId) {
+          return {
+            ...column,
+            contacts: [{ ...card, pipeline_stage: stage }, ...column.contacts],
+            total: column.total + 1,
+          }
+        }
+        return column
+      }),
+    )
+    try {
+      await fetchJson(`/api/contacts/${rowid}/stage`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ stage }),
       })
-      .catch(() => {
-        setRecentPreviewById((current) => ({
-          ...current,
-          [expandedRowId]: '',
-        }))
-        setRecentTimestampById((current) => ({
-          ...current,
-          [expandedRowId]: null,
-        }))
+    } catch (err) {
+      setPipelineColumns(previousColumns)
+      showToast(err.message, 'error')
+    }
+  }
+
+  async function loadDoNotContact() {
+    try {
+      const data = await fetchJson('/api/do-not-contact')
+      setDncEntries(data.entries || [])
+    } catch (err) {
+      showToast(err.message, 'error')
+    }
+  }
+
+  async function addDoNotContact(event) {
+    event.preventDefault()
+    setDncSaving(true)
+    try {
+      const data = await fetchJson('/api/do-not-contact', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(dncForm),
       })
-      .finally(() => {
-        setRecentLoadingId(null)
+      showToast(data.created ? 'Number added to the do-not-contact list.' : 'Number is already on the list.')
+      setDncForm({ number: '', reason: '' })
+      loadDoNotContact()
+      loadContacts()
+    } catch (err) {
+      showToast(err.message, 'error')
+    } finally {
+      setDncSaving(false)
+    }
+  }
+
+  async function removeDoNotContact(phoneNumber) {
+    const confirmed = window.confirm(
+      `Allow messages to ${phoneNumber} again? The contact stays paused until you resume it.`,
+    )
+    if (!confirmed) return
+    try {
+      await fetchJson(`/api/do-not-contact/${encodeURIComponent(phoneNumber)}`, { method: 'DELETE' })
+      showToast('Number removed from the do-not-contact list.')
+      loadDoNotContact()
+    } catch (err) {
+      showToast(err.message, 'error')
+    }
+  }
+
+  async function loadTags() {
+    try {
+      const data = await fetchJson('/api/tags')
+      setTags(data.tags || [])
+    } catch (err) {
+      showToast(err.message, 'error')
+    }
+  }
+
+  async function createTag(event) {
+    event.preventDefault()
+    setTagSaving(true)
+    try {
+      await fetchJson('/api/tags', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: tagForm.name, color: tagForm.color || undefined }),
       })
-  }, [expandedRowId])
+      showToast('Tag created.')
+      setTagForm({ name: '', color: '' })
+      loadTags()
+    } catch (err) {
+      showToast(err.message, 'error')
+    } finally {
+      setTagSaving(false)
+    }
+  }
+
+  async function updateTag(tag, changes) {
+    try {
+      await fetchJson(`/api/tags/${tag.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes),
+      })
+      loadTags()
+      loadContacts()
+    } catch (err) {
+      showToast(err.message, 'error')
+    }
+  }
+
+  function renameTag(tag) {
+    const name = window.prompt('Rename tag', tag.name)
+    if (!name || name.trim() === tag.name) return
+    updateTag(tag, { name })
+  }
+
+  async function deleteTag(tag) {
+    const confirmed = window.confirm(`Delete the tag "${tag.name}"? It is removed from ${tag.contactCount} contacts.`)
+    if (!confirmed) return
+    try {
+      await fetchJson(`/api/tags/${tag.id}`, { method: 'DELETE' })
+      showToast('Tag deleted.')
+      if (String(tag.id) === tagFilter) {
+        setTagFilter('')
+        loadContacts({ tag: '' })
+      } else {
+        loadContacts()
+      }
+      loadTags()
+    } catch (err) {
+      showToast(err.message, 'error')
+    }
+  }
+
+  function toggleSelected(rowid) {
+    setSelectedRowIds((current) =>
+      current.includes(rowid) ? current.filter((id) => id !== rowid) : [...current, rowid],
+    )
+  }
+
+  async function applyBulkTag(action) {
+    if (!bulkTagId || selectedRowIds.length === 0) return
+    setBulkTagging(true)
+    try {
+      const data = await fetchJson(`/api/contacts/tags/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ rowIds: selectedRowIds, tagIds: [Number(bulkTagId)] }),
+      })
+      const tagName = tags.find((tag) => String(tag.id) === bulkTagId)?.name || 'tag'
+      showToast(`${action === 'add' ? 'Tagged' : 'Untagged'} ${data.changed} contacts with "${tagName}".`)
+      setSelectedRowIds([])
+      loadContacts()
+      loadTags()
+    } catch (err) {
+      showToast(err.message, 'error')
+    } finally {
+      setBulkTagging(false)
+    }
+  }
+
+  function draftEditsFor(draft) {
+    return { reply: draft.reply || '', media: draft.media, outline: draft.outline || '' }
+  }
+
+  async function loadDrafts() {
+    try {
+      const data = await fetchJson('/api/drafts')
+      setDrafts(data.drafts || [])
+      setDraftCounts(data.counts || {})
+      setDraftEdits(Object.fromEntries((data.drafts || []).map((draft) => [draft.id, draftEditsFor(draft)])))
+    } catch (err) {
+      showToast(err.message, 'error')
+    }
+  }
+
+  async function loadReplyMode() {
+    try {
+      const data = await fetchJson('/api/reply-mode')
+      setReplyMode(data.mode)
+    } catch (err) {
+      showToast(err.message, 'error')
+    }
+  }
+
+  async function updateReplyMode(mode) {
+    try {
+      const data = await fetchJson('/api/reply-mode', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ mode }),
+      })
+      setReplyMode(data.mode)
+      showToast(`Default reply mode: ${REPLY_MODE_OPTIONS.find((option) => option.id === data.mode)?.label}.`)
+    } catch (err) {
+      showToast(err.message, 'error')
+    }
+  }
+
+  async function setContactReplyMode(rowid, mode) {
+    setReplyModeUpdatingId(rowid)
+    try {
+      await fetchJson(`/api/contacts/${rowid}/reply-mode`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ mode: mode || null }),
+      })
+      showToast('Reply mode updated.')
+      setContacts((current) =>
+        current.map((contact) => (contact.rowid === rowid ? { ...contact, reply_mode: mode || null } : contact)),
+      )
+    } catch (err) {
+      showToast(err.message, 'error')
+    } finally {
+      setReplyModeUpdatingId(null)
+    }
+  }
+
+  function setDraftEdit(id, field, value) {
+    setDraftEdits((current) => ({ ...current, [id]: { ...current[id], [field]: value } }))
+  }
+
+  async function approveDraft(draft) {
+    const edits = draftEdits[draft.id] || draftEditsFor(draft)
+    setDraftBusyId(draft.id)
+    try {
+      await fetchJson(`/api/drafts/${draft.id}/approve`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ reply: edits.reply, media: edits.media }),
+      })
+      showToast('Draft approved and queued for sending.')
+      loadDrafts()
+    } catch (err) {
+      showToast(err.message, 'error')
+    } finally {
+      setDraftBusyId(null)
+    }
+  }
+
+  async function regenerateDraft(draft) {
+    const edits = draftEdits[draft.id] || draftEditsFor(draft)
+    setDraftBusyId(draft.id)
+    try {
+      const data = await fetchJson(`/api/drafts/${draft.id}/regenerate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ outline: edits.outline }),
+      })
+      setDrafts((current) => current.map((item) => (item.id === draft.id ? data.draft : item)))
+      setDraftEdits((current) => ({ ...current, [draft.id]: draftEditsFor(data.draft) }))
+      showToast('Draft regenerated.')
+    } catch (err) {
+      showToast(err.message, 'error')
+    } finally {
+      setDraftBusyId(null)
+    }
+  }
+
+  async function discardDraft(draft) {
+    setDraftBusyId(draft.id)
+    try {
+      await fetchJson(`/api/drafts/${draft.id}/discard`, { method: 'POST' })
+      showToast('Draft discarded.')
+      loadDrafts()
+    } catch (err) {
+      showToast(err.message, 'error')
+    } finally {
+      setDraftBusyId(null)
+    }
+  }
+
+  async function setContactProperty(rowid, propertyId) {
+    setPropertyUpdatingId(rowid)
+    try {
+      await fetchJson(`/api/contacts/${rowid}/property`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ propertyId: propertyId || null }),
+      })
+      showToast('Property updated.')
+      scrollTargetRef.current = rowid
+      loadContacts()
+      loadProperties()
+    } catch (err) {
+      showToast(err.message, 'error')
+    } finally {
+      setPropertyUpdatingId(null)
+    }
+  }
+
+  function notifyHandoff(handoff) {
+    if (!browserNotifyRef.current || typeof Notification === 'undefined' || Notification.permission !== 'granted') {
+      return
+    }
+    const reason = [handoff.pauseReason.replace(/_/g, ' '), handoff.reason].filter(Boolean).join(': ')
+    new Notification(`Needs attention: ${handoff.contactName || handoff.contactNumber || 'contact'}`, {
+      body: [reason, handoff.message].filter(Boolean).join('\n'),
+      tag: `handoff-${handoff.id}`,
+    })
+  }
+
+  // Polled like the WhatsApp status. Handoffs already waiting at the first load do not raise a notification.
+  async function loadHandoffs() {
+    try {
+      const data = await fetchJson('/api/handoffs')
+      const list = data.handoffs || []
+      setHandoffs(list)
+      setHandoffOpenCount(data.open || 0)
+      const seen = seenHandoffIdsRef.current
+      if (seen) {
+        list.filter((handoff) => !seen.has(handoff.id)).forEach(notifyHandoff)
+      }
+      seenHandoffIdsRef.current = new Set([...(seen || []), ...list.map((handoff) => handoff.id)])
+    } catch {
+      // The next poll tries again; the WhatsApp status already shows when the server is unreachable.
+    }
+  }
+
+  async function loadHandoffSettings() {
+    try {
+      const data = await fetchJson('/api/handoff-notifications')
+      setHandoffSettings(data.settings)
+      browserNotifyRef.current = data.settings.browser
+    } catch (err) {
+      showToast(err.message, 'error')
+    }
+  }
+
+  async function saveHandoffSettings(event) {
+    event.preventDefault()
+    setHandoffSettingsSaving(true)
+    try {
+      if (handoffSettings.browser && typeof Notification !== 'undefined' && Notification.permission === 'default') {
+        await Notification.requestPermission()
+      }
+      const data = await fetchJson('/api/handoff-notifications', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(handoffSettings),
+      })
+      setHandoffSettings(data.settings)
+      browserNotifyRef.current = data.settings.browser
+      showToast('Notification settings saved.')
+    } catch (err) {
+      showToast(err.message, 'error')
+    } finally {
+      setHandoffSettingsSaving(false)
+    }
+  }
+
+  async function resolveHandoff(handoff) {
+    setHandoffBusyId(handoff.id)
+    try {
+      await fetchJson(`/api/handoffs/${handoff.id}/resolve`, { method: 'POST' })
+      showToast('Marked as handled.')
+      loadHandoffs()
+    } catch (err) {
+      showToast(err.message, 'error')
+    } finally {
+      setHandoffBusyId(null)
+    }
+  }
+
+  async function resumeHandoff(handoff) {
+    await setContactStatus(handoff.contactRowId, 'active')
+    loadHandoffs()
+  }
+
+  async function loadWhatsappStatus() {
+    try {
+      const data = await fetchJson('/api/status')
+      const nextStatus = data.whatsappReady
+        ? 'ready'
+        : data.status || 'not_ready'
+      setWhatsappStatus(nextStatus)
+      setQrCode(data.whatsappReady ? '' : data.qr || '')
+      const detailParts = []
+      if (data.connectionState) {
+        detailParts.push(`State: ${data.connectionState}`)
+      }
+      if (typeof data.storeReady === 'boolean') {
+        detailParts.push(`Store: ${data.storeReady ? 'ready' : 'loading'}`)
+      }
+      if (data.detail) {
+        detailParts.push(data.detail)
+      }
+      setWhatsappDetail(detailParts.join(' • '))
+      setWhatsappUpdatedAt(data.updatedAt || null)
+    } catch (err) {
+      setWhatsappStatus('offline')
+      setQrCode('')
+      setWhatsappDetail('')
+      setWhatsappUpdatedAt(null)
+    }
+  }
+
+  function showToast(message, tone = 'default') {
+    setToast({ message, tone })
+    window.clearTimeout(showToast._timer)
+    showToast._timer = window.setTimeout(() => {
+      setToast(null)
+    }, 2400)
+  }
+
+  async function initiateContact(rowid) {
+    setInitiatingId(rowid)
+    try {
+      await fetchJson(`/api/contacts/${rowid}/initiate`, { method: 'POST' })
+      showToast('Initial message queued.')
+      scrollTargetRef.current = rowid
+      loadContacts()
+      loadFollowups(rowid)
+      loadStatusHistory(rowid)
+    } catch (err) {
+      showToast(err.message, 'error')
+    } finally {
+      setInitiatingId(null)
+    }
+  }
+
+  async function previewMessage(rowid, type) {
+    try {
+      const data = await fetchJson(`/api/contacts/${rowid}/message-preview?type=${type}`)
+      setMessagePreviewById((current) => ({ ...current, [rowid]: data }))
+    } catch (err) {
+      showToast(err.message, 'error')
+    }
+  }
+
+  async function loadFollowups(rowid) {
+    try {
+      const data = await fetchJson(`/api/contacts/${rowid}/followups`)
+      setFollowupById((current) => ({ ...current, [rowid]: data }))
+    } catch {
+      setFollowupById((current) => ({ ...current, [rowid]: null }))
+    }
+  }
+
+  async function loadStatusHistory(rowid) {
+    try {
+      const data = await fetchJson(`/api/contacts/${rowid}/history`)
+      setHistoryById((current) => ({ ...current, [rowid]: data.history || [] }))
+    } catch {
+      setHistoryById((current) => ({ ...current, [rowid]: null }))
+    }
+  }
+
+  async function stopContactFollowups(rowid) {
+    try {
+      await fetchJson(`/api/contacts/${rowid}/followups`, { method: 'DELETE' })
+      showToast('Follow-ups stopped.')
+      loadFollowups(rowid)
+    } catch (err) {
+      showToast(err.message, 'error')
+    }
+  }
+
+  async function syncHistory(rowid) {
+    try {
+      const data = await fetchJson(`/api/contacts/${rowid}/sync-history`, { method: 'POST' })
+      showToast(`History synced; ${data.stored ?? 0} message${data.stored === 1 ? '' : 's'} stored.`)
+    } catch (err) {
+      showToast(err.message, 'error')
+    }
+  }
+
+  async function deleteContact(rowid) {
+    const confirmed = window.confirm('Delete this contact?')
+    if (!confirmed) return
+
+    try {
+      await fetchJson(`/api/contacts/${rowid}`, { method: 'DELETE' })
+      showToast('Contact deleted.')
+      scrollTargetRef.current = rowid
+      loadContacts()
+    } catch (err) {
+      showToast(err.message, 'error')
+    }
+  }
+
+  function openContactEditor(contact) {
+    setEditingContact(contact)
+    setEditForm(Object.fromEntries(schema.map((column) => [column.name, contact[column.name] ?? ''])))
+    setEditErrors([])
+  }
+
+  function closeContactEditor() {
+    setEditingContact(null)
+    setEditErrors([])
+  }
+
+  // Only changed fields are sent, so a save never rewrites values someone else edited meanwhile.
+  async function saveContactEdits(event) {
+    event.preventDefault()
+    if (!editingContact) return
+    const changes = {}
+    schema.forEach((column) => {
+      const value = editForm[column.name] ?? ''
+      if (String(value) !== String(editingContact[column.name] ?? '')) {
+        changes[column.name] = value
+      }
+    })
+    if (Object.keys(changes).length === 0) {
+      closeContactEditor()
+      return
+    }
+    setEditSaving(true)
+    setEditErrors([])
+    try {
+      await fetchJson(`/api/contacts/${editingContact.rowid}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes),
+      })
+      showToast('Contact updated.')
+      scrollTargetRef.current = editingContact.rowid
+      closeContactEditor()
+      loadContacts()
+      loadStatusHistory(editingContact.rowid)
+      if (activeTab === 'pipeline') loadPipeline()
+    } catch (err) {
+      setEditErrors(err.data?.errors || [err.message])
+    } finally {
+      setEditSaving(false)
+    }
+  }
+
+  async function setContactStatus(rowid, status) {
+    setStatusUpdatingId(rowid)
+    try {
+      await fetchJson(`/api/contacts/${rowid}/status`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status }),
+      })
+      showToast(`Status set to ${status}.`)
+      scrollTargetRef.current = rowid
+      loadContacts()
+      loadStatusHistory(rowid)
+    } catch (err) {
+      showToast(err.message, 'error')
+    } finally {
+      setStatusUpdatingId(null)
+    }
+  }
+
+  async function respondWithLlm(rowid) {
+    setRespondingId(rowid)
+    try {
+      const data = await fetchJson(`/api/contacts/${rowid}/respond`, { method: 'POST' })
+      if (data.ack) {
+        showToast(`Acknowledged (${data.ack === 'thumbs_up' ? 'thumbs up' : 'seen'}).`)
+      } else if (data.optedOut) {
+        showToast('Contact asked not to be messaged; added to the do-not-contact list.')
+      } else if (data.responded > 0) {
+        showToast(`Queued ${data.responded} reply${data.responded > 1 ? 'ies' : ''}.`)
+      } else {
+        showToast('No unreplied messages found.')
+      }
+      if (data.paused) {
+        scrollTargetRef.current = rowid
+        loadContacts()
+        loadStatusHistory(rowid)
+      }
+    } catch (err) {
+      showToast(err.message, 'error')
+    } finally {
+      setRespondingId(null)
+    }
+  }
+
+  async function respondWithOutline(rowid) {
+    setRespondWithId(rowid)
+    const outline = outlineById[rowid] || ''
+    try {
+      const data = await fetchJson(`/api/contacts/${rowid}/respond`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ outline }),
+      })
+      if (data.ack) {
+        showToast(`Acknowledged (${data.ack === 'thumbs_up' ? 'thumbs up' : 'seen'}).`)
+      } else if (data.optedOut) {
+        showToast('Contact asked not to be messaged; added to the do-not-contact list.')
+      } else if (data.responded > 0) {
+        showToast('Response queued.')
+      } else {
+        showToast('No unreplied messages found.')
+      }
+      if (data.paused) {
+        scrollTargetRef.current = rowid
+        loadContacts()
+        loadStatusHistory(rowid)
+      }
+    } catch (err) {
+      showToast(err.message, 'error')
+    } finally {
+      setRespondWithId(null)
+    }
+  }
+
+  async function handleSubmit(event) {
+    event.preventDefault()
+    const payload = {}
+    const formData = new FormData(event.currentTarget)
+    schema.forEach((column) => {
+      payload[column.name] = formData.get(column.name) ?? ''
+    })
+    try {
+      await fetchJson('/api/contacts', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+      })
+      if (formRef.current) {
+        formRef.current.reset()
+      }
+      showToast('Contact added.')
+      loadContacts()
+    } catch (err) {
+      showToast(err.message, 'error')
+    }
+  }
+
+  function resetForm(event) {
+    event.preventDefault()
+    if (formRef.current) {
+      formRef.current.reset()
+    }
+  }
+
+  function toggleRow(rowid) {
+    setExpandedRowId((current) => (current === rowid ? null : rowid))
+  }
+
+  useEffect(() => {
+    if (!expandedRowId) {
+      setRecentLoadingId(null)
+      return
+    }
+    setRecentLoadingId(expandedRowId)
+    loadFollowups(expandedRowId)
+    loadStatusHistory(expandedRowId)
+    fetchJson(`/api/contacts/${expandedRowId}/messages?limit=40`)
+      .then((data) => {
+        const messages = Array.isArray(data.messages) ? data.messages : []
+        const lines = messages
+          .map((message) => {
+            if (!message) return null
+            const rawBody = typeof message.body === 'string' ? message.body : ''
+            const body = rawBody.trim()
+            if (!body) {
+              if (message.hasMedia) {
+                const mediaType = message.type ? String(message.type) : 'media'
+                const label = `media:${mediaType}`
+                return message.fromMe ? `me: [${label}]` : `them: [${label}]`
+              }
+              return null
+            }
+            return message.fromMe ? `me: ${body}` : `them: ${body}`
+          })
+          .filter(Boolean)
+        const chatlog = lines.join('\n')
+        const preview = chatlog
+          ? `${data.source === 'local' ? '(saved log) ' : ''}${chatlog.slice(-100)}`
+          : ''
+        const lastTimestamp = messages.reduce((maxValue, message) => {
+          const nextValue = Number(message?.timestamp) || 0
+          return Math.max(maxValue, nextValue)
+        }, 0)
+        setRecentPreviewById((current) => ({
+          ...current,
+          [expandedRowId]: preview,
+        }))
+        setRecentTimestampById((current) => ({
+          ...current,
+          [expandedRowId]: lastTimestamp || null,
+        }))
+      })
+      .catch(() => {
+        setRecentPreviewById((current) => ({
+          ...current,
+          [expandedRowId]: '',
+        }))
+        setRecentTimestampById((current) => ({
+          ...current,
+          [expandedRowId]: null,
+        }))
+      })
+      .finally(() => {
+        setRecentLoadingId(null)
+      })
+  }, [expandedRowId])
+
+  return (
+    <div className="min-h-screen px-6 py-10 font-sans">
+      <div className="mx-auto flex max-w-6xl flex-col gap-8">
+        <header className="flex flex-col gap-6 md:flex-row md:items-end md:justify-between">
+          <div>
+            <p className="text-xs font-semibold uppercase tracking-[0.3em] text-gray-500">
+              Whatsapp LLM bot
+            </p>
+            <h1 className="mt-3 text-3xl font-semibold text-gray-900 md:text-4xl">
+              Contact List
+            </h1>
+            <p className="mt-2 max-w-xl text-sm text-gray-600">
+              Review contacts from your database and trigger conversation initiation.
+            </p>
+            <div className="mt-4 flex items-center gap-2 text-sm font-semibold text-gray-700">
+              <span
+                className={`inline-flex h-2.5 w-2.5 rounded-full ${
+                  whatsappStatus === 'ready'
+                    ? 'bg-emerald-500'
+                    : whatsappStatus === 'qr' || whatsappStatus === 'not_ready'
+                    ? 'bg-amber-500'
+                    : 'bg-gray-400'
+                }`}
+              />
+              {whatsappStatus === 'ready' && 'WhatsApp connected'}
+              {(whatsappStatus === 'qr' || whatsappStatus === 'not_ready') &&
+                'WhatsApp not ready (scan QR)'}
+              {whatsappStatus === 'authenticated' && 'WhatsApp linked, syncing...'}
+              {whatsappStatus === 'loading' && 'WhatsApp loading...'}
+              {whatsappStatus === 'state' && 'WhatsApp state change detected'}
+              {whatsappStatus === 'auth_failure' && 'WhatsApp auth failed'}
+              {whatsappStatus === 'disconnected' && 'WhatsApp disconnected'}
+              {whatsappStatus === 'offline' && 'WhatsApp status unavailable'}
+              {whatsappStatus === 'unknown' && 'Checking WhatsApp status...'}
+            </div>
+            {(whatsappDetail || whatsappUpdatedAt) && (
+              <div className="mt-2 text-xs text-gray-500">
+                {whatsappDetail && <span>{whatsappDetail}</span>}
+                {whatsappDetail && whatsappUpdatedAt && <span> • </span>}
+                {whatsappUpdatedAt && (
+                  <span>
+                    Updated {new Date(whatsappUpdatedAt).toLocaleTimeString()}
+                  </span>
+                )}
+              </div>
+            )}
+          </div>
+          <div className="grid grid-cols-2 gap-4 sm:grid-cols-5">
+            {[
+              { label: 'Total', value: stats.total },
+              { label: 'Pending', value: stats.pending },
+              { label: 'Active', value: stats.active },
+              { label: 'Paused', value: stats.paused },
+              { label: 'Unregistered', value: stats.unregistered },
+            ].map((stat) => (
+              <div key={stat.label} className="rounded-xl border border-gray-200 bg-white p-4">
+                <p className="text-xs font-semibold uppercase tracking-widest text-gray-500">
+                  {stat.label}
+                </p>
+                <p className="mt-2 text-2xl font-semibold text-gray-900">{stat.value}</p>
+              </div>
+            ))}
+          </div>
+        </header>
+
+        {(whatsappStatus === 'qr' || whatsappStatus === 'not_ready') && qrCode && (
+          <section className="rounded-2xl border border-amber-200 bg-amber-50/60 p-6 text-sm text-amber-900 shadow-sm">
+            <div className="flex flex-col gap-4 md:flex-row md:items-center md:justify-between">
+              <div>
+                <p className="text-xs font-semibold uppercase tracking-[0.25em] text-amber-700">
+                  WhatsApp Login
+                </p>
+                <h2 className="mt-2 text-lg font-semibold text-amber-900">
+                  Scan this QR code with WhatsApp on your phone
+                </h2>
+                <p className="mt-1 text-sm text-amber-700">
+                  Open WhatsApp &gt; Linked Devices &gt; Link a Device.
+                </p>
+              </div>
+              <div className="rounded-2xl border border-amber-200 bg-white p-4">
+                <QRCodeCanvas value={qrCode} size={168} />
+              </div>
+            </div>
+          </section>
+        )}
+
+        <nav className="flex flex-wrap gap-3 rounded-2xl border border-gray-200 bg-white p-4 shadow-sm">
+          {[
+            { id: 'contacts', label: 'Contacts' },
+            { id: 'pipeline', label: 'Pipeline' },
+            { id: 'add', label: 'Add Contact' },
+            { id: 'import', label: 'Import CSV' },
+            { id: 'dedupe', label: 'Duplicates' },
+            { id: 'properties', label: 'Properties' },
+            { id: 'pitch', label: 'Property Context' },
+            { id: 'campaigns', label: 'Campaigns' },
+            { id: 'outbox', label: 'Outbox' },
+            { id: 'dnc', label: 'Do Not Contact' },
+            { id: 'tags', label: 'Tags' },
+            { id: 'drafts', label: draftCounts.pending ? `Drafts (${draftCounts.pending})` : 'Drafts' },
+            { id: 'attention', label: handoffOpenCount ? `Needs attention (${handoffOpenCount})` : 'Needs attention' },
+          ].map((tab) => (
+            <button
+              key={tab.id}
+              type="button"
+              onClick={() => {
+                setActiveTab(tab.id)
+                if (tab.id === 'pitch') loadPitch()
+                if (tab.id === 'campaigns') loadCampaigns()
+                if (tab.id === 'outbox') loadOutbox()
+                if (tab.id === 'dedupe') loadDedupe()
+                if (tab.id === 'pipeline') loadPipeline()
+                if (tab.id === 'dnc') loadDoNotContact()
+                if (tab.id === 'tags') loadTags()
+                if (tab.id === 'drafts') {
+                  loadDrafts()
+                  loadReplyMode()
+                }
+                if (tab.id === 'attention') {
+                  loadHandoffs()
+                  loadHandoffSettings()
+                }
+              }}
+              className={`rounded-full px-4 py-2 text-sm font-semibold transition ${
+                activeTab === tab.id
+                  ? 'bg-gray-900 text-white'
+                  : 'border border-gray-200 text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </nav>
+
+        {activeTab === 'contacts' && (
+          <section className="rounded-2xl border border-gray-200 bg-white p-6 shadow-sm">
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <h2 className="text-lg font-semibold text-gray-900">Contacts</h2>
+            <div className="flex flex-wrap items-center gap-3">
+              <div className="flex flex-wrap gap-2">
+                {[
+                  { id: 'all', label: 'All' },
+                  { id: 'pending', label: 'Pending' },
+                  { id: 'active', label: 'Active' },
+                  { id: 'paused', label: 'Paused' },
+                  { id: 'unregistered', label: 'Unregistered' },
+                ].map((option) => (
+                  <button
+                    key={option.id}
+                    type="button"
+                    onClick={() => {
+                      setStatusFilter(option.id)
+                      loadContacts({ status: option.id })
+                    }}
+                    className={`rounded-full px-3 py-1.5 text-xs font-semibold uppercase tracking-wide transition ${
+                      statusFilter === option.id
+                        ? 'bg-gray-900 text-white'
+                        : 'border border-gray-200 text-gray-600 hover:border-gray-300'
+                    }`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+              <button
+                type="button"
+                onClick={() => loadContacts()}
+                className="rounded-full border border-gray-200 px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300"
+              >
+                Refresh
+              </button>
+              {['csv', 'xlsx'].map((format) => (
+                <a
+                  key={format}
+                  href={`${API_BASE}/api/contacts/export?format=${format}&${contactQueryString(currentContactFilters)}`}
+                  download
+                  className="rounded-full border border-gray-200 px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300"
+                >
+                  Export {format.toUpperCase()}
+                </a>
+              ))}
+            </div>
+          </div>
+
+          <div className="mt-4 flex flex-wrap items-center gap-3">
+            <input
+              type="search"
+              value={contactSearch}
+              onChange={(event) => searchContacts(event.target.value)}
+              placeholder="Search name, agent, number or notes"
+              className="min-w-[240px] flex-1 rounded-full border border-gray-200 px-4 py-2 text-sm text-gray-900 focus:border-gray-400 focus:outline-none"
+            />
+            <select
+              value={groupFilter}
+              onChange={(event) => {
+                setGroupFilter(event.target.value)
+                loadContacts({ group: event.target.value })
+              }}
+              className="rounded-full border border-gray-200 bg-white px-4 py-2 text-sm font-semibold text-gray-700"
+            >
+              <option value="">All groups</option>
+              {contactGroups.map((group) => (
+                <option key={group} value={group}>
+                  {group}
+                </option>
+              ))}
+            </select>
+            <select
+              value={tagFilter}
+              onChange={(event) => {
+                setTagFilter(event.target.value)
+                loadContacts({ tag: event.target.value })
+              }}
+              className="rounded-full border border-gray-200 bg-white px-4 py-2 text-sm font-semibold text-gray-700"
+            >
+              <option value="">All tags</option>
+              {tags.map((tag) => (
+                <option key={tag.id} value={tag.id}>
+                  {tag.name}
+                </option>
+              ))}
+            </select>
+            <select
+              value={contactSort.sort}
+              onChange={(event) => {
+                const next = {
+                  sort: event.target.value,
+                  order: event.target.value === 'lastActivity' || event.target.value === 'rowid' ? 'desc' : 'asc',
+                }
+                setContactSort(next)
+                loadContacts(next)
+              }}
+              className="rounded-full border border-gray-200 bg-white px-4 py-2 text-sm font-semibold text-gray-700"
+            >
+              {CONTACT_SORT_OPTIONS.map((option) => (
+                <option key={option.id} value={option.id}>
+                  Sort: {option.label}
+                </option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={() => {
+                const next = { ...contactSort, order: contactSort.order === 'asc' ? 'desc' : 'asc' }
+                setContactSort(next)
+                loadContacts(next)
+              }}
+              className="rounded-full border border-gray-200 px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300"
+            >
+              {contactSort.order === 'asc' ? 'Ascending' : 'Descending'}
+            </button>
+          </div>
+
+          {selectedRowIds.length > 0 && (
+            <div className="mt-4 flex flex-wrap items-center gap-3 rounded-2xl border border-gray-200 bg-gray-50 px-4 py-3">
+              <span className="text-sm font-semibold text-gray-700">{selectedRowIds.length} selected</span>
+              <select
+                value={bulkTagId}
+                onChange={(event) => setBulkTagId(event.target.value)}
+                className="rounded-full border border-gray-200 bg-white px-4 py-2 text-sm font-semibold text-gray-700"
+              >
+                <option value="">Choose a tag</option>
+                {tags.map((tag) => (
+                  <option key={tag.id} value={tag.id}>
+                    {tag.name}
+                  </option>
+                ))}
+              </select>
+              {['add', 'remove'].map((action) => (
+                <button
+                  key={action}
+                  type="button"
+                  disabled={!bulkTagId || bulkTagging}
+                  onClick={() => applyBulkTag(action)}
+                  className="rounded-full border border-gray-200 bg-white px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300 disabled:cursor-not-allowed disabled:opacity-60"
+                >
+                  {action === 'add' ? 'Tag' : 'Untag'}
+                </button>
+              ))}
+              <button
+                type="button"
+                onClick={() => setSelectedRowIds(contacts.map((contact) => contact.rowid))}
+                className="text-sm font-semibold text-gray-500 hover:text-gray-700"
+              >
+                Select all loaded
+              </button>
+              <button
+                type="button"
+                onClick={() => setSelectedRowIds([])}
+                className="text-sm font-semibold text-gray-500 hover:text-gray-700"
+              >
+                Clear
+              </button>
+            </div>
+          )}
+
+          <div className="mt-6 grid gap-4">
+            {loading && (
+              <div className="rounded-xl border border-dashed border-gray-200 p-6 text-center text-sm text-gray-500">
+                Loading contacts...
+              </div>
+            )}
+            {!loading && contacts.length === 0 && (
+              <div className="rounded-xl border border-dashed border-gray-200 p-6 text-center text-sm text-gray-500">
+                No contacts found for this filter.
+              </div>
+            )}
+            {!loading &&
+              contacts.map((contact) => {
+                const status = normalizeStatus(contact.conversation_started)
+                const expanded = expandedRowId === contact.rowid
+                const contactLabel =
+                  contact.contactName || contact.agentName || 'Unknown contact'
+                const agentLabel =
+                  contact.agentName &&
+                  contact.contactName &&
+                  contact.agentName !== contact.contactName
+                    ? contact.agentName
+                    : ''
+                const groupLabel = `${contact.rowid}/${contact.group || '-'}`
+                const detailLine = `${groupLabel}: ${agentLabel ? `  ${agentLabel}` : ''} | ${contactLabel}`
+
+                return (
+                  <div
+                    key={contact.rowid}
+                    id={`contact-${contact.rowid}`}
+                    className="flex flex-col gap-4 rounded-2xl border border-gray-200 bg-gray-50/60 p-4 md:flex-row md:items-center md:justify-between"
+                  >
+                    <input
+                      type="checkbox"
+                      checked={selectedRowIds.includes(contact.rowid)}
+                      onChange={() => toggleSelected(contact.rowid)}
+                      aria-label={`Select ${contactLabel}`}
+                      className="h-4 w-4 self-start rounded border-gray-300 md:mt-1"
+                    />
+                    <div className="flex-1">
+                      <div
+                        role="button"
+                        tabIndex={0}
+                        onClick={() => toggleRow(contact.rowid)}
+                        onKeyDown={(event) => {
+                          if (event.key === 'Enter' || event.key === ' ') {
+                            toggleRow(contact.rowid)
+                          }
+                        }}
+                        className="flex flex-wrap items-start justify-between gap-4"
+                      >
+                        <div>
+                          <p className="text-base font-semibold text-gray-900">
+                            {detailLine}
+                          </p>
+                          <p className="mt-2 text-sm font-mono text-gray-600">
+                            {contact.cleanContactNumber || 'No cleanContactNumber'}
+                          </p>
+                          {contact.tags?.length > 0 && (
+                            <div className="mt-2 flex flex-wrap gap-1.5">
+                              {contact.tags.map((tag) => (
+                                <span
+                                  key={tag.id}
+                                  style={{ backgroundColor: tag.color }}
+                                  className="rounded-full px-2.5 py-0.5 text-xs font-semibold text-white"
+                                >
+                                  {tag.name}
+                                </span>
+                              ))}
+                            </div>
+                          )}
+                        </div>
+                        <div className="flex flex-col items-end gap-2">
+                          <span
+                            className={`rounded-full px-3 py-1 text-xs font-semibold uppercase tracking-wide ${STATUS_STYLES[status] || STATUS_STYLES.unknown}`}
+                          >
+                            {status}
+                          </span>
+                          {contact.pipeline_stage && (
+                            <span className="rounded-full bg-white px-3 py-1 text-xs font-semibold text-gray-600 ring-1 ring-gray-200">
+                              {pipelineStages.find((stage) => stage.id === contact.pipeline_stage)?.label ||
+                                contact.pipeline_stage}
+                            </span>
+                          )}
+                          {contact.reply_mode && (
+                            <span className="rounded-full bg-white px-3 py-1 text-xs font-semibold text-gray-600 ring-1 ring-gray-200">
+                              {REPLY_MODE_OPTIONS.find((option) => option.id === contact.reply_mode)?.label ||
+                                contact.reply_mode}
+                            </span>
+                          )}
+                          <span className="text-xs font-semibold uppercase tracking-wide text-gray-400">
+                            {expanded ? 'Hide actions' : 'Show actions'}
+                          </span>
+                        </div>
+                      </div>
+
+                      {expanded && (
+                        <div className="mt-4 grid gap-4 border-t border-gray-200 pt-4 md:grid-cols-2">
+                          <div className="rounded-xl border border-gray-200 bg-white p-3 text-xs text-gray-600">
+                            <p className="text-[11px] font-semibold uppercase tracking-wide text-gray-500">
+                              Recent
+                            </p>
+                            <div className="mt-2 min-h-[64px] whitespace-pre-wrap font-mono">
+                              {recentLoadingId === contact.rowid && 'Loading...'}
+                              {recentLoadingId !== contact.rowid &&
+                                (recentPreviewById[contact.rowid] ||
+                                  'No recent messages.')}
+                            </div>
+                          </div>
+                          <div className="flex flex-col gap-3">
+                            <label className="flex items-center justify-between gap-3 text-xs text-gray-500">
+                              <span className="font-semibold uppercase tracking-wide">
+                                Property
+                              </span>
+                              <select
+                                value={contact.property_id || ''}
+                                onChange={(event) =>
+                                  setContactProperty(contact.rowid, event.target.value)
+                                }
+                                disabled={propertyUpdatingId === contact.rowid}
+                                className="rounded-xl border border-gray-200 bg-white px-3 py-1.5 text-sm font-normal text-gray-900 focus:border-gray-400 focus:outline-none disabled:opacity-60"
+                              >
+                                <option value="">
+                                  Default{defaultPropertyName ? ` (${defaultPropertyName})` : ''}
+                                </option>
+                                {properties.map((property) => (
+                                  <option key={property.id} value={property.id}>
+                                    {property.name}
+                                  </option>
+                                ))}
+                              </select>
+                            </label>
+                            <label className="flex items-center justify-between gap-3 text-xs text-gray-500">
+                              <span className="font-semibold uppercase tracking-wide">
+                                Replies
+                              </span>
+                              <select
+                                value={contact.reply_mode || ''}
+                                onChange={(event) =>
+                                  setContactReplyMode(contact.rowid, event.target.value)
+                                }
+                                disabled={replyModeUpdatingId === contact.rowid}
+                                className="rounded-xl border border-gray-200 bg-white px-3 py-1.5 text-sm font-normal text-gray-900 focus:border-gray-400 focus:outline-none disabled:opacity-60"
+                              >
+                                <option value="">Global setting ({replyMode})</option>
+                                {REPLY_MODE_OPTIONS.map((option) => (
+                                  <option key={option.id} value={option.id}>
+                                    {option.label}
+                                  </option>
+                                ))}
+                              </select>
+                            </label>
+                            {followupById[contact.rowid]?.totalSteps > 0 && (
+                              <div className="flex items-center justify-between gap-3 text-xs text-gray-500">
+                                <span className="font-semibold uppercase tracking-wide">
+                                  Follow-ups
+                                </span>
+                                <span className="flex items-center gap-2 font-semibold text-gray-700">
+                                  {(() => {
+                                    const { followup, totalSteps } = followupById[contact.rowid]
+                                    if (!followup) return `Not started (${totalSteps} steps)`
+                                    const progress = `${followup.step}/${totalSteps} sent`
+                                    if (followup.status === 'scheduled') {
+                                      return `${progress} • next ${new Date(followup.nextRunAt).toLocaleString()}`
+                                    }
+                                    if (followup.status === 'stopped') {
+                                      return `${progress} • stopped (${followup.stopReason || 'unknown'})`
+                                    }
+                                    return `${progress} • completed`
+                                  })()}
+                                  {followupById[contact.rowid].followup?.status === 'scheduled' && (
+                                    <button
+                                      type="button"
+                                      onClick={() => stopContactFollowups(contact.rowid)}
+                                      className="rounded-full border border-orange-200 px-2 py-0.5 text-[11px] font-semibold text-orange-700 transition hover:border-orange-300"
+                                    >
+                                      Stop
+                                    </button>
+                                  )}
+                                </span>
+                              </div>
+                            )}
+                            <div className="flex items-center justify-between text-xs text-gray-500">
+                              <span className="font-semibold uppercase tracking-wide">
+                                Last message
+                              </span>
+                              <span className="font-semibold text-gray-700">
+                                {recentTimestampById[contact.rowid]
+                                  ? new Date(
+                                      recentTimestampById[contact.rowid] * 1000,
+                                    ).toLocaleString()
+                                  : '—'}
+                              </span>
+                            </div>
+                            <div className="flex flex-wrap items-center gap-3">
+                              <button
+                                type="button"
+                                onClick={() => initiateContact(contact.rowid)}
+                                disabled={
+                                  status === 'active' ||
+                                  status === 'paused' ||
+                                  status === 'unregistered' ||
+                                  initiatingId === contact.rowid
+                                }
+                                className="rounded-full bg-gray-900 px-4 py-2 text-sm font-semibold text-white transition hover:bg-gray-800 disabled:cursor-not-allowed disabled:bg-gray-300"
+                              >
+                                {status === 'active'
+                                  ? 'Active'
+                                  : status === 'paused'
+                                  ? 'Paused'
+                                  : status === 'unregistered'
+                                  ? 'Unregistered'
+                                  : initiatingId === contact.rowid
+                                  ? 'Sending...'
+                                  : 'Initiate'}
+                              </button>
+                              {status !== 'active' && status !== 'unregistered' && (
+                                <button
+                                  type="button"
+                                  onClick={() => setContactStatus(contact.rowid, 'active')}
+                                  disabled={statusUpdatingId === contact.rowid}
+                                  className="rounded-full border border-emerald-200 px-4 py-2 text-sm font-semibold text-emerald-700 transition hover:border-emerald-300 disabled:cursor-not-allowed disabled:opacity-60"
+                                >
+                                  Set active
+                                </button>
+                              )}
+                              {status === 'active' && (
+                                <button
+                                  type="button"
+                                  onClick={() => setContactStatus(contact.rowid, 'paused')}
+                                  disabled={statusUpdatingId === contact.rowid}
+                                  className="rounded-full border border-orange-200 px-4 py-2 text-sm font-semibold text-orange-700 transition hover:border-orange-300 disabled:cursor-not-allowed disabled:opacity-60"
+                                >
+                                  Pause
+                                </button>
+                              )}
+                              {status !== 'unregistered' && (
+                                <div className="flex flex-wrap items-center gap-2">
+                                  <button
+                                    type="button"
+                                    onClick={() => respondWithLlm(contact.rowid)}
+                                    disabled={respondingId === contact.rowid}
+                                    className="rounded-full border border-sky-200 px-4 py-2 text-sm font-semibold text-sky-700 transition hover:border-sky-300 disabled:cursor-not-allowed disabled:opacity-60"
+                                  >
+                                    {respondingId === contact.rowid ? 'Responding...' : 'Respond'}
+                                  </button>
+                                  <button
+                                    type="button"
+                                    onClick={() => respondWithOutline(contact.rowid)}
+                                    disabled={respondWithId === contact.rowid}
+                                    className="rounded-full border border-indigo-200 px-4 py-2 text-sm font-semibold text-indigo-700 transition hover:border-indigo-300 disabled:cursor-not-allowed disabled:opacity-60"
+                                  >
+                                    {respondWithId === contact.rowid ? 'Sending...' : 'Respond with'}
+                                  </button>
+                                </div>
+                              )}
+                              {expanded && status !== 'unregistered' && (
+                                <textarea
+                                  value={outlineById[contact.rowid] || ''}
+                                  onChange={(event) =>
+                                    setOutlineById((current) => ({
+                                      ...current,
+                                      [contact.rowid]: event.target.value,
+                                    }))
+                                  }
+                                  placeholder="Outline to guide the response..."
+                                  className="min-h-[72px] w-full rounded-xl border border-gray-200 bg-white px-3 py-2 text-sm text-gray-900 focus:border-gray-400 focus:outline-none"
+                                />
+                              )}
+                              <button
+                                type="button"
+                                onClick={() => previewMessage(contact.rowid, 'initial')}
+                                className="rounded-full border border-gray-200 px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300"
+                              >
+                                Preview initial
+                              </button>
+                              <button
+                                type="button"
+                                onClick={() => previewMessage(contact.rowid, 'followup')}
+                                className="rounded-full border border-gray-200 px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300"
+                              >
+                                Preview follow-up
+                              </button>
+                              {messagePreviewById[contact.rowid] && (
+                                <div className="w-full rounded-xl border border-gray-200 bg-white p-3 text-xs text-gray-600">
+                                  <p className="text-[11px] font-semibold uppercase tracking-wide text-gray-500">
+                                    {messagePreviewById[contact.rowid].type} message
+                                    {messagePreviewById[contact.rowid].property
+                                      ? ` • ${messagePreviewById[contact.rowid].property}`
+                                      : ''}
+                                  </p>
+                                  <div className="mt-2 whitespace-pre-wrap text-sm text-gray-900">
+                                    {messagePreviewById[contact.rowid].text}
+                                  </div>
+                                  {messagePreviewById[contact.rowid].missing.length > 0 && (
+                                    <p className="mt-2 font-semibold text-rose-600">
+                                      Cannot send, unresolved:{' '}
+                                      {messagePreviewById[contact.rowid].missing.join(', ')}
+                                    </p>
+                                  )}
+                                </div>
+                              )}
+                              <button
+                                type="button"
+                                onClick={() => syncHistory(contact.rowid)}
+                                className="rounded-full border border-gray-200 px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300"
+                              >
+                                Sync history
+                              </button>
+                              <button
+                                type="button"
+                                onClick={() => openContactEditor(contact)}
+                                className="rounded-full border border-gray-200 px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300"
+                              >
+                                Edit
+                              </button>
+                              <button
+                                type="button"
+                                onClick={() => deleteContact(contact.rowid)}
+                                className="rounded-full border border-rose-200 px-4 py-2 text-sm font-semibold text-rose-600 transition hover:border-rose-300 hover:bg-rose-50"
+                              >
+                                Delete
+                              </button>
+                            </div>
+                          </div>
+                          <div className="rounded-xl border border-gray-200 bg-white p-3 text-xs text-gray-600 md:col-span-2">
+                            <p className="text-[11px] font-semibold uppercase tracking-wide text-gray-500">
+                              Status history
+                            </p>
+                            {historyById[contact.rowid] === undefined && <p className="mt-2">Loading...</p>}
+                            {historyById[contact.rowid] === null && (
+                              <p className="mt-2">Could not load the status history.</p>
+                            )}
+                            {historyById[contact.rowid]?.length === 0 && (
+                              <p className="mt-2">No status changes recorded yet.</p>
+                            )}
+                            {historyById[contact.rowid]?.length > 0 && (
+                              <ol className="mt-2 space-y-2 border-l border-gray-200 pl-4">
+                                {historyById[contact.rowid].map((entry) => (
+                                  <li key={entry.id} className="relative">
+                                    <span className="absolute -left-[21px] top-1.5 h-2 w-2 rounded-full bg-gray-300" />
+                                    <div className="flex flex-wrap items-center gap-2">
+                                      <span
+                                        className={`rounded-full px-2 py-0.5 text-[11px] font-semibold uppercase tracking-wide ${STATUS_STYLES[entry.fromStatus] || STATUS_STYLES.unknown}`}
+                                      >
+                                        {entry.fromStatus || 'unknown'}
+                                      </span>
+                                      <span className="text-gray-400">→</span>
+                                      <span
+                                        className={`rounded-full px-2 py-0.5 text-[11px] font-semibold uppercase tracking-wide ${STATUS_STYLES[entry.toStatus] || STATUS_STYLES.unknown}`}
+                                      >
+                                        {entry.toStatus || 'unknown'}
+                                      </span>
+                                      <span className="font-semibold text-gray-700">{entry.source.replace(/_/g, ' ')}</span>
+                                      <span className="text-gray-400">{new Date(entry.createdAt).toLocaleString()}</span>
+                                    </div>
+                                    {(entry.pauseReason || entry.detail) && (
+                                      <p className="mt-1 text-gray-500">
+                                        {[entry.pauseReason?.replace(/_/g, ' '), entry.detail].filter(Boolean).join(' • ')}
+                                      </p>
+                                    )}
+                                  </li>
+                                ))}
+                              </ol>
+                            )}
+                          </div>
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                )
+              })}
+            {!loading && contacts.length > 0 && (
+              <div className="flex flex-wrap items-center justify-between gap-3 text-sm text-gray-500">
+                <span>
+                  Showing {contacts.length} of {contactTotal}
+                </span>
+                {nextCursor && (
+                  <button
+                    type="button"
+                    onClick={loadMoreContacts}
+                    disabled={loadingMore}
+                    className="rounded-full border border-gray-200 px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300 disabled:cursor-not-allowed disabled:opacity-60"
+                  >
+                    {loadingMore ? 'Loading...' : 'Load more'}
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+          </section>
+        )}
+
+        {activeTab === 'pipeline' && (
+          <section className="rounded-2xl border border-gray-200 bg-white p-6 shadow-sm">
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <h2 className="text-lg font-semibold text-gray-900">Pipeline</h2>
+            <div className="flex flex-wrap items-center gap-3">
+              <select
+                value={pipelineGroup}
+                onChange={(event) => {
+                  setPipelineGroup(event.target.value)
+                  loadPipeline(event.target.value)
+                }}
+                className="rounded-full border border-gray-200 bg-white px-4 py-2 text-sm font-semibold text-gray-700"
+              >
+                <option value="">All groups</option>
+                {contactGroups.map((group) => (
+                  <option key={group} value={group}>
+                    {group}
+                  </option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={() => loadPipeline()}
+                className="rounded-full border border-gray-200 px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300"
+              >
+                Refresh
+              </button>
+            </div>
+          </div>
+          <p className="mt-2 text-sm text-gray-600">
+            Drag a contact to the stage its deal has reached. Stages do not change the bot status, so the auto
+            responder keeps following the status shown on each card.
+          </p>
+
+          {pipelineLoading && pipelineColumns.length === 0 && (
+            <div className="mt-6 rounded-xl border border-dashed border-gray-200 p-6 text-center text-sm text-gray-500">
+              Loading pipeline...
+            </div>
+          )}
+          <div className="mt-6 flex gap-4 overflow-x-auto pb-2">
+            {pipelineColumns.map((column) => (
+              <div
+                key={column.id}
+                onDragOver={(event) => {
+                  if (!draggedRowId) return
+                  event.preventDefault()
+                  setDropStage(column.id)
+                }}
+                onDragLeave={() => setDropStage((current) => (current === column.id ? null : current))}
+                onDrop={(event) => {
+                  event.preventDefault()
+                  const rowid = Number(event.dataTransfer.getData('text/plain'))
+                  setDropStage(null)
+                  setDraggedRowId(null)
+                  if (rowid) moveContactToStage(rowid, column.id)
+                }}
+                className={`flex w-72 shrink-0 flex-col gap-3 rounded-2xl border p-3 transition ${
+                  dropStage === column.id ? 'border-gray-400 bg-gray-100' : 'border-gray-200 bg-gray-50/60'
+                }`}
+              >
+                <div className="flex items-center justify-between">
+                  <span className="text-xs font-semibold uppercase tracking-wide text-gray-500">
+                    {column.label}
+                  </span>
+                  <span className="rounded-full bg-white px-2 py-0.5 text-xs font-semibold text-gray-600 ring-1 ring-gray-200">
+                    {column.total}
+                  </span>
+                </div>
+                {column.contacts.length === 0 && (
+                  <div className="rounded-xl border border-dashed border-gray-200 p-4 text-center text-xs text-gray-400">
+                    Drop contacts here
+                  </div>
+                )}
+                {column.contacts.map((contact) => {
+                  const status = normalizeStatus(contact.conversation_started)
+                  return (
+                    <div
+                      key={contact.rowid}
+                      draggable
+                      onDragStart={(event) => {
+                        event.dataTransfer.setData('text/plain', String(contact.rowid))
+                        event.dataTransfer.effectAllowed = 'move'
+                        setDraggedRowId(contact.rowid)
+                      }}
+                      onDragEnd={() => {
+                        setDraggedRowId(null)
+                        setDropStage(null)
+                      }}
+                      onClick={() => openContactEditor(contact)}
+                      className={`cursor-grab rounded-xl border border-gray-200 bg-white p-3 shadow-sm transition hover:border-gray-300 ${
+                        draggedRowId === contact.rowid ? 'opacity-50' : ''
+                      }`}
+                    >
+                      <p className="text-sm font-semibold text-gray-900">
+                        {contact.contactName || contact.agentName || 'Unknown contact'}
+                      </p>
+                      <p className="mt-1 font-mono text-xs text-gray-600">{contact.cleanContactNumber || '—'}</p>
+                      <div className="mt-2 flex flex-wrap items-center gap-2">
+                        <span
+                          className={`rounded-full px-2 py-0.5 text-[11px] font-semibold uppercase tracking-wide ${STATUS_STYLES[status] || STATUS_STYLES.unknown}`}
+                        >
+                          {status}
+                        </span>
+                        {contact.group && <span className="text-xs text-gray-500">{contact.group}</span>}
+                      </div>
+                    </div>
+                  )
+                })}
+                {column.total > column.contacts.length && (
+                  <p className="text-center text-xs text-gray-400">
+                    {column.total - column.contacts.length} more not shown
+                  </p>
+                )}
+              </div>
+            ))}
+          </div>
+          </section>
+        )}
+
+        {activeTab === 'add' && (
+          <section className="rounded-2xl border border-gray-200 bg-white p-6 shadow-sm">
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <h2 className="text-lg font-semibold text-gray-900">Add Contact</h2>
+            <button
+              type="button"
+              onClick={resetForm}
+              className="rounded-full border border-gray-200 px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300"
+            >
+              Reset
+            </button>
+          </div>
+          <form ref={formRef} onSubmit={handleSubmit} className="mt-6">
+            <div className="grid grid-cols-1 gap-4 md:grid-cols-2 xl:grid-cols-3">
+              {schema.map((column) => {
+                const isTextarea = column.name === 'notes'
+                return (
+                  <label key={column.name} className="flex flex-col gap-2 text-xs font-semibold uppercase tracking-wide text-gray-500">
+                    {column.name}
+                    {column.name === 'property_id' ? (
+                      <select
+                        name={column.name}
+                        defaultValue=""
+                        className="rounded-xl border border-gray-200 bg-white px-3 py-2 text-sm font-normal text-gray-900 focus:border-gray-400 focus:outline-none"
+                      >
+                        <option value="">
+                          Default{defaultPropertyName ? ` (${defaultPropertyName})` : ''}
+                        </option>
+                        {properties.map((property) => (
+                          <option key={property.id} value={property.id}>
+                            {property.name}
+                          </option>
+                        ))}
+                      </select>
+                    ) : column.name === 'pipeline_stage' ? (
+                        <select
+                          name={column.name}
+                          defaultValue=""
+                          className="rounded-xl border border-gray-200 bg-white px-3 py-2 text-sm font-normal text-gray-900 focus:border-gray-400 focus:outline-none"
+                        >
+                          <option value="">No stage</option>
+                          {pipelineStages.map((stage) => (
+                            <option key={stage.id} value={stage.id}>
+                              {stage.label}
+                            </option>
+                          ))}
+                        </select>
+                    ) : column.name === 'reply_mode' ? (
+                      <select
+                        name={column.name}
+                        defaultValue=""
+                        className="rounded-xl border border-gray-200 bg-white px-3 py-2 text-sm font-normal text-gray-900 focus:border-gray-400 focus:outline-none"
+                      >
+                        <option value="">Global setting</option>
+                        {REPLY_MODE_OPTIONS.map((option) => (
+                          <option key={option.id} value={option.id}>
+                            {option.label}
+                          </option>
+                        ))}
+                      </select>
+                    ) : isTextarea ? (
+                      <textarea
+                        name={column.name}
+                        defaultValue={column.name === 'conversation_started' ? 'pending' : ''}
+                        placeholder={column.defaultValue || ''}
+                        className="min-h-[84px] rounded-xl border border-gray-200 bg-white px-3 py-2 text-sm font-normal text-gray-900 focus:border-gray-400 focus:outline-none"
+                      />
+                    ) : (
+                      <input
+                        name={column.name}
+                        type="text"
+                        defaultValue={column.name === 'conversation_started' ? 'pending' : ''}
+                        placeholder={column.defaultValue || ''}
+                        className="rounded-xl border border-gray-200 bg-white px-3 py-2 text-sm font-normal text-gray-900 focus:border-gray-400 focus:outline-none"
+                      />
+                    )}
+                  </label>
+                )
+              })}
+            </div>
+            <div className="mt-6 flex justify-end">
+              <button
+                type="submit"
+                className="rounded-full bg-gray-900 px-5 py-2.5 text-sm font-semibold text-white transition hover:bg-gray-800"
+              >
+                Add Contact
+              </button>
+            </div>
+          </form>
+          </section>
+        )}
+
+        {activeTab === 'import' && (
+          <section className="rounded-2xl border border-gray-200 bg-white p-6 shadow-sm">
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <h2 className="text-lg font-semibold text-gray-900">Import CSV</h2>
+            {importState.fileName && (
+              <button
+                type="button"
+                onClick={() => setImportState(EMPTY_IMPORT)}
+                className="rounded-full border border-gray-200 px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300"
+              >
+                Start over
+              </button>
+            )}
+          </div>
+          <p className="mt-2 text-sm text-gray-600">
+            New numbers are added as pending. Numbers already in the list only get their empty fields filled
+            in; their status is never changed.
+          </p>
+
+          <label className="mt-6 flex flex-col gap-2 text-xs font-semibold uppercase tracking-wide text-gray-500">
+            1. CSV file
+            <input
+              key={importState.fileName || 'empty'}
+              type="file"
+              accept=".csv,text/csv"
+              onChange={selectImportFile}
+              className="text-sm font-normal normal-case tracking-normal text-gray-700"
+            />
+          </label>
+
+          {importState.headers.length > 0 && (
+            <div className="mt-6 border-t border-gray-200 pt-6">
+              <h3 className="text-base font-semibold text-gray-900">2. Map columns</h3>
+              <div className="mt-4 grid grid-cols-1 gap-4 md:grid-cols-3">
+                {importState.headers.map((header) => (
+                  <label
+                    key={header}
+                    className="flex flex-col gap-2 text-xs font-semibold uppercase tracking-wide text-gray-500"
+                  >
+                    {header || '(blank header)'}
+                    <select
+                      value={importState.mapping[header] || ''}
+                      onChange={(event) => setImportMapping(header, event.target.value)}
+                      className="rounded-xl border border-gray-200 bg-white px-3 py-2 text-sm font-normal normal-case tracking-normal text-gray-900 focus:border-gray-400 focus:outline-none"
+                    >
+                      <option value="">Ignore</option>
+                      {importState.columns.map((column) => (
+                        <option key={column} value={column}>
+                          {column}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+              <div className="mt-4 flex justify-end">
+                <button
+                  type="button"
+                  onClick={() => previewImport(importState.csv, importState.mapping)}
+                  disabled={importing}
+                  className="rounded-full border border-gray-200 px-5 py-2.5 text-sm font-semibold text-gray-700 transition hover:border-gray-300 disabled:cursor-not-allowed disabled:opacity-60"
+                >
+                  {importing ? 'Checking...' : 'Preview'}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {importState.plan && (
+            <div className="mt-6 border-t border-gray-200 pt-6">
+              <div className="flex flex-wrap items-center justify-between gap-4">
+                <h3 className="text-base font-semibold text-gray-900">3. Review</h3>
+                <p className="text-sm text-gray-600">
+                  {importState.plan.summary.insert} new • {importState.plan.summary.update} updated •{' '}
+                  {importState.plan.summary.unchanged} unchanged • {importState.plan.summary.skip} skipped
+                  {importState.plan.summary.invalid > 0 &&
+                    ` (${importState.plan.summary.invalid} invalid numbers)`}
+                  {importState.plan.summary.doNotContact > 0 &&
+                    ` (${importState.plan.summary.doNotContact} on the do-not-contact list)`}
+                </p>
+              </div>
+              <div className="mt-4 max-h-[420px] overflow-auto rounded-xl border border-gray-200">
+                <table className="min-w-full text-left text-sm">
+                  <thead className="sticky top-0 bg-gray-50 text-xs uppercase tracking-wide text-gray-500">
+                    <tr>
+                      <th className="px-3 py-2">Line</th>
+                      <th className="px-3 py-2">Action</th>
+                      <th className="px-3 py-2">Number</th>
+                      <th className="px-3 py-2">Name</th>
+                      <th className="px-3 py-2">Details</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {importState.plan.rows.slice(0, 200).map((row) => (
+                      <tr key={row.line}>
+                        <td className="px-3 py-2 text-gray-500">{row.line}</td>
+                        <td className="px-3 py-2">
+                          <span
+                            className={`rounded-full px-2.5 py-1 text-xs font-semibold ${
+                              IMPORT_ACTION_STYLES[row.action] || STATUS_STYLES.unknown
+                            }`}
+                          >
+                            {row.action}
+                          </span>
+                        </td>
+                        <td className="px-3 py-2 text-gray-900">{row.values.cleanContactNumber || '—'}</td>
+                        <td className="px-3 py-2 text-gray-900">{row.values.contactName || '—'}</td>
+                        <td className="px-3 py-2 text-xs text-gray-600">
+                          {row.reason ||
+                            (row.changes && Object.keys(row.changes).length > 0
+                              ? `Fills ${Object.keys(row.changes).join(', ')} on contact ${row.rowid} (${row.status})`
+                              : row.rowid
+                                ? `Matches contact ${row.rowid} (${row.status})`
+                                : '')}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {importState.plan.rows.length > 200 && (
+                <p className="mt-2 text-xs text-gray-500">
+                  Showing the first 200 of {importState.plan.rows.length} rows.
+                </p>
+              )}
+              <div className="mt-6 flex justify-end">
+                <button
+                  type="button"
+                  onClick={runImport}
+                  disabled={
+                    importing || importState.plan.summary.insert + importState.plan.summary.update === 0
+                  }
+                  className="rounded-full bg-gray-900 px-5 py-2.5 text-sm font-semibold text-white transition hover:bg-gray-800 disabled:cursor-not-allowed disabled:bg-gray-300"
+                >
+                  {importing
+                    ? 'Importing...'
+                    : `Import ${importState.plan.summary.insert} new, update ${importState.plan.summary.update}`}
+                </button>
+              </div>
+            </div>
+          )}
+          </section>
+        )}
+
+        {activeTab === 'dedupe' && (
+          <section className="rounded-2xl border border-gray-200 bg-white p-6 shadow-sm">
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <h2 className="text-lg font-semibold text-gray-900">Duplicates</h2>
+            <div className="flex flex-wrap items-center gap-3">
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={dedupeFuzzy}
+                  onChange={(event) => {
+                    setDedupeFuzzy(event.target.checked)
+                    loadDedupe(event.target.checked)
+                  }}
+                />
+                Similar names in the same group
+              </label>
+              <button
+                type="button"
+                onClick={() => loadDedupe()}
+                className="rounded-full border border-gray-200 px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300"
+              >
+                Refresh
+              </button>
+            </div>
+          </div>
+          <p className="mt-2 text-sm text-gray-600">
+            Rows with the same number are merged into the most complete one. Removed rows are archived, so every
+            merge can be undone below.
+          </p>
+
+          <div className="mt-6 grid gap-3">
+            {dedupePlan && dedupePlan.groups.length === 0 && (
+              <div className="rounded-xl border border-dashed border-gray-200 p-6 text-center text-sm text-gray-500">
+                No duplicates found.
+              </div>
+            )}
+            {dedupePlan?.groups.map((group) => (
+              <div key={group.key} className="rounded-xl border border-gray-200 bg-gray-50/60 px-4 py-3 text-sm">
+                <label className="flex items-center gap-2 font-semibold text-gray-900">
+                  <input
+                    type="checkbox"
+                    checked={dedupeSelected.includes(group.key)}
+                    onChange={() =>
+                      setDedupeSelected((current) =>
+                        current.includes(group.key)
+                          ? current.filter((key) => key !== group.key)
+                          : [...current, group.key],
+                      )
+                    }
+                  />
+                  <span
+                    className={`rounded-full px-2.5 py-1 text-xs font-semibold ${
+                      group.match === 'fuzzy' ? STATUS_STYLES.paused : STATUS_STYLES.active
+                    }`}
+                  >
+                    {group.match === 'fuzzy' ? 'similar name' : 'same number'}
+                  </span>
+                  Keep contact {group.canonicalRowId}
+                </label>
+                <ul className="mt-2 grid gap-1 text-gray-700">
+                  {group.rows.map((row) => (
+                    <li
+                      key={row.rowid}
+                      className={row.rowid === group.canonicalRowId ? 'font-semibold' : 'text-gray-500'}
+                    >
+                      {row.rowid === group.canonicalRowId ? 'Keep' : 'Remove'} {row.rowid}:{' '}
+                      {[row.contactName, row.agentName, row.cleanContactNumber, row.group, row.conversation_started]
+                        .filter(Boolean)
+                        .join(' • ')}
+                    </li>
+                  ))}
+                </ul>
+                {Object.keys(group.changes).length > 0 && (
+                  <p className="mt-2 text-xs text-gray-500">
+                    Updates{' '}
+                    {Object.entries(group.changes)
+                      .map(([field, change]) => `${field}: ${change.from ?? '—'} → ${change.to ?? '—'}`)
+                      .join(', ')}
+                  </p>
+                )}
+              </div>
+            ))}
+          </div>
+          {dedupePlan && dedupePlan.groups.length > 0 && (
+            <div className="mt-6 flex justify-end">
+              <button
+                type="button"
+                onClick={applyDedupe}
+                disabled={dedupeBusy || dedupeSelected.length === 0}
+                className="rounded-full bg-gray-900 px-5 py-2.5 text-sm font-semibold text-white transition hover:bg-gray-800 disabled:cursor-not-allowed disabled:bg-gray-300"
+              >
+                {dedupeBusy ? 'Merging...' : `Merge ${dedupeSelected.length} groups`}
+              </button>
+            </div>
+          )}
+
+          {dedupeRuns.length > 0 && (
+            <div className="mt-6 border-t border-gray-200 pt-6">
+              <h3 className="text-base font-semibold text-gray-900">Recent merges</h3>
+              <div className="mt-3 grid gap-2">
+                {dedupeRuns.map((run) => (
+                  <div
+                    key={run.id}
+                    className="flex flex-wrap items-center justify-between gap-3 rounded-xl border border-gray-200 px-4 py-2 text-sm"
+                  >
+                    <span className="text-gray-700">
+                      {new Date(run.createdAt).toLocaleString()} • {run.groupCount} groups • {run.removedCount}{' '}
+                      rows removed{run.fuzzy ? ' • similar names' : ''}
+                      {run.undoneAt ? ` • undone ${new Date(run.undoneAt).toLocaleString()}` : ''}
+                    </span>
+                    {!run.undoneAt && (
+                      <button
+                        type="button"
+                        onClick={() => undoDedupeRun(run.id)}
+                        disabled={dedupeBusy}
+                        className="rounded-full border border-gray-200 px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300 disabled:cursor-not-allowed disabled:opacity-60"
+                      >
+                        Undo
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+          </section>
+        )}
+
+        {activeTab === 'properties' && (
+          <section className="rounded-2xl border border-gray-200 bg-white p-6 shadow-sm">
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <h2 className="text-lg font-semibold text-gray-900">Properties</h2>
+            <button
+              type="button"
+              onClick={loadProperties}
+              className="rounded-full border border-gray-200 px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300"
+            >
+              Refresh
+            </button>
+          </div>
+          <p className="mt-2 text-sm text-gray-600">
+            Contacts without a property use the default pitch
+            {defaultPropertyName ? ` (${defaultPropertyName})` : ''} from property_context.json.
+          </p>
+
+          <div className="mt-6 grid gap-4">
+            {properties.length === 0 && (
+              <div className="rounded-xl border border-dashed border-gray-200 p-6 text-center text-sm text-gray-500">
+                No properties yet.
+              </div>
+            )}
+            {properties.map((property) => (
+              <div
+                key={property.id}
+                className="flex flex-col gap-3 rounded-2xl border border-gray-200 bg-gray-50/60 p-4 md:flex-row md:items-center md:justify-between"
+              >
+                <div>
+                  <p className="text-base font-semibold text-gray-900">
+                    {property.id}: {property.name}
+                  </p>
+                  <p className="mt-1 text-xs text-gray-500">
+                    {property.contactCount ?? 0} contact{property.contactCount === 1 ? '' : 's'}
+                    {property.imageDirectory ? ` • Images: ${property.imageDirectory}` : ''}
+                  </p>
+                </div>
+                <div className="flex flex-wrap items-center gap-3">
+                  <button
+                    type="button"
+                    onClick={() => editProperty(property.id)}
+                    className="rounded-full border border-gray-200 px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => deleteProperty(property.id)}
+                    className="rounded-full border border-rose-200 px-4 py-2 text-sm font-semibold text-rose-600 transition hover:border-rose-300 hover:bg-rose-50"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <form onSubmit={saveProperty} className="mt-6 border-t border-gray-200 pt-6">
+            <div className="flex flex-wrap items-center justify-between gap-4">
+              <h3 className="text-base font-semibold text-gray-900">
+                {propertyForm.id ? `Edit property ${propertyForm.id}` : 'Add property'}
+              </h3>
+              {propertyForm.id && (
+                <button
+                  type="button"
+                  onClick={() => setPropertyForm(EMPTY_PROPERTY_FORM)}
+                  className="rounded-full border border-gray-200 px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300"
+                >
+                  Cancel
+                </button>
+              )}
+            </div>
+            <div className="mt-4 grid grid-cols-1 gap-4 md:grid-cols-2">
+              <label className="flex flex-col gap-2 text-xs font-semibold uppercase tracking-wide text-gray-500">
+                Name
+                <input
+                  type="text"
+                  value={propertyForm.name}
+                  onChange={(event) =>
+                    setPropertyForm((current) => ({ ...current, name: event.target.value }))
+                  }
+                  placeholder="Defaults to the context title"
+                  className="rounded-xl border border-gray-200 bg-white px-3 py-2 text-sm font-normal text-gray-900 focus:border-gray-400 focus:outline-none"
+                />
+              </label>
+              <label className="flex flex-col gap-2 text-xs font-semibold uppercase tracking-wide text-gray-500">
+                Image folder
+                <input
+                  type="text"
+                  value={propertyForm.imageDirectory}
+                  onChange={(event) =>
+                    setPropertyForm((current) => ({ ...current, imageDirectory: event.target.value }))
+                  }
+                  placeholder="SelectedHouseImages"
+                  className="rounded-xl border border-gray-200 bg-white px-3 py-2 text-sm font-normal text-gray-900 focus:border-gray-400 focus:outline-none"
+                />
+              </label>
+              <label className="flex flex-col gap-2 text-xs font-semibold uppercase tracking-wide text-gray-500 md:col-span-2">
+                Property context JSON
+                <textarea
+                  value={propertyForm.contextText}
+                  onChange={(event) =>
+                    setPropertyForm((current) => ({ ...current, contextText: event.target.value }))
+                  }
+                  placeholder='{"title": "...", "description": "...", "specs": {...}, "location": {...}, "viewing_contact": {...}, "messages": {"initial": "..."}}'
+                  className="min-h-[280px] rounded-xl border border-gray-200 bg-white px-3 py-2 font-mono text-sm font-normal text-gray-900 focus:border-gray-400 focus:outline-none"
+                />
+              </label>
+            </div>
+            <div className="mt-6 flex justify-end">
+              <button
+                type="submit"
+                disabled={propertySaving}
+                className="rounded-full bg-gray-900 px-5 py-2.5 text-sm font-semibold text-white transition hover:bg-gray-800 disabled:cursor-not-allowed disabled:bg-gray-300"
+              >
+                {propertySaving ? 'Saving...' : propertyForm.id ? 'Save property' : 'Add property'}
+              </button>
+            </div>
+          </form>
+          </section>
+        )}
+
+        {activeTab === 'pitch' && (
+          <section className="rounded-2xl border border-gray-200 bg-white p-6 shadow-sm">
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900">Property Context</h2>
+              {pitchUpdatedAt && (
+                <p className="mt-1 text-xs text-gray-500">
+                  Last saved {new Date(pitchUpdatedAt).toLocaleString()}
+                  {pitchActive?.loadedAt &&
+                    ` • Active since ${new Date(pitchActive.loadedAt).toLocaleString()}`}
+                </p>
+              )}
+            </div>
+            <div className="flex flex-wrap items-center gap-3">
+              <button
+                type="button"
+                onClick={loadPitch}
+                className="rounded-full border border-gray-200 px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300"
+              >
+                Refresh
+              </button>
+              <button
+                type="button"
+                onClick={reloadPitch}
+                className="rounded-full border border-gray-200 px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300"
+              >
+                Apply file from disk
+              </button>
+            </div>
+          </div>
 
-  return (
-    <div className="min-h-screen px-6 py-10 font-sans">
-      <div className="mx-auto flex max-w-6xl flex-col gap-8">
-        <header className="flex flex-col gap-6 md:flex-row md:items-end md:justify-between">
-          <div>
-            <p className="text-xs font-semibold uppercase tracking-[0.3em] text-gray-500">
-              Whatsapp LLM bot
-            </p>
-            <h1 className="mt-3 text-3xl font-semibold text-gray-900 md:text-4xl">
-              Contact List
-            </h1>
-            <p className="mt-2 max-w-xl text-sm text-gray-600">
-              Review contacts from your database and trigger conversation initiation.
-            </p>
-            <div className="mt-4 flex items-center gap-2 text-sm font-semibold text-gray-700">
-              <span
-                className={`inline-flex h-2.5 w-2.5 rounded-full ${
-                  whatsappStatus === 'ready'
-                    ? 'bg-emerald-500'
-                    : whatsappStatus === 'qr' || whatsappStatus === 'not_ready'
-                    ? 'bg-amber-500'
-                    : 'bg-gray-400'
-                }`}
+          {pitchActive?.lastError && (
+            <div className="mt-4 rounded-xl border border-amber-200 bg-amber-50 p-4 text-sm text-amber-800">
+              The file on disk was rejected at{' '}
+              {new Date(pitchActive.lastError.at).toLocaleTimeString()}; the server keeps using
+              {pitchActive.name ? ` "${pitchActive.name}"` : ' the last valid context'}.
+            </div>
+          )}
+
+          {pitchErrors.length > 0 && (
+            <div className="mt-4 rounded-xl border border-rose-200 bg-rose-50 p-4 text-sm text-rose-700">
+              <p className="font-semibold">Fix these fields before saving:</p>
+              <ul className="mt-2 list-disc pl-5">
+                {pitchErrors.map((error) => (
+                  <li key={`${error.path}-${error.message}`}>
+                    <span className="font-mono">{error.path}</span> {error.message}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {!pitchContext && (
+            <div className="mt-6 rounded-xl border border-dashed border-gray-200 p-6 text-center text-sm text-gray-500">
+              Loading property context...
+            </div>
+          )}
+
+          {pitchRaw !== null && (
+            <div className="mt-6 flex flex-col gap-3">
+              <p className="text-sm text-gray-600">
+                The file on disk is not valid JSON. Fix it here, then load it into the editor and save.
+              </p>
+              <textarea
+                value={pitchRaw}
+                onChange={(event) => setPitchRaw(event.target.value)}
+                spellCheck={false}
+                className="min-h-[320px] rounded-xl border border-gray-200 bg-white px-3 py-2 font-mono text-xs text-gray-900 focus:border-gray-400 focus:outline-none"
               />
-              {whatsappStatus === 'ready' && 'WhatsApp connected'}
-              {(whatsappStatus === 'qr' || whatsappStatus === 'not_ready') &&
-                'WhatsApp not ready (scan QR)'}
-              {whatsappStatus === 'authenticated' && 'WhatsApp linked, syncing...'}
-              {whatsappStatus === 'loading' && 'WhatsApp loading...'}
-              {whatsappStatus === 'state' && 'WhatsApp state change detected'}
-              {whatsappStatus === 'auth_failure' && 'WhatsApp auth failed'}
-              {whatsappStatus === 'disconnected' && 'WhatsApp disconnected'}
-              {whatsappStatus === 'offline' && 'WhatsApp status unavailable'}
-              {whatsappStatus === 'unknown' && 'Checking WhatsApp status...'}
+              <div className="flex justify-end">
+                <button
+                  type="button"
+                  onClick={applyPitchRaw}
+                  className="rounded-full bg-gray-900 px-5 py-2 text-sm font-semibold text-white transition hover:bg-gray-800"
+                >
+                  Load into editor
+                </button>
+              </div>
             </div>
-            {(whatsappDetail || whatsappUpdatedAt) && (
-              <div className="mt-2 text-xs text-gray-500">
-                {whatsappDetail && <span>{whatsappDetail}</span>}
-                {whatsappDetail && whatsappUpdatedAt && <span> • </span>}
-                {whatsappUpdatedAt && (
-                  <span>
-                    Updated {new Date(whatsappUpdatedAt).toLocaleTimeString()}
-                  </span>
-                )}
+          )}
+
+          {pitchContext && pitchRaw === null && (
+            <form onSubmit={savePitch} className="mt-6 flex flex-col gap-6">
+              <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+                <ContextField
+                  label="title"
+                  value={pitchContext.title}
+                  error={pitchErrorFor('title')}
+                  onChange={(text) => updatePitchField(null, 'title', text)}
+                />
+                <div className="md:col-span-2">
+                  <ContextField
+                    label="description"
+                    multiline
+                    value={pitchContext.description}
+                    error={pitchErrorFor('description')}
+                    onChange={(text) => updatePitchField(null, 'description', text)}
+                  />
+                </div>
               </div>
-            )}
+              {CONTEXT_SECTIONS.map((section) => (
+                <div key={section.key} className="border-t border-gray-200 pt-4">
+                  <h3 className="text-sm font-semibold text-gray-900">{section.label}</h3>
+                  {section.hint && (
+                    <p className="mt-1 font-mono text-xs text-gray-500">{section.hint}</p>
+                  )}
+                  {pitchErrorFor(section.key) && (
+                    <p className="mt-1 text-xs text-rose-600">{pitchErrorFor(section.key)}</p>
+                  )}
+                  <div className={`mt-3 grid grid-cols-1 gap-4 ${section.multiline ? '' : 'md:grid-cols-2 xl:grid-cols-3'}`}>
+                    {sectionFieldNames(section, pitchContext).map((fieldName) => (
+                      <ContextField
+                        key={fieldName}
+                        label={fieldName}
+                        multiline={section.multiline}
+                        value={pitchContext[section.key]?.[fieldName]}
+                        error={pitchErrorFor(`${section.key}.${fieldName}`)}
+                        onChange={(text) => updatePitchField(section.key, fieldName, text)}
+                      />
+                    ))}
+                  </div>
+                </div>
+              ))}
+              <div className="border-t border-gray-200 pt-4">
+                <div className="flex flex-wrap items-center justify-between gap-3">
+                  <div>
+                    <h3 className="text-sm font-semibold text-gray-900">Follow-up sequence</h3>
+                    <p className="mt-1 text-xs text-gray-500">
+                      Sent to agents who have not replied, counted in days from the initial message.
+                    </p>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() =>
+                      updatePitchSequence((sequence) => [
+                        ...sequence,
+                        { after_days: (Number(sequence[sequence.length - 1]?.after_days) || 0) + 2, message: '' },
+                      ])
+                    }
+                    className="rounded-full border border-gray-200 px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300"
+                  >
+                    Add step
+                  </button>
+                </div>
+                <div className="mt-3 grid gap-4">
+                  {(pitchContext.messages?.sequence || []).map((step, index) => (
+                    <div
+                      key={index}
+                      className="grid grid-cols-1 gap-3 rounded-xl border border-gray-200 bg-gray-50/60 p-3 md:grid-cols-[140px_1fr_auto]"
+                    >
+                      <label className="flex flex-col gap-2 text-xs font-semibold uppercase tracking-wide text-gray-500">
+                        After days
+                        <input
+                          type="number"
+                          min="0"
+                          value={step.after_days ?? ''}
+                          onChange={(event) =>
+                            updateSequenceStep(
+                              index,
+                              'after_days',
+                              event.target.value === '' ? '' : Number(event.target.value),
+                            )
+                          }
+                          className="rounded-xl border border-gray-200 bg-white px-3 py-2 text-sm font-normal text-gray-900 focus:border-gray-400 focus:outline-none"
+                        />
+                        {pitchErrorFor(`messages.sequence[${index}].after_days`) && (
+                          <span className="text-xs font-normal normal-case text-rose-600">
+                            {pitchErrorFor(`messages.sequence[${index}].after_days`)}
+                          </span>
+                        )}
+                      </label>
+                      <ContextField
+                        label={`Step ${index + 1} message`}
+                        multiline
+                        value={step.message}
+                        error={pitchErrorFor(`messages.sequence[${index}].message`)}
+                        onChange={(text) => updateSequenceStep(index, 'message', text)}
+                      />
+                      <div className="flex items-start">
+                        <button
+                          type="button"
+                          onClick={() =>
+                            updatePitchSequence((sequence) =>
+                              sequence.filter((_step, stepIndex) => stepIndex !== index),
+                            )
+                          }
+                          className="rounded-full border border-rose-200 px-3 py-1.5 text-xs font-semibold text-rose-600 transition hover:border-rose-300 hover:bg-rose-50"
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+              <div className="flex justify-end">
+                <button
+                  type="submit"
+                  disabled={pitchSaving}
+                  className="rounded-full bg-gray-900 px-5 py-2.5 text-sm font-semibold text-white transition hover:bg-gray-800 disabled:cursor-not-allowed disabled:bg-gray-300"
+                >
+                  {pitchSaving ? 'Saving...' : 'Save context'}
+                </button>
+              </div>
+            </form>
+          )}
+
+          <div className="mt-6 border-t border-gray-200 pt-6">
+            <h3 className="text-base font-semibold text-gray-900">Previous versions</h3>
+            <div className="mt-4 grid gap-3">
+              {pitchVersions.length === 0 && (
+                <div className="rounded-xl border border-dashed border-gray-200 p-4 text-center text-sm text-gray-500">
+                  No previous versions yet.
+                </div>
+              )}
+              {pitchVersions.map((version) => (
+                <div
+                  key={version.id}
+                  className="flex flex-wrap items-center justify-between gap-3 rounded-xl border border-gray-200 bg-gray-50/60 px-4 py-3 text-sm"
+                >
+                  <div>
+                    <p className="font-semibold text-gray-900">
+                      {version.title || 'Untitled'}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      Replaced {new Date(version.savedAt).toLocaleString()}
+                      {version.source ? ` • ${version.source}` : ''}
+                    </p>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => restorePitchVersion(version.id)}
+                    className="rounded-full border border-gray-200 px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300"
+                  >
+                    Restore
+                  </button>
+                </div>
+              ))}
+            </div>
           </div>
-          <div className="grid grid-cols-2 gap-4 sm:grid-cols-5">
-            {[
-              { label: 'Total', value: stats.total },
-              { label: 'Pending', value: stats.pending },
-              { label: 'Active', value: stats.active },
-              { label: 'Paused', value: stats.paused },
-              { label: 'Unregistered', value: stats.unregistered },
-            ].map((stat) => (
-              <div key={stat.label} className="rounded-xl border border-gray-200 bg-white p-4">
-                <p className="text-xs font-semibold uppercase tracking-widest text-gray-500">
-                  {stat.label}
-                </p>
-                <p className="mt-2 text-2xl font-semibold text-gray-900">{stat.value}</p>
+          </section>
+        )}
+        {activeTab === 'campaigns' && (
+          <section className="rounded-2xl border border-gray-200 bg-white p-6 shadow-sm">
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <h2 className="text-lg font-semibold text-gray-900">Campaigns</h2>
+            <button
+              type="button"
+              onClick={loadCampaigns}
+              className="rounded-full border border-gray-200 px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300"
+            >
+              Refresh
+            </button>
+          </div>
+          <p className="mt-2 text-sm text-gray-600">
+            Campaigns initiate contacts one at a time with a random gap between sends, only inside
+            the sending hours and up to the daily cap.
+          </p>
+
+          <div className="mt-6 grid gap-4">
+            {campaigns.length === 0 && (
+              <div className="rounded-xl border border-dashed border-gray-200 p-6 text-center text-sm text-gray-500">
+                No campaigns yet.
               </div>
-            ))}
+            )}
+            {campaigns.map((campaign) => {
+              const processed = campaign.total - campaign.progress.queued
+              const percent = campaign.total ? Math.round((processed / campaign.total) * 100) : 0
+              return (
+                <div
+                  key={campaign.id}
+                  className="flex flex-col gap-3 rounded-2xl border border-gray-200 bg-gray-50/60 p-4"
+                >
+                  <div className="flex flex-wrap items-center justify-between gap-3">
+                    <div>
+                      <p className="text-base font-semibold text-gray-900">
+                        {campaign.id}: {campaign.name}
+                        <span
+                          className={`ml-3 rounded-full px-2.5 py-1 text-xs font-semibold ${
+                            CAMPAIGN_STATUS_STYLES[campaign.status] || STATUS_STYLES.unknown
+                          }`}
+                        >
+                          {campaign.status}
+                        </span>
+                      </p>
+                      <p className="mt-1 text-xs text-gray-500">
+                        {campaign.statuses.join(', ')}
+                        {campaign.groups.length > 0 ? ` • ${campaign.groups.join(', ')}` : ''}
+                        {` • ${campaign.sentToday}/${campaign.dailyCap} today`}
+                        {` • ${campaign.startHour}:00–${campaign.endHour}:00 ${campaign.timezone}`}
+                        {campaign.status === 'running' && campaign.nextSendAt
+                          ? ` • Next send ${new Date(campaign.nextSendAt).toLocaleTimeString()}`
+                          : ''}
+                      </p>
+                    </div>
+                    <div className="flex flex-wrap items-center gap-3">
+                      {campaign.status === 'running' && (
+                        <button
+                          type="button"
+                          onClick={() => updateCampaign(campaign.id, 'pause')}
+                          disabled={campaignUpdatingId === campaign.id}
+                          className="rounded-full border border-gray-200 px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300 disabled:cursor-not-allowed disabled:opacity-60"
+                        >
+                          Pause
+                        </button>
+                      )}
+                      {campaign.status === 'paused' && (
+                        <button
+                          type="button"
+                          onClick={() => updateCampaign(campaign.id, 'resume')}
+                          disabled={campaignUpdatingId === campaign.id}
+                          className="rounded-full border border-gray-200 px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300 disabled:cursor-not-allowed disabled:opacity-60"
+                        >
+                          Resume
+                        </button>
+                      )}
+                      {(campaign.status === 'running' || campaign.status === 'paused') && (
+                        <button
+                          type="button"
+                          onClick={() => updateCampaign(campaign.id, 'cancel')}
+                          disabled={campaignUpdatingId === campaign.id}
+                          className="rounded-full border border-rose-200 px-4 py-2 text-sm font-semibold text-rose-600 transition hover:border-rose-300 hover:bg-rose-50 disabled:cursor-not-allowed disabled:opacity-60"
+                        >
+                          Cancel
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                  <div className="h-2 overflow-hidden rounded-full bg-gray-200">
+                    <div className="h-full bg-gray-900" style={{ width: `${percent}%` }} />
+                  </div>
+                  <p className="text-xs text-gray-600">
+                    {processed}/{campaign.total} processed • {campaign.progress.sent} sent •{' '}
+                    {campaign.progress.unregistered} unregistered • {campaign.progress.skipped} skipped •{' '}
+                    {campaign.progress.failed} failed
+                    {campaign.progress.cancelled ? ` • ${campaign.progress.cancelled} cancelled` : ''}
+                  </p>
+                </div>
+              )
+            })}
           </div>
-        </header>
 
-        {(whatsappStatus === 'qr' || whatsappStatus === 'not_ready') && qrCode && (
-          <section className="rounded-2xl border border-amber-200 bg-amber-50/60 p-6 text-sm text-amber-900 shadow-sm">
-            <div className="flex flex-col gap-4 md:flex-row md:items-center md:justify-between">
-              <div>
-                <p className="text-xs font-semibold uppercase tracking-[0.25em] text-amber-700">
-                  WhatsApp Login
-                </p>
-                <h2 className="mt-2 text-lg font-semibold text-amber-900">
-                  Scan this QR code with WhatsApp on your phone
-                </h2>
-                <p className="mt-1 text-sm text-amber-700">
-                  Open WhatsApp &gt; Linked Devices &gt; Link a Device.
-                </p>
+          <form
+            onSubmit={(event) => {
+              event.preventDefault()
+              submitCampaign(false)
+            }}
+            className="mt-6 border-t border-gray-200 pt-6"
+          >
+            <h3 className="text-base font-semibold text-gray-900">New campaign</h3>
+            <div className="mt-4 grid grid-cols-1 gap-4 md:grid-cols-2">
+              <label className="flex flex-col gap-2 text-xs font-semibold uppercase tracking-wide text-gray-500 md:col-span-2">
+                Name
+                <input
+                  type="text"
+                  value={campaignForm.name}
+                  onChange={(event) => updateCampaignForm({ name: event.target.value })}
+                  placeholder="Colombo agents – week 1"
+                  className="rounded-xl border border-gray-200 bg-white px-3 py-2 text-sm font-normal text-gray-900 focus:border-gray-400 focus:outline-none"
+                />
+              </label>
+              <div className="flex flex-col gap-2 text-xs font-semibold uppercase tracking-wide text-gray-500">
+                Statuses
+                <div className="flex flex-wrap gap-3 text-sm font-normal normal-case tracking-normal text-gray-700">
+                  {['pending', 'paused', 'active', 'unregistered'].map((status) => (
+                    <label key={status} className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={campaignForm.statuses.includes(status)}
+                        onChange={() => toggleCampaignOption('statuses', status)}
+                      />
+                      {status}
+                    </label>
+                  ))}
+                </div>
               </div>
-              <div className="rounded-2xl border border-amber-200 bg-white p-4">
-                <QRCodeCanvas value={qrCode} size={168} />
+              <div className="flex flex-col gap-2 text-xs font-semibold uppercase tracking-wide text-gray-500">
+                Groups
+                <div className="flex flex-wrap gap-3 text-sm font-normal normal-case tracking-normal text-gray-700">
+                  {contactGroups.length === 0 && <span className="text-gray-500">No groups</span>}
+                  {contactGroups.map((group) => (
+                    <label key={group} className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={campaignForm.groups.includes(group)}
+                        onChange={() => toggleCampaignOption('groups', group)}
+                      />
+                      {group}
+                    </label>
+                  ))}
+                </div>
+                <span className="text-xs font-normal normal-case tracking-normal text-gray-400">
+                  Leave empty to include every group.
+                </span>
               </div>
+              {[
+                { key: 'dailyCap', label: 'Daily cap' },
+                { key: 'minSpacingSeconds', label: 'Min gap (seconds)' },
+                { key: 'maxSpacingSeconds', label: 'Max gap (seconds)' },
+                { key: 'startHour', label: 'Start hour' },
+                { key: 'endHour', label: 'End hour' },
+              ].map((field) => (
+                <label
+                  key={field.key}
+                  className="flex flex-col gap-2 text-xs font-semibold uppercase tracking-wide text-gray-500"
+                >
+                  {field.label}
+                  <input
+                    type="number"
+                    min="0"
+                    value={campaignForm[field.key]}
+                    onChange={(event) => updateCampaignForm({ [field.key]: event.target.value })}
+                    className="rounded-xl border border-gray-200 bg-white px-3 py-2 text-sm font-normal text-gray-900 focus:border-gray-400 focus:outline-none"
+                  />
+                </label>
+              ))}
+            </div>
+            <div className="mt-6 flex flex-wrap items-center justify-end gap-3">
+              {campaignMatched !== null && (
+                <span className="text-sm text-gray-600">
+                  {campaignMatched} contact{campaignMatched === 1 ? '' : 's'} match
+                </span>
+              )}
+              <button
+                type="button"
+                onClick={() => submitCampaign(true)}
+                disabled={campaignSaving}
+                className="rounded-full border border-gray-200 px-5 py-2.5 text-sm font-semibold text-gray-700 transition hover:border-gray-300 disabled:cursor-not-allowed disabled:opacity-60"
+              >
+                Count contacts
+              </button>
+              <button
+                type="submit"
+                disabled={campaignSaving}
+                className="rounded-full bg-gray-900 px-5 py-2.5 text-sm font-semibold text-white transition hover:bg-gray-800 disabled:cursor-not-allowed disabled:bg-gray-300"
+              >
+                {campaignSaving ? 'Saving...' : 'Start campaign'}
+              </button>
+            </div>
+          </form>
+          </section>
+        )}
+        {activeTab === 'outbox' && (
+          <section className="rounded-2xl border border-gray-200 bg-white p-6 shadow-sm">
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <h2 className="text-lg font-semibold text-gray-900">Outbox</h2>
+            <div className="flex flex-wrap items-center gap-3">
+              <select
+                value={outboxFilter}
+                onChange={(event) => {
+                  setOutboxFilter(event.target.value)
+                  loadOutbox(event.target.value)
+                }}
+                className="rounded-full border border-gray-200 bg-white px-4 py-2 text-sm font-semibold text-gray-700"
+              >
+                <option value="">All</option>
+                {['queued', 'sending', 'sent', 'dead', 'cancelled'].map((status) => (
+                  <option key={status} value={status}>
+                    {status} ({outboxCounts[status] || 0})
+                  </option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={() => loadOutbox()}
+                className="rounded-full border border-gray-200 px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300"
+              >
+                Refresh
+              </button>
             </div>
+          </div>
+          <p className="mt-2 text-sm text-gray-600">
+            Every outgoing message, photo set and reaction is delivered from here. Failed sends are retried with
+            backoff; items that keep failing end up dead and pause the contact.
+          </p>
+
+          <div className="mt-6 grid gap-3">
+            {outboxItems.length === 0 && (
+              <div className="rounded-xl border border-dashed border-gray-200 p-6 text-center text-sm text-gray-500">
+                Nothing here.
+              </div>
+            )}
+            {outboxItems.map((item) => (
+              <div
+                key={item.id}
+                className="flex flex-col gap-2 rounded-xl border border-gray-200 bg-gray-50/60 px-4 py-3 text-sm md:flex-row md:items-start md:justify-between"
+              >
+                <div className="min-w-0">
+                  <p className="font-semibold text-gray-900">
+                    <span
+                      className={`mr-2 rounded-full px-2.5 py-1 text-xs font-semibold ${
+                        OUTBOX_STATUS_STYLES[item.status] || STATUS_STYLES.unknown
+                      }`}
+                    >
+                      {item.status}
+                    </span>
+                    {item.kind} to {item.chatId}
+                    {item.contactRowId ? ` (contact ${item.contactRowId})` : ''}
+                  </p>
+                  <p className="mt-1 whitespace-pre-wrap break-words text-gray-700">
+                    {item.kind === 'text' && item.payload?.text}
+                    {item.kind === 'media' && `Photos from ${item.payload?.directory}`}
+                    {item.kind === 'reaction' && `${item.payload?.reaction} on ${item.payload?.messageId}`}
+                  </p>
+                  <p className="mt-1 text-xs text-gray-500">
+                    {item.source || 'manual'} • queued {new Date(item.createdAt).toLocaleString()}
+                    {item.attempts ? ` • ${item.attempts} attempt${item.attempts === 1 ? '' : 's'}` : ''}
+                    {item.status === 'queued' && item.attempts > 0
+                      ? ` • next try ${new Date(item.nextAttemptAt).toLocaleTimeString()}`
+                      : ''}
+                    {item.sentAt ? ` • sent ${new Date(item.sentAt).toLocaleString()}` : ''}
+                  </p>
+                  {item.lastError && item.status !== 'sent' && (
+                    <p className="mt-1 text-xs text-rose-600">{item.lastError}</p>
+                  )}
+                </div>
+                {(item.status === 'queued' || item.status === 'dead') && (
+                  <div className="flex shrink-0 items-center gap-2">
+                    <button
+                      type="button"
+                      onClick={() => updateOutboxItem(item.id, 'retry')}
+                      disabled={outboxUpdatingId === item.id}
+                      className="rounded-full border border-gray-200 px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300 disabled:cursor-not-allowed disabled:opacity-60"
+                    >
+                      {item.status === 'dead' ? 'Retry' : 'Send now'}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => updateOutboxItem(item.id, 'cancel')}
+                      disabled={outboxUpdatingId === item.id}
+                      className="rounded-full border border-rose-200 px-4 py-2 text-sm font-semibold text-rose-600 transition hover:border-rose-300 hover:bg-rose-50 disabled:cursor-not-allowed disabled:opacity-60"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
           </section>
         )}
 
-        <nav className="flex flex-wrap gap-3 rounded-2xl border border-gray-200 bg-white p-4 shadow-sm">
-          {[
-            { id: 'contacts', label: 'Contacts' },
-            { id: 'add', label: 'Add Contact' },
-          ].map((tab) => (
+        {activeTab === 'dnc' && (
+          <section className="rounded-2xl border border-gray-200 bg-white p-6 shadow-sm">
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <h2 className="text-lg font-semibold text-gray-900">Do Not Contact</h2>
             <button
-              key={tab.id}
               type="button"
-              onClick={() => setActiveTab(tab.id)}
-              className={`rounded-full px-4 py-2 text-sm font-semibold transition ${
-                activeTab === tab.id
-                  ? 'bg-gray-900 text-white'
-                  : 'border border-gray-200 text-gray-700 hover:border-gray-300'
-              }`}
+              onClick={loadDoNotContact}
+              className="rounded-full border border-gray-200 px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300"
             >
-              {tab.label}
+              Refresh
             </button>
-          ))}
-        </nav>
+          </div>
+          <p className="mt-2 text-sm text-gray-600">
+            Numbers that asked not to be messaged. Initiating, campaigns, imports and the auto responder all skip
+            them, and anything still queued for them is cancelled. Remove a number only if the agent asked to hear
+            from us again.
+          </p>
 
-        {activeTab === 'contacts' && (
+          <form onSubmit={addDoNotContact} className="mt-6 flex flex-wrap items-end gap-3">
+            <label className="flex flex-col gap-2 text-xs font-semibold uppercase tracking-wide text-gray-500">
+              Number
+              <input
+                type="text"
+                value={dncForm.number}
+                onChange={(event) => setDncForm((current) => ({ ...current, number: event.target.value }))}
+                placeholder="077 123 4567"
+                className="rounded-xl border border-gray-200 bg-white px-3 py-2 text-sm font-normal text-gray-900 focus:border-gray-400 focus:outline-none"
+              />
+            </label>
+            <label className="flex flex-1 flex-col gap-2 text-xs font-semibold uppercase tracking-wide text-gray-500">
+              Reason
+              <input
+                type="text"
+                value={dncForm.reason}
+                onChange={(event) => setDncForm((current) => ({ ...current, reason: event.target.value }))}
+                placeholder="Asked on a call"
+                className="rounded-xl border border-gray-200 bg-white px-3 py-2 text-sm font-normal text-gray-900 focus:border-gray-400 focus:outline-none"
+              />
+            </label>
+            <button
+              type="submit"
+              disabled={dncSaving || !dncForm.number.trim()}
+              className="rounded-full bg-gray-900 px-5 py-2.5 text-sm font-semibold text-white transition hover:bg-gray-800 disabled:cursor-not-allowed disabled:opacity-60"
+            >
+              {dncSaving ? 'Adding...' : 'Add number'}
+            </button>
+          </form>
+
+          <div className="mt-6 grid gap-3">
+            {dncEntries.length === 0 && (
+              <div className="rounded-xl border border-dashed border-gray-200 p-6 text-center text-sm text-gray-500">
+                Nobody has opted out.
+              </div>
+            )}
+            {dncEntries.map((entry) => (
+              <div
+                key={entry.phoneNumber}
+                className="flex flex-wrap items-center justify-between gap-4 rounded-2xl border border-gray-200 bg-gray-50/60 p-4"
+              >
+                <div>
+                  <p className="text-sm font-semibold text-gray-900">
+                    <span className="font-mono">{entry.phoneNumber}</span>
+                    {entry.contactName ? ` • ${entry.contactName}` : ''}
+                  </p>
+                  <p className="mt-1 text-xs text-gray-500">
+                    {entry.source} • {new Date(entry.createdAt).toLocaleString()}
+                    {entry.reason ? ` • "${entry.reason}"` : ''}
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => removeDoNotContact(entry.phoneNumber)}
+                  className="rounded-full border border-gray-200 px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300"
+                >
+                  Allow again
+                </button>
+              </div>
+            ))}
+          </div>
+          </section>
+        )}
+
+        {activeTab === 'tags' && (
           <section className="rounded-2xl border border-gray-200 bg-white p-6 shadow-sm">
           <div className="flex flex-wrap items-center justify-between gap-4">
-            <h2 className="text-lg font-semibold text-gray-900">Contacts</h2>
-            <div className="flex flex-wrap items-center gap-3">
-              <div className="flex flex-wrap gap-2">
-                {[
-                  { id: 'all', label: 'All' },
-                  { id: 'pending', label: 'Pending' },
-                  { id: 'active', label: 'Active' },
-                  { id: 'paused', label: 'Paused' },
-                  { id: 'unregistered', label: 'Unregistered' },
-                ].map((option) => (
+            <h2 className="text-lg font-semibold text-gray-900">Tags</h2>
+            <button
+              type="button"
+              onClick={loadTags}
+              className="rounded-full border border-gray-200 px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300"
+            >
+              Refresh
+            </button>
+          </div>
+          <p className="mt-2 text-sm text-gray-600">
+            A contact can carry any number of tags. Tag contacts in bulk by ticking them on the Contacts tab, and
+            filter the contact list and its exports by tag.
+          </p>
+
+          <form onSubmit={createTag} className="mt-6 flex flex-wrap items-end gap-3">
+            <label className="flex flex-1 flex-col gap-2 text-xs font-semibold uppercase tracking-wide text-gray-500">
+              Name
+              <input
+                type="text"
+                value={tagForm.name}
+                onChange={(event) => setTagForm((current) => ({ ...current, name: event.target.value }))}
+                placeholder="Colombo agents"
+                className="rounded-xl border border-gray-200 bg-white px-3 py-2 text-sm font-normal text-gray-900 focus:border-gray-400 focus:outline-none"
+              />
+            </label>
+            <label className="flex flex-col gap-2 text-xs font-semibold uppercase tracking-wide text-gray-500">
+              Color
+              <input
+                type="color"
+                value={tagForm.color || '#3b82f6'}
+                onChange={(event) => setTagForm((current) => ({ ...current, color: event.target.value }))}
+                className="h-10 w-16 rounded-xl border border-gray-200 bg-white"
+              />
+            </label>
+            <button
+              type="submit"
+              disabled={tagSaving || !tagForm.name.trim()}
+              className="rounded-full bg-gray-900 px-5 py-2.5 text-sm font-semibold text-white transition hover:bg-gray-800 disabled:cursor-not-allowed disabled:opacity-60"
+            >
+              {tagSaving ? 'Creating...' : 'Create tag'}
+            </button>
+          </form>
+
+          <div className="mt-6 grid gap-3">
+            {tags.length === 0 && (
+              <div className="rounded-xl border border-dashed border-gray-200 p-6 text-center text-sm text-gray-500">
+                No tags yet.
+              </div>
+            )}
+            {tags.map((tag) => (
+              <div
+                key={tag.id}
+                className="flex flex-wrap items-center justify-between gap-4 rounded-2xl border border-gray-200 bg-gray-50/60 p-4"
+              >
+                <div className="flex items-center gap-3">
+                  <input
+                    type="color"
+                    value={tag.color}
+                    onChange={(event) => updateTag(tag, { color: event.target.value })}
+                    aria-label={`Color for ${tag.name}`}
+                    className="h-8 w-10 rounded-lg border border-gray-200 bg-white"
+                  />
+                  <div>
+                    <p className="text-sm font-semibold text-gray-900">{tag.name}</p>
+                    <p className="mt-1 text-xs text-gray-500">{tag.contactCount} contacts</p>
+                  </div>
+                </div>
+                <div className="flex flex-wrap gap-2">
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setTagFilter(String(tag.id))
+                      setActiveTab('contacts')
+                      loadContacts({ tag: String(tag.id) })
+                    }}
+                    className="rounded-full border border-gray-200 px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300"
+                  >
+                    Show contacts
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => renameTag(tag)}
+                    className="rounded-full border border-gray-200 px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300"
+                  >
+                    Rename
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => deleteTag(tag)}
+                    className="rounded-full border border-rose-200 px-4 py-2 text-sm font-semibold text-rose-700 transition hover:border-rose-300"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+          </section>
+        )}
+
+        {activeTab === 'drafts' && (
+          <section className="rounded-2xl border border-gray-200 bg-white p-6 shadow-sm">
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <h2 className="text-lg font-semibold text-gray-900">Drafts</h2>
+            <div className="flex flex-wrap items-center gap-3">
+              <div className="flex flex-wrap gap-2">
+                {REPLY_MODE_OPTIONS.map((option) => (
                   <button
                     key={option.id}
                     type="button"
-                    onClick={() => setStatusFilter(option.id)}
+                    onClick={() => updateReplyMode(option.id)}
                     className={`rounded-full px-3 py-1.5 text-xs font-semibold uppercase tracking-wide transition ${
-                      statusFilter === option.id
+                      replyMode === option.id
                         ? 'bg-gray-900 text-white'
                         : 'border border-gray-200 text-gray-600 hover:border-gray-300'
                     }`}
@@ -466,237 +3496,331 @@ function App() {
               </div>
               <button
                 type="button"
-                onClick={loadContacts}
+                onClick={loadDrafts}
                 className="rounded-full border border-gray-200 px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300"
               >
                 Refresh
               </button>
             </div>
           </div>
+          <p className="mt-2 text-sm text-gray-600">
+            In draft mode the auto responder's replies wait here instead of being sent; in manual mode it does not
+            answer at all. Either way the contact stays active. Each contact can override this default from its
+            actions. Opt-outs and hand-offs still take effect straight away, and a newer message from the same contact
+            replaces an unreviewed draft.
+          </p>
 
           <div className="mt-6 grid gap-4">
-            {loading && (
+            {drafts.length === 0 && (
               <div className="rounded-xl border border-dashed border-gray-200 p-6 text-center text-sm text-gray-500">
-                Loading contacts...
-              </div>
-            )}
-            {!loading && filteredContacts.length === 0 && (
-              <div className="rounded-xl border border-dashed border-gray-200 p-6 text-center text-sm text-gray-500">
-                No contacts found for this filter.
+                No drafts waiting for review.
               </div>
             )}
-            {!loading &&
-              filteredContacts.map((contact) => {
-                const status = normalizeStatus(contact.conversation_started)
-                const expanded = expandedRowId === contact.rowid
-                const contactLabel =
-                  contact.contactName || contact.agentName || 'Unknown contact'
-                const agentLabel =
-                  contact.agentName &&
-                  contact.contactName &&
-                  contact.agentName !== contact.contactName
-                    ? contact.agentName
-                    : ''
-                const groupLabel = `${contact.rowid}/${contact.group || '-'}`
-                const detailLine = `${groupLabel}: ${agentLabel ? `  ${agentLabel}` : ''} | ${contactLabel}`
-
-                return (
-                  <div
-                    key={contact.rowid}
-                    id={`contact-${contact.rowid}`}
-                    className="flex flex-col gap-4 rounded-2xl border border-gray-200 bg-gray-50/60 p-4 md:flex-row md:items-center md:justify-between"
-                  >
-                    <div className="flex-1">
-                      <div
-                        role="button"
-                        tabIndex={0}
-                        onClick={() => toggleRow(contact.rowid)}
-                        onKeyDown={(event) => {
-                          if (event.key === 'Enter' || event.key === ' ') {
-                            toggleRow(contact.rowid)
-                          }
-                        }}
-                        className="flex flex-wrap items-start justify-between gap-4"
-                      >
-                        <div>
-                          <p className="text-base font-semibold text-gray-900">
-                            {detailLine}
-                          </p>
-                          <p className="mt-2 text-sm font-mono text-gray-600">
-                            {contact.cleanContactNumber || 'No cleanContactNumber'}
-                          </p>
-                        </div>
-                        <div className="flex flex-col items-end gap-2">
-                          <span
-                            className={`rounded-full px-3 py-1 text-xs font-semibold uppercase tracking-wide ${STATUS_STYLES[status] || STATUS_STYLES.unknown}`}
-                          >
-                            {status}
-                          </span>
-                          <span className="text-xs font-semibold uppercase tracking-wide text-gray-400">
-                            {expanded ? 'Hide actions' : 'Show actions'}
-                          </span>
-                        </div>
-                      </div>
-
-                      {expanded && (
-                        <div className="mt-4 grid gap-4 border-t border-gray-200 pt-4 md:grid-cols-2">
-                          <div className="rounded-xl border border-gray-200 bg-white p-3 text-xs text-gray-600">
-                            <p className="text-[11px] font-semibold uppercase tracking-wide text-gray-500">
-                              Recent
-                            </p>
-                            <div className="mt-2 min-h-[64px] whitespace-pre-wrap font-mono">
-                              {recentLoadingId === contact.rowid && 'Loading...'}
-                              {recentLoadingId !== contact.rowid &&
-                                (recentPreviewById[contact.rowid] ||
-                                  'No recent messages.')}
-                            </div>
-                          </div>
-                          <div className="flex flex-col gap-3">
-                            <div className="flex items-center justify-between text-xs text-gray-500">
-                              <span className="font-semibold uppercase tracking-wide">
-                                Last message
-                              </span>
-                              <span className="font-semibold text-gray-700">
-                                {recentTimestampById[contact.rowid]
-                                  ? new Date(
-                                      recentTimestampById[contact.rowid] * 1000,
-                                    ).toLocaleString()
-                                  : '—'}
-                              </span>
-                            </div>
-                            <div className="flex flex-wrap items-center gap-3">
-                              <button
-                                type="button"
-                                onClick={() => initiateContact(contact.rowid)}
-                                disabled={
-                                  status === 'active' ||
-                                  status === 'paused' ||
-                                  status === 'unregistered' ||
-                                  initiatingId === contact.rowid
-                                }
-                                className="rounded-full bg-gray-900 px-4 py-2 text-sm font-semibold text-white transition hover:bg-gray-800 disabled:cursor-not-allowed disabled:bg-gray-300"
-                              >
-                                {status === 'active'
-                                  ? 'Active'
-                                  : status === 'paused'
-                                  ? 'Paused'
-                                  : status === 'unregistered'
-                                  ? 'Unregistered'
-                                  : initiatingId === contact.rowid
-                                  ? 'Sending...'
-                                  : 'Initiate'}
-                              </button>
-                              {status !== 'active' && status !== 'unregistered' && (
-                                <button
-                                  type="button"
-                                  onClick={() => setContactStatus(contact.rowid, 'active')}
-                                  disabled={statusUpdatingId === contact.rowid}
-                                  className="rounded-full border border-emerald-200 px-4 py-2 text-sm font-semibold text-emerald-700 transition hover:border-emerald-300 disabled:cursor-not-allowed disabled:opacity-60"
-                                >
-                                  Set active
-                                </button>
-                              )}
-                              {status === 'active' && (
-                                <button
-                                  type="button"
-                                  onClick={() => setContactStatus(contact.rowid, 'paused')}
-                                  disabled={statusUpdatingId === contact.rowid}
-                                  className="rounded-full border border-orange-200 px-4 py-2 text-sm font-semibold text-orange-700 transition hover:border-orange-300 disabled:cursor-not-allowed disabled:opacity-60"
-                                >
-                                  Pause
-                                </button>
-                              )}
-                              {status !== 'unregistered' && (
-                                <div className="flex flex-wrap items-center gap-2">
-                                  <button
-                                    type="button"
-                                    onClick={() => respondWithLlm(contact.rowid)}
-                                    disabled={respondingId === contact.rowid}
-                                    className="rounded-full border border-sky-200 px-4 py-2 text-sm font-semibold text-sky-700 transition hover:border-sky-300 disabled:cursor-not-allowed disabled:opacity-60"
-                                  >
-                                    {respondingId === contact.rowid ? 'Responding...' : 'Respond'}
-                                  </button>
-                                  <button
-                                    type="button"
-                                    onClick={() => respondWithOutline(contact.rowid)}
-                                    disabled={respondWithId === contact.rowid}
-                                    className="rounded-full border border-indigo-200 px-4 py-2 text-sm font-semibold text-indigo-700 transition hover:border-indigo-300 disabled:cursor-not-allowed disabled:opacity-60"
-                                  >
-                                    {respondWithId === contact.rowid ? 'Sending...' : 'Respond with'}
-                                  </button>
-                                </div>
-                              )}
-                              {expanded && status !== 'unregistered' && (
-                                <textarea
-                                  value={outlineById[contact.rowid] || ''}
-                                  onChange={(event) =>
-                                    setOutlineById((current) => ({
-                                      ...current,
-                                      [contact.rowid]: event.target.value,
-                                    }))
-                                  }
-                                  placeholder="Outline to guide the response..."
-                                  className="min-h-[72px] w-full rounded-xl border border-gray-200 bg-white px-3 py-2 text-sm text-gray-900 focus:border-gray-400 focus:outline-none"
-                                />
-                              )}
-                              <button
-                                type="button"
-                                onClick={() => syncHistory(contact.rowid)}
-                                className="rounded-full border border-gray-200 px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300"
-                              >
-                                Sync history
-                              </button>
-                              <button
-                                type="button"
-                                onClick={() => deleteContact(contact.rowid)}
-                                className="rounded-full border border-rose-200 px-4 py-2 text-sm font-semibold text-rose-600 transition hover:border-rose-300 hover:bg-rose-50"
-                              >
-                                Delete
-                              </button>
-                            </div>
-                          </div>
-                        </div>
-                      )}
-                    </div>
+            {drafts.map((draft) => {
+              const edits = draftEdits[draft.id] || draftEditsFor(draft)
+              const busy = draftBusyId === draft.id
+              return (
+                <div key={draft.id} className="rounded-2xl border border-gray-200 bg-gray-50/60 p-4">
+                  <div className="flex flex-wrap items-center justify-between gap-2">
+                    <p className="text-sm font-semibold text-gray-900">
+                      {draft.contactName || 'Unknown contact'}
+                      <span className="ml-2 font-mono text-xs text-gray-500">{draft.contactNumber}</span>
+                    </p>
+                    <p className="text-xs text-gray-500">{new Date(draft.createdAt).toLocaleString()}</p>
                   </div>
-                )
-              })}
+                  <div className="mt-3 whitespace-pre-wrap rounded-xl border border-gray-200 bg-white p-3 text-sm text-gray-700">
+                    {draft.incoming}
+                  </div>
+                  {draft.action === 'ack' && !edits.reply && !edits.media && (
+                    <p className="mt-3 text-xs font-semibold uppercase tracking-wide text-gray-500">
+                      Suggested: react with 👍
+                    </p>
+                  )}
+                  <textarea
+                    value={edits.reply}
+                    onChange={(event) => setDraftEdit(draft.id, 'reply', event.target.value)}
+                    placeholder={draft.action === 'ack' ? 'Type a reply to send text instead of the reaction' : ''}
+                    className="mt-3 min-h-[96px] w-full rounded-xl border border-gray-200 bg-white px-3 py-2 text-sm text-gray-900 focus:border-gray-400 focus:outline-none"
+                  />
+                  <label className="mt-2 flex items-center gap-2 text-sm text-gray-600">
+                    <input
+                      type="checkbox"
+                      checked={edits.media}
+                      onChange={(event) => setDraftEdit(draft.id, 'media', event.target.checked)}
+                      className="h-4 w-4 rounded border-gray-300"
+                    />
+                    Include property photos
+                  </label>
+                  <div className="mt-3 flex flex-wrap items-center gap-3">
+                    <input
+                      type="text"
+                      value={edits.outline}
+                      onChange={(event) => setDraftEdit(draft.id, 'outline', event.target.value)}
+                      placeholder="Outline for a new draft, e.g. offer a viewing on Saturday"
+                      className="min-w-[240px] flex-1 rounded-full border border-gray-200 bg-white px-4 py-2 text-sm text-gray-900 focus:border-gray-400 focus:outline-none"
+                    />
+                    <button
+                      type="button"
+                      disabled={busy}
+                      onClick={() => regenerateDraft(draft)}
+                      className="rounded-full border border-gray-200 bg-white px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300 disabled:cursor-not-allowed disabled:opacity-60"
+                    >
+                      Regenerate
+                    </button>
+                    <button
+                      type="button"
+                      disabled={busy}
+                      onClick={() => discardDraft(draft)}
+                      className="rounded-full border border-rose-200 px-4 py-2 text-sm font-semibold text-rose-700 transition hover:border-rose-300 disabled:cursor-not-allowed disabled:opacity-60"
+                    >
+                      Discard
+                    </button>
+                    <button
+                      type="button"
+                      disabled={busy}
+                      onClick={() => approveDraft(draft)}
+                      className="rounded-full bg-gray-900 px-5 py-2 text-sm font-semibold text-white transition hover:bg-gray-800 disabled:cursor-not-allowed disabled:opacity-60"
+                    >
+                      {busy ? 'Working...' : 'Approve & send'}
+                    </button>
+                  </div>
+                </div>
+              )
+            })}
           </div>
           </section>
         )}
 
-        {activeTab === 'add' && (
+        {activeTab === 'attention' && (
           <section className="rounded-2xl border border-gray-200 bg-white p-6 shadow-sm">
           <div className="flex flex-wrap items-center justify-between gap-4">
-            <h2 className="text-lg font-semibold text-gray-900">Add Contact</h2>
+            <h2 className="text-lg font-semibold text-gray-900">Needs attention</h2>
             <button
               type="button"
-              onClick={resetForm}
+              onClick={loadHandoffs}
               className="rounded-full border border-gray-200 px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300"
             >
-              Reset
+              Refresh
             </button>
           </div>
-          <form ref={formRef} onSubmit={handleSubmit} className="mt-6">
-            <div className="grid grid-cols-1 gap-4 md:grid-cols-2 xl:grid-cols-3">
+          <p className="mt-2 text-sm text-gray-600">
+            Conversations the auto responder handed to a person: the LLM asked for help, failed, or a reply could not
+            be delivered. Longest waiting first. Resuming the contact or changing its status clears it from the queue;
+            mark it handled to keep the contact paused.
+          </p>
+
+          <div className="mt-6 grid gap-4">
+            {handoffs.length === 0 && (
+              <div className="rounded-xl border border-dashed border-gray-200 p-6 text-center text-sm text-gray-500">
+                Nothing needs attention.
+              </div>
+            )}
+            {handoffs.map((handoff) => {
+              const busy = handoffBusyId === handoff.id || statusUpdatingId === handoff.contactRowId
+              return (
+                <div key={handoff.id} className="rounded-2xl border border-gray-200 bg-gray-50/60 p-4">
+                  <div className="flex flex-wrap items-center justify-between gap-2">
+                    <p className="text-sm font-semibold text-gray-900">
+                      {handoff.contactName || 'Unknown contact'}
+                      <span className="ml-2 font-mono text-xs text-gray-500">{handoff.contactNumber}</span>
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      Waiting {formatWait(handoff.createdAt)} • since {new Date(handoff.createdAt).toLocaleString()}
+                    </p>
+                  </div>
+                  <div className="mt-2 flex flex-wrap items-center gap-2 text-xs">
+                    <span className={`rounded-full px-2.5 py-1 font-semibold uppercase tracking-wide ${STATUS_STYLES.paused}`}>
+                      {handoff.pauseReason.replace(/_/g, ' ')}
+                    </span>
+                    {handoff.reason && <span className="font-mono text-gray-600">{handoff.reason}</span>}
+                    <span className="text-gray-400">via {handoff.source.replace(/_/g, ' ')}</span>
+                  </div>
+                  {handoff.message && (
+                    <div className="mt-3 whitespace-pre-wrap rounded-xl border border-gray-200 bg-white p-3 text-sm text-gray-700">
+                      {handoff.message}
+                    </div>
+                  )}
+                  {handoff.notifyError && (
+                    <p className="mt-2 text-xs text-rose-600">Notification failed: {handoff.notifyError}</p>
+                  )}
+                  <div className="mt-3 flex flex-wrap items-center justify-end gap-3">
+                    <button
+                      type="button"
+                      disabled={busy}
+                      onClick={() => resolveHandoff(handoff)}
+                      className="rounded-full border border-gray-200 bg-white px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300 disabled:cursor-not-allowed disabled:opacity-60"
+                    >
+                      Mark handled
+                    </button>
+                    <button
+                      type="button"
+                      disabled={busy}
+                      onClick={() => resumeHandoff(handoff)}
+                      className="rounded-full bg-gray-900 px-5 py-2 text-sm font-semibold text-white transition hover:bg-gray-800 disabled:cursor-not-allowed disabled:opacity-60"
+                    >
+                      {busy ? 'Working...' : 'Resume auto replies'}
+                    </button>
+                  </div>
+                </div>
+              )
+            })}
+          </div>
+
+          <form onSubmit={saveHandoffSettings} className="mt-8 rounded-2xl border border-gray-200 p-4">
+            <h3 className="text-sm font-semibold text-gray-900">Notify me on a new handoff</h3>
+            <label className="mt-3 flex items-center gap-2 text-sm text-gray-600">
+              <input
+                type="checkbox"
+                checked={handoffSettings.browser}
+                onChange={(event) => setHandoffSettings((current) => ({ ...current, browser: event.target.checked }))}
+                className="h-4 w-4 rounded border-gray-300"
+              />
+              Browser notification while this page is open
+            </label>
+            <label className="mt-3 flex items-center gap-2 text-sm text-gray-600">
+              <input
+                type="checkbox"
+                checked={handoffSettings.whatsapp}
+                onChange={(event) => setHandoffSettings((current) => ({ ...current, whatsapp: event.target.checked }))}
+                className="h-4 w-4 rounded border-gray-300"
+              />
+              WhatsApp message to
+              <input
+                type="text"
+                value={handoffSettings.whatsappNumber}
+                onChange={(event) => setHandoffSettings((current) => ({ ...current, whatsappNumber: event.target.value }))}
+                placeholder="my own number"
+                className="min-w-[180px] rounded-full border border-gray-200 bg-white px-3 py-1.5 text-sm text-gray-900 focus:border-gray-400 focus:outline-none"
+              />
+            </label>
+            <label className="mt-3 flex flex-col gap-2 text-xs font-semibold uppercase tracking-wide text-gray-500">
+              Webhook URL
+              <input
+                type="text"
+                value={handoffSettings.webhookUrl}
+                onChange={(event) => setHandoffSettings((current) => ({ ...current, webhookUrl: event.target.value }))}
+                placeholder="https://example.com/hooks/handoff"
+                className="rounded-xl border border-gray-200 bg-white px-3 py-2 text-sm font-normal normal-case text-gray-900 focus:border-gray-400 focus:outline-none"
+              />
+              <span className="text-xs font-normal normal-case text-gray-500">
+                Receives a JSON POST with the handoff and a ready-to-read text summary.
+              </span>
+            </label>
+            <div className="mt-4 flex justify-end">
+              <button
+                type="submit"
+                disabled={handoffSettingsSaving}
+                className="rounded-full bg-gray-900 px-5 py-2 text-sm font-semibold text-white transition hover:bg-gray-800 disabled:cursor-not-allowed disabled:opacity-60"
+              >
+                {handoffSettingsSaving ? 'Saving...' : 'Save notifications'}
+              </button>
+            </div>
+          </form>
+          </section>
+        )}
+      </div>
+
+      {editingContact && (
+        <div className="fixed inset-0 z-40 flex justify-end bg-gray-900/30" onClick={closeContactEditor}>
+          <form
+            onSubmit={saveContactEdits}
+            onClick={(event) => event.stopPropagation()}
+            className="flex h-full w-full max-w-md flex-col overflow-y-auto bg-white p-6 shadow-xl"
+          >
+            <div className="flex items-center justify-between gap-4">
+              <h2 className="text-lg font-semibold text-gray-900">
+                Edit {editingContact.contactName || editingContact.cleanContactNumber || `#${editingContact.rowid}`}
+              </h2>
+              <button
+                type="button"
+                onClick={closeContactEditor}
+                className="rounded-full border border-gray-200 px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300"
+              >
+                Close
+              </button>
+            </div>
+            {editErrors.length > 0 && (
+              <ul className="mt-4 space-y-1 rounded-xl border border-rose-200 bg-rose-50 p-3 text-sm text-rose-700">
+                {editErrors.map((error) => (
+                  <li key={error}>{error}</li>
+                ))}
+              </ul>
+            )}
+            <div className="mt-6 flex flex-1 flex-col gap-4">
               {schema.map((column) => {
-                const isTextarea = column.name === 'notes'
+                const value = editForm[column.name] ?? ''
+                const setValue = (event) =>
+                  setEditForm((current) => ({ ...current, [column.name]: event.target.value }))
                 return (
                   <label key={column.name} className="flex flex-col gap-2 text-xs font-semibold uppercase tracking-wide text-gray-500">
                     {column.name}
-                    {isTextarea ? (
+                    {column.name === 'property_id' ? (
+                      <select
+                        value={value}
+                        onChange={setValue}
+                        className="rounded-xl border border-gray-200 bg-white px-3 py-2 text-sm font-normal text-gray-900 focus:border-gray-400 focus:outline-none"
+                      >
+                        <option value="">
+                          Default{defaultPropertyName ? ` (${defaultPropertyName})` : ''}
+                        </option>
+                        {properties.map((property) => (
+                          <option key={property.id} value={property.id}>
+                            {property.name}
+                          </option>
+                        ))}
+                      </select>
+                    ) : column.name === 'conversation_started' ? (
+                      <select
+                        value={value}
+                        onChange={setValue}
+                        className="rounded-xl border border-gray-200 bg-white px-3 py-2 text-sm font-normal text-gray-900 focus:border-gray-400 focus:outline-none"
+                      >
+                        {!STATUS_STYLES[value] && <option value={value}>{value || 'unknown'}</option>}
+                        {Object.keys(STATUS_STYLES)
+                          .filter((status) => status !== 'unknown')
+                          .map((status) => (
+                            <option key={status} value={status}>
+                              {status}
+                            </option>
+                          ))}
+                      </select>
+                    ) : column.name === 'pipeline_stage' ? (
+                        <select
+                          value={value}
+                          onChange={setValue}
+                          className="rounded-xl border border-gray-200 bg-white px-3 py-2 text-sm font-normal text-gray-900 focus:border-gray-400 focus:outline-none"
+                        >
+                          <option value="">No stage</option>
+                          {pipelineStages.map((stage) => (
+                            <option key={stage.id} value={stage.id}>
+                              {stage.label}
+                            </option>
+                          ))}
+                        </select>
+                    ) : column.name === 'reply_mode' ? (
+                      <select
+                        value={value}
+                        onChange={setValue}
+                        className="rounded-xl border border-gray-200 bg-white px-3 py-2 text-sm font-normal text-gray-900 focus:border-gray-400 focus:outline-none"
+                      >
+                        <option value="">Global setting ({replyMode})</option>
+                        {REPLY_MODE_OPTIONS.map((option) => (
+                          <option key={option.id} value={option.id}>
+                            {option.label}
+                          </option>
+                        ))}
+                      </select>
+                    ) : column.name === 'notes' ? (
                       <textarea
-                        name={column.name}
-                        defaultValue={column.name === 'conversation_started' ? 'pending' : ''}
-                        placeholder={column.defaultValue || ''}
-                        className="min-h-[84px] rounded-xl border border-gray-200 bg-white px-3 py-2 text-sm font-normal text-gray-900 focus:border-gray-400 focus:outline-none"
+                        value={value}
+                        onChange={setValue}
+                        className="min-h-[120px] rounded-xl border border-gray-200 bg-white px-3 py-2 text-sm font-normal text-gray-900 focus:border-gray-400 focus:outline-none"
                       />
                     ) : (
                       <input
-                        name={column.name}
                         type="text"
-                        defaultValue={column.name === 'conversation_started' ? 'pending' : ''}
-                        placeholder={column.defaultValue || ''}
+                        value={value}
+                        onChange={setValue}
                         className="rounded-xl border border-gray-200 bg-white px-3 py-2 text-sm font-normal text-gray-900 focus:border-gray-400 focus:outline-none"
                       />
                     )}
@@ -704,22 +3828,29 @@ function App() {
                 )
               })}
             </div>
-            <div className="mt-6 flex justify-end">
+            <div className="mt-6 flex justify-end gap-2">
+              <button
+                type="button"
+                onClick={closeContactEditor}
+                className="rounded-full border border-gray-200 px-4 py-2 text-sm font-semibold text-gray-700 transition hover:border-gray-300"
+              >
+                Cancel
+              </button>
               <button
                 type="submit"
-                className="rounded-full bg-gray-900 px-5 py-2.5 text-sm font-semibold text-white transition hover:bg-gray-800"
+                disabled={editSaving}
+                className="rounded-full bg-gray-900 px-5 py-2.5 text-sm font-semibold text-white transition hover:bg-gray-800 disabled:cursor-not-allowed disabled:opacity-60"
               >
-                Add Contact
+                {editSaving ? 'Saving...' : 'Save changes'}
               </button>
             </div>
           </form>
-          </section>
-        )}
-      </div>
+        </div>
+      )}
 
       {toast && (
         <div
-          className={`fixed bottom-6 right-6 rounded-xl px-4 py-3 text-sm font-semibold text-white shadow-lg ${
+          className={`fixed bottom-6 right-6 z-50 rounded-xl px-4 py-3 text-sm font-semibold text-white shadow-lg ${
             toast.tone === 'error' ? 'bg-rose-600' : 'bg-gray-900'
           }`}
         >
@@ -1,36 +1,99 @@
 import express from 'express';
 import { PORT } from './src/config.js';
-import { loadPropertyContext } from './src/propertyContext.js';
+import { openDatabase, closeDatabase, migrateDatabase } from './src/db.js';
+import { watchPropertyContext } from './src/propertyContext.js';
+import { getDefaultProperty, reloadDefaultProperty } from './src/properties.js';
 import { registerContactRoutes } from './src/routes/contacts.js';
-import { createAutoResponder } from './src/autoResponder.js';
-import { initWhatsAppClient, setMessageHandler } from './src/whatsappClient.js';
+import { registerPropertyRoutes } from './src/routes/properties.js';
+import { registerPropertyContextRoutes } from './src/routes/propertyContext.js';
+import { registerCampaignRoutes } from './src/routes/campaigns.js';
+import { registerOutboxRoutes } from './src/routes/outbox.js';
+import { registerDedupeRoutes } from './src/routes/dedupe.js';
+import { registerPipelineRoutes } from './src/routes/pipeline.js';
+import { registerDoNotContactRoutes } from './src/routes/doNotContact.js';
+import { registerTagRoutes } from './src/routes/tags.js';
+import { registerDraftRoutes } from './src/routes/drafts.js';
+import { registerReplyTimingRoutes } from './src/routes/replyTimings.js';
+import { registerHandoffRoutes } from './src/routes/handoffs.js';
+import { createAutoResponder, recoverUnansweredChats } from './src/autoResponder.js';
+import { startFollowupScheduler } from './src/followupScheduler.js';
+import { startCampaignRunner } from './src/campaigns.js';
+import { requeueInterruptedOutbound, startOutboundWorker } from './src/outboundQueue.js';
+import { logMessageEvent, logReactionEvent } from './src/messageStore.js';
+import {
+    initWhatsAppClient,
+    setMessageHandler,
+    setMessageLogHandler,
+    setReactionHandler,
+    setReadyHandler
+} from './src/whatsappClient.js';
 
 const app = express();
-app.use(express.json());
+// CSV imports are posted as JSON, so allow bodies well past the 100kb default.
+app.use(express.json({ limit: '10mb' }));
 
 app.get('/', (_req, res) => {
     res.type('text').send('API server running. Start the UI with "npm run dev --prefix ui".');
 });
 
-let initialMessage = '';
-let followupMessage = '';
-let propertyContext = null;
+function logDefaultProperty() {
+    const defaultProperty = getDefaultProperty();
+    console.log(`Property context loaded: ${defaultProperty.name || 'untitled'}`);
+    console.log(`Initial message: ${defaultProperty.initialMessage}`);
+    console.log(`Follow-up message: ${defaultProperty.followupMessage}`);
+}
+
+const initialLoad = reloadDefaultProperty();
+if (!initialLoad.reloaded) {
+    console.error(initialLoad.error);
+    process.exit(1);
+}
+logDefaultProperty();
+
+watchPropertyContext(() => {
+    const result = reloadDefaultProperty();
+    if (result.reloaded) {
+        logDefaultProperty();
+    } else {
+        console.error(`Ignoring invalid property context edit, keeping the last good one: ${result.error}`);
+    }
+});
+
+const db = openDatabase();
 try {
-    propertyContext = loadPropertyContext();
-    initialMessage = propertyContext.messages.initial;
-    followupMessage =propertyContext.messages.followup;
-    console.log(`Property context loaded: ${propertyContext.title || 'untitled'}`);
-    console.log(`Initial message: ${initialMessage}`);
-    console.log(`Follow-up message: ${followupMessage}`);
+    const migration = await migrateDatabase(db);
+    if (migration.applied.length > 0) {
+        console.log(`Database migrated from schema ${migration.from} to ${migration.to}: ${migration.applied.join(', ')}`);
+    }
+    await requeueInterruptedOutbound(db);
 } catch (err) {
-    console.error(err.message);
+    console.error('Failed to prepare database:', err);
     process.exit(1);
+} finally {
+    await closeDatabase(db);
 }
 
-registerContactRoutes(app, { initialMessage, followupMessage, propertyContext });
+registerContactRoutes(app);
+registerPropertyRoutes(app);
+registerPropertyContextRoutes(app);
+registerCampaignRoutes(app);
+registerOutboxRoutes(app);
+registerDedupeRoutes(app);
+registerPipelineRoutes(app);
+registerDoNotContactRoutes(app);
+registerTagRoutes(app);
+registerDraftRoutes(app);
+registerReplyTimingRoutes(app);
+registerHandoffRoutes(app);
 
 app.listen(PORT, () => {
     console.log(`UI server running at http://localhost:${PORT}`);
 });
 initWhatsAppClient();
-setMessageHandler(createAutoResponder({ propertyContext }));
+setMessageHandler(createAutoResponder());
+setMessageLogHandler(logMessageEvent);
+setReactionHandler(logReactionEvent);
+setReadyHandler(recoverUnansweredChats);
+startOutboundWorker();
+startFollowupScheduler();
+startCampaignRunner();